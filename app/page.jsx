@@ -7,104 +7,299 @@ import { Badge } from "@/components/ui/badge"
 import PatientRegistration from "@/components/patient-registration"
 import PatientList from "@/components/patient-list"
 import SqlQueryInterface from "@/components/sql-query-interface"
-import AuthWrapper from "@/components/auth-wrapper"
+import AuditLogViewer from "@/components/audit-log-viewer"
+import AppointmentCalendar from "@/components/appointment-calendar"
+import UserManagement from "@/components/user-management"
+import SettingsPanel from "@/components/settings-panel"
+import AuthWrapper, { useAuth } from "@/components/auth-wrapper"
 import { ThemeToggle } from "@/components/theme-toggle"
 import { initializeDatabase, getDatabaseStats } from "@/lib/database"
-import { Users, Database, FileText, Activity, TrendingUp, Shield, LogOut } from 'lucide-react'
+import { startSnapshotSchedule } from "@/lib/snapshots"
+import { ROLE_LABELS } from "@/lib/auth"
+import { PERMISSIONS, hasPermission } from "@/lib/permissions"
+import { SYNC_EVENTS, PATIENT_SYNC_EVENTS, ENCOUNTER_SYNC_EVENTS, useSyncEvents } from "@/lib/sync"
+import { Users, Database, FileText, Activity, TrendingUp, Shield, LogOut, Lock, ScrollText, UserCog, CircleUser, Settings, Stethoscope, CalendarDays } from 'lucide-react'
 import { ToastContainer } from "react-toastify"
 import "react-toastify/dist/ReactToastify.css"
 import { Button } from "@/components/ui/button"
 
+// Main tabs and the permission each one needs
+const TABS = [
+  {
+    value: "register",
+    label: "Register Patient",
+    icon: Users,
+    permission: PERMISSIONS.REGISTER_PATIENT,
+    component: PatientRegistration,
+  },
+  { value: "patients", label: "Patient Records", icon: FileText, permission: PERMISSIONS.VIEW_PATIENTS, component: PatientList },
+  {
+    value: "appointments",
+    label: "Appointments",
+    icon: CalendarDays,
+    permission: PERMISSIONS.VIEW_PATIENTS,
+    component: AppointmentCalendar,
+  },
+  { value: "query", label: "SQL Interface", icon: Database, permission: PERMISSIONS.RUN_SQL, component: SqlQueryInterface },
+  { value: "audit", label: "Audit Log", icon: ScrollText, permission: PERMISSIONS.VIEW_AUDIT_LOG, component: AuditLogViewer },
+  { value: "users", label: "Users", icon: UserCog, permission: PERMISSIONS.MANAGE_USERS, component: UserManagement },
+  { value: "settings", label: "Settings", icon: Settings, permission: PERMISSIONS.MANAGE_SETTINGS, component: SettingsPanel },
+]
+
+// Full class names so Tailwind keeps them, indexed by the number of visible tabs
+const TAB_GRID_COLUMNS = ["", "grid-cols-1", "grid-cols-2", "grid-cols-3", "grid-cols-4", "grid-cols-5", "grid-cols-6", "grid-cols-7"]
+
+// Signed-in view: header, stats and the tabs available to the current user's role
+function Dashboard({ stats }) {
+  const { user, signOut, lock } = useAuth()
+  const tabs = TABS.filter((tab) => hasPermission(user, tab.permission))
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-indigo-50 dark:from-gray-900 dark:via-gray-800 dark:to-gray-900 transition-all duration-500">
+      {/* Header with signed-in user, Theme Toggle, Lock and Logout */}
+      <div className="fixed top-4 right-4 z-50 flex items-center gap-2">
+        <div className="hidden sm:flex items-center gap-2 px-3 h-9 rounded-md bg-white/80 dark:bg-gray-800/80 backdrop-blur-sm shadow-lg text-sm">
+          <CircleUser className="h-4 w-4 text-gray-500" />
+          <span className="font-medium text-gray-800 dark:text-gray-200">{user.displayName || user.username}</span>
+          <Badge className="bg-indigo-100 text-indigo-800 dark:bg-indigo-900 dark:text-indigo-300 border-0 text-xs">
+            {ROLE_LABELS[user.role]}
+          </Badge>
+        </div>
+        <ThemeToggle />
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => lock()}
+          className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-sm border-0 shadow-lg hover:scale-105 transition-all duration-300"
+        >
+          <Lock className="h-4 w-4 mr-2" />
+          Lock
+        </Button>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={signOut}
+          className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-sm border-0 shadow-lg hover:scale-105 transition-all duration-300"
+        >
+          <LogOut className="h-4 w-4 mr-2" />
+          Logout
+        </Button>
+      </div>
+
+      <div className="container mx-auto p-4 pt-20 space-y-8">
+        {/* Header */}
+        <div className="text-center space-y-4">
+          <div className="flex justify-center">
+            <div className="p-4 bg-gradient-to-r from-blue-500 to-indigo-600 rounded-full shadow-lg">
+              <Shield className="h-12 w-12 text-white" />
+            </div>
+          </div>
+          <h1 className="text-4xl font-bold bg-gradient-to-r from-blue-600 to-indigo-600 bg-clip-text text-transparent leading-tight pb-1">
+           Patient Management System
+          </h1>
+
+          <p className="text-l text-gray-600 dark:text-gray-300 max-w-2xl mx-auto">
+            Comprehensive healthcare data management with PGlite database, real-time synchronization, and advanced SQL
+            querying capabilities
+          </p>
+        </div>
+
+        {/* Stats Dashboard */}
+        <div className="grid grid-cols-1 md:grid-cols-3 xl:grid-cols-6 gap-6">
+          <Card className="shadow-lg border-0 bg-white/90 dark:bg-gray-800/90 backdrop-blur-sm transform hover:scale-105 transition-all duration-300">
+            <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+              <CardTitle className="text-sm font-medium">Total Patients</CardTitle>
+              <Users className="h-4 w-4 text-blue-600" />
+            </CardHeader>
+            <CardContent>
+              <div className="text-2xl font-bold text-blue-600">{stats.total_patients || 0}</div>
+              <p className="text-xs text-muted-foreground">Registered in system</p>
+            </CardContent>
+          </Card>
+
+          <Card className="shadow-lg border-0 bg-white/90 dark:bg-gray-800/90 backdrop-blur-sm transform hover:scale-105 transition-all duration-300">
+            <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+              <CardTitle className="text-sm font-medium">Average Age</CardTitle>
+              <TrendingUp className="h-4 w-4 text-green-600" />
+            </CardHeader>
+            <CardContent>
+              <div className="text-2xl font-bold text-green-600">
+                {stats.average_age ? Math.round(stats.average_age) : 0}
+              </div>
+              <p className="text-xs text-muted-foreground">Years old</p>
+            </CardContent>
+          </Card>
+
+          <Card className="shadow-lg border-0 bg-white/90 dark:bg-gray-800/90 backdrop-blur-sm transform hover:scale-105 transition-all duration-300">
+            <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+              <CardTitle className="text-sm font-medium">Visits Today</CardTitle>
+              <Stethoscope className="h-4 w-4 text-cyan-600" />
+            </CardHeader>
+            <CardContent>
+              <div className="text-2xl font-bold text-cyan-600">{stats.visits_today || 0}</div>
+              <p className="text-xs text-muted-foreground">Started or recorded today</p>
+            </CardContent>
+          </Card>
+
+          <Card className="shadow-lg border-0 bg-white/90 dark:bg-gray-800/90 backdrop-blur-sm transform hover:scale-105 transition-all duration-300">
+            <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+              <CardTitle className="text-sm font-medium">Visits This Week</CardTitle>
+              <CalendarDays className="h-4 w-4 text-indigo-600" />
+            </CardHeader>
+            <CardContent>
+              <div className="text-2xl font-bold text-indigo-600">{stats.visits_this_week || 0}</div>
+              <p className="text-xs text-muted-foreground">Since Monday</p>
+            </CardContent>
+          </Card>
+
+          <Card className="shadow-lg border-0 bg-white/90 dark:bg-gray-800/90 backdrop-blur-sm transform hover:scale-105 transition-all duration-300">
+            <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+              <CardTitle className="text-sm font-medium">Insured Patients</CardTitle>
+              <Shield className="h-4 w-4 text-purple-600" />
+            </CardHeader>
+            <CardContent>
+              <div className="text-2xl font-bold text-purple-600">{stats.insured_patients || 0}</div>
+              <p className="text-xs text-muted-foreground">Have insurance coverage</p>
+            </CardContent>
+          </Card>
+
+          <Card className="shadow-lg border-0 bg-white/90 dark:bg-gray-800/90 backdrop-blur-sm transform hover:scale-105 transition-all duration-300">
+            <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+              <CardTitle className="text-sm font-medium">Database Status</CardTitle>
+              <Database className="h-4 w-4 text-emerald-600" />
+            </CardHeader>
+            <CardContent>
+              <div className="flex items-center space-x-2">
+                <Badge className="bg-emerald-100 text-emerald-800 dark:bg-emerald-900 dark:text-emerald-300 border-0">
+                  <Activity className="h-3 w-3 mr-1" />
+                  Active
+                </Badge>
+              </div>
+              <p className="text-xs text-muted-foreground">PGlite ready</p>
+            </CardContent>
+          </Card>
+        </div>
+
+        {/* Main Tabs */}
+        {tabs.length > 0 && (
+          <Tabs defaultValue={tabs[0].value} className="w-full">
+            <TabsList
+              className={`grid w-full ${TAB_GRID_COLUMNS[tabs.length]} mb-8 bg-white/80 dark:bg-gray-800/80 backdrop-blur-sm shadow-lg`}
+            >
+              {tabs.map(({ value, label, icon: Icon }) => (
+                <TabsTrigger key={value} value={value} className="flex items-center space-x-2">
+                  <Icon className="h-4 w-4" />
+                  <span>{label}</span>
+                </TabsTrigger>
+              ))}
+            </TabsList>
+
+            {tabs.map(({ value, component: TabComponent }) => (
+              <TabsContent key={value} value={value} className="space-y-6">
+                <TabComponent />
+              </TabsContent>
+            ))}
+          </Tabs>
+        )}
+
+        {/* Footer */}
+        <div className="text-center py-8 border-t border-gray-200 dark:border-gray-700">
+          <p className="text-gray-600 dark:text-gray-400">
+            Built with Next.js, PGlite, and Shadcn/ui 
+          </p>
+        </div>
+      </div>
+
+      {/* Toast Container */}
+      <ToastContainer
+        position="top-right"
+        autoClose={3000}
+        hideProgressBar
+        newestOnTop={false}
+        closeOnClick
+        rtl={false}
+        pauseOnFocusLoss={false}
+        draggable={false}
+        pauseOnHover={false}
+        theme="colored"
+        className="text-sm"
+      />
+    </div>
+  )
+}
+
+// Add (delta 1) or remove (delta -1) one patient from the dashboard stats without re-querying
+function adjustStats(prevStats, patient, delta) {
+  const totalPatients = Number(prevStats.total_patients || 0)
+  const newTotalPatients = Math.max(0, totalPatients + delta)
+  const hasInsurance = Boolean(patient.insuranceProvider && patient.insuranceProvider.trim() !== "")
+  const newInsuredPatients = Math.max(0, Number(prevStats.insured_patients || 0) + (hasInsurance ? delta : 0))
+
+  const totalAge = Number(prevStats.average_age || 0) * totalPatients
+  const newAverageAge =
+    newTotalPatients > 0 ? (totalAge + delta * (Number(patient.age) || 0)) / newTotalPatients : 0
+
+  return {
+    ...prevStats,
+    total_patients: newTotalPatients,
+    average_age: newAverageAge,
+    insured_patients: newInsuredPatients,
+  }
+}
+
 export default function PatientManagementApp() {
   const [stats, setStats] = useState({})
   const [isDbReady, setIsDbReady] = useState(false)
 
   useEffect(() => {
+    let stopSnapshots = null
     const setupDatabase = async () => {
       try {
         await initializeDatabase()
         setIsDbReady(true)
         loadStats()
+        stopSnapshots = startSnapshotSchedule()
       } catch (error) {
         console.error("Failed to initialize database:", error)
       }
     }
 
     setupDatabase()
+    return () => stopSnapshots?.()
+  }, [])
 
-    // Listen for BroadcastChannel updates for INSTANT stats updates
-    if ("BroadcastChannel" in window) {
-      const channel = new BroadcastChannel("patient_updates")
-
-      const handleStatsUpdate = (event) => {
-        console.log("📊 Dashboard received broadcast:", event.data)
-
-        try {
-          const { type, patient } = event.data
-
-          if (type === "PATIENT_ADDED" && patient) {
-            console.log("📈 Updating stats for new patient")
-
-            setStats((prevStats) => {
-              const newTotalPatients = (prevStats.total_patients || 0) + 1
-              const hasInsurance = patient.insuranceProvider && patient.insuranceProvider.trim() !== ""
-              const newInsuredPatients = (prevStats.insured_patients || 0) + (hasInsurance ? 1 : 0)
-
-              // Calculate new average age
-              const currentTotalAge = (prevStats.average_age || 0) * (prevStats.total_patients || 0)
-              const newTotalAge = currentTotalAge + (patient.age || 0)
-              const newAverageAge = newTotalPatients > 0 ? newTotalAge / newTotalPatients : 0
-
-              const updatedStats = {
-                ...prevStats,
-                total_patients: newTotalPatients,
-                average_age: newAverageAge,
-                insured_patients: newInsuredPatients,
-              }
-
-              console.log("✅ Stats updated:", updatedStats)
-              return updatedStats
-            })
-          } else if (type === "PATIENT_DELETED" && patient) {
-            console.log("📉 Updating stats for deleted patient")
-
-            setStats((prevStats) => {
-              const newTotalPatients = Math.max(0, (prevStats.total_patients || 0) - 1)
-              const hasInsurance = patient.insuranceProvider && patient.insuranceProvider.trim() !== ""
-              const newInsuredPatients = Math.max(0, (prevStats.insured_patients || 0) - (hasInsurance ? 1 : 0))
-
-              // Calculate new average age
-              let newAverageAge = 0
-              if (newTotalPatients > 0) {
-                const currentTotalAge = (prevStats.average_age || 0) * (prevStats.total_patients || 0)
-                const newTotalAge = currentTotalAge - (patient.age || 0)
-                newAverageAge = newTotalAge / newTotalPatients
-              }
-
-              const updatedStats = {
-                ...prevStats,
-                total_patients: newTotalPatients,
-                average_age: newAverageAge,
-                insured_patients: newInsuredPatients,
-              }
-
-              console.log("✅ Stats updated after deletion:", updatedStats)
-              return updatedStats
-            })
-          }
-        } catch (error) {
-          console.error("❌ Error updating stats from broadcast:", error)
-        }
-      }
+  // A restore replaced users, keys and every table, so start again from a clean page
+  useSyncEvents(() => {
+    window.location.reload()
+  }, [SYNC_EVENTS.DATABASE_RESTORED])
 
-      channel.addEventListener("message", handleStatsUpdate)
+  // Keep the stats cards current as patients change in any tab, including this one
+  useSyncEvents((message) => {
+    if (message.type !== SYNC_EVENTS.PATIENT_PURGED && !message.patient) {
+      loadStats()
+      return
+    }
 
-      return () => {
-        channel.removeEventListener("message", handleStatsUpdate)
-        channel.close()
-      }
+    switch (message.type) {
+      case SYNC_EVENTS.PATIENT_ADDED:
+      case SYNC_EVENTS.PATIENT_RESTORED:
+        setStats((prevStats) => adjustStats(prevStats, message.patient, 1))
+        break
+      case SYNC_EVENTS.PATIENT_DELETED:
+        setStats((prevStats) => adjustStats(prevStats, message.patient, -1))
+        break
+      case SYNC_EVENTS.PATIENT_UPDATED:
+      // Purged patients were usually already in the trash, but a merge deletes an active one
+      case SYNC_EVENTS.PATIENT_PURGED:
+        loadStats()
+        break
     }
-  }, [])
+  }, PATIENT_SYNC_EVENTS)
+
+  // Visit counts change with visits started, rescheduled or cancelled in any tab
+  useSyncEvents(() => {
+    loadStats()
+  }, ENCOUNTER_SYNC_EVENTS)
 
   const loadStats = async () => {
     try {
@@ -115,12 +310,6 @@ export default function PatientManagementApp() {
     }
   }
 
-  const handleLogout = () => {
-    localStorage.removeItem("isAuthenticated")
-    localStorage.removeItem("username")
-    window.location.reload()
-  }
-
   if (!isDbReady) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-indigo-50 dark:from-gray-900 dark:via-gray-800 dark:to-gray-900 flex items-center justify-center">
@@ -135,146 +324,7 @@ export default function PatientManagementApp() {
 
   return (
     <AuthWrapper>
-      <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-indigo-50 dark:from-gray-900 dark:via-gray-800 dark:to-gray-900 transition-all duration-500">
-        {/* Header with Theme Toggle and Logout */}
-        <div className="fixed top-4 right-4 z-50 flex items-center gap-2">
-          <ThemeToggle />
-          <Button
-            variant="outline"
-            size="sm"
-            onClick={handleLogout}
-            className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-sm border-0 shadow-lg hover:scale-105 transition-all duration-300"
-          >
-            <LogOut className="h-4 w-4 mr-2" />
-            Logout
-          </Button>
-        </div>
-
-        <div className="container mx-auto p-4 pt-20 space-y-8">
-          {/* Header */}
-          <div className="text-center space-y-4">
-            <div className="flex justify-center">
-              <div className="p-4 bg-gradient-to-r from-blue-500 to-indigo-600 rounded-full shadow-lg">
-                <Shield className="h-12 w-12 text-white" />
-              </div>
-            </div>
-            <h1 className="text-4xl font-bold bg-gradient-to-r from-blue-600 to-indigo-600 bg-clip-text text-transparent leading-tight pb-1">
-             Patient Management System
-            </h1>
-
-            <p className="text-l text-gray-600 dark:text-gray-300 max-w-2xl mx-auto">
-              Comprehensive healthcare data management with PGlite database, real-time synchronization, and advanced SQL
-              querying capabilities
-            </p>
-          </div>
-
-          {/* Stats Dashboard */}
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
-            <Card className="shadow-lg border-0 bg-white/90 dark:bg-gray-800/90 backdrop-blur-sm transform hover:scale-105 transition-all duration-300">
-              <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-                <CardTitle className="text-sm font-medium">Total Patients</CardTitle>
-                <Users className="h-4 w-4 text-blue-600" />
-              </CardHeader>
-              <CardContent>
-                <div className="text-2xl font-bold text-blue-600">{stats.total_patients || 0}</div>
-                <p className="text-xs text-muted-foreground">Registered in system</p>
-              </CardContent>
-            </Card>
-
-            <Card className="shadow-lg border-0 bg-white/90 dark:bg-gray-800/90 backdrop-blur-sm transform hover:scale-105 transition-all duration-300">
-              <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-                <CardTitle className="text-sm font-medium">Average Age</CardTitle>
-                <TrendingUp className="h-4 w-4 text-green-600" />
-              </CardHeader>
-              <CardContent>
-                <div className="text-2xl font-bold text-green-600">
-                  {stats.average_age ? Math.round(stats.average_age) : 0}
-                </div>
-                <p className="text-xs text-muted-foreground">Years old</p>
-              </CardContent>
-            </Card>
-
-            <Card className="shadow-lg border-0 bg-white/90 dark:bg-gray-800/90 backdrop-blur-sm transform hover:scale-105 transition-all duration-300">
-              <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-                <CardTitle className="text-sm font-medium">Insured Patients</CardTitle>
-                <Shield className="h-4 w-4 text-purple-600" />
-              </CardHeader>
-              <CardContent>
-                <div className="text-2xl font-bold text-purple-600">{stats.insured_patients || 0}</div>
-                <p className="text-xs text-muted-foreground">Have insurance coverage</p>
-              </CardContent>
-            </Card>
-
-            <Card className="shadow-lg border-0 bg-white/90 dark:bg-gray-800/90 backdrop-blur-sm transform hover:scale-105 transition-all duration-300">
-              <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-                <CardTitle className="text-sm font-medium">Database Status</CardTitle>
-                <Database className="h-4 w-4 text-emerald-600" />
-              </CardHeader>
-              <CardContent>
-                <div className="flex items-center space-x-2">
-                  <Badge className="bg-emerald-100 text-emerald-800 dark:bg-emerald-900 dark:text-emerald-300 border-0">
-                    <Activity className="h-3 w-3 mr-1" />
-                    Active
-                  </Badge>
-                </div>
-                <p className="text-xs text-muted-foreground">PGlite ready</p>
-              </CardContent>
-            </Card>
-          </div>
-
-          {/* Main Tabs */}
-          <Tabs defaultValue="register" className="w-full">
-            <TabsList className="grid w-full grid-cols-3 mb-8 bg-white/80 dark:bg-gray-800/80 backdrop-blur-sm shadow-lg">
-              <TabsTrigger value="register" className="flex items-center space-x-2">
-                <Users className="h-4 w-4" />
-                <span>Register Patient</span>
-              </TabsTrigger>
-              <TabsTrigger value="patients" className="flex items-center space-x-2">
-                <FileText className="h-4 w-4" />
-                <span>Patient Records</span>
-              </TabsTrigger>
-              <TabsTrigger value="query" className="flex items-center space-x-2">
-                <Database className="h-4 w-4" />
-                <span>SQL Interface</span>
-              </TabsTrigger>
-            </TabsList>
-
-            <TabsContent value="register" className="space-y-6">
-              <PatientRegistration />
-            </TabsContent>
-
-            <TabsContent value="patients" className="space-y-6">
-              <PatientList />
-            </TabsContent>
-
-            <TabsContent value="query" className="space-y-6">
-              <SqlQueryInterface />
-            </TabsContent>
-          </Tabs>
-
-          {/* Footer */}
-          <div className="text-center py-8 border-t border-gray-200 dark:border-gray-700">
-            <p className="text-gray-600 dark:text-gray-400">
-              Built with Next.js, PGlite, and Shadcn/ui 
-            </p>
-          </div>
-        </div>
-
-        {/* Toast Container */}
-        <ToastContainer
-          position="top-right"
-          autoClose={3000}
-          hideProgressBar
-          newestOnTop={false}
-          closeOnClick
-          rtl={false}
-          pauseOnFocusLoss={false}
-          draggable={false}
-          pauseOnHover={false}
-          theme="colored"
-          className="text-sm"
-        />
-      </div>
+      <Dashboard stats={stats} />
     </AuthWrapper>
   )
-}
\ No newline at end of file
+}
@@ -0,0 +1,653 @@
+"use client"
+
+import { useState, useEffect, useCallback, useMemo } from "react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Calendar } from "@/components/ui/calendar"
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import AppointmentDialog from "@/components/appointment-dialog"
+import { useAuth } from "@/components/auth-wrapper"
+import { getAppointments, setAppointmentStatus } from "@/lib/database"
+import {
+  appointmentsToICalendar,
+  appointmentsOverlap,
+  addDays,
+  formatAppointmentTime,
+  getAppointmentStatus,
+  getCalendarRange,
+  isActiveAppointment,
+  isSameDay,
+  normalizeProvider,
+  shiftCalendarDate,
+  startOfDay,
+} from "@/lib/appointments"
+import { downloadFile } from "@/lib/download"
+import { toDateString } from "@/lib/dates"
+import { PERMISSIONS, hasPermission } from "@/lib/permissions"
+import { SYNC_EVENTS, APPOINTMENT_SYNC_EVENTS, PATIENT_SYNC_EVENTS, useSyncEvents } from "@/lib/sync"
+import {
+  AlertTriangle,
+  CalendarDays,
+  CalendarRange,
+  ChevronLeft,
+  ChevronRight,
+  ClipboardList,
+  Download,
+  Loader2,
+  Plus,
+  UserCheck,
+  UserX,
+  Undo2,
+} from "lucide-react"
+import { toast } from "react-toastify"
+
+const toastOptions = {
+  position: "top-right",
+  autoClose: 3000,
+  hideProgressBar: true,
+  closeOnClick: true,
+  pauseOnHover: false,
+  draggable: false,
+  className: "text-sm",
+}
+
+const VIEWS = [
+  { value: "day", label: "Day" },
+  { value: "week", label: "Week" },
+  { value: "month", label: "Month" },
+]
+
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"]
+
+// Hours shown in the day view, widened when appointments fall outside them
+const DAY_START_HOUR = 7
+const DAY_END_HOUR = 19
+
+// Appointments shown in a month cell before "+N more"
+const MONTH_CELL_LIMIT = 3
+
+const ALL_PROVIDERS = "all"
+
+const byStartTime = (a, b) => new Date(a.startTime) - new Date(b.startTime) || a.id - b.id
+
+function formatRangeTitle(view, date, range) {
+  if (view === "day") {
+    return date.toLocaleDateString("en-US", { weekday: "long", year: "numeric", month: "long", day: "numeric" })
+  }
+  if (view === "week") {
+    const last = addDays(range.to, -1)
+    const format = { month: "short", day: "numeric" }
+    return `${range.from.toLocaleDateString("en-US", format)} – ${last.toLocaleDateString("en-US", { ...format, year: "numeric" })}`
+  }
+  return date.toLocaleDateString("en-US", { year: "numeric", month: "long" })
+}
+
+const formatHour = (hour) => new Date(2000, 0, 1, hour).toLocaleTimeString("en-US", { hour: "numeric" })
+
+// Active appointments that share a provider's time with another one. Booking refuses these, so
+// they only appear when rows are changed through the SQL Interface.
+function findDoubleBookings(appointments) {
+  const ids = new Set()
+  const active = appointments.filter(isActiveAppointment)
+  active.forEach((appointment, index) => {
+    active.slice(index + 1).forEach((other) => {
+      if (
+        normalizeProvider(appointment.provider) === normalizeProvider(other.provider) &&
+        appointmentsOverlap(appointment, other)
+      ) {
+        ids.add(appointment.id)
+        ids.add(other.id)
+      }
+    })
+  })
+  return ids
+}
+
+// Replace or remove one appointment in a list after a change, keeping it sorted. Appointments
+// outside [from, to) are dropped.
+function applyAppointmentChange(list, appointmentId, appointment, { from, to }) {
+  const rest = list.filter((item) => item.id !== appointmentId)
+  if (!appointment || !(new Date(appointment.startTime) < to && new Date(appointment.endTime) > from)) return rest
+  return [...rest, appointment].sort(byStartTime)
+}
+
+// The Appointments tab: the schedule as a day, week or month calendar, and today's check-in list
+export default function AppointmentCalendar() {
+  const [view, setView] = useState("week")
+  const [date, setDate] = useState(() => startOfDay(new Date()))
+  const [appointments, setAppointments] = useState([])
+  const [todayAppointments, setTodayAppointments] = useState([])
+  const [providerFilter, setProviderFilter] = useState(ALL_PROVIDERS)
+  const [isLoading, setIsLoading] = useState(false)
+  const [isDatePickerOpen, setIsDatePickerOpen] = useState(false)
+  const [editing, setEditing] = useState(null)
+  const [bookingDefaults, setBookingDefaults] = useState(null)
+  const [isFormOpen, setIsFormOpen] = useState(false)
+  const [updatingIds, setUpdatingIds] = useState(new Set())
+  const { user } = useAuth()
+  const canManage = hasPermission(user, PERMISSIONS.MANAGE_APPOINTMENTS)
+
+  const range = useMemo(() => getCalendarRange(view, date), [view, date])
+
+  const loadAppointments = useCallback(async () => {
+    try {
+      setIsLoading(true)
+      setAppointments(await getAppointments(range))
+    } catch (error) {
+      console.error("❌ Error loading appointments:", error)
+      toast.error("Failed to load appointments", toastOptions)
+    } finally {
+      setIsLoading(false)
+    }
+  }, [range])
+
+  const loadToday = useCallback(async () => {
+    try {
+      setTodayAppointments(await getAppointments(getCalendarRange("day", new Date())))
+    } catch (error) {
+      console.error("❌ Error loading today's appointments:", error)
+    }
+  }, [])
+
+  useEffect(() => {
+    loadAppointments()
+  }, [loadAppointments])
+
+  useEffect(() => {
+    loadToday()
+  }, [loadToday])
+
+  // Bookings, check-ins and cancellations from any tab
+  useSyncEvents((message) => {
+    if (!message.appointment && message.type !== SYNC_EVENTS.APPOINTMENT_DELETED) {
+      loadAppointments()
+      loadToday()
+      return
+    }
+
+    setAppointments((prev) => applyAppointmentChange(prev, message.appointmentId, message.appointment, range))
+    setTodayAppointments((prev) =>
+      applyAppointmentChange(prev, message.appointmentId, message.appointment, getCalendarRange("day", new Date())),
+    )
+  }, APPOINTMENT_SYNC_EVENTS)
+
+  // Renamed, trashed, restored or merged patients change what the calendar shows
+  useSyncEvents(() => {
+    loadAppointments()
+    loadToday()
+  }, PATIENT_SYNC_EVENTS)
+
+  const providers = useMemo(() => {
+    const byKey = new Map()
+    ;[...appointments, ...todayAppointments].forEach((appointment) => {
+      const key = normalizeProvider(appointment.provider)
+      if (!byKey.has(key)) byKey.set(key, appointment.provider.trim())
+    })
+    return [...byKey.values()].sort((a, b) => a.localeCompare(b))
+  }, [appointments, todayAppointments])
+
+  const matchesProvider = (appointment) =>
+    providerFilter === ALL_PROVIDERS || normalizeProvider(appointment.provider) === normalizeProvider(providerFilter)
+
+  const visibleAppointments = appointments.filter(matchesProvider)
+  const doubleBookedIds = useMemo(() => findDoubleBookings(appointments), [appointments])
+
+  const appointmentsOn = (day) => visibleAppointments.filter((appointment) => isSameDay(new Date(appointment.startTime), day))
+
+  const openBooking = (start = null) => {
+    setEditing(null)
+    setBookingDefaults({
+      ...(start && { startTime: start }),
+      ...(providerFilter !== ALL_PROVIDERS && { provider: providerFilter }),
+    })
+    setIsFormOpen(true)
+  }
+
+  const openAppointment = (appointment) => {
+    if (!canManage) return
+    setEditing(appointment)
+    setIsFormOpen(true)
+  }
+
+  const handleSaved = (appointment) => {
+    setAppointments((prev) => applyAppointmentChange(prev, appointment.id, appointment, range))
+    setTodayAppointments((prev) =>
+      applyAppointmentChange(prev, appointment.id, appointment, getCalendarRange("day", new Date())),
+    )
+  }
+
+  const handleStatusChange = async (appointment, status, message) => {
+    try {
+      setUpdatingIds((prev) => new Set(prev).add(appointment.id))
+      handleSaved(await setAppointmentStatus(appointment.id, status))
+      toast.success(message, { ...toastOptions, autoClose: 2000 })
+    } catch (error) {
+      console.error("❌ Error updating appointment:", error)
+      toast.error(error.message || "Failed to update appointment", toastOptions)
+    } finally {
+      setUpdatingIds((prev) => {
+        const next = new Set(prev)
+        next.delete(appointment.id)
+        return next
+      })
+    }
+  }
+
+  const exportICalendar = () => {
+    if (visibleAppointments.length === 0) {
+      toast.info("No appointments to export", toastOptions)
+      return
+    }
+
+    const title = formatRangeTitle(view, date, range)
+    const calendarName = providerFilter === ALL_PROVIDERS ? `Appointments ${title}` : `${providerFilter} ${title}`
+    downloadFile(
+      appointmentsToICalendar(visibleAppointments, { calendarName }),
+      `appointments-${view}-${toDateString(range.from)}.ics`,
+      "text/calendar;charset=utf-8",
+    )
+    toast.success(`Exported ${visibleAppointments.length} appointments`, { ...toastOptions, autoClose: 2000 })
+  }
+
+  const showDay = (day) => {
+    setDate(day)
+    setView("day")
+  }
+
+  const renderAppointment = (appointment, { compact = false } = {}) => {
+    const status = getAppointmentStatus(appointment.status)
+    const isDoubleBooked = doubleBookedIds.has(appointment.id)
+    return (
+      <button
+        key={appointment.id}
+        type="button"
+        onClick={(event) => {
+          event.stopPropagation()
+          openAppointment(appointment)
+        }}
+        title={[
+          `${formatAppointmentTime(appointment)} · ${appointment.patient.firstName} ${appointment.patient.lastName} (${appointment.patient.patientId})`,
+          appointment.provider,
+          appointment.reason,
+          status.label,
+          isDoubleBooked && "Double-booked",
+        ]
+          .filter(Boolean)
+          .join("\n")}
+        className={`w-full text-left rounded-md px-2 py-1 text-xs border-l-4 ${
+          isDoubleBooked ? "border-red-500" : "border-blue-500"
+        } ${status.badgeClassName} ${appointment.status === "cancelled" ? "line-through opacity-60" : ""} ${
+          canManage ? "hover:opacity-80 cursor-pointer" : "cursor-default"
+        }`}
+      >
+        <div className="flex items-center gap-1 font-medium truncate">
+          {isDoubleBooked && <AlertTriangle className="h-3 w-3 shrink-0 text-red-600" />}
+          <span className="truncate">
+            {compact
+              ? new Date(appointment.startTime).toLocaleTimeString("en-US", { hour: "numeric", minute: "2-digit" })
+              : formatAppointmentTime(appointment)}{" "}
+            {appointment.patient.firstName} {appointment.patient.lastName}
+          </span>
+        </div>
+        {!compact && (
+          <div className="truncate opacity-80">
+            {appointment.provider}
+            {appointment.reason && ` · ${appointment.reason}`}
+          </div>
+        )}
+      </button>
+    )
+  }
+
+  const renderDayView = () => {
+    const dayAppointments = appointmentsOn(date)
+    const hours = dayAppointments.map((appointment) => new Date(appointment.startTime).getHours())
+    const firstHour = Math.min(DAY_START_HOUR, ...hours)
+    const lastHour = Math.max(DAY_END_HOUR, ...hours)
+
+    return (
+      <div className="divide-y divide-gray-100 dark:divide-gray-700 rounded-lg border border-gray-100 dark:border-gray-700">
+        {Array.from({ length: lastHour - firstHour + 1 }, (_, index) => firstHour + index).map((hour) => {
+          const slot = new Date(date.getFullYear(), date.getMonth(), date.getDate(), hour)
+          return (
+            <div
+              key={hour}
+              onClick={() => canManage && openBooking(slot)}
+              className={`flex gap-3 min-h-[52px] p-2 ${canManage ? "cursor-pointer hover:bg-blue-50/50 dark:hover:bg-gray-700/50" : ""}`}
+            >
+              <div className="w-16 shrink-0 text-xs text-gray-500 dark:text-gray-400 pt-1">{formatHour(hour)}</div>
+              <div className="flex-1 grid grid-cols-1 md:grid-cols-2 gap-1">
+                {dayAppointments
+                  .filter((appointment) => new Date(appointment.startTime).getHours() === hour)
+                  .map((appointment) => renderAppointment(appointment))}
+              </div>
+            </div>
+          )
+        })}
+      </div>
+    )
+  }
+
+  const renderWeekView = () => {
+    const today = new Date()
+    return (
+      <div className="grid grid-cols-1 md:grid-cols-7 gap-2">
+        {Array.from({ length: 7 }, (_, index) => addDays(range.from, index)).map((day) => (
+          <div key={day.toISOString()} className="rounded-lg bg-gray-50 dark:bg-gray-700/50 min-h-[200px] flex flex-col">
+            <button
+              type="button"
+              onClick={() => showDay(day)}
+              className={`p-2 text-sm font-medium text-left rounded-t-lg hover:bg-blue-50 dark:hover:bg-gray-700 ${
+                isSameDay(day, today) ? "text-blue-600 dark:text-blue-400" : "text-gray-700 dark:text-gray-300"
+              }`}
+            >
+              {day.toLocaleDateString("en-US", { weekday: "short", month: "short", day: "numeric" })}
+            </button>
+            <div
+              onClick={() =>
+                canManage && openBooking(new Date(day.getFullYear(), day.getMonth(), day.getDate(), 9))
+              }
+              className={`flex-1 p-1 space-y-1 ${canManage ? "cursor-pointer" : ""}`}
+            >
+              {appointmentsOn(day).map((appointment) => renderAppointment(appointment, { compact: true }))}
+            </div>
+          </div>
+        ))}
+      </div>
+    )
+  }
+
+  const renderMonthView = () => {
+    const today = new Date()
+    const days = []
+    for (let day = range.from; day < range.to; day = addDays(day, 1)) days.push(day)
+
+    return (
+      <div className="grid grid-cols-7 gap-1">
+        {WEEKDAYS.map((weekday) => (
+          <div key={weekday} className="text-center text-xs font-medium text-gray-500 dark:text-gray-400 py-1">
+            {weekday}
+          </div>
+        ))}
+        {days.map((day) => {
+          const dayAppointments = appointmentsOn(day)
+          const isOtherMonth = day.getMonth() !== date.getMonth()
+          return (
+            <div
+              key={day.toISOString()}
+              onClick={() => showDay(day)}
+              className={`min-h-[96px] rounded-md p-1 cursor-pointer hover:bg-blue-50 dark:hover:bg-gray-700 ${
+                isOtherMonth ? "bg-gray-50/50 dark:bg-gray-800/50" : "bg-gray-50 dark:bg-gray-700/50"
+              }`}
+            >
+              <div
+                className={`text-xs font-medium mb-1 ${
+                  isSameDay(day, today)
+                    ? "text-blue-600 dark:text-blue-400"
+                    : isOtherMonth
+                      ? "text-gray-400 dark:text-gray-600"
+                      : "text-gray-700 dark:text-gray-300"
+                }`}
+              >
+                {day.getDate()}
+              </div>
+              <div className="space-y-1">
+                {dayAppointments
+                  .slice(0, MONTH_CELL_LIMIT)
+                  .map((appointment) => renderAppointment(appointment, { compact: true }))}
+                {dayAppointments.length > MONTH_CELL_LIMIT && (
+                  <div className="text-xs text-gray-500 dark:text-gray-400 px-1">
+                    +{dayAppointments.length - MONTH_CELL_LIMIT} more
+                  </div>
+                )}
+              </div>
+            </div>
+          )
+        })}
+      </div>
+    )
+  }
+
+  const checkInList = todayAppointments.filter((appointment) => appointment.status !== "cancelled" && matchesProvider(appointment))
+  const arrivedCount = checkInList.filter((appointment) => appointment.status === "checked-in").length
+
+  return (
+    <div className="space-y-6">
+      <Card className="shadow-xl border-0 bg-white/90 dark:bg-gray-800/90 backdrop-blur-sm transition-all duration-300">
+        <CardHeader className="pb-6">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+            <div className="flex items-center space-x-3">
+              <div className="p-2 bg-gradient-to-r from-green-500 to-emerald-600 rounded-lg shadow-lg">
+                <ClipboardList className="h-6 w-6 text-white" />
+              </div>
+              <div>
+                <CardTitle className="text-xl sm:text-2xl font-bold text-gray-800 dark:text-gray-100">
+                  Today&apos;s Check-in
+                </CardTitle>
+                <CardDescription className="text-gray-600 dark:text-gray-300">
+                  {arrivedCount} of {checkInList.length} patients arrived
+                </CardDescription>
+              </div>
+            </div>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {checkInList.length === 0 ? (
+            <p className="text-center text-gray-500 dark:text-gray-400 py-6">No appointments today</p>
+          ) : (
+            <div className="divide-y divide-gray-100 dark:divide-gray-700">
+              {checkInList.map((appointment) => {
+                const status = getAppointmentStatus(appointment.status)
+                const isUpdating = updatingIds.has(appointment.id)
+                return (
+                  <div key={appointment.id} className="flex flex-wrap items-center justify-between gap-2 py-3">
+                    <div className="min-w-0">
+                      <div className="flex flex-wrap items-center gap-2">
+                        <span className="font-semibold text-gray-900 dark:text-gray-100">
+                          {formatAppointmentTime(appointment)}
+                        </span>
+                        <span className="text-gray-900 dark:text-gray-100">
+                          {appointment.patient.firstName} {appointment.patient.lastName}
+                        </span>
+                        <span className="text-sm text-gray-500 dark:text-gray-400">({appointment.patient.patientId})</span>
+                        <Badge className={`border-0 ${status.badgeClassName}`}>{status.label}</Badge>
+                      </div>
+                      <p className="text-sm text-gray-600 dark:text-gray-400">
+                        {appointment.provider}
+                        {appointment.reason && ` · ${appointment.reason}`}
+                        {appointment.checkedInAt &&
+                          ` · Arrived ${new Date(appointment.checkedInAt).toLocaleTimeString("en-US", {
+                            hour: "numeric",
+                            minute: "2-digit",
+                          })}`}
+                      </p>
+                    </div>
+                    {canManage && (
+                      <div className="flex gap-1">
+                        {appointment.status === "booked" ? (
+                          <>
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              disabled={isUpdating}
+                              onClick={() =>
+                                handleStatusChange(
+                                  appointment,
+                                  "checked-in",
+                                  `${appointment.patient.firstName} ${appointment.patient.lastName} checked in`,
+                                )
+                              }
+                              className="text-green-600 hover:text-green-700 hover:bg-green-50 dark:hover:bg-green-900/20"
+                            >
+                              {isUpdating ? (
+                                <Loader2 className="h-4 w-4 mr-1 animate-spin" />
+                              ) : (
+                                <UserCheck className="h-4 w-4 mr-1" />
+                              )}
+                              Check in
+                            </Button>
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              disabled={isUpdating}
+                              onClick={() => handleStatusChange(appointment, "no-show", "Marked as no-show")}
+                              className="text-amber-600 hover:text-amber-700 hover:bg-amber-50 dark:hover:bg-amber-900/20"
+                            >
+                              <UserX className="h-4 w-4 mr-1" />
+                              No-show
+                            </Button>
+                          </>
+                        ) : (
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            disabled={isUpdating}
+                            onClick={() => handleStatusChange(appointment, "booked", "Marked as booked")}
+                            className="text-gray-600 hover:text-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700"
+                          >
+                            {isUpdating ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <Undo2 className="h-4 w-4 mr-1" />}
+                            Undo
+                          </Button>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                )
+              })}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card className="shadow-xl border-0 bg-white/90 dark:bg-gray-800/90 backdrop-blur-sm transition-all duration-300">
+        <CardHeader className="pb-6">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+            <div className="flex items-center space-x-3">
+              <div className="p-2 bg-gradient-to-r from-blue-500 to-indigo-600 rounded-lg shadow-lg">
+                <CalendarDays className="h-6 w-6 text-white" />
+              </div>
+              <div>
+                <CardTitle className="text-xl sm:text-2xl font-bold text-gray-800 dark:text-gray-100">Appointments</CardTitle>
+                <CardDescription className="text-gray-600 dark:text-gray-300">
+                  {formatRangeTitle(view, date, range)}
+                </CardDescription>
+              </div>
+            </div>
+            <div className="flex flex-wrap gap-2">
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={exportICalendar}
+                className="bg-white/80 dark:bg-gray-700/80 backdrop-blur-sm border-0 shadow-lg hover:scale-105 transition-all duration-300"
+              >
+                <Download className="h-4 w-4 mr-2" />
+                Export .ics
+              </Button>
+              {canManage && (
+                <Button
+                  size="sm"
+                  onClick={() => openBooking()}
+                  className="bg-gradient-to-r from-blue-500 to-indigo-600 hover:from-blue-600 hover:to-indigo-700 text-white shadow-lg"
+                >
+                  <Plus className="h-4 w-4 mr-2" />
+                  Book Appointment
+                </Button>
+              )}
+            </div>
+          </div>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {/* Navigation, view and provider filter */}
+          <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-3">
+            <div className="flex items-center gap-2">
+              <Button variant="outline" size="sm" onClick={() => setDate(shiftCalendarDate(view, date, -1))}>
+                <ChevronLeft className="h-4 w-4" />
+              </Button>
+              <Button variant="outline" size="sm" onClick={() => setDate(startOfDay(new Date()))}>
+                Today
+              </Button>
+              <Button variant="outline" size="sm" onClick={() => setDate(shiftCalendarDate(view, date, 1))}>
+                <ChevronRight className="h-4 w-4" />
+              </Button>
+              <Popover open={isDatePickerOpen} onOpenChange={setIsDatePickerOpen}>
+                <PopoverTrigger asChild>
+                  <Button variant="outline" size="sm">
+                    <CalendarRange className="h-4 w-4 mr-2" />
+                    Go to date
+                  </Button>
+                </PopoverTrigger>
+                <PopoverContent className="w-auto p-0" align="start">
+                  <Calendar
+                    mode="single"
+                    selected={date}
+                    defaultMonth={date}
+                    weekStartsOn={1}
+                    onSelect={(day) => {
+                      if (day) setDate(startOfDay(day))
+                      setIsDatePickerOpen(false)
+                    }}
+                    initialFocus
+                  />
+                </PopoverContent>
+              </Popover>
+              {isLoading && <Loader2 className="h-4 w-4 animate-spin text-blue-600" />}
+            </div>
+
+            <div className="flex items-center gap-2">
+              <Select value={providerFilter} onValueChange={setProviderFilter}>
+                <SelectTrigger className="w-48 h-9 border-0 bg-gray-50 dark:bg-gray-700">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={ALL_PROVIDERS}>All providers</SelectItem>
+                  {providers.map((provider) => (
+                    <SelectItem key={provider} value={provider}>
+                      {provider}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <div className="flex rounded-md bg-gray-100 dark:bg-gray-700 p-1">
+                {VIEWS.map(({ value, label }) => (
+                  <Button
+                    key={value}
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => setView(value)}
+                    className={`h-7 px-3 ${
+                      view === value ? "bg-white dark:bg-gray-800 shadow-sm text-blue-600 dark:text-blue-400" : ""
+                    }`}
+                  >
+                    {label}
+                  </Button>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          {doubleBookedIds.size > 0 && (
+            <div className="flex items-center p-3 rounded-lg bg-red-50 dark:bg-red-900/20 text-sm text-red-800 dark:text-red-300">
+              <AlertTriangle className="h-4 w-4 mr-2 shrink-0" />
+              Some providers are double-booked in this period. Double-booked appointments are marked in red.
+            </div>
+          )}
+
+          {view === "day" && renderDayView()}
+          {view === "week" && renderWeekView()}
+          {view === "month" && renderMonthView()}
+        </CardContent>
+      </Card>
+
+      <AppointmentDialog
+        appointment={editing}
+        defaults={bookingDefaults}
+        providers={providers}
+        open={isFormOpen}
+        onOpenChange={setIsFormOpen}
+        onSaved={handleSaved}
+      />
+    </div>
+  )
+}
@@ -0,0 +1,347 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { useForm } from "react-hook-form"
+import { zodResolver } from "@hookform/resolvers/zod"
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover"
+import { Command, CommandEmpty, CommandGroup, CommandInput, CommandItem, CommandList } from "@/components/ui/command"
+import { Form, FormControl, FormField, FormItem, FormLabel, FormMessage } from "@/components/ui/form"
+import { bookAppointment, updateAppointment, findAppointmentConflicts, getAllPatients } from "@/lib/database"
+import { appointmentSchema } from "@/lib/patient-schema"
+import {
+  APPOINTMENT_DURATIONS,
+  APPOINTMENT_STATUSES,
+  appointmentToFormValues,
+  normalizeAppointment,
+  formatAppointmentTime,
+} from "@/lib/appointments"
+import { AlertTriangle, CalendarPlus, Check, ChevronsUpDown, Loader2, Save } from "lucide-react"
+import { toast } from "react-toastify"
+
+const toastOptions = {
+  position: "top-right",
+  autoClose: 3000,
+  hideProgressBar: true,
+  closeOnClick: true,
+  pauseOnHover: false,
+  draggable: false,
+  className: "text-sm",
+}
+
+const inputClassName =
+  "h-10 border-0 bg-gray-50 dark:bg-gray-700 focus:ring-2 focus:ring-blue-500 transition-all duration-300"
+
+const patientLabel = (patient) => `${patient.firstName} ${patient.lastName} (${patient.patientId})`
+
+// Book an appointment, or edit `appointment` when one is given. Booking for a known `patient`
+// (from the patient list) skips the patient picker. `defaults` prefills a new booking, e.g. the
+// start time of the slot that was clicked. `onSaved` receives the appointment as saved.
+export default function AppointmentDialog({
+  patient = null,
+  appointment = null,
+  defaults = null,
+  providers = [],
+  open,
+  onOpenChange,
+  onSaved,
+}) {
+  const [isSaving, setIsSaving] = useState(false)
+  const [patients, setPatients] = useState([])
+  const [isPickerOpen, setIsPickerOpen] = useState(false)
+  const [conflicts, setConflicts] = useState([])
+  const isNew = !appointment
+  const fixedPatient = appointment?.patient ?? patient
+
+  const form = useForm({
+    resolver: zodResolver(appointmentSchema),
+    defaultValues: appointmentToFormValues(appointment ?? { ...defaults, patientRecordId: patient?.id }),
+  })
+
+  // Start from a fresh form (or the appointment being edited) every time the dialog opens
+  useEffect(() => {
+    if (!open) return
+    form.reset(appointmentToFormValues(appointment ?? { ...defaults, patientRecordId: patient?.id }))
+    setConflicts([])
+  }, [open, appointment, patient, defaults, form])
+
+  // The patient picker lists every active patient
+  useEffect(() => {
+    if (!open || fixedPatient) return
+    getAllPatients()
+      .then(setPatients)
+      .catch((error) => {
+        console.error("❌ Error loading patients:", error)
+        toast.error("Failed to load patients", toastOptions)
+      })
+  }, [open, fixedPatient])
+
+  // Warn about double bookings while the slot is being chosen. Saving checks again.
+  const [startTime, duration, provider, status] = form.watch(["startTime", "duration", "provider", "status"])
+  useEffect(() => {
+    if (!open || !startTime || !provider?.trim() || Number.isNaN(new Date(startTime).getTime())) {
+      setConflicts([])
+      return
+    }
+
+    let isCurrent = true
+    const timer = setTimeout(() => {
+      findAppointmentConflicts(normalizeAppointment({ startTime, duration, provider, status }), appointment?.id)
+        .then((found) => isCurrent && setConflicts(found))
+        .catch((error) => console.error("❌ Error checking the provider's schedule:", error))
+    }, 300)
+
+    return () => {
+      isCurrent = false
+      clearTimeout(timer)
+    }
+  }, [open, startTime, duration, provider, status, appointment])
+
+  const onSubmit = async (data) => {
+    setIsSaving(true)
+    try {
+      const values = normalizeAppointment(data)
+      const saved = isNew
+        ? await bookAppointment(Number(data.patientRecordId), values)
+        : await updateAppointment(appointment.id, values)
+
+      onSaved?.(saved)
+      onOpenChange(false)
+      toast.success(
+        isNew ? `Appointment booked for ${saved.patient.firstName} ${saved.patient.lastName}` : "Appointment saved",
+        { ...toastOptions, autoClose: 2000 },
+      )
+    } catch (error) {
+      console.error("❌ Error saving appointment:", error)
+      toast.error(error.message || "Failed to save appointment", toastOptions)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  // Appointments of unusual length (booked through the SQL Interface) keep their duration
+  const durations = APPOINTMENT_DURATIONS.includes(Number(duration))
+    ? APPOINTMENT_DURATIONS
+    : [...APPOINTMENT_DURATIONS, Number(duration)].sort((a, b) => a - b)
+
+  const selectedPatient = fixedPatient ?? patients.find((item) => String(item.id) === form.watch("patientRecordId"))
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto bg-white dark:bg-gray-800 border-0 shadow-2xl">
+        <DialogHeader>
+          <DialogTitle className="flex items-center text-gray-900 dark:text-gray-100">
+            <CalendarPlus className="h-5 w-5 mr-2 text-blue-600" />
+            {isNew ? "Book Appointment" : "Edit Appointment"}
+          </DialogTitle>
+          <DialogDescription className="text-gray-600 dark:text-gray-400">
+            {fixedPatient ? (
+              <>
+                <strong>
+                  {fixedPatient.firstName} {fixedPatient.lastName}
+                </strong>{" "}
+                ({fixedPatient.patientId})
+              </>
+            ) : (
+              "Choose the patient, time and provider"
+            )}
+          </DialogDescription>
+        </DialogHeader>
+
+        <Form {...form}>
+          <form onSubmit={form.handleSubmit(onSubmit)} className="space-y-6">
+            {!fixedPatient && (
+              <FormField
+                control={form.control}
+                name="patientRecordId"
+                render={({ field }) => (
+                  <FormItem className="flex flex-col">
+                    <FormLabel className="text-sm font-medium">Patient *</FormLabel>
+                    <Popover open={isPickerOpen} onOpenChange={setIsPickerOpen}>
+                      <PopoverTrigger asChild>
+                        <FormControl>
+                          <Button
+                            type="button"
+                            variant="outline"
+                            role="combobox"
+                            className={`${inputClassName} justify-between font-normal ${selectedPatient ? "" : "text-muted-foreground"}`}
+                          >
+                            {selectedPatient ? patientLabel(selectedPatient) : "Search patients..."}
+                            <ChevronsUpDown className="h-4 w-4 opacity-50" />
+                          </Button>
+                        </FormControl>
+                      </PopoverTrigger>
+                      <PopoverContent className="w-[--radix-popover-trigger-width] p-0" align="start">
+                        <Command>
+                          <CommandInput placeholder="Name or patient ID" />
+                          <CommandList>
+                            <CommandEmpty>No patients found</CommandEmpty>
+                            <CommandGroup>
+                              {patients.map((item) => (
+                                <CommandItem
+                                  key={item.id}
+                                  value={`${patientLabel(item)} ${item.id}`}
+                                  onSelect={() => {
+                                    field.onChange(String(item.id))
+                                    setIsPickerOpen(false)
+                                  }}
+                                >
+                                  <Check
+                                    className={`mr-2 h-4 w-4 ${field.value === String(item.id) ? "opacity-100" : "opacity-0"}`}
+                                  />
+                                  {patientLabel(item)}
+                                </CommandItem>
+                              ))}
+                            </CommandGroup>
+                          </CommandList>
+                        </Command>
+                      </PopoverContent>
+                    </Popover>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <FormField
+                control={form.control}
+                name="startTime"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel className="text-sm font-medium">Date and Time *</FormLabel>
+                    <FormControl>
+                      <Input type="datetime-local" step="300" {...field} className={inputClassName} />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              <FormField
+                control={form.control}
+                name="duration"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel className="text-sm font-medium">Duration *</FormLabel>
+                    <Select onValueChange={field.onChange} value={field.value}>
+                      <FormControl>
+                        <SelectTrigger className={inputClassName}>
+                          <SelectValue />
+                        </SelectTrigger>
+                      </FormControl>
+                      <SelectContent>
+                        {durations.map((minutes) => (
+                          <SelectItem key={minutes} value={String(minutes)}>
+                            {minutes} min
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              <FormField
+                control={form.control}
+                name="provider"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel className="text-sm font-medium">Provider *</FormLabel>
+                    <FormControl>
+                      <Input placeholder="e.g. Dr. Smith" list="appointment-providers" {...field} className={inputClassName} />
+                    </FormControl>
+                    <datalist id="appointment-providers">
+                      {providers.map((name) => (
+                        <option key={name} value={name} />
+                      ))}
+                    </datalist>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              {!isNew && (
+                <FormField
+                  control={form.control}
+                  name="status"
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel className="text-sm font-medium">Status *</FormLabel>
+                      <Select onValueChange={field.onChange} value={field.value}>
+                        <FormControl>
+                          <SelectTrigger className={inputClassName}>
+                            <SelectValue />
+                          </SelectTrigger>
+                        </FormControl>
+                        <SelectContent>
+                          {APPOINTMENT_STATUSES.map((option) => (
+                            <SelectItem key={option.value} value={option.value}>
+                              {option.label}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+              )}
+            </div>
+
+            <FormField
+              control={form.control}
+              name="reason"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel className="text-sm font-medium">Reason</FormLabel>
+                  <FormControl>
+                    <Input placeholder="e.g. Follow-up on blood pressure" {...field} className={inputClassName} />
+                  </FormControl>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+
+            {conflicts.length > 0 && (
+              <div className="p-3 rounded-lg bg-amber-50 dark:bg-amber-900/20 text-sm text-amber-800 dark:text-amber-300 space-y-1">
+                <p className="flex items-center font-medium">
+                  <AlertTriangle className="h-4 w-4 mr-2" />
+                  {conflicts[0].provider} is already booked at this time
+                </p>
+                <ul className="ml-6 list-disc">
+                  {conflicts.map((conflict) => (
+                    <li key={conflict.id}>
+                      {formatAppointmentTime(conflict)} with {conflict.patient.firstName} {conflict.patient.lastName}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <DialogFooter className="gap-2">
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => onOpenChange(false)}
+                disabled={isSaving}
+                className="border-0 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600"
+              >
+                Cancel
+              </Button>
+              <Button
+                type="submit"
+                disabled={isSaving || conflicts.length > 0}
+                className="bg-gradient-to-r from-blue-500 to-indigo-600 hover:from-blue-600 hover:to-indigo-700 text-white"
+              >
+                {isSaving ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Save className="h-4 w-4 mr-2" />}
+                {isNew ? "Book Appointment" : "Save Appointment"}
+              </Button>
+            </DialogFooter>
+          </form>
+        </Form>
+      </DialogContent>
+    </Dialog>
+  )
+}
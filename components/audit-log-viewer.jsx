@@ -0,0 +1,343 @@
+"use client"
+
+import { useState, useEffect, useCallback } from "react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table"
+import { Input } from "@/components/ui/input"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { DatePicker } from "@/components/date-picker"
+import { getAuditLog, getAuditUsers } from "@/lib/database"
+import { ScrollText, Search, User, RefreshCw, Loader2, Clock, X } from "lucide-react"
+import { toast } from "react-toastify"
+
+const OPERATIONS = [
+  "CREATE",
+  "UPDATE",
+  "DELETE",
+  "RESTORE",
+  "PURGE",
+  "MERGE",
+  "ALLERGY_ADD",
+  "ALLERGY_UPDATE",
+  "ALLERGY_REMOVE",
+  "MEDICATION_ADD",
+  "MEDICATION_UPDATE",
+  "MEDICATION_REMOVE",
+  "MED_RECONCILE",
+  "ENCOUNTER_ADD",
+  "ENCOUNTER_UPDATE",
+  "ENCOUNTER_REMOVE",
+  "APPOINTMENT_ADD",
+  "APPOINTMENT_UPDATE",
+  "APPOINTMENT_REMOVE",
+  "SQL",
+  "ENCRYPT",
+  "KEY_ROTATION",
+  "DB_BACKUP",
+  "DB_RESTORE",
+]
+
+const getOperationBadgeColor = (operation) => {
+  switch (operation) {
+    case "CREATE":
+    case "ALLERGY_ADD":
+    case "MEDICATION_ADD":
+    case "ENCOUNTER_ADD":
+    case "APPOINTMENT_ADD":
+      return "bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300"
+    case "UPDATE":
+    case "ALLERGY_UPDATE":
+    case "MEDICATION_UPDATE":
+    case "ENCOUNTER_UPDATE":
+    case "APPOINTMENT_UPDATE":
+      return "bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300"
+    case "DELETE":
+    case "ALLERGY_REMOVE":
+    case "MEDICATION_REMOVE":
+    case "ENCOUNTER_REMOVE":
+    case "APPOINTMENT_REMOVE":
+      return "bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-300"
+    case "RESTORE":
+    case "MED_RECONCILE":
+      return "bg-emerald-100 text-emerald-800 dark:bg-emerald-900 dark:text-emerald-300"
+    case "PURGE":
+      return "bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300"
+    case "MERGE":
+      return "bg-indigo-100 text-indigo-800 dark:bg-indigo-900 dark:text-indigo-300"
+    case "ENCRYPT":
+    case "KEY_ROTATION":
+    case "DB_BACKUP":
+    case "DB_RESTORE":
+      return "bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300"
+    default:
+      return "bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-300"
+  }
+}
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return "null"
+  if (typeof value === "object") return JSON.stringify(value)
+  return String(value)
+}
+
+// Field-by-field summary of an audit entry's before/after snapshots
+function AuditChanges({ entry }) {
+  if (entry.operation === "SQL") {
+    return (
+      <div className="space-y-1">
+        <pre className="bg-gray-50 dark:bg-gray-700 p-2 rounded text-xs font-mono text-gray-700 dark:text-gray-300 whitespace-pre-wrap break-all max-w-md">
+          {entry.query}
+        </pre>
+        {entry.after?.affected_rows !== undefined && (
+          <span className="text-xs text-gray-500 dark:text-gray-400">{entry.after.affected_rows} row(s) affected</span>
+        )}
+      </div>
+    )
+  }
+
+  const before = entry.before || {}
+  const after = entry.after || {}
+  const fields = Array.from(new Set([...Object.keys(before), ...Object.keys(after)])).filter((field) => field !== "id")
+
+  if (fields.length === 0) {
+    return <span className="text-gray-400 text-sm">No field changes</span>
+  }
+
+  return (
+    <div className="space-y-1 max-w-md">
+      {fields.map((field) => (
+        <div key={field} className="text-xs font-mono break-all">
+          <span className="font-semibold text-gray-700 dark:text-gray-300">{field}</span>:{" "}
+          {field in before && <span className="text-red-600 dark:text-red-400 line-through">{formatValue(before[field])}</span>}
+          {field in before && field in after && <span className="text-gray-400"> → </span>}
+          {field in after && <span className="text-green-600 dark:text-green-400">{formatValue(after[field])}</span>}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default function AuditLogViewer() {
+  const [entries, setEntries] = useState([])
+  const [users, setUsers] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [patientFilter, setPatientFilter] = useState("")
+  const [userFilter, setUserFilter] = useState("")
+  const [operationFilter, setOperationFilter] = useState("")
+  const [fromDate, setFromDate] = useState(undefined)
+  const [toDate, setToDate] = useState(undefined)
+
+  const loadEntries = useCallback(async () => {
+    setIsLoading(true)
+    try {
+      const [data, userList] = await Promise.all([
+        getAuditLog({
+          patientId: patientFilter,
+          username: userFilter,
+          operation: operationFilter,
+          from: fromDate,
+          to: toDate,
+        }),
+        getAuditUsers(),
+      ])
+      setEntries(data)
+      setUsers(userList)
+    } catch (error) {
+      console.error("Error loading audit log:", error)
+      toast.error("Failed to load audit log", {
+        position: "top-right",
+        autoClose: 3000,
+        hideProgressBar: true,
+        closeOnClick: true,
+        pauseOnHover: false,
+        draggable: false,
+        className: "text-sm",
+      })
+    } finally {
+      setIsLoading(false)
+    }
+  }, [patientFilter, userFilter, operationFilter, fromDate, toDate])
+
+  useEffect(() => {
+    loadEntries()
+  }, [loadEntries])
+
+  const clearFilters = () => {
+    setPatientFilter("")
+    setUserFilter("")
+    setOperationFilter("")
+    setFromDate(undefined)
+    setToDate(undefined)
+  }
+
+  const hasFilters = patientFilter || userFilter || operationFilter || fromDate || toDate
+
+  const formatTimestamp = (timestamp) => {
+    const date = new Date(timestamp)
+    return date.toLocaleString("en-US", {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+  }
+
+  return (
+    <Card className="shadow-xl border-0 bg-white/90 dark:bg-gray-800/90 backdrop-blur-sm transition-all duration-300">
+      <CardHeader className="pb-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div className="flex items-center space-x-3">
+            <div className="p-2 bg-gradient-to-r from-amber-500 to-orange-600 rounded-lg shadow-lg">
+              <ScrollText className="h-6 w-6 text-white" />
+            </div>
+            <div>
+              <CardTitle className="text-xl sm:text-2xl font-bold text-gray-800 dark:text-gray-100">Audit Log</CardTitle>
+              <CardDescription className="text-gray-600 dark:text-gray-300">
+                Every change to patient records and every SQL write, with who made it and when
+              </CardDescription>
+            </div>
+          </div>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={loadEntries}
+            disabled={isLoading}
+            className="bg-white/80 dark:bg-gray-700/80 backdrop-blur-sm border-0 shadow-lg hover:scale-105 transition-all duration-300"
+          >
+            <RefreshCw className={`h-4 w-4 mr-2 ${isLoading ? "animate-spin" : ""}`} />
+            Refresh
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {/* Filters */}
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4 mb-6">
+          <div className="relative">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+            <Input
+              placeholder="Patient ID..."
+              value={patientFilter}
+              onChange={(e) => setPatientFilter(e.target.value)}
+              className="pl-10 h-10 border-0 bg-gray-50 dark:bg-gray-700 focus:ring-2 focus:ring-amber-500 transition-all duration-300"
+            />
+          </div>
+          <div className="relative">
+            <User className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+            <select
+              value={userFilter}
+              onChange={(e) => setUserFilter(e.target.value)}
+              className="w-full pl-10 pr-8 h-10 border-0 bg-gray-50 dark:bg-gray-700 rounded-md focus:ring-2 focus:ring-amber-500 transition-all duration-300 appearance-none cursor-pointer text-sm"
+            >
+              <option value="">All users</option>
+              {users.map((user) => (
+                <option key={user} value={user}>
+                  {user}
+                </option>
+              ))}
+            </select>
+          </div>
+          <select
+            value={operationFilter}
+            onChange={(e) => setOperationFilter(e.target.value)}
+            className="px-3 h-10 border-0 bg-gray-50 dark:bg-gray-700 rounded-md focus:ring-2 focus:ring-amber-500 transition-all duration-300 appearance-none cursor-pointer text-sm"
+          >
+            <option value="">All operations</option>
+            {OPERATIONS.map((operation) => (
+              <option key={operation} value={operation}>
+                {operation}
+              </option>
+            ))}
+          </select>
+          <DatePicker date={fromDate} setDate={setFromDate} placeholder="From date" />
+          <DatePicker date={toDate} setDate={setToDate} placeholder="To date" />
+        </div>
+
+        {hasFilters && (
+          <div className="flex justify-end -mt-3 mb-4">
+            <Button variant="ghost" size="sm" onClick={clearFilters} className="h-8 px-2 text-xs">
+              <X className="h-3 w-3 mr-1" />
+              Clear filters
+            </Button>
+          </div>
+        )}
+
+        {isLoading ? (
+          <div className="flex justify-center py-12">
+            <div className="text-center space-y-4">
+              <Loader2 className="h-8 w-8 animate-spin text-amber-600 mx-auto" />
+              <p className="text-gray-600 dark:text-gray-400">Loading audit log...</p>
+            </div>
+          </div>
+        ) : entries.length === 0 ? (
+          <div className="text-center py-12 space-y-4">
+            <ScrollText className="h-16 w-16 text-gray-300 dark:text-gray-600 mx-auto" />
+            <div>
+              <h3 className="text-lg font-semibold text-gray-600 dark:text-gray-400">No audit entries</h3>
+              <p className="text-gray-500 dark:text-gray-500">
+                {hasFilters ? "Try adjusting your filter criteria" : "Changes to patient records will appear here"}
+              </p>
+            </div>
+          </div>
+        ) : (
+          <div className="rounded-lg border-0 overflow-hidden shadow-lg bg-white dark:bg-gray-800">
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow className="bg-gray-50 dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700">
+                    <TableHead className="font-semibold text-gray-700 dark:text-gray-300">
+                      <div className="flex items-center">
+                        <Clock className="h-4 w-4 mr-1" />
+                        When
+                      </div>
+                    </TableHead>
+                    <TableHead className="font-semibold text-gray-700 dark:text-gray-300">User</TableHead>
+                    <TableHead className="font-semibold text-gray-700 dark:text-gray-300">Operation</TableHead>
+                    <TableHead className="font-semibold text-gray-700 dark:text-gray-300">Patient ID</TableHead>
+                    <TableHead className="font-semibold text-gray-700 dark:text-gray-300">Changes</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {entries.map((entry) => (
+                    <TableRow key={entry.id} className="hover:bg-gray-50 dark:hover:bg-gray-700/50 align-top">
+                      <TableCell className="text-sm text-gray-600 dark:text-gray-400 whitespace-nowrap">
+                        {formatTimestamp(entry.occurredAt)}
+                      </TableCell>
+                      <TableCell className="text-sm font-medium text-gray-800 dark:text-gray-200">
+                        {entry.username}
+                      </TableCell>
+                      <TableCell>
+                        <div className="flex flex-col gap-1 items-start">
+                          <Badge className={`border-0 text-xs ${getOperationBadgeColor(entry.operation)}`}>
+                            {entry.operation}
+                          </Badge>
+                          {entry.source === "sql" && entry.operation !== "SQL" && (
+                            <span className="text-xs text-gray-500 dark:text-gray-400">via SQL</span>
+                          )}
+                        </div>
+                      </TableCell>
+                      <TableCell>
+                        {entry.patientId ? (
+                          <Badge className="bg-indigo-100 text-indigo-800 dark:bg-indigo-900 dark:text-indigo-300 border-0 font-mono text-xs">
+                            {entry.patientId}
+                          </Badge>
+                        ) : (
+                          <span className="text-gray-400 text-sm">—</span>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <AuditChanges entry={entry} />
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
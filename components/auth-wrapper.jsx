@@ -1,67 +1,229 @@
 "use client"
 
-import { useState, useEffect } from "react"
+import { useState, useEffect, useCallback, createContext, useContext } from "react"
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
 import { Input } from "@/components/ui/input"
 import { Label } from "@/components/ui/label"
 import { useTheme } from "./theme-provider"
-import { Moon, Sun, Shield, User, Lock, LogOut } from "lucide-react"
+import {
+  hasUsers,
+  ensureDemoUsers,
+  createInitialAdmin,
+  signIn,
+  restoreSession,
+  isSessionLocked,
+  lockSession,
+  unlockSession,
+  signOut,
+} from "@/lib/users"
+import { IS_DEMO_MODE, DEMO_CREDENTIALS, MIN_PASSWORD_LENGTH, IDLE_TIMEOUT_MINUTES } from "@/lib/auth"
+import { SYNC_EVENTS, publish, isOwnMessage, useSyncEvents } from "@/lib/sync"
+import { Moon, Sun, Shield, User, Lock, IdCard, AlertCircle } from "lucide-react"
 import { toast } from "react-toastify"
 
+const AuthContext = createContext(null)
+
+const ACTIVITY_EVENTS = ["mousemove", "mousedown", "keydown", "touchstart", "wheel"]
+// Shared between tabs so working in one tab keeps the others from locking
+const LAST_ACTIVITY_STORAGE_KEY = "last_activity_at"
+const ACTIVITY_WRITE_INTERVAL_MS = 5000
+const IDLE_CHECK_INTERVAL_MS = 10000
+
+// Call onIdle once no tab has seen mouse, keyboard or touch activity for IDLE_TIMEOUT_MINUTES
+function useIdleTimeout(enabled, onIdle) {
+  useEffect(() => {
+    if (!enabled || IDLE_TIMEOUT_MINUTES <= 0) return
+
+    const timeoutMs = IDLE_TIMEOUT_MINUTES * 60 * 1000
+    let lastWrite = 0
+
+    const recordActivity = () => {
+      const now = Date.now()
+      if (now - lastWrite < ACTIVITY_WRITE_INTERVAL_MS) return
+      lastWrite = now
+      localStorage.setItem(LAST_ACTIVITY_STORAGE_KEY, String(now))
+    }
+
+    const checkIdle = () => {
+      const lastActivity = Number(localStorage.getItem(LAST_ACTIVITY_STORAGE_KEY)) || 0
+      if (Date.now() - lastActivity >= timeoutMs) onIdle()
+    }
+
+    recordActivity()
+    ACTIVITY_EVENTS.forEach((type) => window.addEventListener(type, recordActivity, { passive: true }))
+    const interval = setInterval(checkIdle, IDLE_CHECK_INTERVAL_MS)
+
+    return () => {
+      ACTIVITY_EVENTS.forEach((type) => window.removeEventListener(type, recordActivity))
+      clearInterval(interval)
+    }
+  }, [enabled, onIdle])
+}
+
+// Signed-in user, signOut() and lock() for components rendered inside AuthWrapper
+export function useAuth() {
+  const context = useContext(AuthContext)
+  if (!context) {
+    throw new Error("useAuth must be used within AuthWrapper")
+  }
+  return context
+}
+
 export default function AuthWrapper({ children }) {
-  const [isAuthenticated, setIsAuthenticated] = useState(false)
+  // "checking" while the stored session is verified, "setup" when no accounts exist yet,
+  // "locked" when a restored session needs the password to unlock encrypted patient data
+  const [status, setStatus] = useState("checking")
+  const [user, setUser] = useState(null)
   const [username, setUsername] = useState("")
+  const [displayName, setDisplayName] = useState("")
   const [password, setPassword] = useState("")
+  const [confirmPassword, setConfirmPassword] = useState("")
+  const [error, setError] = useState("")
   const [isLoading, setIsLoading] = useState(false)
+  const [lockMessage, setLockMessage] = useState("")
   const { theme, toggleTheme } = useTheme()
 
   useEffect(() => {
-    // Check if user is already authenticated
-    const authStatus = localStorage.getItem("isAuthenticated")
-    if (authStatus === "true") {
-      setIsAuthenticated(true)
+    const checkSession = async () => {
+      try {
+        await ensureDemoUsers()
+
+        if (!(await hasUsers())) {
+          setStatus("setup")
+          return
+        }
+
+        const sessionUser = await restoreSession()
+        if (sessionUser) {
+          setUser(sessionUser)
+          setStatus(isSessionLocked() ? "locked" : "authenticated")
+        } else {
+          setStatus("login")
+        }
+      } catch (error) {
+        console.error("Error checking session:", error)
+        setStatus("login")
+      }
     }
+
+    checkSession()
+  }, [])
+
+  // Locking in one tab locks every open tab
+  useSyncEvents((message) => {
+    if (isOwnMessage(message)) return
+    lockSession()
+    setStatus((current) => (current === "authenticated" ? "locked" : current))
+    setLockMessage("This session was locked in another tab.")
+  }, [SYNC_EVENTS.SESSION_LOCKED])
+
+  // Hide patient data behind the password prompt without signing out, and lock the other tabs too.
+  // Unsaved drafts such as patient_form_data stay in localStorage and come back after unlocking.
+  const handleLock = useCallback((message = "") => {
+    lockSession()
+    setPassword("")
+    setError("")
+    setLockMessage(message)
+    setStatus("locked")
+    publish(SYNC_EVENTS.SESSION_LOCKED)
   }, [])
 
+  const handleIdle = useCallback(() => {
+    handleLock(`Locked after ${IDLE_TIMEOUT_MINUTES} minute(s) of inactivity.`)
+  }, [handleLock])
+
+  useIdleTimeout(status === "authenticated", handleIdle)
+
+  const completeSignIn = async () => {
+    const signedInUser = await signIn(username, password)
+    setUser(signedInUser)
+    setStatus("authenticated")
+    setPassword("")
+    setConfirmPassword("")
+    toast.success(`Welcome back, ${signedInUser.displayName || signedInUser.username}!`, {
+      position: "top-right",
+      autoClose: 3000,
+    })
+  }
+
   const handleLogin = async (e) => {
     e.preventDefault()
     setIsLoading(true)
+    setError("")
+
+    try {
+      await completeSignIn()
+    } catch (error) {
+      setError(error.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const handleSetup = async (e) => {
+    e.preventDefault()
+    setError("")
+
+    if (password !== confirmPassword) {
+      setError("Passwords do not match")
+      return
+    }
+
+    setIsLoading(true)
+    try {
+      await createInitialAdmin({ username, displayName, password })
+      await completeSignIn()
+    } catch (error) {
+      setError(error.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const handleUnlock = async (e) => {
+    e.preventDefault()
+    setIsLoading(true)
+    setError("")
 
-    // Simulate API call delay
-    await new Promise((resolve) => setTimeout(resolve, 1000))
-
-    // Simple dummy authentication
-    if (username === "admin" && password === "admin123") {
-      setIsAuthenticated(true)
-      localStorage.setItem("isAuthenticated", "true")
-      localStorage.setItem("username", username)
-      toast.success("Welcome back, Admin!", {
-        position: "top-right",
-        autoClose: 3000,
-      })
-    } else {
-      toast.error("Invalid credentials. Use admin/admin123", {
-        position: "top-right",
-        autoClose: 5000,
-      })
+    try {
+      await unlockSession(password)
+      setPassword("")
+      setLockMessage("")
+      setStatus("authenticated")
+    } catch (error) {
+      setError(error.message)
+    } finally {
+      setIsLoading(false)
     }
-    setIsLoading(false)
   }
 
-  const handleLogout = () => {
-    setIsAuthenticated(false)
-    localStorage.removeItem("isAuthenticated")
-    localStorage.removeItem("username")
+  const handleSignOut = useCallback(() => {
+    signOut()
+    setUser(null)
     setUsername("")
     setPassword("")
+    setError("")
+    setLockMessage("")
+    setStatus("login")
     toast.info("Logged out successfully", {
       position: "top-right",
       autoClose: 3000,
     })
+  }, [])
+
+  if (status === "checking") {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-indigo-50 dark:from-gray-900 dark:via-gray-800 dark:to-gray-900 flex items-center justify-center">
+        <div className="w-12 h-12 border-4 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    )
   }
 
-  if (!isAuthenticated) {
+  if (status !== "authenticated") {
+    const isSetup = status === "setup"
+    const isLocked = status === "locked"
+
     return (
       <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-indigo-50 dark:from-gray-900 dark:via-gray-800 dark:to-gray-900 flex items-center justify-center p-4 transition-all duration-500">
         {/* Theme Toggle Button */}
@@ -82,31 +244,59 @@ export default function AuthWrapper({ children }) {
               </div>
             </div>
             <CardTitle className="text-2xl font-bold bg-gradient-to-r from-blue-600 to-indigo-600 bg-clip-text text-transparent">
-              Admin Login
+              {isSetup ? "Create Administrator" : isLocked ? "Unlock" : "Sign In"}
             </CardTitle>
             <CardDescription className="text-gray-600 dark:text-gray-300">
-              Please sign in to access the patient management system
+              {isSetup
+                ? "No accounts exist yet. Create the first administrator account to get started."
+                : isLocked
+                  ? `Enter the password for ${user.displayName || user.username} to unlock encrypted patient data`
+                  : "Please sign in to access the patient management system"}
             </CardDescription>
           </CardHeader>
           <CardContent>
-            <form onSubmit={handleLogin} className="space-y-6">
-              <div className="space-y-2">
-                <Label htmlFor="username" className="text-sm font-medium">
-                  Username
-                </Label>
-                <div className="relative">
-                  <User className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
-                  <Input
-                    id="username"
-                    type="text"
-                    placeholder="Enter username"
-                    value={username}
-                    onChange={(e) => setUsername(e.target.value)}
-                    className="pl-10 h-12 border-0 bg-gray-50 dark:bg-gray-700 focus:ring-2 focus:ring-blue-500 transition-all duration-300"
-                    required
-                  />
+            <form onSubmit={isSetup ? handleSetup : isLocked ? handleUnlock : handleLogin} className="space-y-6">
+              {isLocked && lockMessage && (
+                <p className="text-sm text-center text-gray-500 dark:text-gray-400">{lockMessage}</p>
+              )}
+              {!isLocked && (
+                <div className="space-y-2">
+                  <Label htmlFor="username" className="text-sm font-medium">
+                    Username
+                  </Label>
+                  <div className="relative">
+                    <User className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+                    <Input
+                      id="username"
+                      type="text"
+                      autoComplete="username"
+                      placeholder="Enter username"
+                      value={username}
+                      onChange={(e) => setUsername(e.target.value)}
+                      className="pl-10 h-12 border-0 bg-gray-50 dark:bg-gray-700 focus:ring-2 focus:ring-blue-500 transition-all duration-300"
+                      required
+                    />
+                  </div>
                 </div>
-              </div>
+              )}
+              {isSetup && (
+                <div className="space-y-2">
+                  <Label htmlFor="displayName" className="text-sm font-medium">
+                    Display Name
+                  </Label>
+                  <div className="relative">
+                    <IdCard className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+                    <Input
+                      id="displayName"
+                      type="text"
+                      placeholder="Enter your name"
+                      value={displayName}
+                      onChange={(e) => setDisplayName(e.target.value)}
+                      className="pl-10 h-12 border-0 bg-gray-50 dark:bg-gray-700 focus:ring-2 focus:ring-blue-500 transition-all duration-300"
+                    />
+                  </div>
+                </div>
+              )}
               <div className="space-y-2">
                 <Label htmlFor="password" className="text-sm font-medium">
                   Password
@@ -116,7 +306,9 @@ export default function AuthWrapper({ children }) {
                   <Input
                     id="password"
                     type="password"
-                    placeholder="Enter password"
+                    autoComplete={isSetup ? "new-password" : "current-password"}
+                    autoFocus={isLocked}
+                    placeholder={isSetup ? `At least ${MIN_PASSWORD_LENGTH} characters` : "Enter password"}
                     value={password}
                     onChange={(e) => setPassword(e.target.value)}
                     className="pl-10 h-12 border-0 bg-gray-50 dark:bg-gray-700 focus:ring-2 focus:ring-blue-500 transition-all duration-300"
@@ -124,6 +316,32 @@ export default function AuthWrapper({ children }) {
                   />
                 </div>
               </div>
+              {isSetup && (
+                <div className="space-y-2">
+                  <Label htmlFor="confirmPassword" className="text-sm font-medium">
+                    Confirm Password
+                  </Label>
+                  <div className="relative">
+                    <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+                    <Input
+                      id="confirmPassword"
+                      type="password"
+                      autoComplete="new-password"
+                      placeholder="Repeat password"
+                      value={confirmPassword}
+                      onChange={(e) => setConfirmPassword(e.target.value)}
+                      className="pl-10 h-12 border-0 bg-gray-50 dark:bg-gray-700 focus:ring-2 focus:ring-blue-500 transition-all duration-300"
+                      required
+                    />
+                  </div>
+                </div>
+              )}
+              {error && (
+                <div className="flex items-center gap-2 p-3 bg-red-50 dark:bg-red-900/20 rounded-lg text-sm text-red-700 dark:text-red-300">
+                  <AlertCircle className="h-4 w-4 flex-shrink-0" />
+                  <span>{error}</span>
+                </div>
+              )}
               <Button
                 type="submit"
                 className="w-full h-12 bg-gradient-to-r from-blue-500 to-indigo-600 hover:from-blue-600 hover:to-indigo-700 text-white font-medium shadow-lg hover:shadow-xl transform hover:scale-105 transition-all duration-300"
@@ -132,22 +350,33 @@ export default function AuthWrapper({ children }) {
                 {isLoading ? (
                   <div className="flex items-center space-x-2">
                     <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
-                    <span>Signing in...</span>
+                    <span>{isSetup ? "Creating account..." : isLocked ? "Unlocking..." : "Signing in..."}</span>
                   </div>
+                ) : isSetup ? (
+                  "Create Account"
+                ) : isLocked ? (
+                  "Unlock"
                 ) : (
                   "Sign In"
                 )}
               </Button>
+              {isLocked && (
+                <Button type="button" variant="ghost" onClick={handleSignOut} className="w-full">
+                  Sign in as a different user
+                </Button>
+              )}
             </form>
-            <div className="mt-6 p-4 bg-blue-50 dark:bg-blue-900/20 rounded-lg">
-              <p className="text-sm text-blue-700 dark:text-blue-300 text-center">
-                <strong>Demo Credentials:</strong>
-                <br />
-                Username: admin
-                <br />
-                Password: admin123
-              </p>
-            </div>
+            {IS_DEMO_MODE && status === "login" && (
+              <div className="mt-6 p-4 bg-blue-50 dark:bg-blue-900/20 rounded-lg">
+                <p className="text-sm text-blue-700 dark:text-blue-300 text-center">
+                  <strong>Demo Credentials:</strong>
+                  <br />
+                  Username: {DEMO_CREDENTIALS.username}
+                  <br />
+                  Password: {DEMO_CREDENTIALS.password}
+                </p>
+              </div>
+            )}
           </CardContent>
         </Card>
       </div>
@@ -155,20 +384,6 @@ export default function AuthWrapper({ children }) {
   }
 
   return (
-    <div className="relative">
-      {/* Header with Logout only - Theme toggle removed */}
-      <div className="fixed top-4 right-4 z-50">
-        <Button
-          variant="outline"
-          size="sm"
-          onClick={handleLogout}
-          className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-sm border-0 shadow-lg hover:scale-105 transition-all duration-300"
-        >
-          <LogOut className="h-4 w-4 mr-2" />
-          Logout
-        </Button>
-      </div>
-      {children}
-    </div>
+    <AuthContext.Provider value={{ user, signOut: handleSignOut, lock: handleLock }}>{children}</AuthContext.Provider>
   )
 }
@@ -0,0 +1,517 @@
+"use client"
+
+import { useState, useEffect, useCallback } from "react"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Checkbox } from "@/components/ui/checkbox"
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table"
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog"
+import { createBackup, readBackupFile, restoreBackup, getTableCounts } from "@/lib/backup"
+import {
+  SNAPSHOT_INTERVALS,
+  MAX_SNAPSHOTS_KEPT,
+  DEFAULT_SNAPSHOT_SETTINGS,
+  getSnapshotSettings,
+  saveSnapshotSettings,
+  takeSnapshot,
+  getSnapshots,
+  getSnapshotBackup,
+  deleteSnapshot,
+} from "@/lib/snapshots"
+import { LATEST_SCHEMA_VERSION } from "@/lib/migrations"
+import { MIN_PASSWORD_LENGTH } from "@/lib/auth"
+import { downloadFile } from "@/lib/download"
+import { DatabaseBackup, ArchiveRestore, History, Camera, Download, Trash2, Loader2, Save, FileUp, Lock } from "lucide-react"
+import { toast } from "react-toastify"
+
+const toastOptions = {
+  position: "top-right",
+  autoClose: 3000,
+  hideProgressBar: true,
+  closeOnClick: true,
+  pauseOnHover: false,
+  draggable: false,
+  className: "text-sm",
+}
+
+const formatDateTime = (value) =>
+  new Date(value).toLocaleString("en-US", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  })
+
+const formatSize = (length) => (length < 1024 * 1024 ? `${Math.ceil(length / 1024)} KB` : `${(length / 1024 / 1024).toFixed(1)} MB`)
+
+const sectionClassName = "space-y-4 p-4 bg-gray-50 dark:bg-gray-700 rounded-lg"
+const selectClassName =
+  "w-full h-10 px-3 border-0 bg-white dark:bg-gray-800 rounded-md focus:ring-2 focus:ring-blue-500 text-sm"
+
+// Backup, restore and automatic snapshots, shown in the Settings tab to users who may manage backups
+export default function BackupSettings() {
+  const [backupPassword, setBackupPassword] = useState("")
+  const [backupConfirm, setBackupConfirm] = useState("")
+  const [isBackingUp, setIsBackingUp] = useState(false)
+
+  // Backup chosen for restoring: { backup, source } plus the current row counts it would replace
+  const [pendingRestore, setPendingRestore] = useState(null)
+  const [currentCounts, setCurrentCounts] = useState({})
+  const [restorePassword, setRestorePassword] = useState("")
+  const [isConfirmOpen, setIsConfirmOpen] = useState(false)
+  const [isRestoring, setIsRestoring] = useState(false)
+
+  const [snapshotSettings, setSnapshotSettings] = useState(DEFAULT_SNAPSHOT_SETTINGS)
+  const [snapshots, setSnapshots] = useState([])
+  const [isSavingSettings, setIsSavingSettings] = useState(false)
+  const [isSnapshotting, setIsSnapshotting] = useState(false)
+
+  const loadSnapshots = useCallback(async () => {
+    try {
+      setSnapshots(await getSnapshots())
+    } catch (error) {
+      console.error("Error loading snapshots:", error)
+      toast.error("Failed to load snapshots", toastOptions)
+    }
+  }, [])
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        setSnapshotSettings(await getSnapshotSettings())
+      } catch (error) {
+        console.error("Error loading snapshot settings:", error)
+      }
+    }
+
+    loadSettings()
+    loadSnapshots()
+  }, [loadSnapshots])
+
+  const passwordError =
+    backupPassword && backupPassword.length < MIN_PASSWORD_LENGTH
+      ? `Use at least ${MIN_PASSWORD_LENGTH} characters`
+      : backupPassword !== backupConfirm
+        ? "The passwords don't match"
+        : ""
+
+  const handleBackup = async (e) => {
+    e.preventDefault()
+    setIsBackingUp(true)
+    try {
+      const { content, filename } = await createBackup({ password: backupPassword })
+      downloadFile(content, filename, "application/json")
+      setBackupPassword("")
+      setBackupConfirm("")
+      toast.success(backupPassword ? "Encrypted backup downloaded" : "Backup downloaded", toastOptions)
+    } catch (error) {
+      toast.error(error.message, toastOptions)
+    } finally {
+      setIsBackingUp(false)
+    }
+  }
+
+  const previewRestore = async (backup, source) => {
+    setPendingRestore({ backup, source })
+    setRestorePassword("")
+    try {
+      setCurrentCounts(await getTableCounts())
+    } catch (error) {
+      console.error("Error counting current rows:", error)
+      setCurrentCounts({})
+    }
+  }
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ""
+    if (!file) return
+
+    try {
+      await previewRestore(readBackupFile(await file.text()), file.name)
+    } catch (error) {
+      toast.error(`Couldn't read ${file.name}: ${error.message}`, toastOptions)
+    }
+  }
+
+  const handleRestore = async () => {
+    setIsRestoring(true)
+    try {
+      // Keep a way back in case the wrong backup was chosen
+      await takeSnapshot("Before restore")
+      await restoreBackup(pendingRestore.backup, restorePassword)
+      // Every tab, including this one, reloads on DATABASE_RESTORED
+    } catch (error) {
+      toast.error(error.message, toastOptions)
+      setIsRestoring(false)
+      loadSnapshots()
+    }
+  }
+
+  const handleSaveSettings = async (e) => {
+    e.preventDefault()
+    setIsSavingSettings(true)
+    try {
+      setSnapshotSettings(await saveSnapshotSettings(snapshotSettings))
+      toast.success("Snapshot schedule saved", toastOptions)
+    } catch (error) {
+      toast.error(error.message, toastOptions)
+    } finally {
+      setIsSavingSettings(false)
+    }
+  }
+
+  const handleTakeSnapshot = async () => {
+    setIsSnapshotting(true)
+    try {
+      await takeSnapshot()
+      toast.success("Snapshot saved", toastOptions)
+      loadSnapshots()
+    } catch (error) {
+      toast.error(error.message, toastOptions)
+    } finally {
+      setIsSnapshotting(false)
+    }
+  }
+
+  const handleDownloadSnapshot = async (snapshot) => {
+    try {
+      const { content } = await getSnapshotBackup(snapshot.id)
+      downloadFile(content, `patients_snapshot_${snapshot.createdAt.split("T")[0]}.json`, "application/json")
+    } catch (error) {
+      toast.error(error.message, toastOptions)
+    }
+  }
+
+  const handleRestoreSnapshot = async (snapshot) => {
+    try {
+      const { backup } = await getSnapshotBackup(snapshot.id)
+      await previewRestore(backup, `Snapshot from ${formatDateTime(snapshot.createdAt)}`)
+    } catch (error) {
+      toast.error(error.message, toastOptions)
+    }
+  }
+
+  const handleDeleteSnapshot = async (snapshot) => {
+    try {
+      await deleteSnapshot(snapshot.id)
+      setSnapshots((prev) => prev.filter((item) => item.id !== snapshot.id))
+    } catch (error) {
+      toast.error(error.message, toastOptions)
+    }
+  }
+
+  const manifest = pendingRestore?.backup.manifest
+  const restoreTables = manifest
+    ? Array.from(new Set([...Object.keys(manifest.tables), ...Object.keys(currentCounts)])).sort()
+    : []
+
+  return (
+    <>
+      <form onSubmit={handleBackup} className={sectionClassName}>
+        <div className="flex items-center gap-2">
+          <DatabaseBackup className="h-4 w-4 text-gray-500" />
+          <h3 className="font-semibold text-gray-800 dark:text-gray-100">Backup</h3>
+        </div>
+        <p className="text-sm text-gray-600 dark:text-gray-300">
+          All data lives in this browser only. Download a backup of every table - patients, users, audit log and
+          settings - to keep it safe or move it to another machine. With a password the backup is encrypted
+          (AES-256); without one, anyone with the file can read the patients' names and contact details.
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+          <div className="space-y-2">
+            <Label htmlFor="backup-password">Password (optional)</Label>
+            <Input
+              id="backup-password"
+              type="password"
+              autoComplete="new-password"
+              value={backupPassword}
+              onChange={(e) => setBackupPassword(e.target.value)}
+              className="border-0 bg-white dark:bg-gray-800"
+            />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="backup-password-confirm">Confirm Password</Label>
+            <Input
+              id="backup-password-confirm"
+              type="password"
+              autoComplete="new-password"
+              value={backupConfirm}
+              onChange={(e) => setBackupConfirm(e.target.value)}
+              disabled={!backupPassword}
+              className="border-0 bg-white dark:bg-gray-800"
+            />
+          </div>
+          <Button
+            type="submit"
+            disabled={isBackingUp || Boolean(passwordError)}
+            className="bg-gradient-to-r from-blue-500 to-indigo-600 hover:from-blue-600 hover:to-indigo-700 text-white border-0 shadow-lg"
+          >
+            {isBackingUp ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Download className="h-4 w-4 mr-2" />}
+            Download Backup
+          </Button>
+        </div>
+        {passwordError && <p className="text-sm text-red-600 dark:text-red-400">{passwordError}</p>}
+      </form>
+
+      <div className={sectionClassName}>
+        <div className="flex items-center gap-2">
+          <ArchiveRestore className="h-4 w-4 text-gray-500" />
+          <h3 className="font-semibold text-gray-800 dark:text-gray-100">Restore</h3>
+        </div>
+        <p className="text-sm text-gray-600 dark:text-gray-300">
+          Restoring replaces everything in this browser's database with the backup, including user accounts. A
+          snapshot of the current data is taken first. Every open tab reloads afterwards, and users sign in with the
+          accounts and passwords from the backup.
+        </p>
+
+        {!pendingRestore ? (
+          <label className="inline-flex items-center gap-2 h-10 px-4 rounded-md bg-white dark:bg-gray-800 shadow text-sm font-medium cursor-pointer hover:bg-gray-100 dark:hover:bg-gray-600 transition-colors duration-200">
+            <FileUp className="h-4 w-4" />
+            Choose Backup File
+            <input type="file" accept=".json,application/json" onChange={handleFileChange} className="hidden" />
+          </label>
+        ) : (
+          <div className="space-y-4">
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <span className="font-medium text-gray-800 dark:text-gray-100">{pendingRestore.source}</span>
+              {manifest.encrypted && (
+                <Badge className="bg-indigo-100 text-indigo-800 dark:bg-indigo-900 dark:text-indigo-300 border-0 text-xs">
+                  <Lock className="h-3 w-3 mr-1" />
+                  Encrypted
+                </Badge>
+              )}
+            </div>
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+              Made {formatDateTime(manifest.createdAt)}
+              {manifest.createdBy && ` by ${manifest.createdBy}`}, schema version {manifest.schemaVersion}
+              {manifest.schemaVersion < LATEST_SCHEMA_VERSION &&
+                ` (it will be upgraded to version ${LATEST_SCHEMA_VERSION} while restoring)`}
+              .
+            </p>
+
+            <div className="rounded-lg overflow-hidden shadow bg-white dark:bg-gray-800">
+              <Table>
+                <TableHeader>
+                  <TableRow className="bg-gray-50 dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700">
+                    <TableHead className="font-semibold text-gray-700 dark:text-gray-300">Table</TableHead>
+                    <TableHead className="text-right font-semibold text-gray-700 dark:text-gray-300">Current rows (replaced)</TableHead>
+                    <TableHead className="text-right font-semibold text-gray-700 dark:text-gray-300">Rows in backup</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {restoreTables.map((table) => (
+                    <TableRow key={table}>
+                      <TableCell className="font-mono text-sm">{table}</TableCell>
+                      <TableCell className="text-right text-sm">{currentCounts[table] ?? "-"}</TableCell>
+                      <TableCell className="text-right text-sm">{manifest.tables[table] ?? 0}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+
+            {manifest.encrypted && (
+              <div className="space-y-2 max-w-sm">
+                <Label htmlFor="restore-password">Backup Password</Label>
+                <Input
+                  id="restore-password"
+                  type="password"
+                  autoComplete="off"
+                  value={restorePassword}
+                  onChange={(e) => setRestorePassword(e.target.value)}
+                  className="border-0 bg-white dark:bg-gray-800"
+                />
+              </div>
+            )}
+
+            <div className="flex gap-2">
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => setPendingRestore(null)}
+                disabled={isRestoring}
+                className="border-0 bg-white dark:bg-gray-800 hover:bg-gray-100 dark:hover:bg-gray-600"
+              >
+                Cancel
+              </Button>
+              <Button
+                type="button"
+                onClick={() => setIsConfirmOpen(true)}
+                disabled={isRestoring || (manifest.encrypted && !restorePassword)}
+                className="bg-red-500 hover:bg-red-600 text-white border-0"
+              >
+                {isRestoring ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <ArchiveRestore className="h-4 w-4 mr-2" />}
+                Restore
+              </Button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      <form onSubmit={handleSaveSettings} className={sectionClassName}>
+        <div className="flex items-center gap-2">
+          <History className="h-4 w-4 text-gray-500" />
+          <h3 className="font-semibold text-gray-800 dark:text-gray-100">Automatic Snapshots</h3>
+        </div>
+        <p className="text-sm text-gray-600 dark:text-gray-300">
+          While the app is open, snapshots of the database are saved in this browser on a schedule. They undo
+          mistakes such as a bad import, but are lost with the rest of the site data - they don't replace downloaded
+          backups.
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+          <label className="flex items-center gap-2 h-10 text-sm cursor-pointer">
+            <Checkbox
+              checked={snapshotSettings.enabled}
+              onCheckedChange={(checked) => setSnapshotSettings((prev) => ({ ...prev, enabled: checked === true }))}
+            />
+            Take snapshots
+          </label>
+          <div className="space-y-2">
+            <Label htmlFor="snapshot-interval">Frequency</Label>
+            <select
+              id="snapshot-interval"
+              value={snapshotSettings.intervalHours}
+              onChange={(e) => setSnapshotSettings((prev) => ({ ...prev, intervalHours: Number(e.target.value) }))}
+              disabled={!snapshotSettings.enabled}
+              className={selectClassName}
+            >
+              {SNAPSHOT_INTERVALS.map((interval) => (
+                <option key={interval.value} value={interval.value}>
+                  {interval.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="snapshot-keep">Snapshots to Keep</Label>
+            <Input
+              id="snapshot-keep"
+              type="number"
+              min={1}
+              max={MAX_SNAPSHOTS_KEPT}
+              value={snapshotSettings.keep}
+              onChange={(e) => setSnapshotSettings((prev) => ({ ...prev, keep: e.target.value }))}
+              className="border-0 bg-white dark:bg-gray-800"
+              required
+            />
+          </div>
+          <div className="flex gap-2">
+            <Button
+              type="submit"
+              disabled={isSavingSettings}
+              className="bg-gradient-to-r from-slate-500 to-gray-700 hover:from-slate-600 hover:to-gray-800 text-white border-0 shadow-lg"
+            >
+              {isSavingSettings ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Save className="h-4 w-4 mr-2" />}
+              Save
+            </Button>
+            <Button
+              type="button"
+              variant="outline"
+              onClick={handleTakeSnapshot}
+              disabled={isSnapshotting}
+              className="border-0 bg-white dark:bg-gray-800 hover:bg-gray-100 dark:hover:bg-gray-600"
+            >
+              {isSnapshotting ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Camera className="h-4 w-4 mr-2" />}
+              Snapshot Now
+            </Button>
+          </div>
+        </div>
+
+        {snapshots.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">No snapshots yet.</p>
+        ) : (
+          <div className="rounded-lg overflow-hidden shadow bg-white dark:bg-gray-800">
+            <Table>
+              <TableHeader>
+                <TableRow className="bg-gray-50 dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700">
+                  <TableHead className="font-semibold text-gray-700 dark:text-gray-300">Taken</TableHead>
+                  <TableHead className="font-semibold text-gray-700 dark:text-gray-300">Reason</TableHead>
+                  <TableHead className="text-right font-semibold text-gray-700 dark:text-gray-300">Patients</TableHead>
+                  <TableHead className="text-right font-semibold text-gray-700 dark:text-gray-300">Size</TableHead>
+                  <TableHead className="text-right font-semibold text-gray-700 dark:text-gray-300">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {snapshots.map((snapshot) => (
+                  <TableRow key={snapshot.id}>
+                    <TableCell className="text-sm">{formatDateTime(snapshot.createdAt)}</TableCell>
+                    <TableCell className="text-sm text-gray-600 dark:text-gray-300">{snapshot.label}</TableCell>
+                    <TableCell className="text-right text-sm">{snapshot.manifest.tables.patients ?? 0}</TableCell>
+                    <TableCell className="text-right text-sm">{formatSize(snapshot.size)}</TableCell>
+                    <TableCell className="text-right whitespace-nowrap">
+                      <Button
+                        type="button"
+                        variant="ghost"
+                        size="icon"
+                        onClick={() => handleDownloadSnapshot(snapshot)}
+                        title="Download"
+                        className="text-blue-500 hover:text-blue-700 hover:bg-blue-50 dark:hover:bg-blue-900/20"
+                      >
+                        <Download className="h-4 w-4" />
+                      </Button>
+                      <Button
+                        type="button"
+                        variant="ghost"
+                        size="icon"
+                        onClick={() => handleRestoreSnapshot(snapshot)}
+                        disabled={isRestoring}
+                        title="Restore"
+                        className="text-emerald-500 hover:text-emerald-700 hover:bg-emerald-50 dark:hover:bg-emerald-900/20"
+                      >
+                        <ArchiveRestore className="h-4 w-4" />
+                      </Button>
+                      <Button
+                        type="button"
+                        variant="ghost"
+                        size="icon"
+                        onClick={() => handleDeleteSnapshot(snapshot)}
+                        title="Delete"
+                        className="text-red-500 hover:text-red-700 hover:bg-red-50 dark:hover:bg-red-900/20"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+      </form>
+
+      <AlertDialog open={isConfirmOpen} onOpenChange={setIsConfirmOpen}>
+        <AlertDialogContent className="bg-white dark:bg-gray-800 border-0 shadow-2xl">
+          <AlertDialogHeader>
+            <AlertDialogTitle className="text-gray-900 dark:text-gray-100">Replace All Data?</AlertDialogTitle>
+            <AlertDialogDescription className="text-gray-600 dark:text-gray-400">
+              Every patient, user, audit log entry and setting in this browser will be replaced by the backup
+              {manifest && ` (${manifest.tables.patients ?? 0} patients)`}. Open tabs will reload and you may need to
+              sign in again.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel className="border-0 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600">
+              Cancel
+            </AlertDialogCancel>
+            <AlertDialogAction onClick={handleRestore} className="bg-red-500 hover:bg-red-600 text-white border-0">
+              Restore
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </>
+  )
+}
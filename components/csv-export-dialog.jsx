@@ -0,0 +1,164 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { Button } from "@/components/ui/button"
+import { Checkbox } from "@/components/ui/checkbox"
+import { CSV_DELIMITERS, CSV_DATE_FORMATS, DEFAULT_CSV_OPTIONS, toCsv, downloadCsv } from "@/lib/csv"
+import { Download } from "lucide-react"
+import { toast } from "react-toastify"
+
+// Delimiter, date format and BOM choices are remembered between exports
+const OPTIONS_STORAGE_KEY = "csv_export_options"
+
+function loadOptions() {
+  try {
+    return { ...DEFAULT_CSV_OPTIONS, ...JSON.parse(localStorage.getItem(OPTIONS_STORAGE_KEY) || "{}") }
+  } catch {
+    return DEFAULT_CSV_OPTIONS
+  }
+}
+
+// Export dialog shared by the patient list and the SQL interface: pick the columns and the
+// file format, then download `rows` as `<filenamePrefix>_<date>.csv`. `columns` is a list of
+// { key, label, selected }; columns with selected: false start unticked.
+export default function CsvExportDialog({ open, onOpenChange, title, rows, columns, filenamePrefix }) {
+  const [selectedKeys, setSelectedKeys] = useState([])
+  const [options, setOptions] = useState(DEFAULT_CSV_OPTIONS)
+
+  useEffect(() => {
+    if (open) {
+      setSelectedKeys(columns.filter((column) => column.selected !== false).map((column) => column.key))
+      setOptions(loadOptions())
+    }
+  }, [open, columns])
+
+  const toggleColumn = (key, checked) => {
+    setSelectedKeys((prev) => (checked ? [...prev, key] : prev.filter((selectedKey) => selectedKey !== key)))
+  }
+
+  const handleExport = () => {
+    // Keep the column order of the table, not the order the boxes were ticked in
+    const selectedColumns = columns.filter((column) => selectedKeys.includes(column.key))
+    downloadCsv(toCsv(rows, selectedColumns, options), `${filenamePrefix}_${new Date().toISOString().split("T")[0]}.csv`)
+    localStorage.setItem(OPTIONS_STORAGE_KEY, JSON.stringify(options))
+    onOpenChange(false)
+
+    toast.success(`Exported ${rows.length} row${rows.length === 1 ? "" : "s"}`, {
+      position: "top-right",
+      autoClose: 2000,
+      hideProgressBar: true,
+      closeOnClick: true,
+      pauseOnHover: false,
+      draggable: false,
+      className: "text-sm",
+    })
+  }
+
+  const selectClassName =
+    "w-full h-9 px-2 border-0 bg-gray-50 dark:bg-gray-700 rounded-md focus:ring-2 focus:ring-blue-500 text-sm"
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto bg-white dark:bg-gray-800 border-0 shadow-2xl">
+        <DialogHeader>
+          <DialogTitle className="text-gray-900 dark:text-gray-100">{title}</DialogTitle>
+          <DialogDescription className="text-gray-600 dark:text-gray-400">
+            {rows.length} row{rows.length === 1 ? "" : "s"} will be exported.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-6">
+          <div className="space-y-3">
+            <div className="flex items-center justify-between">
+              <h3 className="text-sm font-semibold text-gray-800 dark:text-gray-200">Columns</h3>
+              <div className="flex gap-1">
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => setSelectedKeys(columns.map((column) => column.key))}
+                  className="h-7 px-2 text-xs"
+                >
+                  All
+                </Button>
+                <Button type="button" variant="ghost" size="sm" onClick={() => setSelectedKeys([])} className="h-7 px-2 text-xs">
+                  None
+                </Button>
+              </div>
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+              {columns.map((column) => (
+                <label key={column.key} className="flex items-center gap-2 text-sm cursor-pointer">
+                  <Checkbox
+                    checked={selectedKeys.includes(column.key)}
+                    onCheckedChange={(checked) => toggleColumn(column.key, checked === true)}
+                  />
+                  {column.label}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 pt-4 border-t border-gray-200 dark:border-gray-700">
+            <label className="space-y-1 text-sm">
+              <span className="font-medium text-gray-700 dark:text-gray-300">Delimiter</span>
+              <select
+                value={options.delimiter}
+                onChange={(e) => setOptions((prev) => ({ ...prev, delimiter: e.target.value }))}
+                className={selectClassName}
+              >
+                {CSV_DELIMITERS.map((delimiter) => (
+                  <option key={delimiter.label} value={delimiter.value}>
+                    {delimiter.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="space-y-1 text-sm">
+              <span className="font-medium text-gray-700 dark:text-gray-300">Dates</span>
+              <select
+                value={options.dateFormat}
+                onChange={(e) => setOptions((prev) => ({ ...prev, dateFormat: e.target.value }))}
+                className={selectClassName}
+              >
+                {CSV_DATE_FORMATS.map((format) => (
+                  <option key={format.value} value={format.value}>
+                    {format.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center gap-2 text-sm cursor-pointer sm:col-span-2">
+              <Checkbox
+                checked={options.includeBom}
+                onCheckedChange={(checked) => setOptions((prev) => ({ ...prev, includeBom: checked === true }))}
+              />
+              Add a UTF-8 byte order mark so Excel shows accented characters correctly
+            </label>
+          </div>
+        </div>
+
+        <DialogFooter className="gap-2">
+          <Button
+            type="button"
+            variant="outline"
+            onClick={() => onOpenChange(false)}
+            className="border-0 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600"
+          >
+            Cancel
+          </Button>
+          <Button
+            type="button"
+            onClick={handleExport}
+            disabled={selectedKeys.length === 0}
+            className="bg-gradient-to-r from-blue-500 to-indigo-600 hover:from-blue-600 hover:to-indigo-700 text-white"
+          >
+            <Download className="h-4 w-4 mr-2" />
+            Export CSV
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -7,7 +7,7 @@ import { cn } from "@/lib/utils"
 import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover"
 import { Button } from "@/components/ui/button"
 
-export function DatePicker({ date, setDate }) {
+export function DatePicker({ date, setDate, placeholder = "Pick a date" }) {
   const [open, setOpen] = useState(false)
   const [viewDate, setViewDate] = useState(date || new Date())
   const [view, setView] = useState("calendar") // "calendar", "month", "year"
@@ -73,7 +73,7 @@ export function DatePicker({ date, setDate }) {
   }
 
   const formatDate = (date) => {
-    if (!date) return "Pick a date"
+    if (!date) return placeholder
     return date.toLocaleDateString("en-US", {
       year: "numeric",
       month: "short",
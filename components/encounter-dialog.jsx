@@ -0,0 +1,235 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { useForm } from "react-hook-form"
+import { zodResolver } from "@hookform/resolvers/zod"
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Textarea } from "@/components/ui/textarea"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Form, FormControl, FormField, FormItem, FormLabel, FormMessage } from "@/components/ui/form"
+import { useAuth } from "@/components/auth-wrapper"
+import { startEncounter, updateEncounter } from "@/lib/database"
+import { encounterSchema } from "@/lib/patient-schema"
+import { ENCOUNTER_TYPES, ENCOUNTER_STATUSES, VITAL_SIGNS, encounterToFormValues, normalizeEncounter } from "@/lib/encounters"
+import { Activity, Loader2, Save, Stethoscope } from "lucide-react"
+import { toast } from "react-toastify"
+
+const toastOptions = {
+  position: "top-right",
+  autoClose: 3000,
+  hideProgressBar: true,
+  closeOnClick: true,
+  pauseOnHover: false,
+  draggable: false,
+  className: "text-sm",
+}
+
+const inputClassName =
+  "h-10 border-0 bg-gray-50 dark:bg-gray-700 focus:ring-2 focus:ring-blue-500 transition-all duration-300"
+
+// Start a visit for `patient`, or edit `encounter` when one is given. `onSaved` receives the
+// visit as saved.
+export default function EncounterDialog({ patient, encounter = null, open, onOpenChange, onSaved }) {
+  const [isSaving, setIsSaving] = useState(false)
+  const { user } = useAuth()
+  const isNew = !encounter
+
+  // New visits default to now, a consultation and the signed-in user as provider
+  const defaultProvider = user?.displayName || user?.username || ""
+
+  const form = useForm({
+    resolver: zodResolver(encounterSchema),
+    defaultValues: encounterToFormValues(encounter ?? { provider: defaultProvider }),
+  })
+
+  // Start from a fresh form (or the visit being edited) every time the dialog opens
+  useEffect(() => {
+    if (open) form.reset(encounterToFormValues(encounter ?? { provider: defaultProvider }))
+  }, [open, encounter, defaultProvider, form])
+
+  const onSubmit = async (data) => {
+    if (!patient) return
+
+    setIsSaving(true)
+    try {
+      const values = normalizeEncounter(data)
+      const saved = isNew ? await startEncounter(patient.id, values) : await updateEncounter(encounter.id, values)
+
+      onSaved?.(saved)
+      onOpenChange(false)
+      toast.success(
+        isNew ? `Visit started for ${patient.firstName} ${patient.lastName}` : "Visit saved",
+        { ...toastOptions, autoClose: 2000 },
+      )
+    } catch (error) {
+      console.error("❌ Error saving visit:", error)
+      toast.error(error.message || "Failed to save visit", toastOptions)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const renderTextField = (name, label, placeholder) => (
+    <FormField
+      control={form.control}
+      name={name}
+      render={({ field }) => (
+        <FormItem>
+          <FormLabel className="text-sm font-medium">{label}</FormLabel>
+          <FormControl>
+            <Input placeholder={placeholder} {...field} className={inputClassName} />
+          </FormControl>
+          <FormMessage />
+        </FormItem>
+      )}
+    />
+  )
+
+  const renderSelectField = (name, label, options) => (
+    <FormField
+      control={form.control}
+      name={name}
+      render={({ field }) => (
+        <FormItem>
+          <FormLabel className="text-sm font-medium">{label}</FormLabel>
+          <Select onValueChange={field.onChange} value={field.value}>
+            <FormControl>
+              <SelectTrigger className={inputClassName}>
+                <SelectValue />
+              </SelectTrigger>
+            </FormControl>
+            <SelectContent>
+              {options.map((option) => (
+                <SelectItem key={option.value} value={option.value}>
+                  {option.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <FormMessage />
+        </FormItem>
+      )}
+    />
+  )
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto bg-white dark:bg-gray-800 border-0 shadow-2xl">
+        <DialogHeader>
+          <DialogTitle className="flex items-center text-gray-900 dark:text-gray-100">
+            <Stethoscope className="h-5 w-5 mr-2 text-blue-600" />
+            {isNew ? "Start Visit" : "Edit Visit"}
+          </DialogTitle>
+          <DialogDescription className="text-gray-600 dark:text-gray-400">
+            {patient ? (
+              <>
+                <strong>
+                  {patient.firstName} {patient.lastName}
+                </strong>{" "}
+                ({patient.patientId})
+              </>
+            ) : null}
+          </DialogDescription>
+        </DialogHeader>
+
+        <Form {...form}>
+          <form onSubmit={form.handleSubmit(onSubmit)} className="space-y-6">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <FormField
+                control={form.control}
+                name="visitDate"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel className="text-sm font-medium">Date and Time *</FormLabel>
+                    <FormControl>
+                      <Input type="datetime-local" {...field} className={inputClassName} />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              {renderSelectField("encounterType", "Visit Type *", ENCOUNTER_TYPES)}
+              {renderTextField("provider", "Provider", "e.g. Dr. Smith")}
+              {renderSelectField("status", "Status *", ENCOUNTER_STATUSES)}
+            </div>
+
+            {renderTextField("chiefComplaint", "Chief Complaint", "Reason for the visit in the patient's words")}
+
+            <div className="space-y-3">
+              <h4 className="text-sm font-medium flex items-center">
+                <Activity className="h-4 w-4 mr-1 text-red-500" />
+                Vitals
+              </h4>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                {VITAL_SIGNS.map(({ key, label, unit, decimals }) => (
+                  <FormField
+                    key={key}
+                    control={form.control}
+                    name={key}
+                    render={({ field }) => (
+                      <FormItem>
+                        <FormLabel className="text-xs font-medium">
+                          {label} ({unit})
+                        </FormLabel>
+                        <FormControl>
+                          <Input
+                            type="number"
+                            inputMode="decimal"
+                            step={decimals > 0 ? "0.1" : "1"}
+                            {...field}
+                            className={inputClassName}
+                          />
+                        </FormControl>
+                        <FormMessage />
+                      </FormItem>
+                    )}
+                  />
+                ))}
+              </div>
+            </div>
+
+            <FormField
+              control={form.control}
+              name="notes"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel className="text-sm font-medium">Notes</FormLabel>
+                  <FormControl>
+                    <Textarea
+                      placeholder="Examination findings, assessment and plan"
+                      className="min-h-[120px] border-0 bg-gray-50 dark:bg-gray-700 focus:ring-2 focus:ring-blue-500 transition-all duration-300 resize-none"
+                      {...field}
+                    />
+                  </FormControl>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+
+            <DialogFooter className="gap-2">
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => onOpenChange(false)}
+                disabled={isSaving}
+                className="border-0 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600"
+              >
+                Cancel
+              </Button>
+              <Button
+                type="submit"
+                disabled={isSaving}
+                className="bg-gradient-to-r from-blue-500 to-indigo-600 hover:from-blue-600 hover:to-indigo-700 text-white"
+              >
+                {isSaving ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Save className="h-4 w-4 mr-2" />}
+                {isNew ? "Start Visit" : "Save Visit"}
+              </Button>
+            </DialogFooter>
+          </form>
+        </Form>
+      </DialogContent>
+    </Dialog>
+  )
+}
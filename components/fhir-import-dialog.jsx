@@ -0,0 +1,202 @@
+"use client"
+
+import { useState } from "react"
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table"
+import { importFhirPatients } from "@/lib/database"
+import { parseFhirBundle } from "@/lib/fhir"
+import { Upload, FileJson, Loader2, CheckCircle, AlertTriangle } from "lucide-react"
+import { toast } from "react-toastify"
+
+const toastOptions = {
+  position: "top-right",
+  autoClose: 3000,
+  hideProgressBar: true,
+  closeOnClick: true,
+  pauseOnHover: false,
+  draggable: false,
+  className: "text-sm",
+}
+
+// Import a FHIR Bundle: read the file, show what will be created or updated and which resources
+// can't be used, then import the valid patients in one transaction
+export default function FhirImportDialog({ open, onOpenChange, onImported }) {
+  const [fileName, setFileName] = useState("")
+  const [report, setReport] = useState(null)
+  const [isImporting, setIsImporting] = useState(false)
+
+  const reset = () => {
+    setFileName("")
+    setReport(null)
+  }
+
+  const handleOpenChange = (nextOpen) => {
+    if (isImporting) return
+    if (!nextOpen) reset()
+    onOpenChange(nextOpen)
+  }
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ""
+    if (!file) return
+
+    try {
+      setReport(parseFhirBundle(JSON.parse(await file.text())))
+      setFileName(file.name)
+    } catch (error) {
+      console.error("Error reading FHIR file:", error)
+      toast.error(`Couldn't read ${file.name}: ${error.message}`, toastOptions)
+    }
+  }
+
+  const validRecords = report ? report.patients.filter((record) => record.patient) : []
+  const invalidCount = report ? report.patients.length - validRecords.length : 0
+
+  const handleImport = async () => {
+    setIsImporting(true)
+    try {
+      const { created, updated } = await importFhirPatients(validRecords)
+      toast.success(`Imported ${created} new and ${updated} updated patient${created + updated === 1 ? "" : "s"}`, toastOptions)
+      onImported?.()
+      reset()
+      onOpenChange(false)
+    } catch (error) {
+      console.error("❌ Error importing FHIR bundle:", error)
+      toast.error(error.message, toastOptions)
+    } finally {
+      setIsImporting(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto bg-white dark:bg-gray-800 border-0 shadow-2xl">
+        <DialogHeader>
+          <DialogTitle className="text-gray-900 dark:text-gray-100">
+            Import FHIR Bundle{fileName && <span className="font-normal text-gray-500"> - {fileName}</span>}
+          </DialogTitle>
+          <DialogDescription className="text-gray-600 dark:text-gray-400">
+            Patients whose identifier matches an existing patient ID update that patient; the rest are registered as new
+            patients. AllergyIntolerance, MedicationStatement and Coverage resources are added to the patient they
+            refer to. An update replaces the name, date of birth, gender, contact details, address and emergency
+            contact. It replaces allergies, medications or insurance only when the file has AllergyIntolerance,
+            MedicationStatement or Coverage resources for that patient, and always keeps the medical history.
+          </DialogDescription>
+        </DialogHeader>
+
+        {!report ? (
+          <label className="flex flex-col items-center justify-center gap-3 py-12 rounded-lg border-2 border-dashed border-gray-300 dark:border-gray-600 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors duration-200">
+            <FileJson className="h-12 w-12 text-gray-400" />
+            <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Click to choose a FHIR JSON file</span>
+            <input type="file" accept=".json,application/json,application/fhir+json" onChange={handleFileChange} className="hidden" />
+          </label>
+        ) : (
+          <div className="space-y-4">
+            <div className="flex flex-wrap gap-2">
+              <Badge className="bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300 border-0">
+                {validRecords.length} patient{validRecords.length === 1 ? "" : "s"} ready
+              </Badge>
+              {invalidCount > 0 && (
+                <Badge className="bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300 border-0">
+                  {invalidCount} with errors
+                </Badge>
+              )}
+              {report.issues.length > 0 && (
+                <Badge className="bg-amber-100 text-amber-800 dark:bg-amber-900 dark:text-amber-300 border-0">
+                  {report.issues.length} resource{report.issues.length === 1 ? "" : "s"} skipped
+                </Badge>
+              )}
+            </div>
+
+            {report.patients.length > 0 && (
+              <div className="rounded-lg overflow-hidden shadow bg-white dark:bg-gray-800 max-h-[40vh] overflow-y-auto">
+                <Table>
+                  <TableHeader>
+                    <TableRow className="bg-gray-50 dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700">
+                      <TableHead className="w-16 font-semibold text-gray-700 dark:text-gray-300">Entry</TableHead>
+                      <TableHead className="font-semibold text-gray-700 dark:text-gray-300">Patient</TableHead>
+                      <TableHead className="font-semibold text-gray-700 dark:text-gray-300">Status</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {report.patients.map((record) => (
+                      <TableRow key={record.entry}>
+                        <TableCell className="font-mono text-xs text-gray-500">{record.entry}</TableCell>
+                        <TableCell className="text-sm">
+                          <div className="font-medium text-gray-900 dark:text-gray-100">
+                            {record.values.firstName} {record.values.lastName}
+                          </div>
+                          <div className="font-mono text-xs text-gray-500 dark:text-gray-400">
+                            {record.patientId || "New patient"}
+                          </div>
+                        </TableCell>
+                        <TableCell className="text-sm">
+                          {record.patient ? (
+                            <span className="flex items-center text-green-600 dark:text-green-400">
+                              <CheckCircle className="h-4 w-4 mr-1" />
+                              Ready
+                            </span>
+                          ) : (
+                            <ul className="space-y-1 text-red-600 dark:text-red-400">
+                              {record.errors.map((error, index) => (
+                                <li key={index}>{error}</li>
+                              ))}
+                            </ul>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+            )}
+
+            {report.issues.length > 0 && (
+              <div className="p-4 rounded-lg bg-amber-50 dark:bg-amber-900/30 space-y-2">
+                <h3 className="flex items-center gap-2 text-sm font-semibold text-amber-800 dark:text-amber-300">
+                  <AlertTriangle className="h-4 w-4" />
+                  Resources that can't be imported
+                </h3>
+                <ul className="space-y-1 text-sm text-amber-700 dark:text-amber-400">
+                  {report.issues.map((issue, index) => (
+                    <li key={index}>
+                      Entry {issue.entry} ({issue.resourceType}): {issue.message}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+
+        <DialogFooter className="gap-2">
+          {report && (
+            <Button
+              type="button"
+              variant="outline"
+              onClick={reset}
+              disabled={isImporting}
+              className="border-0 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600"
+            >
+              Choose Another File
+            </Button>
+          )}
+          {report && (
+            <Button
+              type="button"
+              onClick={handleImport}
+              disabled={isImporting || validRecords.length === 0}
+              className="bg-gradient-to-r from-green-500 to-emerald-600 hover:from-green-600 hover:to-emerald-700 text-white"
+            >
+              {isImporting ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Upload className="h-4 w-4 mr-2" />}
+              Import {validRecords.length} Patient{validRecords.length === 1 ? "" : "s"}
+            </Button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
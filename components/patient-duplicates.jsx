@@ -0,0 +1,118 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { getDuplicatePatientPairs } from "@/lib/database"
+import PatientMergeDialog from "@/components/patient-merge-dialog"
+import { CopyCheck, GitMerge, Loader2 } from "lucide-react"
+import { toast } from "react-toastify"
+
+// Duplicates view for PatientList: pairs of patients that look like the same person, each of
+// which can be opened in the merge dialog. `patients` is only used to know when to look again.
+export default function PatientDuplicates({ patients, onMerged }) {
+  const [pairs, setPairs] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [mergingPair, setMergingPair] = useState(null)
+
+  useEffect(() => {
+    let isCurrent = true
+
+    const loadPairs = async () => {
+      try {
+        const duplicatePairs = await getDuplicatePatientPairs()
+        if (isCurrent) setPairs(duplicatePairs)
+      } catch (error) {
+        console.error("Error loading duplicate patients:", error)
+        toast.error("Failed to find duplicate patients", {
+          position: "top-right",
+          autoClose: 3000,
+          hideProgressBar: true,
+          closeOnClick: true,
+          pauseOnHover: false,
+          draggable: false,
+          className: "text-sm",
+        })
+      } finally {
+        if (isCurrent) setIsLoading(false)
+      }
+    }
+
+    loadPairs()
+    return () => {
+      isCurrent = false
+    }
+  }, [patients])
+
+  const renderPatient = (patient) => (
+    <div className="min-w-0">
+      <div className="font-semibold text-gray-900 dark:text-gray-100">
+        {patient.firstName} {patient.lastName}
+      </div>
+      <div className="font-mono text-xs text-gray-500 dark:text-gray-400">{patient.patientId}</div>
+      <div className="text-sm text-gray-600 dark:text-gray-300 truncate" title={patient.email}>
+        {patient.email}
+      </div>
+      <div className="text-sm text-gray-500 dark:text-gray-400">{patient.phone}</div>
+    </div>
+  )
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-12">
+        <Loader2 className="h-8 w-8 animate-spin text-blue-600" />
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-4">
+      {pairs.length === 0 ? (
+        <div className="text-center py-12 space-y-4">
+          <CopyCheck className="h-16 w-16 text-gray-300 dark:text-gray-600 mx-auto" />
+          <div>
+            <h3 className="text-lg font-semibold text-gray-600 dark:text-gray-400">No likely duplicates</h3>
+            <p className="text-gray-500 dark:text-gray-500">Patients with similar names and matching details appear here</p>
+          </div>
+        </div>
+      ) : (
+        pairs.map((pair) => (
+          <div
+            key={`${pair.first.id}-${pair.second.id}`}
+            className="flex flex-col md:flex-row md:items-center gap-4 p-4 rounded-lg bg-gray-50 dark:bg-gray-700"
+          >
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 flex-1 min-w-0">
+              {renderPatient(pair.first)}
+              {renderPatient(pair.second)}
+            </div>
+            <div className="flex flex-wrap gap-1 md:w-56">
+              {pair.reasons.map((reason) => (
+                <Badge
+                  key={reason}
+                  className="bg-amber-100 text-amber-800 dark:bg-amber-900 dark:text-amber-300 border-0 text-xs"
+                >
+                  {reason}
+                </Badge>
+              ))}
+            </div>
+            <Button
+              size="sm"
+              onClick={() => setMergingPair(pair)}
+              className="bg-gradient-to-r from-indigo-500 to-purple-600 hover:from-indigo-600 hover:to-purple-700 text-white border-0"
+            >
+              <GitMerge className="h-4 w-4 mr-2" />
+              Merge
+            </Button>
+          </div>
+        ))
+      )}
+
+      <PatientMergeDialog
+        pair={mergingPair}
+        open={mergingPair !== null}
+        onOpenChange={(open) => !open && setMergingPair(null)}
+        onMerged={onMerged}
+      />
+    </div>
+  )
+}
@@ -0,0 +1,161 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { useForm } from "react-hook-form"
+import { zodResolver } from "@hookform/resolvers/zod"
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { Button } from "@/components/ui/button"
+import { Form } from "@/components/ui/form"
+import PatientFormFields from "@/components/patient-form-fields"
+import { updatePatient } from "@/lib/database"
+import { patientSchema, patientToFormValues, toLocalDate } from "@/lib/patient-schema"
+import { toDateString } from "@/lib/dates"
+import { normalizeAllergyRecords } from "@/lib/allergies"
+import { normalizeMedicationRecords } from "@/lib/medications"
+import { PERMISSIONS, MEDICAL_FIELDS, hasPermission } from "@/lib/permissions"
+import { useAuth } from "@/components/auth-wrapper"
+import { Loader2, Save } from "lucide-react"
+import { toast } from "react-toastify"
+
+const pickMedicalFields = (values) => Object.fromEntries(MEDICAL_FIELDS.map((field) => [field, values[field]]))
+
+export default function PatientEditDialog({ patient, open, onOpenChange, onSaved }) {
+  const [isSaving, setIsSaving] = useState(false)
+  const { user } = useAuth()
+  const canEditDetails = hasPermission(user, PERMISSIONS.EDIT_PATIENT)
+  const canEditMedical = hasPermission(user, PERMISSIONS.EDIT_MEDICAL)
+
+  const form = useForm({
+    resolver: zodResolver(patientSchema),
+    defaultValues: patient ? patientToFormValues(patient) : undefined,
+  })
+
+  // Pre-fill the form whenever a different patient is opened for editing
+  useEffect(() => {
+    if (patient && open) {
+      form.reset(patientToFormValues(patient))
+    }
+  }, [patient, open, form])
+
+  const onSubmit = async (data) => {
+    if (!patient) return
+
+    setIsSaving(true)
+    try {
+      // Combine country code and mobile number for storage
+      const values = { ...data, phone: `${data.countryCode}${data.mobileNumber}` }
+
+      // Sections this user can't edit are sent back with their stored values
+      const original = { ...patient, dateOfBirth: toLocalDate(patient.dateOfBirth) }
+      const base = canEditDetails ? values : original
+      const patientData = { ...base, ...pickMedicalFields(canEditMedical ? values : original) }
+
+      await updatePatient(patient.id, patientData)
+
+      // Build the updated record in the same shape getAllPatients() returns
+      const updatedPatient = {
+        ...patient,
+        firstName: patientData.firstName,
+        lastName: patientData.lastName,
+        email: patientData.email,
+        phone: patientData.phone,
+        age: Number.parseInt(patientData.age),
+        gender: patientData.gender,
+        dateOfBirth: toDateString(patientData.dateOfBirth),
+        address: patientData.address,
+        emergencyContactName: patientData.emergencyContactName || null,
+        emergencyContactPhone: patientData.emergencyContactPhone || null,
+        medicalHistory: patientData.medicalHistory || null,
+        allergies: patientData.allergies || null,
+        allergyRecords: normalizeAllergyRecords(patientData.allergyRecords),
+        currentMedications: patientData.currentMedications || null,
+        medicationRecords: normalizeMedicationRecords(patientData.medicationRecords),
+        insuranceProvider: patientData.insuranceProvider || null,
+        insurancePolicyNumber: patientData.insurancePolicyNumber || null,
+        updatedAt: new Date().toISOString(),
+      }
+
+      onSaved?.(updatedPatient)
+      onOpenChange(false)
+
+      toast.success(`${patientData.firstName} ${patientData.lastName} updated successfully`, {
+        position: "top-right",
+        autoClose: 2000,
+        hideProgressBar: true,
+        closeOnClick: true,
+        pauseOnHover: false,
+        draggable: false,
+        className: "text-sm",
+      })
+    } catch (error) {
+      console.error("❌ Error updating patient:", error)
+      toast.error(error.message || "Failed to update patient", {
+        position: "top-right",
+        autoClose: 3000,
+        hideProgressBar: true,
+        closeOnClick: true,
+        pauseOnHover: false,
+        draggable: false,
+        className: "text-sm",
+      })
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto bg-white dark:bg-gray-800 border-0 shadow-2xl">
+        <DialogHeader>
+          <DialogTitle className="text-gray-900 dark:text-gray-100">Edit Patient Record</DialogTitle>
+          <DialogDescription className="text-gray-600 dark:text-gray-400">
+            {patient ? (
+              <>
+                Update the details for{" "}
+                <strong>
+                  {patient.firstName} {patient.lastName}
+                </strong>{" "}
+                ({patient.patientId})
+              </>
+            ) : null}
+          </DialogDescription>
+        </DialogHeader>
+
+        <Form {...form}>
+          <form onSubmit={form.handleSubmit(onSubmit)} className="space-y-6">
+            <PatientFormFields form={form} canEditDetails={canEditDetails} canEditMedical={canEditMedical} />
+
+            <DialogFooter className="gap-2">
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => onOpenChange(false)}
+                disabled={isSaving}
+                className="border-0 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600"
+              >
+                Cancel
+              </Button>
+              <Button
+                type="submit"
+                disabled={isSaving}
+                className="bg-gradient-to-r from-blue-500 to-indigo-600 hover:from-blue-600 hover:to-indigo-700 text-white"
+              >
+                {isSaving ? (
+                  <div className="flex items-center space-x-2">
+                    <Loader2 className="h-4 w-4 animate-spin" />
+                    <span>Saving...</span>
+                  </div>
+                ) : (
+                  <div className="flex items-center space-x-2">
+                    <Save className="h-4 w-4" />
+                    <span>Save Changes</span>
+                  </div>
+                )}
+              </Button>
+            </DialogFooter>
+          </form>
+        </Form>
+      </DialogContent>
+    </Dialog>
+  )
+}
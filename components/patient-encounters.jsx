@@ -0,0 +1,245 @@
+"use client"
+
+import { useState, useEffect, useCallback } from "react"
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import EncounterDialog from "@/components/encounter-dialog"
+import { useAuth } from "@/components/auth-wrapper"
+import { getPatientEncounters, updateEncounter } from "@/lib/database"
+import { getEncounterTypeLabel, getEncounterStatus, formatVitals } from "@/lib/encounters"
+import { PERMISSIONS, hasPermission } from "@/lib/permissions"
+import { SYNC_EVENTS, ENCOUNTER_SYNC_EVENTS, useSyncEvents } from "@/lib/sync"
+import { CalendarClock, CheckCircle, Edit, Loader2, Plus, Stethoscope, User } from "lucide-react"
+import { toast } from "react-toastify"
+
+const toastOptions = {
+  position: "top-right",
+  autoClose: 3000,
+  hideProgressBar: true,
+  closeOnClick: true,
+  pauseOnHover: false,
+  draggable: false,
+  className: "text-sm",
+}
+
+const formatDateTime = (dateString) =>
+  new Date(dateString).toLocaleString("en-US", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  })
+
+const byVisitDate = (a, b) => new Date(b.visitDate) - new Date(a.visitDate) || b.id - a.id
+
+// A patient's visits, newest first, as a timeline. Visits started or edited in any tab appear
+// as they happen.
+export default function PatientEncounters({ patient, open, onOpenChange }) {
+  const [encounters, setEncounters] = useState([])
+  const [isLoading, setIsLoading] = useState(false)
+  const [editing, setEditing] = useState(null)
+  const [isFormOpen, setIsFormOpen] = useState(false)
+  const [completingIds, setCompletingIds] = useState(new Set())
+  const { user } = useAuth()
+  const canRecord = hasPermission(user, PERMISSIONS.RECORD_ENCOUNTERS)
+
+  const loadEncounters = useCallback(async () => {
+    if (!patient) return
+    try {
+      setIsLoading(true)
+      setEncounters(await getPatientEncounters(patient.id))
+    } catch (error) {
+      console.error("❌ Error loading visits:", error)
+      toast.error("Failed to load visits", toastOptions)
+    } finally {
+      setIsLoading(false)
+    }
+  }, [patient])
+
+  useEffect(() => {
+    if (open) loadEncounters()
+  }, [open, loadEncounters])
+
+  const upsertEncounter = (encounter) => {
+    setEncounters((prev) => [encounter, ...prev.filter((item) => item.id !== encounter.id)].sort(byVisitDate))
+  }
+
+  useSyncEvents((message) => {
+    if (!open || !patient) return
+
+    if (
+      message.type === SYNC_EVENTS.ENCOUNTER_DELETED ||
+      (message.encounter && message.encounter.patientRecordId !== patient.id)
+    ) {
+      // Deleted, or moved to another patient by a merge
+      setEncounters((prev) => prev.filter((item) => item.id !== message.encounterId))
+    } else if (message.encounter) {
+      upsertEncounter(message.encounter)
+    } else if (message.patientId === patient.id) {
+      loadEncounters()
+    }
+  }, ENCOUNTER_SYNC_EVENTS)
+
+  const openForm = (encounter = null) => {
+    setEditing(encounter)
+    setIsFormOpen(true)
+  }
+
+  const handleComplete = async (encounter) => {
+    try {
+      setCompletingIds((prev) => new Set(prev).add(encounter.id))
+      upsertEncounter(await updateEncounter(encounter.id, { ...encounter, status: "completed" }))
+      toast.success("Visit completed", { ...toastOptions, autoClose: 2000 })
+    } catch (error) {
+      console.error("❌ Error completing visit:", error)
+      toast.error(error.message || "Failed to complete visit", toastOptions)
+    } finally {
+      setCompletingIds((prev) => {
+        const next = new Set(prev)
+        next.delete(encounter.id)
+        return next
+      })
+    }
+  }
+
+  return (
+    <>
+      <Dialog open={open} onOpenChange={onOpenChange}>
+        <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto bg-white dark:bg-gray-800 border-0 shadow-2xl">
+          <DialogHeader>
+            <DialogTitle className="flex items-center text-gray-900 dark:text-gray-100">
+              <CalendarClock className="h-5 w-5 mr-2 text-blue-600" />
+              Visit History
+            </DialogTitle>
+            <DialogDescription className="text-gray-600 dark:text-gray-400">
+              {patient ? (
+                <>
+                  <strong>
+                    {patient.firstName} {patient.lastName}
+                  </strong>{" "}
+                  ({patient.patientId})
+                </>
+              ) : null}
+            </DialogDescription>
+          </DialogHeader>
+
+          {canRecord && (
+            <div className="flex justify-end">
+              <Button
+                size="sm"
+                onClick={() => openForm()}
+                className="bg-gradient-to-r from-blue-500 to-indigo-600 hover:from-blue-600 hover:to-indigo-700 text-white"
+              >
+                <Plus className="h-4 w-4 mr-1" />
+                Start Visit
+              </Button>
+            </div>
+          )}
+
+          {isLoading && encounters.length === 0 ? (
+            <div className="flex justify-center py-12">
+              <Loader2 className="h-8 w-8 animate-spin text-blue-600" />
+            </div>
+          ) : encounters.length === 0 ? (
+            <div className="text-center py-12 space-y-2">
+              <Stethoscope className="h-12 w-12 text-gray-300 dark:text-gray-600 mx-auto" />
+              <p className="text-gray-500 dark:text-gray-400">No visits recorded yet</p>
+            </div>
+          ) : (
+            <ol className="relative border-l-2 border-blue-100 dark:border-gray-700 ml-3 space-y-6">
+              {encounters.map((encounter) => {
+                const status = getEncounterStatus(encounter.status)
+                const vitals = formatVitals(encounter)
+                return (
+                  <li key={encounter.id} className="ml-6">
+                    <span className="absolute -left-[9px] mt-1.5 h-4 w-4 rounded-full border-2 border-white dark:border-gray-800 bg-blue-500" />
+                    <div className="p-4 rounded-lg bg-gray-50 dark:bg-gray-700/50 space-y-2">
+                      <div className="flex flex-wrap items-center justify-between gap-2">
+                        <div className="flex flex-wrap items-center gap-2">
+                          <span className="font-semibold text-gray-900 dark:text-gray-100">
+                            {formatDateTime(encounter.visitDate)}
+                          </span>
+                          <Badge className="border-0 bg-indigo-100 text-indigo-800 dark:bg-indigo-900 dark:text-indigo-300">
+                            {getEncounterTypeLabel(encounter.encounterType)}
+                          </Badge>
+                          <Badge className={`border-0 ${status.badgeClassName}`}>{status.label}</Badge>
+                        </div>
+                        {canRecord && (
+                          <div className="flex gap-1">
+                            {encounter.status === "in-progress" && (
+                              <Button
+                                variant="ghost"
+                                size="sm"
+                                onClick={() => handleComplete(encounter)}
+                                disabled={completingIds.has(encounter.id)}
+                                className="text-green-600 hover:text-green-700 hover:bg-green-50 dark:hover:bg-green-900/20"
+                              >
+                                {completingIds.has(encounter.id) ? (
+                                  <Loader2 className="h-4 w-4 mr-1 animate-spin" />
+                                ) : (
+                                  <CheckCircle className="h-4 w-4 mr-1" />
+                                )}
+                                Complete
+                              </Button>
+                            )}
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => openForm(encounter)}
+                              className="text-blue-500 hover:text-blue-700 hover:bg-blue-50 dark:hover:bg-blue-900/20"
+                            >
+                              <Edit className="h-4 w-4 mr-1" />
+                              Edit
+                            </Button>
+                          </div>
+                        )}
+                      </div>
+
+                      {encounter.provider && (
+                        <div className="flex items-center text-sm text-gray-600 dark:text-gray-400">
+                          <User className="h-3 w-3 mr-1" />
+                          {encounter.provider}
+                        </div>
+                      )}
+                      {encounter.chiefComplaint && (
+                        <p className="text-sm text-gray-800 dark:text-gray-200">
+                          <span className="font-medium">Chief complaint:</span> {encounter.chiefComplaint}
+                        </p>
+                      )}
+                      {vitals.length > 0 && (
+                        <div className="flex flex-wrap gap-1">
+                          {vitals.map((vital) => (
+                            <Badge
+                              key={vital}
+                              variant="outline"
+                              className="text-xs font-normal border-gray-200 dark:border-gray-600"
+                            >
+                              {vital}
+                            </Badge>
+                          ))}
+                        </div>
+                      )}
+                      {encounter.notes && (
+                        <p className="text-sm text-gray-600 dark:text-gray-400 whitespace-pre-wrap">{encounter.notes}</p>
+                      )}
+                    </div>
+                  </li>
+                )
+              })}
+            </ol>
+          )}
+        </DialogContent>
+      </Dialog>
+
+      <EncounterDialog
+        patient={patient}
+        encounter={editing}
+        open={isFormOpen}
+        onOpenChange={setIsFormOpen}
+        onSaved={upsertEncounter}
+      />
+    </>
+  )
+}
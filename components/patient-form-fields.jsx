@@ -0,0 +1,804 @@
+"use client"
+
+import { useEffect } from "react"
+import { useFieldArray } from "react-hook-form"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Textarea } from "@/components/ui/textarea"
+import { FormControl, FormDescription, FormField, FormItem, FormLabel, FormMessage } from "@/components/ui/form"
+import { DatePicker } from "@/components/date-picker"
+import { countryCodes } from "@/lib/patient-schema"
+import { ALLERGY_CATEGORIES, ALLERGY_SEVERITIES, COMMON_ALLERGENS, findAllergenCategory } from "@/lib/allergies"
+import { COMMON_FREQUENCIES, MEDICATION_ROUTES } from "@/lib/medications"
+import {
+  User,
+  Mail,
+  Phone,
+  MapPin,
+  Shield,
+  FileText,
+  UserCheck,
+  AlertTriangle,
+  Calendar,
+  Pill,
+  Plus,
+  Trash2,
+  X,
+} from "lucide-react"
+
+const NEW_ALLERGY = { allergen: "", category: "", severity: "unknown", reaction: "", onsetDate: undefined }
+const NEW_MEDICATION = {
+  drugName: "",
+  strength: "",
+  route: "",
+  frequency: "",
+  startDate: undefined,
+  stopDate: undefined,
+  prescriber: "",
+}
+
+// A date picker for a date that may be left empty, with a button to clear it again
+function OptionalDatePicker({ field, placeholder = "Unknown", clearTitle = "Clear date" }) {
+  return (
+    <div className="flex items-center gap-1">
+      <DatePicker date={field.value} setDate={field.onChange} placeholder={placeholder} />
+      {field.value && (
+        <Button type="button" variant="ghost" size="icon" onClick={() => field.onChange(undefined)} title={clearTitle}>
+          <X className="h-4 w-4" />
+        </Button>
+      )}
+    </div>
+  )
+}
+
+// Repeatable allergy entries. The allergen field suggests common allergens and fills in the
+// category of one it recognises.
+function AllergyEntries({ form }) {
+  // Entries carry their database id, so field keys go under another name
+  const { fields, append, remove } = useFieldArray({ control: form.control, name: "allergyRecords", keyName: "key" })
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <h4 className="text-sm font-medium flex items-center">
+          <AlertTriangle className="h-4 w-4 mr-1 text-orange-500" />
+          Allergies
+        </h4>
+        <Button
+          type="button"
+          variant="outline"
+          size="sm"
+          onClick={() => append(NEW_ALLERGY)}
+          className="border-0 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600"
+        >
+          <Plus className="h-4 w-4 mr-1" />
+          Add Allergy
+        </Button>
+      </div>
+
+      {fields.length === 0 && <p className="text-sm text-gray-500 dark:text-gray-400">No known allergies recorded.</p>}
+
+      <datalist id="common-allergens">
+        {COMMON_ALLERGENS.map((allergen) => (
+          <option key={allergen.name} value={allergen.name} />
+        ))}
+      </datalist>
+
+      {fields.map((item, index) => (
+        <div
+          key={item.key}
+          className="grid grid-cols-1 md:grid-cols-[2fr_1fr_1fr_auto] gap-3 p-3 rounded-lg bg-gray-50/60 dark:bg-gray-700/40"
+        >
+          <FormField
+            control={form.control}
+            name={`allergyRecords.${index}.allergen`}
+            render={({ field }) => (
+              <FormItem>
+                <FormLabel className="text-xs font-medium">Allergen *</FormLabel>
+                <FormControl>
+                  <Input
+                    placeholder="e.g. Penicillin"
+                    list="common-allergens"
+                    autoComplete="off"
+                    {...field}
+                    onChange={(e) => {
+                      field.onChange(e)
+                      const category = findAllergenCategory(e.target.value)
+                      if (category) form.setValue(`allergyRecords.${index}.category`, category, { shouldValidate: true })
+                    }}
+                    className="h-10 border-0 bg-white dark:bg-gray-700 focus:ring-2 focus:ring-blue-500 transition-all duration-300"
+                  />
+                </FormControl>
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+
+          <FormField
+            control={form.control}
+            name={`allergyRecords.${index}.category`}
+            render={({ field }) => (
+              <FormItem>
+                <FormLabel className="text-xs font-medium">Category *</FormLabel>
+                <Select onValueChange={field.onChange} value={field.value}>
+                  <FormControl>
+                    <SelectTrigger className="h-10 border-0 bg-white dark:bg-gray-700 focus:ring-2 focus:ring-blue-500 transition-all duration-300">
+                      <SelectValue placeholder="Select category" />
+                    </SelectTrigger>
+                  </FormControl>
+                  <SelectContent>
+                    {ALLERGY_CATEGORIES.map((category) => (
+                      <SelectItem key={category.value} value={category.value}>
+                        {category.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+
+          <FormField
+            control={form.control}
+            name={`allergyRecords.${index}.severity`}
+            render={({ field }) => (
+              <FormItem>
+                <FormLabel className="text-xs font-medium">Severity *</FormLabel>
+                <Select onValueChange={field.onChange} value={field.value}>
+                  <FormControl>
+                    <SelectTrigger className="h-10 border-0 bg-white dark:bg-gray-700 focus:ring-2 focus:ring-blue-500 transition-all duration-300">
+                      <SelectValue placeholder="Select severity" />
+                    </SelectTrigger>
+                  </FormControl>
+                  <SelectContent>
+                    {ALLERGY_SEVERITIES.map((severity) => (
+                      <SelectItem key={severity.value} value={severity.value}>
+                        {severity.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+
+          <Button
+            type="button"
+            variant="ghost"
+            size="icon"
+            onClick={() => remove(index)}
+            title="Remove allergy"
+            className="self-end text-red-500 hover:text-red-700 hover:bg-red-50 dark:hover:bg-red-900/20"
+          >
+            <Trash2 className="h-4 w-4" />
+          </Button>
+
+          <FormField
+            control={form.control}
+            name={`allergyRecords.${index}.reaction`}
+            render={({ field }) => (
+              <FormItem>
+                <FormLabel className="text-xs font-medium">Reaction</FormLabel>
+                <FormControl>
+                  <Input
+                    placeholder="e.g. Hives, anaphylaxis"
+                    {...field}
+                    className="h-10 border-0 bg-white dark:bg-gray-700 focus:ring-2 focus:ring-blue-500 transition-all duration-300"
+                  />
+                </FormControl>
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+
+          <FormField
+            control={form.control}
+            name={`allergyRecords.${index}.onsetDate`}
+            render={({ field }) => (
+              <FormItem className="md:col-span-2">
+                <FormLabel className="text-xs font-medium">Onset Date</FormLabel>
+                <OptionalDatePicker field={field} clearTitle="Clear onset date" />
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+        </div>
+      ))}
+    </div>
+  )
+}
+
+// Repeatable medication entries. The frequency field suggests the usual schedules.
+function MedicationEntries({ form }) {
+  const { fields, append, remove } = useFieldArray({ control: form.control, name: "medicationRecords", keyName: "key" })
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <h4 className="text-sm font-medium flex items-center">
+          <Pill className="h-4 w-4 mr-1 text-blue-500" />
+          Medications
+        </h4>
+        <Button
+          type="button"
+          variant="outline"
+          size="sm"
+          onClick={() => append(NEW_MEDICATION)}
+          className="border-0 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600"
+        >
+          <Plus className="h-4 w-4 mr-1" />
+          Add Medication
+        </Button>
+      </div>
+
+      {fields.length === 0 && <p className="text-sm text-gray-500 dark:text-gray-400">No medications recorded.</p>}
+
+      <datalist id="common-frequencies">
+        {COMMON_FREQUENCIES.map((frequency) => (
+          <option key={frequency} value={frequency} />
+        ))}
+      </datalist>
+
+      {fields.map((item, index) => (
+        <div
+          key={item.key}
+          className="grid grid-cols-1 md:grid-cols-[2fr_1fr_1fr_auto] gap-3 p-3 rounded-lg bg-gray-50/60 dark:bg-gray-700/40"
+        >
+          <FormField
+            control={form.control}
+            name={`medicationRecords.${index}.drugName`}
+            render={({ field }) => (
+              <FormItem>
+                <FormLabel className="text-xs font-medium">Drug Name *</FormLabel>
+                <FormControl>
+                  <Input
+                    placeholder="e.g. Metformin"
+                    autoComplete="off"
+                    {...field}
+                    className="h-10 border-0 bg-white dark:bg-gray-700 focus:ring-2 focus:ring-blue-500 transition-all duration-300"
+                  />
+                </FormControl>
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+
+          <FormField
+            control={form.control}
+            name={`medicationRecords.${index}.strength`}
+            render={({ field }) => (
+              <FormItem>
+                <FormLabel className="text-xs font-medium">Strength</FormLabel>
+                <FormControl>
+                  <Input
+                    placeholder="e.g. 500 mg"
+                    {...field}
+                    className="h-10 border-0 bg-white dark:bg-gray-700 focus:ring-2 focus:ring-blue-500 transition-all duration-300"
+                  />
+                </FormControl>
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+
+          <FormField
+            control={form.control}
+            name={`medicationRecords.${index}.route`}
+            render={({ field }) => (
+              <FormItem>
+                <FormLabel className="text-xs font-medium">Route</FormLabel>
+                <Select onValueChange={field.onChange} value={field.value}>
+                  <FormControl>
+                    <SelectTrigger className="h-10 border-0 bg-white dark:bg-gray-700 focus:ring-2 focus:ring-blue-500 transition-all duration-300">
+                      <SelectValue placeholder="Select route" />
+                    </SelectTrigger>
+                  </FormControl>
+                  <SelectContent>
+                    {MEDICATION_ROUTES.map((route) => (
+                      <SelectItem key={route.value} value={route.value}>
+                        {route.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+
+          <Button
+            type="button"
+            variant="ghost"
+            size="icon"
+            onClick={() => remove(index)}
+            title="Remove medication"
+            className="self-end text-red-500 hover:text-red-700 hover:bg-red-50 dark:hover:bg-red-900/20"
+          >
+            <Trash2 className="h-4 w-4" />
+          </Button>
+
+          <FormField
+            control={form.control}
+            name={`medicationRecords.${index}.frequency`}
+            render={({ field }) => (
+              <FormItem>
+                <FormLabel className="text-xs font-medium">Frequency</FormLabel>
+                <FormControl>
+                  <Input
+                    placeholder="e.g. Twice daily"
+                    list="common-frequencies"
+                    autoComplete="off"
+                    {...field}
+                    className="h-10 border-0 bg-white dark:bg-gray-700 focus:ring-2 focus:ring-blue-500 transition-all duration-300"
+                  />
+                </FormControl>
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+
+          <FormField
+            control={form.control}
+            name={`medicationRecords.${index}.startDate`}
+            render={({ field }) => (
+              <FormItem>
+                <FormLabel className="text-xs font-medium">Start Date</FormLabel>
+                <OptionalDatePicker field={field} placeholder="Unknown" clearTitle="Clear start date" />
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+
+          <FormField
+            control={form.control}
+            name={`medicationRecords.${index}.stopDate`}
+            render={({ field }) => (
+              <FormItem>
+                <FormLabel className="text-xs font-medium">Stop Date</FormLabel>
+                <OptionalDatePicker field={field} placeholder="Still taking" clearTitle="Clear stop date" />
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+
+          <FormField
+            control={form.control}
+            name={`medicationRecords.${index}.prescriber`}
+            render={({ field }) => (
+              <FormItem>
+                <FormLabel className="text-xs font-medium">Prescriber</FormLabel>
+                <FormControl>
+                  <Input
+                    placeholder="e.g. Dr. Smith"
+                    {...field}
+                    className="h-10 border-0 bg-white dark:bg-gray-700 focus:ring-2 focus:ring-blue-500 transition-all duration-300"
+                  />
+                </FormControl>
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+        </div>
+      ))}
+    </div>
+  )
+}
+
+// All patient form sections, shared by the registration form and the edit dialog.
+// Must be rendered inside a <Form> bound to a react-hook-form instance using patientSchema.
+// canEditDetails / canEditMedical disable the non-medical and medical sections respectively.
+export default function PatientFormFields({ form, canEditDetails = true, canEditMedical = true }) {
+  // Auto-calculate age when date of birth changes
+  const watchDateOfBirth = form.watch("dateOfBirth")
+  useEffect(() => {
+    if (watchDateOfBirth) {
+      const today = new Date()
+      const birthDate = new Date(watchDateOfBirth)
+      let age = today.getFullYear() - birthDate.getFullYear()
+      const monthDiff = today.getMonth() - birthDate.getMonth()
+
+      if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate())) {
+        age--
+      }
+
+      if (age >= 0 && age <= 150) {
+        form.setValue("age", age.toString())
+      }
+    }
+  }, [watchDateOfBirth, form])
+
+  return (
+    <>
+      <fieldset disabled={!canEditDetails} className="space-y-6 min-w-0 disabled:opacity-60">
+        {/* Personal Information Section */}
+        <div className="space-y-4">
+          <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-200 flex items-center">
+            <User className="h-5 w-5 mr-2 text-blue-600" />
+            Personal Information
+          </h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <FormField
+              control={form.control}
+              name="firstName"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel className="text-sm font-medium">First Name *</FormLabel>
+                  <FormControl>
+                    <Input
+                      placeholder="John"
+                      {...field}
+                      className="h-11 border-0 bg-gray-50 dark:bg-gray-700 focus:ring-2 focus:ring-blue-500 transition-all duration-300"
+                    />
+                  </FormControl>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+
+            <FormField
+              control={form.control}
+              name="lastName"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel className="text-sm font-medium">Last Name *</FormLabel>
+                  <FormControl>
+                    <Input
+                      placeholder="Doe"
+                      {...field}
+                      className="h-11 border-0 bg-gray-50 dark:bg-gray-700 focus:ring-2 focus:ring-blue-500 transition-all duration-300"
+                    />
+                  </FormControl>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+
+            <FormField
+              control={form.control}
+              name="dateOfBirth"
+              render={({ field }) => (
+                <FormItem className="flex flex-col">
+                  <FormLabel className="text-sm font-medium">Date of Birth *</FormLabel>
+                  <DatePicker date={field.value} setDate={field.onChange} />
+                  <FormDescription className="text-xs">Age will be calculated automatically</FormDescription>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+
+            <FormField
+              control={form.control}
+              name="age"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel className="text-sm font-medium">Age *</FormLabel>
+                  <FormControl>
+                    <div className="relative">
+                      <Calendar className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+                      <Input
+                        placeholder=""
+                        {...field}
+                        type="number"
+                        min="0"
+                        max="150"
+                        className="pl-10 h-11 border-0 bg-gray-50 dark:bg-gray-700 focus:ring-2 focus:ring-blue-500 transition-all duration-300"
+                      />
+                    </div>
+                  </FormControl>
+                  <FormDescription className="text-xs">Auto-filled from date of birth</FormDescription>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+
+            <FormField
+              control={form.control}
+              name="gender"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel className="text-sm font-medium">Gender *</FormLabel>
+                  <Select onValueChange={field.onChange} value={field.value}>
+                    <FormControl>
+                      <SelectTrigger className="h-11 border-0 bg-gray-50 dark:bg-gray-700 focus:ring-2 focus:ring-blue-500 transition-all duration-300">
+                        <SelectValue placeholder="Select gender" />
+                      </SelectTrigger>
+                    </FormControl>
+                    <SelectContent>
+                      <SelectItem value="male">Male</SelectItem>
+                      <SelectItem value="female">Female</SelectItem>
+                      <SelectItem value="other">Other</SelectItem>
+                      <SelectItem value="prefer-not-to-say">Prefer not to say</SelectItem>
+                    </SelectContent>
+                  </Select>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+          </div>
+        </div>
+
+        {/* Contact Information Section */}
+        <div className="space-y-4">
+          <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-200 flex items-center">
+            <Mail className="h-5 w-5 mr-2 text-blue-600" />
+            Contact Information
+          </h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <FormField
+              control={form.control}
+              name="email"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel className="text-sm font-medium">Email *</FormLabel>
+                  <FormControl>
+                    <div className="relative">
+                      <Mail className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+                      <Input
+                        type="email"
+                        placeholder="john.doe@example.com"
+                        {...field}
+                        className="pl-10 h-11 border-0 bg-gray-50 dark:bg-gray-700 focus:ring-2 focus:ring-blue-500 transition-all duration-300"
+                      />
+                    </div>
+                  </FormControl>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+
+            <div className="space-y-2">
+              <FormLabel className="text-sm font-medium">Mobile Number *</FormLabel>
+              <div className="flex gap-2">
+                <FormField
+                  control={form.control}
+                  name="countryCode"
+                  render={({ field }) => (
+                    <FormItem className="w-32">
+                      <Select onValueChange={field.onChange} value={field.value}>
+                        <FormControl>
+                          <SelectTrigger className="h-11 border-0 bg-gray-50 dark:bg-gray-700 focus:ring-2 focus:ring-blue-500 transition-all duration-300">
+                            <SelectValue placeholder="Code" />
+                          </SelectTrigger>
+                        </FormControl>
+                        <SelectContent>
+                          {countryCodes.map((country) => (
+                            <SelectItem key={country.code} value={country.code}>
+                              <div className="flex items-center space-x-2">
+                                <span>{country.flag}</span>
+                                <span>{country.code}</span>
+                              </div>
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+
+                <FormField
+                  control={form.control}
+                  name="mobileNumber"
+                  render={({ field }) => (
+                    <FormItem className="flex-1">
+                      <FormControl>
+                        <div className="relative">
+                          <Phone className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+                          <Input
+                            {...field}
+                            maxLength={10}
+                            className="pl-10 h-11 border-0 bg-gray-50 dark:bg-gray-700 focus:ring-2 focus:ring-blue-500 transition-all duration-300"
+                            onChange={(e) => {
+                              // Only allow digits
+                              const value = e.target.value.replace(/\D/g, "")
+                              field.onChange(value)
+                            }}
+                          />
+                        </div>
+                      </FormControl>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+              </div>
+              <FormDescription className="text-xs">
+                Enter 10-digit mobile number without country code
+              </FormDescription>
+            </div>
+          </div>
+
+          <FormField
+            control={form.control}
+            name="address"
+            render={({ field }) => (
+              <FormItem>
+                <FormLabel className="text-sm font-medium">Address *</FormLabel>
+                <FormControl>
+                  <div className="relative">
+                    <MapPin className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+                    <Textarea
+                      placeholder="123 Main St, City, State, ZIP"
+                      {...field}
+                      className="pl-10 min-h-[80px] border-0 bg-gray-50 dark:bg-gray-700 focus:ring-2 focus:ring-blue-500 transition-all duration-300 resize-none"
+                    />
+                  </div>
+                </FormControl>
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+        </div>
+
+        {/* Emergency Contact Section */}
+        <div className="space-y-4">
+          <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-200 flex items-center">
+            <UserCheck className="h-5 w-5 mr-2 text-blue-600" />
+            Emergency Contact
+          </h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <FormField
+              control={form.control}
+              name="emergencyContactName"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel className="text-sm font-medium">Emergency Contact Name</FormLabel>
+                  <FormControl>
+                    <Input
+                      placeholder="Jane Doe"
+                      {...field}
+                      className="h-11 border-0 bg-gray-50 dark:bg-gray-700 focus:ring-2 focus:ring-blue-500 transition-all duration-300"
+                    />
+                  </FormControl>
+                  <FormDescription className="text-xs">Optional</FormDescription>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+
+            <FormField
+              control={form.control}
+              name="emergencyContactPhone"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel className="text-sm font-medium">Emergency Contact Phone</FormLabel>
+                  <FormControl>
+                    <div className="relative">
+                      <Phone className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+                      <Input
+                        placeholder="+91"
+                        {...field}
+                        className="pl-10 h-11 border-0 bg-gray-50 dark:bg-gray-700 focus:ring-2 focus:ring-blue-500 transition-all duration-300"
+                      />
+                    </div>
+                  </FormControl>
+                  <FormDescription className="text-xs">Optional (include country code)</FormDescription>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+          </div>
+        </div>
+
+        {/* Insurance Information Section */}
+        <div className="space-y-4">
+          <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-200 flex items-center">
+            <Shield className="h-5 w-5 mr-2 text-blue-600" />
+            Insurance Information
+          </h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <FormField
+              control={form.control}
+              name="insuranceProvider"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel className="text-sm font-medium">Insurance Provider</FormLabel>
+                  <FormControl>
+                    <Input
+                      placeholder="Insurance Company"
+                      {...field}
+                      className="h-11 border-0 bg-gray-50 dark:bg-gray-700 focus:ring-2 focus:ring-blue-500 transition-all duration-300"
+                    />
+                  </FormControl>
+                  <FormDescription className="text-xs">Optional</FormDescription>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+
+            <FormField
+              control={form.control}
+              name="insurancePolicyNumber"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel className="text-sm font-medium">Insurance Policy Number</FormLabel>
+                  <FormControl>
+                    <Input
+                      placeholder="Policy Number"
+                      {...field}
+                      className="h-11 border-0 bg-gray-50 dark:bg-gray-700 focus:ring-2 focus:ring-blue-500 transition-all duration-300"
+                    />
+                  </FormControl>
+                  <FormDescription className="text-xs">Optional</FormDescription>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+          </div>
+        </div>
+      </fieldset>
+
+      {/* Medical Information Section */}
+      <fieldset disabled={!canEditMedical} className="space-y-4 min-w-0 disabled:opacity-60">
+        <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-200 flex items-center">
+          <FileText className="h-5 w-5 mr-2 text-blue-600" />
+          Medical Information
+        </h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <FormField
+            control={form.control}
+            name="medicalHistory"
+            render={({ field }) => (
+              <FormItem>
+                <FormLabel className="text-sm font-medium">Medical History</FormLabel>
+                <FormControl>
+                  <Textarea
+                    placeholder="Previous surgeries, chronic conditions, etc."
+                    className="min-h-[100px] border-0 bg-gray-50 dark:bg-gray-700 focus:ring-2 focus:ring-blue-500 transition-all duration-300 resize-none"
+                    {...field}
+                  />
+                </FormControl>
+                <FormDescription className="text-xs">Optional</FormDescription>
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+
+          <FormField
+            control={form.control}
+            name="allergies"
+            render={({ field }) => (
+              <FormItem>
+                <FormLabel className="text-sm font-medium">Allergy Notes</FormLabel>
+                <FormControl>
+                  <Textarea
+                    placeholder="Anything about the patient's allergies that doesn't fit the entries below"
+                    className="min-h-[100px] border-0 bg-gray-50 dark:bg-gray-700 focus:ring-2 focus:ring-blue-500 transition-all duration-300 resize-none"
+                    {...field}
+                  />
+                </FormControl>
+                <FormDescription className="text-xs">Optional. Record each allergen as an entry below.</FormDescription>
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+        </div>
+
+        <AllergyEntries form={form} />
+
+        <MedicationEntries form={form} />
+
+        <FormField
+          control={form.control}
+          name="currentMedications"
+          render={({ field }) => (
+            <FormItem>
+              <FormLabel className="text-sm font-medium">Medication Notes</FormLabel>
+              <FormControl>
+                <Textarea
+                  placeholder="Anything about the patient's medications that doesn't fit the entries above"
+                  className="min-h-[80px] border-0 bg-gray-50 dark:bg-gray-700 focus:ring-2 focus:ring-blue-500 transition-all duration-300 resize-none"
+                  {...field}
+                />
+              </FormControl>
+              <FormDescription className="text-xs">Optional. Record each medication as an entry above.</FormDescription>
+              <FormMessage />
+            </FormItem>
+          )}
+        />
+      </fieldset>
+    </>
+  )
+}
@@ -0,0 +1,276 @@
+"use client"
+
+import { useState } from "react"
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table"
+import { importPatients } from "@/lib/database"
+import { parseCsvWithHeaders } from "@/lib/csv"
+import { IMPORT_FIELDS, IMPORT_DATE_FORMATS, guessColumnMapping, validateImportRows } from "@/lib/patient-import"
+import { Upload, FileSpreadsheet, Loader2, CheckCircle, AlertTriangle, ArrowLeft } from "lucide-react"
+import { toast } from "react-toastify"
+
+const toastOptions = {
+  position: "top-right",
+  autoClose: 3000,
+  hideProgressBar: true,
+  closeOnClick: true,
+  pauseOnHover: false,
+  draggable: false,
+  className: "text-sm",
+}
+
+const STEP_DESCRIPTIONS = {
+  upload: "Choose a CSV file with a header row. Quoted fields may contain commas and line breaks.",
+  map: "Choose the column that holds each patient field. Fields marked * are required.",
+  review: "Rows with errors are skipped. Fix them in the file and import it again to add them later.",
+}
+
+// Three-step wizard for bulk importing patients: upload a CSV file, map its columns to patient
+// fields, then review the validation report and import the valid rows in one transaction
+export default function PatientImportDialog({ open, onOpenChange, onImported }) {
+  const [step, setStep] = useState("upload") // "upload", "map" or "review"
+  const [fileName, setFileName] = useState("")
+  const [headers, setHeaders] = useState([])
+  const [rows, setRows] = useState([])
+  const [mapping, setMapping] = useState({})
+  const [dateFormat, setDateFormat] = useState(IMPORT_DATE_FORMATS[0].value)
+  const [results, setResults] = useState([])
+  const [isWorking, setIsWorking] = useState(false)
+
+  const reset = () => {
+    setStep("upload")
+    setFileName("")
+    setHeaders([])
+    setRows([])
+    setMapping({})
+    setResults([])
+  }
+
+  const handleOpenChange = (nextOpen) => {
+    if (isWorking) return
+    if (!nextOpen) reset()
+    onOpenChange(nextOpen)
+  }
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ""
+    if (!file) return
+
+    try {
+      const parsed = parseCsvWithHeaders(await file.text())
+      if (parsed.headers.length === 0 || parsed.rows.length === 0) {
+        throw new Error("The file has no data rows")
+      }
+
+      setFileName(file.name)
+      setHeaders(parsed.headers)
+      setRows(parsed.rows)
+      setMapping(guessColumnMapping(parsed.headers))
+      setStep("map")
+    } catch (error) {
+      console.error("Error reading CSV file:", error)
+      toast.error(`Couldn't read ${file.name}: ${error.message}`, toastOptions)
+    }
+  }
+
+  const handleMappingChange = (field, value) => {
+    setMapping((prev) => {
+      const next = { ...prev }
+      if (value === "") {
+        delete next[field]
+      } else {
+        next[field] = Number.parseInt(value)
+      }
+      return next
+    })
+  }
+
+  const missingRequired = IMPORT_FIELDS.filter(({ field, required }) => required && mapping[field] === undefined)
+
+  const handleValidate = () => {
+    setResults(validateImportRows(rows, mapping, dateFormat))
+    setStep("review")
+  }
+
+  const validPatients = results.filter((result) => result.patient).map((result) => result.patient)
+  const invalidCount = results.length - validPatients.length
+
+  const handleImport = async () => {
+    setIsWorking(true)
+    try {
+      const imported = await importPatients(validPatients)
+      toast.success(`Imported ${imported.length} patient${imported.length === 1 ? "" : "s"}`, toastOptions)
+      onImported?.(imported)
+      reset()
+      onOpenChange(false)
+    } catch (error) {
+      console.error("❌ Error importing patients:", error)
+      toast.error(error.message, toastOptions)
+    } finally {
+      setIsWorking(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto bg-white dark:bg-gray-800 border-0 shadow-2xl">
+        <DialogHeader>
+          <DialogTitle className="text-gray-900 dark:text-gray-100">
+            Import Patients{fileName && <span className="font-normal text-gray-500"> - {fileName}</span>}
+          </DialogTitle>
+          <DialogDescription className="text-gray-600 dark:text-gray-400">{STEP_DESCRIPTIONS[step]}</DialogDescription>
+        </DialogHeader>
+
+        {step === "upload" && (
+          <label className="flex flex-col items-center justify-center gap-3 py-12 rounded-lg border-2 border-dashed border-gray-300 dark:border-gray-600 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors duration-200">
+            <FileSpreadsheet className="h-12 w-12 text-gray-400" />
+            <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Click to choose a CSV file</span>
+            <input type="file" accept=".csv,text/csv" onChange={handleFileChange} className="hidden" />
+          </label>
+        )}
+
+        {step === "map" && (
+          <div className="space-y-4">
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-3">
+              {IMPORT_FIELDS.map(({ field, label, required }) => (
+                <label key={field} className="flex items-center justify-between gap-3 text-sm">
+                  <span className="font-medium text-gray-700 dark:text-gray-300">
+                    {label}
+                    {required && " *"}
+                  </span>
+                  <select
+                    value={mapping[field] ?? ""}
+                    onChange={(e) => handleMappingChange(field, e.target.value)}
+                    className="w-48 h-9 px-2 border-0 bg-gray-50 dark:bg-gray-700 rounded-md focus:ring-2 focus:ring-blue-500 text-sm"
+                  >
+                    <option value="">Not imported</option>
+                    {headers.map((header, index) => (
+                      <option key={index} value={index}>
+                        {header || `Column ${index + 1}`}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+
+            <label className="flex items-center gap-3 text-sm pt-2 border-t border-gray-200 dark:border-gray-700">
+              <span className="font-medium text-gray-700 dark:text-gray-300">Dates are written as</span>
+              <select
+                value={dateFormat}
+                onChange={(e) => setDateFormat(e.target.value)}
+                className="h-9 px-2 border-0 bg-gray-50 dark:bg-gray-700 rounded-md focus:ring-2 focus:ring-blue-500 text-sm"
+              >
+                {IMPORT_DATE_FORMATS.map((format) => (
+                  <option key={format.value} value={format.value}>
+                    {format.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            {missingRequired.length > 0 && (
+              <p className="flex items-center gap-1 text-sm text-amber-600 dark:text-amber-400">
+                <AlertTriangle className="h-4 w-4" />
+                Choose a column for {missingRequired.map(({ label }) => label).join(", ")}.
+              </p>
+            )}
+          </div>
+        )}
+
+        {step === "review" && (
+          <div className="space-y-4">
+            <div className="flex flex-wrap gap-2">
+              <Badge className="bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300 border-0">
+                {validPatients.length} ready to import
+              </Badge>
+              {invalidCount > 0 && (
+                <Badge className="bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300 border-0">
+                  {invalidCount} with errors
+                </Badge>
+              )}
+            </div>
+
+            <div className="rounded-lg overflow-hidden shadow bg-white dark:bg-gray-800 max-h-[50vh] overflow-y-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow className="bg-gray-50 dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700">
+                    <TableHead className="w-16 font-semibold text-gray-700 dark:text-gray-300">Line</TableHead>
+                    <TableHead className="font-semibold text-gray-700 dark:text-gray-300">Patient</TableHead>
+                    <TableHead className="font-semibold text-gray-700 dark:text-gray-300">Status</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {results.map((result) => (
+                    <TableRow key={result.line}>
+                      <TableCell className="font-mono text-xs text-gray-500">{result.line}</TableCell>
+                      <TableCell className="text-sm">
+                        <div className="font-medium text-gray-900 dark:text-gray-100">
+                          {result.values.firstName} {result.values.lastName}
+                        </div>
+                        <div className="text-gray-500 dark:text-gray-400">{result.values.email}</div>
+                      </TableCell>
+                      <TableCell className="text-sm">
+                        {result.patient ? (
+                          <span className="flex items-center text-green-600 dark:text-green-400">
+                            <CheckCircle className="h-4 w-4 mr-1" />
+                            Ready
+                          </span>
+                        ) : (
+                          <ul className="space-y-1 text-red-600 dark:text-red-400">
+                            {result.errors.map((error, index) => (
+                              <li key={index}>{error}</li>
+                            ))}
+                          </ul>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          </div>
+        )}
+
+        <DialogFooter className="gap-2">
+          {step !== "upload" && (
+            <Button
+              type="button"
+              variant="outline"
+              onClick={() => setStep(step === "review" ? "map" : "upload")}
+              disabled={isWorking}
+              className="border-0 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600"
+            >
+              <ArrowLeft className="h-4 w-4 mr-2" />
+              Back
+            </Button>
+          )}
+          {step === "map" && (
+            <Button
+              type="button"
+              onClick={handleValidate}
+              disabled={missingRequired.length > 0}
+              className="bg-gradient-to-r from-blue-500 to-indigo-600 hover:from-blue-600 hover:to-indigo-700 text-white"
+            >
+              Check {rows.length} Row{rows.length === 1 ? "" : "s"}
+            </Button>
+          )}
+          {step === "review" && (
+            <Button
+              type="button"
+              onClick={handleImport}
+              disabled={isWorking || validPatients.length === 0}
+              className="bg-gradient-to-r from-green-500 to-emerald-600 hover:from-green-600 hover:to-emerald-700 text-white"
+            >
+              {isWorking ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Upload className="h-4 w-4 mr-2" />}
+              Import {validPatients.length} Patient{validPatients.length === 1 ? "" : "s"}
+            </Button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -6,7 +6,35 @@ import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@
 import { Input } from "@/components/ui/input"
 import { Button } from "@/components/ui/button"
 import { Badge } from "@/components/ui/badge"
-import { getAllPatients, deletePatient } from "@/lib/database"
+import {
+  getAllPatients,
+  deletePatient,
+  getDeletedPatients,
+  restorePatient,
+  purgePatient,
+  purgeExpiredPatients,
+  getTrashRetentionDays,
+  DEFAULT_TRASH_RETENTION_DAYS,
+} from "@/lib/database"
+import PatientEditDialog from "@/components/patient-edit-dialog"
+import PatientTrash from "@/components/patient-trash"
+import PatientDuplicates from "@/components/patient-duplicates"
+import PatientImportDialog from "@/components/patient-import-dialog"
+import CsvExportDialog from "@/components/csv-export-dialog"
+import FhirImportDialog from "@/components/fhir-import-dialog"
+import PatientMedications from "@/components/patient-medications"
+import PatientEncounters from "@/components/patient-encounters"
+import AppointmentDialog from "@/components/appointment-dialog"
+import EncounterDialog from "@/components/encounter-dialog"
+import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger } from "@/components/ui/dropdown-menu"
+import { useAuth } from "@/components/auth-wrapper"
+import { PERMISSIONS, hasPermission, canEditPatients } from "@/lib/permissions"
+import { ENCRYPTED_PATIENT_FIELDS } from "@/lib/encryption"
+import { SYNC_EVENTS, isOwnMessage, useSyncEvents } from "@/lib/sync"
+import { hasValidCheckDigit } from "@/lib/patient-ids"
+import { toFhirBundle, downloadFhirJson } from "@/lib/fhir"
+import { getAllergySeverity, getAllergyCategoryLabel, sortAllergies, formatAllergyRecord } from "@/lib/allergies"
+import { sortMedications, formatMedicationRecord } from "@/lib/medications"
 import {
   AlertDialog,
   AlertDialogAction,
@@ -22,6 +50,7 @@ import {
   Download,
   Search,
   Trash2,
+  Pencil,
   Users,
   Filter,
   Calendar,
@@ -32,64 +61,42 @@ import {
   UserCheck,
   AlertTriangle,
   BadgeIcon as IdCard,
+  GitMerge,
+  Upload,
+  FileJson,
+  ChevronDown,
+  CalendarClock,
+  CalendarPlus,
+  Stethoscope,
 } from "lucide-react"
 import { toast } from "react-toastify"
 
-// Global broadcast channel manager to prevent multiple instances
-let globalChannel = null
-const channelListeners = new Set()
-
-function getBroadcastChannel() {
-  if (!("BroadcastChannel" in window)) {
-    console.warn("⚠️ BroadcastChannel not supported")
-    return null
-  }
-
-  if (!globalChannel || globalChannel.readyState === "closed") {
-    try {
-      globalChannel = new BroadcastChannel("patient_updates")
-      console.log("🔄 Created new global broadcast channel")
-    } catch (error) {
-      console.error("Failed to create broadcast channel:", error)
-      return null
-    }
-  }
-
-  return globalChannel
-}
-
-function addChannelListener(listener) {
-  const channel = getBroadcastChannel()
-  if (channel && !channelListeners.has(listener)) {
-    channel.addEventListener("message", listener)
-    channelListeners.add(listener)
-    console.log("✅ Added broadcast listener")
-  }
-}
-
-function removeChannelListener(listener) {
-  const channel = getBroadcastChannel()
-  if (channel && channelListeners.has(listener)) {
-    channel.removeEventListener("message", listener)
-    channelListeners.delete(listener)
-    console.log("🧹 Removed broadcast listener")
-  }
-}
-
-function sendBroadcastMessage(message) {
-  const channel = getBroadcastChannel()
-  if (channel) {
-    try {
-      channel.postMessage(message)
-      console.log("📤 Broadcast message sent:", message.type)
-      return true
-    } catch (error) {
-      console.error("Failed to send broadcast message:", error)
-      return false
-    }
-  }
-  return false
-}
+// Columns offered when exporting patients, with the headers written to the file
+const EXPORT_COLUMNS = [
+  { key: "patientId", label: "Patient ID" },
+  { key: "firstName", label: "First Name" },
+  { key: "lastName", label: "Last Name" },
+  { key: "dateOfBirth", label: "Date of Birth" },
+  { key: "age", label: "Age" },
+  { key: "gender", label: "Gender" },
+  { key: "email", label: "Email" },
+  { key: "phone", label: "Phone" },
+  { key: "address", label: "Address" },
+  { key: "emergencyContactName", label: "Emergency Contact Name" },
+  { key: "emergencyContactPhone", label: "Emergency Contact Phone" },
+  { key: "medicalHistory", label: "Medical History" },
+  { key: "allergyList", label: "Allergies" },
+  { key: "allergies", label: "Allergy Notes" },
+  { key: "medicationList", label: "Medications" },
+  { key: "currentMedications", label: "Medication Notes" },
+  { key: "medicationsReviewedAt", label: "Medications Reviewed At", selected: false },
+  { key: "medicationsReviewedBy", label: "Medications Reviewed By", selected: false },
+  { key: "insuranceProvider", label: "Insurance Provider" },
+  { key: "insurancePolicyNumber", label: "Insurance Policy Number" },
+  { key: "mergedIds", label: "Merged Patient IDs", selected: false },
+  { key: "createdAt", label: "Registered At", selected: false },
+  { key: "updatedAt", label: "Updated At", selected: false },
+]
 
 export default function PatientList() {
   const [patients, setPatients] = useState([])
@@ -98,93 +105,107 @@ export default function PatientList() {
   const [isRefreshing, setIsRefreshing] = useState(false)
   const [filterGender, setFilterGender] = useState("all")
   const [deletingIds, setDeletingIds] = useState(new Set())
-
-  // Memoized message handler to prevent recreating on every render
-  const handleBroadcastMessage = useCallback((event) => {
-    console.log("📨 PATIENT LIST RECEIVED:", event.data)
-
-    if (event.data.type === "ADD_PATIENT" && event.data.patient) {
-      console.log("➕ ADDING PATIENT TO LIST")
-
-      setPatients((prevPatients) => {
-        // Check if patient already exists
-        const exists = prevPatients.some((p) => p.id === event.data.patient.id || p.email === event.data.patient.email)
-        if (exists) {
-          console.log("⚠️ Patient already exists, skipping")
-          return prevPatients
-        }
-
-        console.log("✅ PATIENT ADDED TO LIST:", event.data.patient.firstName, event.data.patient.lastName)
-
-        // Schedule notification for next tick to avoid render-during-render
-        setTimeout(() => {
-          toast.info(`${event.data.patient.firstName} ${event.data.patient.lastName} was registered in another tab`, {
-            position: "top-right",
-            autoClose: 2000,
-            hideProgressBar: true,
-            closeOnClick: true,
-            pauseOnHover: false,
-            draggable: false,
-            className: "text-sm",
-          })
-        }, 0)
-
-        // Add to beginning of array
-        return [event.data.patient, ...prevPatients]
-      })
+  const [editingPatient, setEditingPatient] = useState(null)
+  const [visitPatient, setVisitPatient] = useState(null)
+  const [timelinePatient, setTimelinePatient] = useState(null)
+  const [bookingPatient, setBookingPatient] = useState(null)
+  const [isImportOpen, setIsImportOpen] = useState(false)
+  const [isExportOpen, setIsExportOpen] = useState(false)
+  const [isFhirImportOpen, setIsFhirImportOpen] = useState(false)
+  const [view, setView] = useState("records") // "records", "trash" or "duplicates"
+  const [deletedPatients, setDeletedPatients] = useState([])
+  const [trashBusyIds, setTrashBusyIds] = useState(new Set())
+  const [retentionDays, setRetentionDays] = useState(null) // loaded from the settings on mount
+  const { user } = useAuth()
+  const canEdit = canEditPatients(user)
+  const canDelete = hasPermission(user, PERMISSIONS.DELETE_PATIENT)
+  const canMerge = hasPermission(user, PERMISSIONS.MERGE_PATIENTS)
+  const canImport = hasPermission(user, PERMISSIONS.REGISTER_PATIENT)
+  const canReconcile = hasPermission(user, PERMISSIONS.EDIT_MEDICAL)
+  const canRecordVisits = hasPermission(user, PERMISSIONS.RECORD_ENCOUNTERS)
+  const canBookAppointments = hasPermission(user, PERMISSIONS.MANAGE_APPOINTMENTS)
+
+  // Apply changes made in other tabs (or through SQL); this tab's own changes are already in state
+  useSyncEvents((message) => {
+    if (isOwnMessage(message)) return
+    console.log("📨 PATIENT LIST RECEIVED:", message.type)
+
+    // Bulk changes, or a record this tab couldn't read when the notification arrived
+    if (message.type === SYNC_EVENTS.PATIENTS_IMPORTED || (message.type !== SYNC_EVENTS.PATIENT_PURGED && !message.patient)) {
+      loadPatients()
+      loadDeletedPatients()
+      return
     }
 
-    if (event.data.type === "DELETE_PATIENT" && event.data.patientId) {
-      console.log("➖ REMOVING PATIENT FROM LIST")
-
-      setPatients((prevPatients) => {
-        const filtered = prevPatients.filter((p) => p.id !== event.data.patientId)
-
-        if (filtered.length !== prevPatients.length) {
-          console.log("✅ PATIENT REMOVED FROM LIST")
-
-          // Schedule notification for next tick to avoid render-during-render
-          if (event.data.patientName) {
-            setTimeout(() => {
-              toast.info(`${event.data.patientName} was deleted in another tab`, {
-                position: "top-right",
-                autoClose: 2000,
-                hideProgressBar: true,
-                closeOnClick: true,
-                pauseOnHover: false,
-                draggable: false,
-                className: "text-sm",
-              })
-            }, 0)
-          }
-        }
-
-        return filtered
-      })
+    const notify = (text) => {
+      // Schedule notification for next tick to avoid render-during-render
+      setTimeout(() => {
+        toast.info(text, {
+          position: "top-right",
+          autoClose: 2000,
+          hideProgressBar: true,
+          closeOnClick: true,
+          pauseOnHover: false,
+          draggable: false,
+          className: "text-sm",
+        })
+      }, 0)
     }
-  }, [])
 
-  // Set up broadcast listener
-  useEffect(() => {
-    console.log("🔄 Setting up patient list broadcast listener...")
+    switch (message.type) {
+      case SYNC_EVENTS.PATIENT_ADDED: {
+        const { patient } = message
+        setPatients((prevPatients) => {
+          if (prevPatients.some((p) => p.id === patient.id)) return prevPatients
 
-    addChannelListener(handleBroadcastMessage)
+          notify(`${patient.firstName} ${patient.lastName} was registered in another tab`)
+          return [patient, ...prevPatients]
+        })
+        break
+      }
 
-    // Send ready signal after a short delay
-    setTimeout(() => {
-      sendBroadcastMessage({
-        type: "TAB_READY",
-        source: "patient-list",
-        timestamp: Date.now(),
-      })
-    }, 100)
+      case SYNC_EVENTS.PATIENT_UPDATED: {
+        const { patient } = message
+        setPatients((prevPatients) => {
+          if (!prevPatients.some((p) => p.id === patient.id)) return prevPatients
+
+          notify(`${patient.firstName} ${patient.lastName} was updated in another tab`)
+          return prevPatients.map((p) => (p.id === patient.id ? patient : p))
+        })
+        break
+      }
+
+      case SYNC_EVENTS.PATIENT_DELETED: {
+        const { patient } = message
+
+        // Deleted patients move to the trash
+        setDeletedPatients((prev) => (prev.some((p) => p.id === patient.id) ? prev : [patient, ...prev]))
+        setPatients((prevPatients) => {
+          if (!prevPatients.some((p) => p.id === patient.id)) return prevPatients
 
-    // Cleanup function
-    return () => {
-      console.log("🧹 Cleaning up patient list broadcast listener")
-      removeChannelListener(handleBroadcastMessage)
+          notify(`${patient.firstName} ${patient.lastName} was deleted in another tab`)
+          return prevPatients.filter((p) => p.id !== patient.id)
+        })
+        break
+      }
+
+      case SYNC_EVENTS.PATIENT_RESTORED: {
+        const { deletedAt, ...restoredPatient } = message.patient
+        setDeletedPatients((prev) => prev.filter((p) => p.id !== restoredPatient.id))
+        setPatients((prevPatients) => {
+          if (prevPatients.some((p) => p.id === restoredPatient.id)) return prevPatients
+
+          notify(`${restoredPatient.firstName} ${restoredPatient.lastName} was restored in another tab`)
+          return [restoredPatient, ...prevPatients]
+        })
+        break
+      }
+
+      case SYNC_EVENTS.PATIENT_PURGED:
+        setDeletedPatients((prev) => prev.filter((p) => p.id !== message.patientId))
+        break
     }
-  }, [handleBroadcastMessage])
+  })
 
   // Load patients data
   const loadPatients = useCallback(async (showRefreshIndicator = false) => {
@@ -215,7 +236,126 @@ export default function PatientList() {
     loadPatients()
   }, [loadPatients])
 
-  const handleDeletePatient = async (id, patientName) => {
+  // The trash retention period shown in the trash and the delete confirmation
+  useEffect(() => {
+    getTrashRetentionDays()
+      .then(setRetentionDays)
+      .catch((error) => console.error("Error loading trash retention period:", error))
+  }, [])
+
+  // Purge records past the retention period, then load what is left in the trash
+  const loadDeletedPatients = useCallback(async () => {
+    if (!canDelete) return
+
+    try {
+      await purgeExpiredPatients()
+      const data = await getDeletedPatients()
+      setDeletedPatients(data)
+    } catch (error) {
+      console.error("Error loading trash:", error)
+      toast.error("Failed to load deleted patient records", {
+        position: "top-right",
+        autoClose: 3000,
+        hideProgressBar: true,
+        closeOnClick: true,
+        pauseOnHover: false,
+        draggable: false,
+        className: "text-sm",
+      })
+    }
+  }, [canDelete])
+
+  useEffect(() => {
+    loadDeletedPatients()
+  }, [loadDeletedPatients])
+
+  const markTrashBusy = (id, busy) => {
+    setTrashBusyIds((prev) => {
+      const newSet = new Set(prev)
+      if (busy) newSet.add(id)
+      else newSet.delete(id)
+      return newSet
+    })
+  }
+
+  const handleRestorePatient = async (patient) => {
+    const patientName = `${patient.firstName} ${patient.lastName}`
+
+    try {
+      markTrashBusy(patient.id, true)
+      await restorePatient(patient.id)
+
+      const { deletedAt, ...restoredPatient } = patient
+      setDeletedPatients((prev) => prev.filter((p) => p.id !== patient.id))
+      setPatients((prev) => [restoredPatient, ...prev.filter((p) => p.id !== patient.id)])
+
+      toast.success(`${patientName} restored successfully`, {
+        position: "top-right",
+        autoClose: 2000,
+        hideProgressBar: true,
+        closeOnClick: true,
+        pauseOnHover: false,
+        draggable: false,
+        className: "text-sm",
+      })
+    } catch (error) {
+      console.error("❌ Error restoring patient:", error)
+      loadDeletedPatients()
+
+      toast.error("Failed to restore patient", {
+        position: "top-right",
+        autoClose: 3000,
+        hideProgressBar: true,
+        closeOnClick: true,
+        pauseOnHover: false,
+        draggable: false,
+        className: "text-sm",
+      })
+    } finally {
+      markTrashBusy(patient.id, false)
+    }
+  }
+
+  const handlePurgePatient = async (patient) => {
+    const patientName = `${patient.firstName} ${patient.lastName}`
+
+    try {
+      markTrashBusy(patient.id, true)
+      await purgePatient(patient.id)
+
+      setDeletedPatients((prev) => prev.filter((p) => p.id !== patient.id))
+
+      toast.success(`${patientName} permanently deleted`, {
+        position: "top-right",
+        autoClose: 2000,
+        hideProgressBar: true,
+        closeOnClick: true,
+        pauseOnHover: false,
+        draggable: false,
+        className: "text-sm",
+      })
+    } catch (error) {
+      console.error("❌ Error purging patient:", error)
+      loadDeletedPatients()
+
+      toast.error("Failed to permanently delete patient", {
+        position: "top-right",
+        autoClose: 3000,
+        hideProgressBar: true,
+        closeOnClick: true,
+        pauseOnHover: false,
+        draggable: false,
+        className: "text-sm",
+      })
+    } finally {
+      markTrashBusy(patient.id, false)
+    }
+  }
+
+  const handleDeletePatient = async (patient) => {
+    const id = patient.id
+    const patientName = `${patient.firstName} ${patient.lastName}`
+
     // Prevent multiple deletion attempts
     if (deletingIds.has(id)) {
       console.log("⚠️ Already deleting patient:", id)
@@ -231,23 +371,16 @@ export default function PatientList() {
       // Remove from current tab UI IMMEDIATELY (optimistic update)
       setPatients((prev) => prev.filter((patient) => patient.id !== id))
 
-      // Delete from database
+      // Move to the trash in the database
       await deletePatient(id)
-      console.log("✅ Patient deleted from database:", id)
-
-      // Send broadcast message with retry mechanism
-      const message = {
-        type: "DELETE_PATIENT",
-        patientId: id,
-        patientName: patientName,
-        timestamp: Date.now(),
-      }
+      console.log("✅ Patient moved to trash:", id)
+
+      const trashedPatient = { ...patient, deletedAt: new Date().toISOString() }
+      setDeletedPatients((prev) => [trashedPatient, ...prev.filter((p) => p.id !== id)])
 
-      // Send immediately
-      sendBroadcastMessage(message)
 
       // Show success message
-      toast.success(`${patientName} deleted successfully`, {
+      toast.success(`${patientName} moved to trash`, {
         position: "top-right",
         autoClose: 2000,
         hideProgressBar: true,
@@ -281,49 +414,16 @@ export default function PatientList() {
     }
   }
 
-  const exportToCSV = () => {
-    if (patients.length === 0) {
-      toast.warning("No patient data to export", {
-        position: "top-right",
-        autoClose: 2000,
-        hideProgressBar: true,
-        closeOnClick: true,
-        pauseOnHover: false,
-        draggable: false,
-        className: "text-sm",
-      })
-      return
-    }
+  const handlePatientUpdated = (updatedPatient) => {
+    setPatients((prev) => prev.map((patient) => (patient.id === updatedPatient.id ? updatedPatient : patient)))
+  }
 
-    // Create CSV content
-    const headers = Object.keys(patients[0]).join(",")
-    const rows = patients.map((patient) =>
-      Object.values(patient)
-        .map((value) => (typeof value === "string" ? `"${value.replace(/"/g, '""')}"` : value))
-        .join(","),
-    )
-    const csv = [headers, ...rows].join("\n")
-
-    // Create download link
-    const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" })
-    const url = URL.createObjectURL(blob)
-    const link = document.createElement("a")
-    link.setAttribute("href", url)
-    link.setAttribute("download", `patients_${new Date().toISOString().split("T")[0]}.csv`)
-    link.style.visibility = "hidden"
-    document.body.appendChild(link)
-    link.click()
-    document.body.removeChild(link)
-
-    toast.success("Data exported successfully", {
-      position: "top-right",
-      autoClose: 2000,
-      hideProgressBar: true,
-      closeOnClick: true,
-      pauseOnHover: false,
-      draggable: false,
-      className: "text-sm",
-    })
+  const handleExportFhirBundle = () => {
+    downloadFhirJson(toFhirBundle(patients), `patients_fhir_${new Date().toISOString().split("T")[0]}.json`)
+  }
+
+  const handleExportFhirPatient = (patient) => {
+    downloadFhirJson(toFhirBundle([patient]), `${patient.patientId || `patient-${patient.id}`}.fhir.json`)
   }
 
   const filteredPatients = patients.filter((patient) => {
@@ -333,11 +433,24 @@ export default function PatientList() {
       patient.lastName.toLowerCase().includes(searchLower) ||
       patient.email.toLowerCase().includes(searchLower) ||
       patient.phone.includes(searchTerm) ||
-      (patient.patientId && patient.patientId.toLowerCase().includes(searchLower))
+      (patient.patientId && patient.patientId.toLowerCase().includes(searchLower)) ||
+      // Ids of records merged into this one still find it
+      patient.mergedIds?.some((mergedId) => mergedId.toLowerCase().includes(searchLower)) ||
+      patient.allergyRecords?.some((record) => record.allergen.toLowerCase().includes(searchLower)) ||
+      patient.medicationRecords?.some((record) => record.drugName.toLowerCase().includes(searchLower)) ||
+      // Encrypted columns can't be searched in SQL, so they are matched after decryption
+      ENCRYPTED_PATIENT_FIELDS.some((field) => patient[field]?.toLowerCase().includes(searchLower))
     const matchesGender = filterGender === "all" || patient.gender === filterGender
     return matchesSearch && matchesGender
   })
 
+  // Allergy and medication entries are exported as one readable line each
+  const exportRows = patients.map((patient) => ({
+    ...patient,
+    allergyList: sortAllergies(patient.allergyRecords).map(formatAllergyRecord),
+    medicationList: sortMedications(patient.medicationRecords).map(formatMedicationRecord),
+  }))
+
   const formatDate = (dateString) => {
     const date = new Date(dateString)
     return date.toLocaleDateString("en-US", {
@@ -380,263 +493,485 @@ export default function PatientList() {
             </div>
           </div>
           <div className="flex items-center gap-2">
+            {canMerge && (
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => setView(view === "duplicates" ? "records" : "duplicates")}
+                className="bg-white/80 dark:bg-gray-700/80 backdrop-blur-sm border-0 shadow-lg hover:scale-105 transition-all duration-300"
+              >
+                {view === "duplicates" ? (
+                  <>
+                    <Users className="h-4 w-4 mr-2" />
+                    Records
+                  </>
+                ) : (
+                  <>
+                    <GitMerge className="h-4 w-4 mr-2" />
+                    Duplicates
+                  </>
+                )}
+              </Button>
+            )}
+            {canDelete && (
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => setView(view === "trash" ? "records" : "trash")}
+                className="bg-white/80 dark:bg-gray-700/80 backdrop-blur-sm border-0 shadow-lg hover:scale-105 transition-all duration-300"
+              >
+                {view === "trash" ? (
+                  <>
+                    <Users className="h-4 w-4 mr-2" />
+                    Records
+                  </>
+                ) : (
+                  <>
+                    <Trash2 className="h-4 w-4 mr-2" />
+                    Trash ({deletedPatients.length})
+                  </>
+                )}
+              </Button>
+            )}
             <Button
               variant="outline"
               size="sm"
-              onClick={() => loadPatients(true)}
+              onClick={() => (view === "trash" ? loadDeletedPatients() : loadPatients(true))}
               disabled={isRefreshing}
               className="bg-white/80 dark:bg-gray-700/80 backdrop-blur-sm border-0 shadow-lg hover:scale-105 transition-all duration-300"
             >
               <RefreshCw className={`h-4 w-4 mr-2 ${isRefreshing ? "animate-spin" : ""}`} />
               Refresh
             </Button>
+            {canImport && (
+              <Button
+                variant="outline"
+                onClick={() => setIsImportOpen(true)}
+                className="bg-white/80 dark:bg-gray-700/80 backdrop-blur-sm border-0 shadow-lg hover:scale-105 transition-all duration-300"
+              >
+                <Upload className="mr-2 h-4 w-4" />
+                Import CSV
+              </Button>
+            )}
             <Button
               variant="outline"
-              onClick={exportToCSV}
+              onClick={() => setIsExportOpen(true)}
               disabled={patients.length === 0}
               className="bg-white/80 dark:bg-gray-700/80 backdrop-blur-sm border-0 shadow-lg hover:scale-105 transition-all duration-300"
             >
               <Download className="mr-2 h-4 w-4" />
               Export CSV
             </Button>
+            <DropdownMenu>
+              <DropdownMenuTrigger asChild>
+                <Button
+                  variant="outline"
+                  className="bg-white/80 dark:bg-gray-700/80 backdrop-blur-sm border-0 shadow-lg hover:scale-105 transition-all duration-300"
+                >
+                  <FileJson className="mr-2 h-4 w-4" />
+                  FHIR
+                  <ChevronDown className="ml-2 h-4 w-4" />
+                </Button>
+              </DropdownMenuTrigger>
+              <DropdownMenuContent align="end">
+                <DropdownMenuItem onSelect={handleExportFhirBundle} disabled={patients.length === 0}>
+                  <Download className="mr-2 h-4 w-4" />
+                  Export Bundle
+                </DropdownMenuItem>
+                {canImport && (
+                  <DropdownMenuItem onSelect={() => setIsFhirImportOpen(true)}>
+                    <Upload className="mr-2 h-4 w-4" />
+                    Import Bundle
+                  </DropdownMenuItem>
+                )}
+              </DropdownMenuContent>
+            </DropdownMenu>
           </div>
         </div>
       </CardHeader>
       <CardContent>
-        {/* Search and Filter Controls */}
-        <div className="flex flex-col sm:flex-row gap-4 mb-6">
-          <div className="relative flex-1">
-            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
-            <Input
-              placeholder="Search by name, email, phone, or patient ID..."
-              className="pl-10 h-11 border-0 bg-gray-50 dark:bg-gray-700 focus:ring-2 focus:ring-blue-500 transition-all duration-300"
-              value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
-            />
-          </div>
-          <div className="relative">
-            <Filter className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
-            <select
-              value={filterGender}
-              onChange={(e) => setFilterGender(e.target.value)}
-              className="pl-10 pr-8 h-11 border-0 bg-gray-50 dark:bg-gray-700 rounded-md focus:ring-2 focus:ring-blue-500 transition-all duration-300 appearance-none cursor-pointer"
-            >
-              <option value="all">All Genders</option>
-              <option value="male">Male</option>
-              <option value="female">Female</option>
-              <option value="other">Other</option>
-              <option value="prefer-not-to-say">Prefer not to say</option>
-            </select>
-          </div>
-        </div>
-
-        {isLoading ? (
-          <div className="flex justify-center py-12">
-            <div className="text-center space-y-4">
-              <Loader2 className="h-8 w-8 animate-spin text-blue-600 mx-auto" />
-              <p className="text-gray-600 dark:text-gray-400">Loading patient records...</p>
-            </div>
-          </div>
-        ) : patients.length === 0 ? (
-          <div className="text-center py-12 space-y-4">
-            <Users className="h-16 w-16 text-gray-300 dark:text-gray-600 mx-auto" />
-            <div>
-              <h3 className="text-lg font-semibold text-gray-600 dark:text-gray-400">No patients registered yet</h3>
-              <p className="text-gray-500 dark:text-gray-500">Start by registering your first patient</p>
+        {view === "duplicates" ? (
+          <PatientDuplicates patients={patients} onMerged={() => loadPatients()} />
+        ) : view === "trash" ? (
+          <PatientTrash
+            patients={deletedPatients}
+            retentionDays={retentionDays ?? DEFAULT_TRASH_RETENTION_DAYS}
+            onRestore={handleRestorePatient}
+            onPurge={handlePurgePatient}
+            busyIds={trashBusyIds}
+          />
+        ) : (
+          <>
+            {/* Search and Filter Controls */}
+            <div className="flex flex-col sm:flex-row gap-4 mb-2">
+              <div className="relative flex-1">
+                <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+                <Input
+                  placeholder="Search by name, email, phone, or patient ID..."
+                  className="pl-10 h-11 border-0 bg-gray-50 dark:bg-gray-700 focus:ring-2 focus:ring-blue-500 transition-all duration-300"
+                  value={searchTerm}
+                  onChange={(e) => setSearchTerm(e.target.value)}
+                />
+              </div>
+              <div className="relative">
+                <Filter className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+                <select
+                  value={filterGender}
+                  onChange={(e) => setFilterGender(e.target.value)}
+                  className="pl-10 pr-8 h-11 border-0 bg-gray-50 dark:bg-gray-700 rounded-md focus:ring-2 focus:ring-blue-500 transition-all duration-300 appearance-none cursor-pointer"
+                >
+                  <option value="all">All Genders</option>
+                  <option value="male">Male</option>
+                  <option value="female">Female</option>
+                  <option value="other">Other</option>
+                  <option value="prefer-not-to-say">Prefer not to say</option>
+                </select>
+              </div>
             </div>
-          </div>
-        ) : filteredPatients.length === 0 ? (
-          <div className="text-center py-12 space-y-4">
-            <Search className="h-16 w-16 text-gray-300 dark:text-gray-600 mx-auto" />
-            <div>
-              <h3 className="text-lg font-semibold text-gray-600 dark:text-gray-400">No patients found</h3>
-              <p className="text-gray-500 dark:text-gray-500">Try adjusting your search or filter criteria</p>
+            <div className="mb-6">
+              {!hasValidCheckDigit(searchTerm) && (
+                <p className="flex items-center gap-1 text-sm text-amber-600 dark:text-amber-400">
+                  <AlertTriangle className="h-4 w-4" />
+                  The check digit doesn't match this patient ID. Check it for typos.
+                </p>
+              )}
             </div>
-          </div>
-        ) : (
-          <div className="rounded-lg border-0 overflow-hidden shadow-lg bg-white dark:bg-gray-800">
-            <div className="overflow-x-auto">
-              <Table>
-                <TableHeader>
-                  <TableRow className="bg-gray-50 dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700">
-                    <TableHead className="font-semibold text-gray-700 dark:text-gray-300">
-                      <div className="flex items-center">
-                        <IdCard className="h-4 w-4 mr-1" />
-                        Patient ID
-                      </div>
-                    </TableHead>
-                    <TableHead className="font-semibold text-gray-700 dark:text-gray-300">Patient</TableHead>
-                    <TableHead className="font-semibold text-gray-700 dark:text-gray-300">
-                      <div className="flex items-center">
-                        <Calendar className="h-4 w-4 mr-1" />
-                        Age / DOB
-                      </div>
-                    </TableHead>
-                    <TableHead className="font-semibold text-gray-700 dark:text-gray-300">Gender</TableHead>
-                    <TableHead className="font-semibold text-gray-700 dark:text-gray-300">Contact</TableHead>
-                    <TableHead className="font-semibold text-gray-700 dark:text-gray-300">Emergency Contact</TableHead>
-                    <TableHead className="font-semibold text-gray-700 dark:text-gray-300">Medical Info</TableHead>
-                    <TableHead className="text-right font-semibold text-gray-700 dark:text-gray-300">Actions</TableHead>
-                  </TableRow>
-                </TableHeader>
-                <TableBody>
-                  {filteredPatients.map((patient, index) => (
-                    <TableRow
-                      key={patient.id}
-                      className={`hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors duration-200 animate-fadeIn ${
-                        deletingIds.has(patient.id) ? "opacity-50 pointer-events-none" : ""
-                      }`}
-                      style={{ animationDelay: `${index * 50}ms` }}
-                    >
-                      <TableCell className="font-medium">
-                        <Badge className="bg-indigo-100 text-indigo-800 dark:bg-indigo-900 dark:text-indigo-300 border-0 font-mono text-xs">
-                          {patient.patientId ||
-                            `PAT-${new Date().getFullYear()}-${String(patient.id).padStart(4, "0")}`}
-                        </Badge>
-                      </TableCell>
-                      <TableCell className="font-medium">
-                        <div className="flex items-center space-x-3">
-                          <div className="w-10 h-10 bg-gradient-to-r from-blue-500 to-indigo-600 rounded-full flex items-center justify-center text-white font-semibold text-sm">
-                            {patient.firstName.charAt(0)}
-                            {patient.lastName.charAt(0)}
-                          </div>
-                          <div>
-                            <div className="font-semibold text-gray-900 dark:text-gray-100">
-                              {patient.firstName} {patient.lastName}
-                            </div>
+
+            {isLoading ? (
+              <div className="flex justify-center py-12">
+                <div className="text-center space-y-4">
+                  <Loader2 className="h-8 w-8 animate-spin text-blue-600 mx-auto" />
+                  <p className="text-gray-600 dark:text-gray-400">Loading patient records...</p>
+                </div>
+              </div>
+            ) : patients.length === 0 ? (
+              <div className="text-center py-12 space-y-4">
+                <Users className="h-16 w-16 text-gray-300 dark:text-gray-600 mx-auto" />
+                <div>
+                  <h3 className="text-lg font-semibold text-gray-600 dark:text-gray-400">No patients registered yet</h3>
+                  <p className="text-gray-500 dark:text-gray-500">Start by registering your first patient</p>
+                </div>
+              </div>
+            ) : filteredPatients.length === 0 ? (
+              <div className="text-center py-12 space-y-4">
+                <Search className="h-16 w-16 text-gray-300 dark:text-gray-600 mx-auto" />
+                <div>
+                  <h3 className="text-lg font-semibold text-gray-600 dark:text-gray-400">No patients found</h3>
+                  <p className="text-gray-500 dark:text-gray-500">Try adjusting your search or filter criteria</p>
+                </div>
+              </div>
+            ) : (
+              <div className="rounded-lg border-0 overflow-hidden shadow-lg bg-white dark:bg-gray-800">
+                <div className="overflow-x-auto">
+                  <Table>
+                    <TableHeader>
+                      <TableRow className="bg-gray-50 dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700">
+                        <TableHead className="font-semibold text-gray-700 dark:text-gray-300">
+                          <div className="flex items-center">
+                            <IdCard className="h-4 w-4 mr-1" />
+                            Patient ID
                           </div>
-                        </div>
-                      </TableCell>
-                      <TableCell>
-                        <div className="space-y-1">
-                          <Badge className="bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300 border-0 text-xs">
-                            {patient.age} years
-                          </Badge>
-                          <div className="flex items-center text-sm text-gray-500 dark:text-gray-400">
-                            <Calendar className="h-3 w-3 mr-1" />
-                            {formatDate(patient.dateOfBirth)}
+                        </TableHead>
+                        <TableHead className="font-semibold text-gray-700 dark:text-gray-300">Patient</TableHead>
+                        <TableHead className="font-semibold text-gray-700 dark:text-gray-300">
+                          <div className="flex items-center">
+                            <Calendar className="h-4 w-4 mr-1" />
+                            Age / DOB
                           </div>
-                        </div>
-                      </TableCell>
-                      <TableCell>
-                        <Badge
-                          className={`bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300 border-0 font-medium ${getGenderBadgeColor(patient.gender)}`}
+                        </TableHead>
+                        <TableHead className="font-semibold text-gray-700 dark:text-gray-300">Gender</TableHead>
+                        <TableHead className="font-semibold text-gray-700 dark:text-gray-300">Contact</TableHead>
+                        <TableHead className="font-semibold text-gray-700 dark:text-gray-300">Emergency Contact</TableHead>
+                        <TableHead className="font-semibold text-gray-700 dark:text-gray-300">Medical Info</TableHead>
+                        <TableHead className="text-right font-semibold text-gray-700 dark:text-gray-300">Actions</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {filteredPatients.map((patient, index) => (
+                        <TableRow
+                          key={patient.id}
+                          className={`hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors duration-200 animate-fadeIn ${
+                            deletingIds.has(patient.id) ? "opacity-50 pointer-events-none" : ""
+                          }`}
+                          style={{ animationDelay: `${index * 50}ms` }}
                         >
-                          {patient.gender.charAt(0).toUpperCase() + patient.gender.slice(1)}
-                        </Badge>
-                      </TableCell>
-                      <TableCell>
-                        <div className="space-y-1">
-                          <div className="flex items-center text-sm text-gray-700 dark:text-gray-300">
-                            <Mail className="h-3 w-3 mr-2 text-gray-400" />
-                            <span className="truncate max-w-[150px]" title={patient.email}>
-                              {patient.email}
-                            </span>
-                          </div>
-                          <div className="flex items-center text-sm text-gray-500 dark:text-gray-400">
-                            <Phone className="h-3 w-3 mr-2 text-gray-400" />
-                            {patient.phone}
-                          </div>
-                        </div>
-                      </TableCell>
-                      <TableCell>
-                        {patient.emergencyContactName ? (
-                          <div className="space-y-1">
-                            <div className="flex items-center text-sm text-gray-700 dark:text-gray-300">
-                              <UserCheck className="h-3 w-3 mr-2 text-gray-400" />
-                              <span className="truncate max-w-[100px]" title={patient.emergencyContactName}>
-                                {patient.emergencyContactName}
-                              </span>
+                          <TableCell className="font-medium">
+                            <Badge className="bg-indigo-100 text-indigo-800 dark:bg-indigo-900 dark:text-indigo-300 border-0 font-mono text-xs">
+                              {patient.patientId ||
+                                `PAT-${new Date().getFullYear()}-${String(patient.id).padStart(4, "0")}`}
+                            </Badge>
+                            {patient.mergedIds?.length > 0 && (
+                              <div className="mt-1 font-mono text-xs text-gray-400" title="Merged into this record">
+                                {patient.mergedIds.join(", ")}
+                              </div>
+                            )}
+                          </TableCell>
+                          <TableCell className="font-medium">
+                            <div className="flex items-center space-x-3">
+                              <div className="w-10 h-10 bg-gradient-to-r from-blue-500 to-indigo-600 rounded-full flex items-center justify-center text-white font-semibold text-sm">
+                                {patient.firstName.charAt(0)}
+                                {patient.lastName.charAt(0)}
+                              </div>
+                              <div>
+                                <div className="font-semibold text-gray-900 dark:text-gray-100">
+                                  {patient.firstName} {patient.lastName}
+                                </div>
+                                {patient.allergyRecords?.some((record) => record.severity === "severe") && (
+                                  <Badge className="mt-1 bg-red-600 text-white dark:bg-red-700 border-0 text-xs">
+                                    <AlertTriangle className="h-3 w-3 mr-1" />
+                                    Severe allergy
+                                  </Badge>
+                                )}
+                              </div>
                             </div>
-                            {patient.emergencyContactPhone && (
+                          </TableCell>
+                          <TableCell>
+                            <div className="space-y-1">
+                              <Badge className="bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300 border-0 text-xs">
+                                {patient.age} years
+                              </Badge>
+                              <div className="flex items-center text-sm text-gray-500 dark:text-gray-400">
+                                <Calendar className="h-3 w-3 mr-1" />
+                                {formatDate(patient.dateOfBirth)}
+                              </div>
+                            </div>
+                          </TableCell>
+                          <TableCell>
+                            <Badge
+                              className={`bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300 border-0 font-medium ${getGenderBadgeColor(patient.gender)}`}
+                            >
+                              {patient.gender.charAt(0).toUpperCase() + patient.gender.slice(1)}
+                            </Badge>
+                          </TableCell>
+                          <TableCell>
+                            <div className="space-y-1">
+                              <div className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+                                <Mail className="h-3 w-3 mr-2 text-gray-400" />
+                                <span className="truncate max-w-[150px]" title={patient.email}>
+                                  {patient.email}
+                                </span>
+                              </div>
                               <div className="flex items-center text-sm text-gray-500 dark:text-gray-400">
                                 <Phone className="h-3 w-3 mr-2 text-gray-400" />
-                                {patient.emergencyContactPhone}
+                                {patient.phone}
                               </div>
+                            </div>
+                          </TableCell>
+                          <TableCell>
+                            {patient.emergencyContactName ? (
+                              <div className="space-y-1">
+                                <div className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+                                  <UserCheck className="h-3 w-3 mr-2 text-gray-400" />
+                                  <span className="truncate max-w-[100px]" title={patient.emergencyContactName}>
+                                    {patient.emergencyContactName}
+                                  </span>
+                                </div>
+                                {patient.emergencyContactPhone && (
+                                  <div className="flex items-center text-sm text-gray-500 dark:text-gray-400">
+                                    <Phone className="h-3 w-3 mr-2 text-gray-400" />
+                                    {patient.emergencyContactPhone}
+                                  </div>
+                                )}
+                              </div>
+                            ) : (
+                              <span className="text-gray-400 text-sm">Not provided</span>
                             )}
-                          </div>
-                        ) : (
-                          <span className="text-gray-400 text-sm">Not provided</span>
-                        )}
-                      </TableCell>
-                      <TableCell>
-                        <div className="space-y-1">
-                          {patient.allergies && (
-                            <div className="flex items-center text-sm text-orange-600 dark:text-orange-400">
-                              <AlertTriangle className="h-3 w-3 mr-1" />
-                              <span className="truncate max-w-[100px]" title={patient.allergies}>
-                                {patient.allergies}
-                              </span>
+                          </TableCell>
+                          <TableCell>
+                            <div className="space-y-1">
+                              {patient.allergyRecords?.length > 0 && (
+                                <div className="flex flex-wrap gap-1 max-w-[220px]">
+                                  {sortAllergies(patient.allergyRecords).map((record) => (
+                                    <Badge
+                                      key={record.id ?? record.allergen}
+                                      className={`border-0 text-xs ${getAllergySeverity(record.severity).badgeClassName}`}
+                                      title={`${getAllergyCategoryLabel(record.category)} allergy, ${getAllergySeverity(record.severity).label.toLowerCase()}${record.reaction ? `: ${record.reaction}` : ""}`}
+                                    >
+                                      {record.severity === "severe" && <AlertTriangle className="h-3 w-3 mr-1" />}
+                                      {record.allergen}
+                                    </Badge>
+                                  ))}
+                                </div>
+                              )}
+                              {patient.allergies && (
+                                <div className="flex items-center text-sm text-orange-600 dark:text-orange-400">
+                                  <AlertTriangle className="h-3 w-3 mr-1" />
+                                  <span className="truncate max-w-[100px]" title={patient.allergies}>
+                                    {patient.allergies}
+                                  </span>
+                                </div>
+                              )}
+                              {patient.medicalHistory && (
+                                <div
+                                  className="text-sm text-gray-600 dark:text-gray-400 truncate max-w-[100px]"
+                                  title={patient.medicalHistory}
+                                >
+                                  {patient.medicalHistory}
+                                </div>
+                              )}
+                              {!patient.allergyRecords?.length &&
+                                !patient.allergies &&
+                                !patient.medicalHistory &&
+                                !patient.medicationRecords?.length && <span className="text-gray-400 text-sm">None</span>}
+                              <PatientMedications
+                                patient={patient}
+                                canReconcile={canReconcile}
+                                onReconciled={handlePatientUpdated}
+                              />
                             </div>
-                          )}
-                          {patient.medicalHistory && (
-                            <div
-                              className="text-sm text-gray-600 dark:text-gray-400 truncate max-w-[100px]"
-                              title={patient.medicalHistory}
+                          </TableCell>
+                          <TableCell className="text-right">
+                            <Button
+                              variant="ghost"
+                              size="icon"
+                              onClick={() => handleExportFhirPatient(patient)}
+                              title="Export as FHIR"
+                              className="text-emerald-500 hover:text-emerald-700 hover:bg-emerald-50 dark:hover:bg-emerald-900/20 transition-all duration-200"
                             >
-                              {patient.medicalHistory}
-                            </div>
-                          )}
-                          {!patient.allergies && !patient.medicalHistory && (
-                            <span className="text-gray-400 text-sm">None</span>
-                          )}
-                        </div>
-                      </TableCell>
-                      <TableCell className="text-right">
-                        <AlertDialog>
-                          <AlertDialogTrigger asChild>
+                              <FileJson className="h-4 w-4" />
+                            </Button>
                             <Button
                               variant="ghost"
                               size="icon"
-                              disabled={deletingIds.has(patient.id)}
-                              className="text-red-500 hover:text-red-700 hover:bg-red-50 dark:hover:bg-red-900/20 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                              onClick={() => setTimelinePatient(patient)}
+                              title="Visit history"
+                              className="text-indigo-500 hover:text-indigo-700 hover:bg-indigo-50 dark:hover:bg-indigo-900/20 transition-all duration-200"
                             >
-                              {deletingIds.has(patient.id) ? (
-                                <Loader2 className="h-4 w-4 animate-spin" />
-                              ) : (
-                                <Trash2 className="h-4 w-4" />
-                              )}
+                              <CalendarClock className="h-4 w-4" />
                             </Button>
-                          </AlertDialogTrigger>
-                          <AlertDialogContent className="bg-white dark:bg-gray-800 border-0 shadow-2xl">
-                            <AlertDialogHeader>
-                              <AlertDialogTitle className="text-gray-900 dark:text-gray-100">
-                                Delete Patient Record
-                              </AlertDialogTitle>
-                              <AlertDialogDescription className="text-gray-600 dark:text-gray-400">
-                                Are you sure you want to delete{" "}
-                                <strong>
-                                  {patient.firstName} {patient.lastName}
-                                </strong>
-                                's record (
-                                {patient.patientId ||
-                                  `PAT-${new Date().getFullYear()}-${String(patient.id).padStart(4, "0")}`}
-                                )? This action cannot be undone.
-                              </AlertDialogDescription>
-                            </AlertDialogHeader>
-                            <AlertDialogFooter>
-                              <AlertDialogCancel className="border-0 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600">
-                                Cancel
-                              </AlertDialogCancel>
-                              <AlertDialogAction
-                                onClick={() =>
-                                  handleDeletePatient(patient.id, `${patient.firstName} ${patient.lastName}`)
-                                }
-                                className="bg-red-500 hover:bg-red-600 text-white border-0"
+                            {canRecordVisits && (
+                              <Button
+                                variant="ghost"
+                                size="icon"
+                                onClick={() => setVisitPatient(patient)}
+                                disabled={deletingIds.has(patient.id)}
+                                title="Start visit"
+                                className="text-cyan-600 hover:text-cyan-700 hover:bg-cyan-50 dark:hover:bg-cyan-900/20 transition-all duration-200"
                               >
-                                Delete
-                              </AlertDialogAction>
-                            </AlertDialogFooter>
-                          </AlertDialogContent>
-                        </AlertDialog>
-                      </TableCell>
-                    </TableRow>
-                  ))}
-                </TableBody>
-              </Table>
-            </div>
-          </div>
+                                <Stethoscope className="h-4 w-4" />
+                              </Button>
+                            )}
+                            {canBookAppointments && (
+                              <Button
+                                variant="ghost"
+                                size="icon"
+                                onClick={() => setBookingPatient(patient)}
+                                disabled={deletingIds.has(patient.id)}
+                                title="Book appointment"
+                                className="text-green-600 hover:text-green-700 hover:bg-green-50 dark:hover:bg-green-900/20 transition-all duration-200"
+                              >
+                                <CalendarPlus className="h-4 w-4" />
+                              </Button>
+                            )}
+                            {canEdit && (
+                              <Button
+                                variant="ghost"
+                                size="icon"
+                                onClick={() => setEditingPatient(patient)}
+                                disabled={deletingIds.has(patient.id)}
+                                className="text-blue-500 hover:text-blue-700 hover:bg-blue-50 dark:hover:bg-blue-900/20 transition-all duration-200"
+                              >
+                                <Pencil className="h-4 w-4" />
+                              </Button>
+                            )}
+                            {canDelete && (
+                              <AlertDialog>
+                                <AlertDialogTrigger asChild>
+                                  <Button
+                                    variant="ghost"
+                                    size="icon"
+                                    disabled={deletingIds.has(patient.id)}
+                                    className="text-red-500 hover:text-red-700 hover:bg-red-50 dark:hover:bg-red-900/20 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                                  >
+                                    {deletingIds.has(patient.id) ? (
+                                      <Loader2 className="h-4 w-4 animate-spin" />
+                                    ) : (
+                                      <Trash2 className="h-4 w-4" />
+                                    )}
+                                  </Button>
+                                </AlertDialogTrigger>
+                                <AlertDialogContent className="bg-white dark:bg-gray-800 border-0 shadow-2xl">
+                                  <AlertDialogHeader>
+                                    <AlertDialogTitle className="text-gray-900 dark:text-gray-100">
+                                      Delete Patient Record
+                                    </AlertDialogTitle>
+                                    <AlertDialogDescription className="text-gray-600 dark:text-gray-400">
+                                      Are you sure you want to delete{" "}
+                                      <strong>
+                                        {patient.firstName} {patient.lastName}
+                                      </strong>
+                                      's record (
+                                      {patient.patientId ||
+                                        `PAT-${new Date().getFullYear()}-${String(patient.id).padStart(4, "0")}`}
+                                      )? The record will be moved to the trash and can be restored for {retentionDays ?? DEFAULT_TRASH_RETENTION_DAYS} days.
+                                    </AlertDialogDescription>
+                                  </AlertDialogHeader>
+                                  <AlertDialogFooter>
+                                    <AlertDialogCancel className="border-0 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600">
+                                      Cancel
+                                    </AlertDialogCancel>
+                                    <AlertDialogAction
+                                      onClick={() => handleDeletePatient(patient)}
+                                      className="bg-red-500 hover:bg-red-600 text-white border-0"
+                                    >
+                                      Delete
+                                    </AlertDialogAction>
+                                  </AlertDialogFooter>
+                                </AlertDialogContent>
+                              </AlertDialog>
+                            )}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </div>
+              </div>
+            )}
+          </>
         )}
+
+        <PatientEditDialog
+          patient={editingPatient}
+          open={editingPatient !== null}
+          onOpenChange={(open) => !open && setEditingPatient(null)}
+          onSaved={handlePatientUpdated}
+        />
+
+        <EncounterDialog
+          patient={visitPatient}
+          open={visitPatient !== null}
+          onOpenChange={(open) => !open && setVisitPatient(null)}
+        />
+
+        <PatientEncounters
+          patient={timelinePatient}
+          open={timelinePatient !== null}
+          onOpenChange={(open) => !open && setTimelinePatient(null)}
+        />
+
+        <AppointmentDialog
+          patient={bookingPatient}
+          open={bookingPatient !== null}
+          onOpenChange={(open) => !open && setBookingPatient(null)}
+        />
+
+        <PatientImportDialog open={isImportOpen} onOpenChange={setIsImportOpen} onImported={() => loadPatients()} />
+
+        <FhirImportDialog
+          open={isFhirImportOpen}
+          onOpenChange={setIsFhirImportOpen}
+          onImported={() => loadPatients()}
+        />
+
+        <CsvExportDialog
+          open={isExportOpen}
+          onOpenChange={setIsExportOpen}
+          title="Export Patients"
+          rows={exportRows}
+          columns={EXPORT_COLUMNS}
+          filenamePrefix="patients"
+        />
       </CardContent>
     </Card>
   )
@@ -0,0 +1,127 @@
+"use client"
+
+import { useState } from "react"
+import { Button } from "@/components/ui/button"
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogTrigger,
+} from "@/components/ui/alert-dialog"
+import { reconcileMedications } from "@/lib/database"
+import { sortMedications, isMedicationStopped, formatMedicationRecord } from "@/lib/medications"
+import { ClipboardCheck, Loader2, Pill } from "lucide-react"
+import { toast } from "react-toastify"
+
+const toastOptions = {
+  position: "top-right",
+  autoClose: 3000,
+  hideProgressBar: true,
+  closeOnClick: true,
+  pauseOnHover: false,
+  draggable: false,
+  className: "text-sm",
+}
+
+const formatReviewDate = (dateString) =>
+  new Date(dateString).toLocaleDateString("en-US", { year: "numeric", month: "short", day: "numeric" })
+
+// Medication entries for PatientList's Medical Info column, with when the list was last
+// reconciled. `canReconcile` shows the action marking it reviewed; `onReconciled` receives the
+// patient with the new review stamp.
+export default function PatientMedications({ patient, canReconcile, onReconciled }) {
+  const [isReconciling, setIsReconciling] = useState(false)
+  const medications = sortMedications(patient.medicationRecords)
+
+  const handleReconcile = async () => {
+    try {
+      setIsReconciling(true)
+      const { reviewedAt, reviewedBy } = await reconcileMedications(patient.id)
+      onReconciled?.({ ...patient, medicationsReviewedAt: reviewedAt, medicationsReviewedBy: reviewedBy })
+      toast.success(`Medications reviewed for ${patient.firstName} ${patient.lastName}`, {
+        ...toastOptions,
+        autoClose: 2000,
+      })
+    } catch (error) {
+      console.error("❌ Error reconciling medications:", error)
+      toast.error(error.message, toastOptions)
+    } finally {
+      setIsReconciling(false)
+    }
+  }
+
+  // An empty list can be reconciled too ("takes no medications")
+  if (medications.length === 0 && !patient.medicationsReviewedAt && !canReconcile) return null
+
+  return (
+    <div className="space-y-1 max-w-[220px]">
+      {medications.map((record) => {
+        const stopped = isMedicationStopped(record)
+        return (
+          <div
+            key={record.id ?? `${record.drugName}-${record.strength}`}
+            className={`flex items-start text-sm ${stopped ? "text-gray-400 line-through" : "text-gray-700 dark:text-gray-300"}`}
+            title={[formatMedicationRecord(record), record.prescriber && `prescribed by ${record.prescriber}`]
+              .filter(Boolean)
+              .join(", ")}
+          >
+            <Pill className="h-3 w-3 mr-1 mt-1 shrink-0 text-blue-500" />
+            <span className="truncate">
+              {[record.drugName, record.strength].filter(Boolean).join(" ")}
+              {record.frequency && <span className="text-gray-500 dark:text-gray-400"> · {record.frequency}</span>}
+            </span>
+          </div>
+        )
+      })}
+
+      <div className="flex items-center gap-1 text-xs text-gray-500 dark:text-gray-400">
+        <span>
+          {patient.medicationsReviewedAt
+            ? `Reviewed ${formatReviewDate(patient.medicationsReviewedAt)}${patient.medicationsReviewedBy ? ` by ${patient.medicationsReviewedBy}` : ""}`
+            : "Not reviewed"}
+        </span>
+        {canReconcile && (
+          <AlertDialog>
+            <AlertDialogTrigger asChild>
+              <Button
+                variant="ghost"
+                size="icon"
+                disabled={isReconciling}
+                title="Mark medications reviewed"
+                className="h-6 w-6 text-green-600 hover:text-green-700 hover:bg-green-50 dark:hover:bg-green-900/20"
+              >
+                {isReconciling ? <Loader2 className="h-3 w-3 animate-spin" /> : <ClipboardCheck className="h-3 w-3" />}
+              </Button>
+            </AlertDialogTrigger>
+            <AlertDialogContent className="bg-white dark:bg-gray-800 border-0 shadow-2xl">
+              <AlertDialogHeader>
+                <AlertDialogTitle className="text-gray-900 dark:text-gray-100">Reconcile Medications</AlertDialogTitle>
+                <AlertDialogDescription className="text-gray-600 dark:text-gray-400">
+                  Confirm that you have gone through{" "}
+                  <strong>
+                    {patient.firstName} {patient.lastName}
+                  </strong>
+                  's medication list with them and it is up to date. The review is recorded with the current time and
+                  your name.
+                </AlertDialogDescription>
+              </AlertDialogHeader>
+              <AlertDialogFooter>
+                <AlertDialogCancel className="border-0 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600">
+                  Cancel
+                </AlertDialogCancel>
+                <AlertDialogAction onClick={handleReconcile} className="bg-green-600 hover:bg-green-700 text-white border-0">
+                  Mark Reviewed
+                </AlertDialogAction>
+              </AlertDialogFooter>
+            </AlertDialogContent>
+          </AlertDialog>
+        )}
+      </div>
+    </div>
+  )
+}
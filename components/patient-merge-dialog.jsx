@@ -0,0 +1,191 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { Button } from "@/components/ui/button"
+import { mergePatients } from "@/lib/database"
+import { toLocalDate } from "@/lib/patient-schema"
+import { GitMerge, Loader2 } from "lucide-react"
+import { toast } from "react-toastify"
+
+const toastOptions = {
+  position: "top-right",
+  autoClose: 3000,
+  hideProgressBar: true,
+  closeOnClick: true,
+  pauseOnHover: false,
+  draggable: false,
+  className: "text-sm",
+}
+
+// Fields combined by a merge, in the order they are shown
+const MERGE_FIELDS = [
+  { field: "firstName", label: "First Name" },
+  { field: "lastName", label: "Last Name" },
+  { field: "dateOfBirth", label: "Date of Birth" },
+  { field: "gender", label: "Gender" },
+  { field: "email", label: "Email" },
+  { field: "phone", label: "Phone" },
+  { field: "address", label: "Address" },
+  { field: "emergencyContactName", label: "Emergency Contact Name" },
+  { field: "emergencyContactPhone", label: "Emergency Contact Phone" },
+  { field: "insuranceProvider", label: "Insurance Provider" },
+  { field: "insurancePolicyNumber", label: "Insurance Policy Number" },
+  { field: "medicalHistory", label: "Medical History" },
+  { field: "allergies", label: "Allergy Notes" },
+  { field: "currentMedications", label: "Medication Notes" },
+]
+
+const formatFieldValue = (field, value) => {
+  if (value === null || value === undefined || value === "") return ""
+  if (field === "dateOfBirth") {
+    return toLocalDate(value).toLocaleDateString("en-US", { year: "numeric", month: "short", day: "numeric" })
+  }
+  return String(value)
+}
+
+// Keep the surviving record's value unless it's empty
+const getDefaultChoices = (records, survivor) => {
+  const other = survivor === "first" ? "second" : "first"
+  return Object.fromEntries(
+    MERGE_FIELDS.map(({ field }) => [field, formatFieldValue(field, records[survivor][field]) ? survivor : other]),
+  )
+}
+
+// Side-by-side view of two patient records where an admin picks the surviving record and,
+// field by field, which value to keep
+export default function PatientMergeDialog({ pair, open, onOpenChange, onMerged }) {
+  const [survivor, setSurvivor] = useState("first")
+  const [choices, setChoices] = useState({})
+  const [isMerging, setIsMerging] = useState(false)
+
+  useEffect(() => {
+    if (pair && open) {
+      setSurvivor("first")
+      setChoices(getDefaultChoices(pair, "first"))
+    }
+  }, [pair, open])
+
+  if (!pair) return null
+
+  const handleMerge = async () => {
+    const surviving = pair[survivor]
+    const merged = pair[survivor === "first" ? "second" : "first"]
+
+    const patientData = Object.fromEntries(
+      MERGE_FIELDS.map(({ field }) => [field, pair[choices[field] || survivor][field]]),
+    )
+    // Age goes with the chosen date of birth
+    const dateOfBirthRecord = pair[choices.dateOfBirth || survivor]
+    patientData.dateOfBirth = toLocalDate(dateOfBirthRecord.dateOfBirth)
+    patientData.age = dateOfBirthRecord.age
+
+    setIsMerging(true)
+    try {
+      const result = await mergePatients(surviving.id, merged.id, patientData)
+      toast.success(`${result.mergedPatientId} merged into ${result.patientId}`, toastOptions)
+      onMerged?.(result)
+      onOpenChange(false)
+    } catch (error) {
+      console.error("❌ Error merging patients:", error)
+      toast.error(error.message || "Failed to merge patients", toastOptions)
+    } finally {
+      setIsMerging(false)
+    }
+  }
+
+  const renderOption = (name, side, checked, onChange, children) => (
+    <label
+      className={`flex items-start gap-2 p-2 rounded-md cursor-pointer text-sm transition-colors duration-200 ${
+        checked
+          ? "bg-indigo-50 ring-1 ring-indigo-300 dark:bg-indigo-900/30 dark:ring-indigo-700"
+          : "hover:bg-gray-50 dark:hover:bg-gray-700/50"
+      }`}
+    >
+      <input type="radio" name={name} value={side} checked={checked} onChange={onChange} className="mt-1" />
+      <span className="break-words min-w-0">{children}</span>
+    </label>
+  )
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto bg-white dark:bg-gray-800 border-0 shadow-2xl">
+        <DialogHeader>
+          <DialogTitle className="text-gray-900 dark:text-gray-100">Merge Patient Records</DialogTitle>
+          <DialogDescription className="text-gray-600 dark:text-gray-400">
+            Choose the patient ID to keep and the value to keep for each field. Allergy and medication entries from
+            both records are kept. The other record is removed and its patient ID will find the merged record. This can't be undone.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-1">
+          <div className="grid grid-cols-[10rem_1fr_1fr] gap-2 items-start pb-2 border-b border-gray-200 dark:border-gray-700">
+            <span className="text-sm font-semibold text-gray-700 dark:text-gray-300 pt-2">Keep Patient ID</span>
+            {["first", "second"].map((side) => (
+              <div key={side}>
+                {renderOption(
+                  "survivor",
+                  side,
+                  survivor === side,
+                  () => setSurvivor(side),
+                  <span className="font-mono font-medium">{pair[side].patientId}</span>,
+                )}
+              </div>
+            ))}
+          </div>
+
+          {MERGE_FIELDS.map(({ field, label }) => {
+            const firstValue = formatFieldValue(field, pair.first[field])
+            const secondValue = formatFieldValue(field, pair.second[field])
+
+            return (
+              <div key={field} className="grid grid-cols-[10rem_1fr_1fr] gap-2 items-start">
+                <span className="text-sm font-medium text-gray-700 dark:text-gray-300 pt-2">{label}</span>
+                {firstValue === secondValue ? (
+                  <span className="col-span-2 p-2 text-sm text-gray-500 dark:text-gray-400">
+                    {firstValue || "Not provided"}
+                  </span>
+                ) : (
+                  ["first", "second"].map((side) => (
+                    <div key={side}>
+                      {renderOption(
+                        field,
+                        side,
+                        choices[field] === side,
+                        () => setChoices((prev) => ({ ...prev, [field]: side })),
+                        (side === "first" ? firstValue : secondValue) || (
+                          <span className="text-gray-400">Not provided</span>
+                        ),
+                      )}
+                    </div>
+                  ))
+                )}
+              </div>
+            )
+          })}
+        </div>
+
+        <DialogFooter className="gap-2">
+          <Button
+            type="button"
+            variant="outline"
+            onClick={() => onOpenChange(false)}
+            disabled={isMerging}
+            className="border-0 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600"
+          >
+            Cancel
+          </Button>
+          <Button
+            type="button"
+            onClick={handleMerge}
+            disabled={isMerging}
+            className="bg-gradient-to-r from-indigo-500 to-purple-600 hover:from-indigo-600 hover:to-purple-700 text-white"
+          >
+            {isMerging ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <GitMerge className="h-4 w-4 mr-2" />}
+            Merge Records
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
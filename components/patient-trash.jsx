@@ -0,0 +1,162 @@
+"use client"
+
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogTrigger,
+} from "@/components/ui/alert-dialog"
+import { Trash2, RotateCcw, Loader2, Clock, Flame } from "lucide-react"
+
+// Trash view for PatientList: soft-deleted patients with restore and permanent purge. The
+// retention period is changed in the settings.
+export default function PatientTrash({ patients, retentionDays, onRestore, onPurge, busyIds }) {
+  const formatDateTime = (dateString) => {
+    const date = new Date(dateString)
+    return date.toLocaleString("en-US", {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+    })
+  }
+
+  // Date on which the automatic purge will remove this record
+  const getPurgeDate = (deletedAt) => {
+    const date = new Date(deletedAt)
+    date.setDate(date.getDate() + retentionDays)
+    return date.toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+    })
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center gap-3 p-4 bg-gray-50 dark:bg-gray-700 rounded-lg">
+        <Clock className="h-4 w-4 shrink-0 text-gray-400" />
+        <p className="text-sm text-gray-600 dark:text-gray-300">
+          Deleted records are kept for <strong>{retentionDays} days</strong> and then permanently purged. The period
+          is changed in Settings.
+        </p>
+      </div>
+
+      {patients.length === 0 ? (
+        <div className="text-center py-12 space-y-4">
+          <Trash2 className="h-16 w-16 text-gray-300 dark:text-gray-600 mx-auto" />
+          <div>
+            <h3 className="text-lg font-semibold text-gray-600 dark:text-gray-400">Trash is empty</h3>
+            <p className="text-gray-500 dark:text-gray-500">Deleted patient records will appear here</p>
+          </div>
+        </div>
+      ) : (
+        <div className="rounded-lg border-0 overflow-hidden shadow-lg bg-white dark:bg-gray-800">
+          <div className="overflow-x-auto">
+            <Table>
+              <TableHeader>
+                <TableRow className="bg-gray-50 dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700">
+                  <TableHead className="font-semibold text-gray-700 dark:text-gray-300">Patient ID</TableHead>
+                  <TableHead className="font-semibold text-gray-700 dark:text-gray-300">Patient</TableHead>
+                  <TableHead className="font-semibold text-gray-700 dark:text-gray-300">Deleted</TableHead>
+                  <TableHead className="font-semibold text-gray-700 dark:text-gray-300">Purged On</TableHead>
+                  <TableHead className="text-right font-semibold text-gray-700 dark:text-gray-300">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {patients.map((patient) => (
+                  <TableRow
+                    key={patient.id}
+                    className={`hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors duration-200 ${
+                      busyIds.has(patient.id) ? "opacity-50 pointer-events-none" : ""
+                    }`}
+                  >
+                    <TableCell>
+                      <Badge className="bg-gray-100 text-gray-700 dark:bg-gray-900 dark:text-gray-300 border-0 font-mono text-xs">
+                        {patient.patientId}
+                      </Badge>
+                    </TableCell>
+                    <TableCell className="font-semibold text-gray-900 dark:text-gray-100">
+                      {patient.firstName} {patient.lastName}
+                    </TableCell>
+                    <TableCell className="text-sm text-gray-600 dark:text-gray-400">
+                      {formatDateTime(patient.deletedAt)}
+                    </TableCell>
+                    <TableCell className="text-sm text-red-600 dark:text-red-400">
+                      {getPurgeDate(patient.deletedAt)}
+                    </TableCell>
+                    <TableCell className="text-right">
+                      <div className="flex items-center justify-end gap-1">
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => onRestore(patient)}
+                          disabled={busyIds.has(patient.id)}
+                          className="text-green-600 hover:text-green-700 hover:bg-green-50 dark:hover:bg-green-900/20"
+                        >
+                          {busyIds.has(patient.id) ? (
+                            <Loader2 className="h-4 w-4 mr-1 animate-spin" />
+                          ) : (
+                            <RotateCcw className="h-4 w-4 mr-1" />
+                          )}
+                          Restore
+                        </Button>
+                        <AlertDialog>
+                          <AlertDialogTrigger asChild>
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              disabled={busyIds.has(patient.id)}
+                              className="text-red-500 hover:text-red-700 hover:bg-red-50 dark:hover:bg-red-900/20"
+                            >
+                              <Flame className="h-4 w-4 mr-1" />
+                              Purge
+                            </Button>
+                          </AlertDialogTrigger>
+                          <AlertDialogContent className="bg-white dark:bg-gray-800 border-0 shadow-2xl">
+                            <AlertDialogHeader>
+                              <AlertDialogTitle className="text-gray-900 dark:text-gray-100">
+                                Permanently Delete Patient Record
+                              </AlertDialogTitle>
+                              <AlertDialogDescription className="text-gray-600 dark:text-gray-400">
+                                Are you sure you want to permanently delete{" "}
+                                <strong>
+                                  {patient.firstName} {patient.lastName}
+                                </strong>
+                                's record ({patient.patientId})? This action cannot be undone.
+                              </AlertDialogDescription>
+                            </AlertDialogHeader>
+                            <AlertDialogFooter>
+                              <AlertDialogCancel className="border-0 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600">
+                                Cancel
+                              </AlertDialogCancel>
+                              <AlertDialogAction
+                                onClick={() => onPurge(patient)}
+                                className="bg-red-500 hover:bg-red-600 text-white border-0"
+                              >
+                                Delete Forever
+                              </AlertDialogAction>
+                            </AlertDialogFooter>
+                          </AlertDialogContent>
+                        </AlertDialog>
+                      </div>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
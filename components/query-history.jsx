@@ -0,0 +1,218 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { Card, CardContent } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Input } from "@/components/ui/input"
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog"
+import { clearQueryHistory, getQueryHistory } from "@/lib/database"
+import SavedQueryDialog from "@/components/saved-query-dialog"
+import { BookmarkPlus, Clock, History, Loader2, Search, Trash2 } from "lucide-react"
+import { toast } from "react-toastify"
+
+const toastOptions = {
+  position: "top-right",
+  autoClose: 3000,
+  hideProgressBar: true,
+  closeOnClick: true,
+  pauseOnHover: false,
+  draggable: false,
+  className: "text-sm",
+}
+
+// Runs loaded at a time; "Show more" loads the next page
+const HISTORY_PAGE_SIZE = 50
+
+const formatTimestamp = (timestamp) =>
+  new Date(timestamp).toLocaleString("en-US", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  })
+
+// Everything the signed-in user has run in the SQL Interface, newest first and searchable.
+// Clicking a run passes its SQL to `onLoad`; any run can be saved to the query library.
+export default function QueryHistory({ onLoad }) {
+  const [entries, setEntries] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [search, setSearch] = useState("")
+  const [limit, setLimit] = useState(HISTORY_PAGE_SIZE)
+  const [saving, setSaving] = useState(null)
+  const [isClearOpen, setIsClearOpen] = useState(false)
+
+  // Searching waits for a pause in typing
+  useEffect(() => {
+    let isCurrent = true
+    const timer = setTimeout(() => {
+      getQueryHistory({ search, limit })
+        .then((found) => isCurrent && setEntries(found))
+        .catch((error) => {
+          console.error("❌ Error loading query history:", error)
+          toast.error(error.message, toastOptions)
+        })
+        .finally(() => isCurrent && setIsLoading(false))
+    }, 300)
+
+    return () => {
+      isCurrent = false
+      clearTimeout(timer)
+    }
+  }, [search, limit])
+
+  const handleSearchChange = (e) => {
+    setSearch(e.target.value)
+    setLimit(HISTORY_PAGE_SIZE)
+  }
+
+  const confirmClear = async () => {
+    setIsClearOpen(false)
+    try {
+      await clearQueryHistory()
+      setEntries([])
+      toast.success("Query history cleared", { ...toastOptions, autoClose: 2000 })
+    } catch (error) {
+      console.error("❌ Error clearing query history:", error)
+      toast.error(error.message, toastOptions)
+    }
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-200">Query History</h3>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => setIsClearOpen(true)}
+          disabled={entries.length === 0 && !search}
+          className="bg-gray-50"
+        >
+          <Trash2 className="h-4 w-4 mr-2" />
+          Clear History
+        </Button>
+      </div>
+
+      <div className="relative">
+        <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+        <Input
+          placeholder="Search the SQL you have run..."
+          value={search}
+          onChange={handleSearchChange}
+          className="pl-10 border-0 bg-gray-50 dark:bg-gray-700"
+        />
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center py-12">
+          <Loader2 className="h-8 w-8 animate-spin text-purple-500" />
+        </div>
+      ) : entries.length === 0 ? (
+        <div className="text-center py-12 space-y-4">
+          <History className="h-16 w-16 text-gray-300 dark:text-gray-600 mx-auto" />
+          <div>
+            <h3 className="text-lg font-semibold text-gray-600 dark:text-gray-400">
+              {search ? "No matching queries" : "No query history"}
+            </h3>
+            <p className="text-gray-500 dark:text-gray-500">
+              {search ? "Try another search" : "Execute some queries to see them here"}
+            </p>
+          </div>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {entries.map((item) => (
+            <Card
+              key={item.id}
+              className="cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-all duration-300 transform hover:scale-[1.01] border-0 shadow-md bg-white dark:bg-gray-800"
+              onClick={() => onLoad(item.query)}
+            >
+              <CardContent className="p-4">
+                <div className="flex items-start justify-between mb-2">
+                  <div className="flex items-center space-x-2">
+                    <Badge
+                      className={`${
+                        item.success
+                          ? "bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300"
+                          : "bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300"
+                      } border-0 text-xs`}
+                    >
+                      {item.success ? "Success" : "Failed"}
+                    </Badge>
+                    {item.success && item.resultCount !== null && (
+                      <span className="text-xs text-gray-500 dark:text-gray-400">{item.resultCount} results</span>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-2 text-xs text-gray-500 dark:text-gray-400">
+                    <span className="flex items-center">
+                      <Clock className="h-3 w-3 mr-1" />
+                      {formatTimestamp(item.executedAt)}
+                    </span>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={(e) => {
+                        e.stopPropagation()
+                        setSaving({ query: item.query })
+                      }}
+                      className="h-7 w-7"
+                      title="Save to the library"
+                    >
+                      <BookmarkPlus className="h-4 w-4" />
+                    </Button>
+                  </div>
+                </div>
+                <pre className="bg-gray-50 dark:bg-gray-700 p-2 rounded text-xs font-mono text-gray-700 dark:text-gray-300 overflow-x-auto border">
+                  <code>{item.query}</code>
+                </pre>
+              </CardContent>
+            </Card>
+          ))}
+          {entries.length === limit && (
+            <div className="flex justify-center">
+              <Button variant="outline" size="sm" onClick={() => setLimit(limit + HISTORY_PAGE_SIZE)} className="bg-gray-50">
+                Show more
+              </Button>
+            </div>
+          )}
+        </div>
+      )}
+
+      <SavedQueryDialog
+        open={Boolean(saving)}
+        onOpenChange={(open) => !open && setSaving(null)}
+        defaults={saving}
+      />
+
+      <AlertDialog open={isClearOpen} onOpenChange={setIsClearOpen}>
+        <AlertDialogContent className="bg-white dark:bg-gray-800 border-0 shadow-2xl">
+          <AlertDialogHeader>
+            <AlertDialogTitle className="text-gray-900 dark:text-gray-100">Clear your query history?</AlertDialogTitle>
+            <AlertDialogDescription className="text-gray-600 dark:text-gray-400">
+              Every query you have run is forgotten. Saved queries in the library are kept.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel className="border-0 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600">
+              Cancel
+            </AlertDialogCancel>
+            <AlertDialogAction onClick={confirmClear} className="bg-red-500 hover:bg-red-600 text-white border-0">
+              Clear History
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  )
+}
@@ -0,0 +1,339 @@
+"use client"
+
+import { useState, useEffect, useMemo } from "react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Input } from "@/components/ui/input"
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog"
+import { getSavedQueries, deleteSavedQuery, setSavedQueryFavorite, importSavedQueries } from "@/lib/database"
+import {
+  compareSavedQueries,
+  exportSavedQueryLibrary,
+  getSavedQueryTags,
+  matchesSavedQuery,
+  parseSavedQueryLibrary,
+} from "@/lib/saved-queries"
+import { downloadFile } from "@/lib/download"
+import SavedQueryDialog from "@/components/saved-query-dialog"
+import { BookMarked, CopyPlus, Download, Loader2, Pencil, Search, Star, Tag, Trash2, Upload } from "lucide-react"
+import { toast } from "react-toastify"
+
+const toastOptions = {
+  position: "top-right",
+  autoClose: 3000,
+  hideProgressBar: true,
+  closeOnClick: true,
+  pauseOnHover: false,
+  draggable: false,
+  className: "text-sm",
+}
+
+const pluralizeQueries = (count) => `${count} ${count === 1 ? "query" : "queries"}`
+
+// The SQL Interface's shared query library: search, filter by tag or favourites, add, edit,
+// delete, import and export. Clicking a query passes its SQL to `onLoad`.
+export default function QueryLibrary({ onLoad }) {
+  const [savedQueries, setSavedQueries] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [search, setSearch] = useState("")
+  const [selectedTag, setSelectedTag] = useState(null)
+  const [favoritesOnly, setFavoritesOnly] = useState(false)
+  // The save dialog: { savedQuery } to edit one, { defaults } to add one
+  const [dialog, setDialog] = useState(null)
+  const [deleting, setDeleting] = useState(null)
+  const [isImporting, setIsImporting] = useState(false)
+
+  const loadSavedQueries = async () => {
+    try {
+      setSavedQueries(await getSavedQueries())
+    } catch (error) {
+      console.error("❌ Error loading saved queries:", error)
+      toast.error(error.message, toastOptions)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    loadSavedQueries()
+  }, [])
+
+  const tags = useMemo(() => getSavedQueryTags(savedQueries), [savedQueries])
+  const visibleQueries = savedQueries
+    .filter((savedQuery) => matchesSavedQuery(savedQuery, search))
+    .filter((savedQuery) => !selectedTag || savedQuery.tags.includes(selectedTag))
+    .filter((savedQuery) => !favoritesOnly || savedQuery.isFavorite)
+    .sort(compareSavedQueries)
+
+  const toggleFavorite = async (savedQuery) => {
+    try {
+      await setSavedQueryFavorite(savedQuery.id, !savedQuery.isFavorite)
+      setSavedQueries((current) =>
+        current.map((item) => (item.id === savedQuery.id ? { ...item, isFavorite: !savedQuery.isFavorite } : item)),
+      )
+    } catch (error) {
+      console.error("❌ Error changing favourite:", error)
+      toast.error(error.message, toastOptions)
+    }
+  }
+
+  const confirmDelete = async () => {
+    const savedQuery = deleting
+    setDeleting(null)
+    try {
+      await deleteSavedQuery(savedQuery.id)
+      setSavedQueries((current) => current.filter((item) => item.id !== savedQuery.id))
+      toast.success(`"${savedQuery.name}" deleted`, { ...toastOptions, autoClose: 2000 })
+    } catch (error) {
+      console.error("❌ Error deleting saved query:", error)
+      toast.error(error.message, toastOptions)
+    }
+  }
+
+  const handleExport = () => {
+    const count = savedQueries.filter((savedQuery) => !savedQuery.isBuiltin).length
+    if (count === 0) {
+      toast.info("Only built-in queries in the library, nothing to export", toastOptions)
+      return
+    }
+    downloadFile(
+      exportSavedQueryLibrary(savedQueries),
+      `saved_queries_${new Date().toISOString().split("T")[0]}.json`,
+      "application/json",
+    )
+    toast.success(`Exported ${pluralizeQueries(count)}`, { ...toastOptions, autoClose: 2000 })
+  }
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ""
+    if (!file) return
+
+    setIsImporting(true)
+    try {
+      const { queries, invalid } = parseSavedQueryLibrary(await file.text())
+      const { imported, skipped } = await importSavedQueries(queries)
+      await loadSavedQueries()
+
+      toast.success(`Imported ${pluralizeQueries(imported.length)}`, toastOptions)
+      if (skipped.length > 0) {
+        toast.info(`Skipped ${pluralizeQueries(skipped.length)} with a name already in the library`, toastOptions)
+      }
+      if (invalid.length > 0) {
+        const [first] = invalid
+        toast.warn(
+          `Skipped ${pluralizeQueries(invalid.length)} that can't be used, e.g. entry ${first.entry}: ${first.error}`,
+          toastOptions,
+        )
+      }
+    } catch (error) {
+      console.error("❌ Error importing saved queries:", error)
+      toast.error(`Couldn't import ${file.name}: ${error.message}`, toastOptions)
+    } finally {
+      setIsImporting(false)
+    }
+  }
+
+  const handleSaved = (saved) => {
+    setSavedQueries((current) => [...current.filter((item) => item.id !== saved.id), saved])
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-200">Query Library</h3>
+        <div className="flex flex-wrap items-center gap-2">
+          <Button variant="outline" size="sm" onClick={handleExport} className="bg-gray-50">
+            <Download className="h-4 w-4 mr-2" />
+            Export
+          </Button>
+          <Button variant="outline" size="sm" asChild className="bg-gray-50 cursor-pointer">
+            <label>
+              {isImporting ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Upload className="h-4 w-4 mr-2" />}
+              Import
+              <input
+                type="file"
+                accept=".json,application/json"
+                onChange={handleFileChange}
+                disabled={isImporting}
+                className="hidden"
+              />
+            </label>
+          </Button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="relative flex-1 min-w-[200px]">
+          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+          <Input
+            placeholder="Search names, descriptions, SQL and tags..."
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            className="pl-10 border-0 bg-gray-50 dark:bg-gray-700"
+          />
+        </div>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => setFavoritesOnly(!favoritesOnly)}
+          className={favoritesOnly ? "bg-amber-50 border-amber-200 text-amber-700" : "bg-gray-50"}
+        >
+          <Star className={`h-4 w-4 mr-2 ${favoritesOnly ? "fill-amber-400 text-amber-500" : ""}`} />
+          Favourites
+        </Button>
+      </div>
+
+      {tags.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2">
+          <Tag className="h-4 w-4 text-gray-400" />
+          {tags.map((tag) => (
+            <Badge
+              key={tag}
+              variant={selectedTag === tag ? "default" : "outline"}
+              onClick={() => setSelectedTag(selectedTag === tag ? null : tag)}
+              className="cursor-pointer text-xs"
+            >
+              {tag}
+            </Badge>
+          ))}
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="flex justify-center py-12">
+          <Loader2 className="h-8 w-8 animate-spin text-purple-500" />
+        </div>
+      ) : visibleQueries.length === 0 ? (
+        <div className="text-center py-12 space-y-4">
+          <BookMarked className="h-16 w-16 text-gray-300 dark:text-gray-600 mx-auto" />
+          <div>
+            <h3 className="text-lg font-semibold text-gray-600 dark:text-gray-400">No saved queries found</h3>
+            <p className="text-gray-500 dark:text-gray-500">
+              {savedQueries.length === 0 ? "Save a query from the editor to add it here" : "Try another search or filter"}
+            </p>
+          </div>
+        </div>
+      ) : (
+        visibleQueries.map((savedQuery) => (
+          <Card
+            key={savedQuery.id}
+            className="cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-all duration-300 border-0 shadow-md bg-white dark:bg-gray-800"
+            onClick={() => onLoad(savedQuery.query)}
+          >
+            <CardHeader className="py-4">
+              <div className="flex items-start justify-between gap-2">
+                <div className="flex flex-wrap items-center gap-2">
+                  <CardTitle className="text-base font-semibold text-gray-800 dark:text-gray-200">{savedQuery.name}</CardTitle>
+                  {savedQuery.isBuiltin && (
+                    <Badge className="bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-300 border-0 text-xs">
+                      Built-in
+                    </Badge>
+                  )}
+                  {savedQuery.tags.map((tag) => (
+                    <Badge key={tag} variant="outline" className="text-xs">
+                      {tag}
+                    </Badge>
+                  ))}
+                </div>
+                <div className="flex items-center" onClick={(e) => e.stopPropagation()}>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => toggleFavorite(savedQuery)}
+                    className="h-8 w-8"
+                    title={savedQuery.isFavorite ? "Remove from favourites" : "Add to favourites"}
+                  >
+                    <Star className={`h-4 w-4 ${savedQuery.isFavorite ? "fill-amber-400 text-amber-500" : ""}`} />
+                  </Button>
+                  {savedQuery.isBuiltin ? (
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => setDialog({ defaults: { ...savedQuery, name: `${savedQuery.name} (copy)` } })}
+                      className="h-8 w-8"
+                      title="Built-in queries can't be changed: save an editable copy"
+                    >
+                      <CopyPlus className="h-4 w-4" />
+                    </Button>
+                  ) : (
+                    <>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        onClick={() => setDialog({ savedQuery })}
+                        className="h-8 w-8"
+                        title="Edit"
+                      >
+                        <Pencil className="h-4 w-4" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        onClick={() => setDeleting(savedQuery)}
+                        className="h-8 w-8 text-red-500 hover:text-red-600"
+                        title="Delete"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </>
+                  )}
+                </div>
+              </div>
+              {savedQuery.description && (
+                <CardDescription className="text-sm text-gray-600 dark:text-gray-400">
+                  {savedQuery.description}
+                </CardDescription>
+              )}
+            </CardHeader>
+            <CardContent className="py-0 pb-4 space-y-2">
+              <pre className="bg-gray-50 dark:bg-gray-700 p-3 rounded-md overflow-x-auto text-xs font-mono text-gray-700 dark:text-gray-300 border">
+                <code>{savedQuery.query}</code>
+              </pre>
+              {savedQuery.createdBy && (
+                <p className="text-xs text-gray-500 dark:text-gray-400">Saved by {savedQuery.createdBy}</p>
+              )}
+            </CardContent>
+          </Card>
+        ))
+      )}
+
+      <SavedQueryDialog
+        open={Boolean(dialog)}
+        onOpenChange={(open) => !open && setDialog(null)}
+        savedQuery={dialog?.savedQuery ?? null}
+        defaults={dialog?.defaults ?? null}
+        onSaved={handleSaved}
+      />
+
+      <AlertDialog open={Boolean(deleting)} onOpenChange={(open) => !open && setDeleting(null)}>
+        <AlertDialogContent className="bg-white dark:bg-gray-800 border-0 shadow-2xl">
+          <AlertDialogHeader>
+            <AlertDialogTitle className="text-gray-900 dark:text-gray-100">Delete "{deleting?.name}"?</AlertDialogTitle>
+            <AlertDialogDescription className="text-gray-600 dark:text-gray-400">
+              The query is removed from the library for everyone.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel className="border-0 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600">
+              Cancel
+            </AlertDialogCancel>
+            <AlertDialogAction onClick={confirmDelete} className="bg-red-500 hover:bg-red-600 text-white border-0">
+              Delete
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  )
+}
@@ -0,0 +1,174 @@
+"use client"
+
+import { useMemo, useState } from "react"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import {
+  parseQueryPlan,
+  flattenPlan,
+  getIndexUsage,
+  isWatchedSequentialScan,
+  formatPlanTime,
+  formatPlanCost,
+} from "@/lib/query-plans"
+import { AlertTriangle, CheckCircle2, ChevronDown, ChevronRight, Circle, GitBranch, X } from "lucide-react"
+
+const metricClassName = "text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap"
+
+function PlanNode({ node, analyzed, depth = 0 }) {
+  const [isExpanded, setIsExpanded] = useState(true)
+  const hasContent = node.children.length > 0 || node.details.length > 0
+  const isWatchedScan = isWatchedSequentialScan(node)
+
+  return (
+    <div className={depth > 0 ? "ml-5 border-l border-gray-200 dark:border-gray-600 pl-3" : ""}>
+      <div
+        className={`rounded-md px-2 py-1.5 my-1 ${
+          isWatchedScan
+            ? "bg-amber-50 dark:bg-amber-900/20 ring-1 ring-amber-300 dark:ring-amber-700"
+            : "hover:bg-gray-50 dark:hover:bg-gray-700/50"
+        }`}
+      >
+        <div className="flex flex-wrap items-center gap-x-3 gap-y-1">
+          <button
+            type="button"
+            onClick={() => setIsExpanded(!isExpanded)}
+            disabled={!hasContent}
+            className="flex items-center text-left text-sm font-semibold text-gray-800 dark:text-gray-200 disabled:cursor-default"
+          >
+            {hasContent ? (
+              isExpanded ? (
+                <ChevronDown className="h-4 w-4 mr-1 text-gray-400" />
+              ) : (
+                <ChevronRight className="h-4 w-4 mr-1 text-gray-400" />
+              )
+            ) : (
+              <span className="w-5" />
+            )}
+            {isWatchedScan && <AlertTriangle className="h-4 w-4 mr-1 text-amber-600" />}
+            {node.nodeType}
+            {node.relation && (
+              <span className="ml-1 font-normal text-gray-600 dark:text-gray-400">
+                on <span className="font-mono">{node.relation}</span>
+                {node.alias && node.alias !== node.relation && <span className="font-mono"> {node.alias}</span>}
+              </span>
+            )}
+            {node.indexName && (
+              <span className="ml-1 font-normal text-gray-600 dark:text-gray-400">
+                using <span className="font-mono text-green-700 dark:text-green-400">{node.indexName}</span>
+              </span>
+            )}
+          </button>
+          <span className={metricClassName}>cost {formatPlanCost(node)}</span>
+          <span className={metricClassName}>
+            rows {analyzed ? `${node.actualRows} (est. ${node.planRows * Math.max(node.loops, 1)})` : node.planRows}
+          </span>
+          {analyzed &&
+            (node.loops === 0 ? (
+              <span className={metricClassName}>never executed</span>
+            ) : (
+              <span className={metricClassName}>
+                time {formatPlanTime(node.actualTime)}
+                {node.loops > 1 && ` over ${node.loops} loops`}
+              </span>
+            ))}
+        </div>
+        {isExpanded && node.details.length > 0 && (
+          <dl className="ml-5 mt-1 grid grid-cols-[auto_1fr] gap-x-3 gap-y-0.5 text-xs">
+            {node.details.map((detail) => (
+              <div key={detail.label} className="contents">
+                <dt className="text-gray-500 dark:text-gray-400">{detail.label}</dt>
+                <dd className="font-mono text-gray-700 dark:text-gray-300 break-all">{detail.value}</dd>
+              </div>
+            ))}
+          </dl>
+        )}
+      </div>
+      {isExpanded &&
+        node.children.map((child) => (
+          <PlanNode key={child.id} node={child} analyzed={analyzed} depth={depth + 1} />
+        ))}
+    </div>
+  )
+}
+
+// The plan of a SQL Interface query as a collapsible tree, with sequential scans on large
+// tables highlighted and which indexes of the scanned tables were used. `explained` is what
+// explainQuery() returned.
+export default function QueryPlanViewer({ explained, onClose }) {
+  const plan = useMemo(() => parseQueryPlan(explained.queryPlan), [explained])
+  const indexUsage = useMemo(() => getIndexUsage(plan.root, explained.indexes), [plan, explained])
+  const watchedScans = flattenPlan(plan.root).filter(isWatchedSequentialScan)
+
+  const tables = [...new Set(indexUsage.map((index) => index.table))]
+
+  return (
+    <div className="rounded-lg border-0 shadow-lg bg-white dark:bg-gray-800 p-4 space-y-4 animate-fadeIn">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex flex-wrap items-center gap-2">
+          <h3 className="flex items-center text-lg font-semibold text-gray-800 dark:text-gray-200">
+            <GitBranch className="h-5 w-5 mr-2 text-purple-600" />
+            Query Plan
+          </h3>
+          {plan.analyzed ? (
+            <Badge className="bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-300 border-0">
+              Executed in {formatPlanTime(plan.executionTime)}
+            </Badge>
+          ) : (
+            <Badge variant="outline" className="text-xs" title="Statements that change data are only planned, not run">
+              Estimated, not run
+            </Badge>
+          )}
+          {plan.planningTime !== null && (
+            <span className="text-xs text-gray-500 dark:text-gray-400">
+              planned in {formatPlanTime(plan.planningTime)}
+            </span>
+          )}
+        </div>
+        <Button variant="ghost" size="icon" onClick={onClose} className="h-8 w-8" title="Close the plan">
+          <X className="h-4 w-4" />
+        </Button>
+      </div>
+
+      {watchedScans.length > 0 && (
+        <div className="flex items-start p-3 rounded-lg bg-amber-50 dark:bg-amber-900/20 text-sm text-amber-800 dark:text-amber-300">
+          <AlertTriangle className="h-4 w-4 mr-2 mt-0.5 shrink-0" />
+          <span>
+            Sequential scan on {[...new Set(watchedScans.map((node) => node.relation))].join(", ")}: every row is read.
+            That is fine while the table is small, but as it grows a filter on an indexed column keeps the query fast.
+          </span>
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <PlanNode node={plan.root} analyzed={plan.analyzed} />
+      </div>
+
+      {tables.length > 0 && (
+        <div className="space-y-2">
+          <h4 className="text-sm font-semibold text-gray-700 dark:text-gray-300">Indexes</h4>
+          {tables.map((table) => (
+            <div key={table} className="text-sm">
+              <p className="font-mono text-gray-600 dark:text-gray-400">{table}</p>
+              <ul className="ml-4 mt-1 space-y-0.5">
+                {indexUsage
+                  .filter((index) => index.table === table)
+                  .map((index) => (
+                    <li key={index.name} className="flex items-center gap-2" title={index.definition}>
+                      {index.used ? (
+                        <CheckCircle2 className="h-4 w-4 text-green-600" />
+                      ) : (
+                        <Circle className="h-4 w-4 text-gray-300 dark:text-gray-600" />
+                      )}
+                      <span className="font-mono text-gray-800 dark:text-gray-200">{index.name}</span>
+                      <span className="text-xs text-gray-500 dark:text-gray-400">{index.used ? "used" : "not used"}</span>
+                    </li>
+                  ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,160 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { useForm } from "react-hook-form"
+import { zodResolver } from "@hookform/resolvers/zod"
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Textarea } from "@/components/ui/textarea"
+import { Form, FormControl, FormDescription, FormField, FormItem, FormLabel, FormMessage } from "@/components/ui/form"
+import { saveQuery, updateSavedQuery } from "@/lib/database"
+import { savedQuerySchema } from "@/lib/patient-schema"
+import { normalizeSavedQuery, savedQueryToFormValues } from "@/lib/saved-queries"
+import { BookmarkPlus, Loader2, Save } from "lucide-react"
+import { toast } from "react-toastify"
+
+const toastOptions = {
+  position: "top-right",
+  autoClose: 3000,
+  hideProgressBar: true,
+  closeOnClick: true,
+  pauseOnHover: false,
+  draggable: false,
+  className: "text-sm",
+}
+
+const inputClassName =
+  "border-0 bg-gray-50 dark:bg-gray-700 focus:ring-2 focus:ring-purple-500 transition-all duration-300"
+
+// Add a query to the SQL Interface's library, or edit `savedQuery` when one is given. `defaults`
+// prefills a new query, e.g. the SQL in the editor or a copy of a built-in query. `onSaved`
+// receives the query as saved.
+export default function SavedQueryDialog({ savedQuery = null, defaults = null, open, onOpenChange, onSaved }) {
+  const [isSaving, setIsSaving] = useState(false)
+  const isNew = !savedQuery
+
+  const form = useForm({
+    resolver: zodResolver(savedQuerySchema),
+    defaultValues: savedQueryToFormValues(savedQuery ?? defaults ?? {}),
+  })
+
+  // Start from a fresh form (or the query being edited) every time the dialog opens
+  useEffect(() => {
+    if (open) form.reset(savedQueryToFormValues(savedQuery ?? defaults ?? {}))
+  }, [open, savedQuery, defaults, form])
+
+  const onSubmit = async (data) => {
+    setIsSaving(true)
+    try {
+      const values = normalizeSavedQuery(data)
+      const saved = isNew ? await saveQuery(values) : await updateSavedQuery(savedQuery.id, values)
+
+      onSaved?.(saved)
+      onOpenChange(false)
+      toast.success(isNew ? `"${saved.name}" added to the library` : "Query saved", { ...toastOptions, autoClose: 2000 })
+    } catch (error) {
+      console.error("❌ Error saving query:", error)
+      toast.error(error.message || "Failed to save query", toastOptions)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto bg-white dark:bg-gray-800 border-0 shadow-2xl">
+        <DialogHeader>
+          <DialogTitle className="flex items-center text-gray-900 dark:text-gray-100">
+            <BookmarkPlus className="h-5 w-5 mr-2 text-purple-600" />
+            {isNew ? "Save to Library" : "Edit Saved Query"}
+          </DialogTitle>
+          <DialogDescription className="text-gray-600 dark:text-gray-400">
+            Saved queries are shared with everyone who can use the SQL Interface
+          </DialogDescription>
+        </DialogHeader>
+
+        <Form {...form}>
+          <form onSubmit={form.handleSubmit(onSubmit)} className="space-y-6">
+            <FormField
+              control={form.control}
+              name="name"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel className="text-sm font-medium">Name *</FormLabel>
+                  <FormControl>
+                    <Input placeholder="e.g. Patients without a phone number" {...field} className={`h-10 ${inputClassName}`} />
+                  </FormControl>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+
+            <FormField
+              control={form.control}
+              name="description"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel className="text-sm font-medium">Description</FormLabel>
+                  <FormControl>
+                    <Input placeholder="What the query is for" {...field} className={`h-10 ${inputClassName}`} />
+                  </FormControl>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+
+            <FormField
+              control={form.control}
+              name="tags"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel className="text-sm font-medium">Tags</FormLabel>
+                  <FormControl>
+                    <Input placeholder="e.g. patients, reports" {...field} className={`h-10 ${inputClassName}`} />
+                  </FormControl>
+                  <FormDescription className="text-xs">Separate tags with commas</FormDescription>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+
+            <FormField
+              control={form.control}
+              name="query"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel className="text-sm font-medium">SQL *</FormLabel>
+                  <FormControl>
+                    <Textarea rows={8} spellCheck={false} {...field} className={`font-mono text-xs ${inputClassName}`} />
+                  </FormControl>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+
+            <DialogFooter className="gap-2">
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => onOpenChange(false)}
+                disabled={isSaving}
+                className="border-0 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600"
+              >
+                Cancel
+              </Button>
+              <Button
+                type="submit"
+                disabled={isSaving}
+                className="bg-gradient-to-r from-purple-500 to-indigo-600 hover:from-purple-600 hover:to-indigo-700 text-white"
+              >
+                {isSaving ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Save className="h-4 w-4 mr-2" />}
+                {isNew ? "Save to Library" : "Save Query"}
+              </Button>
+            </DialogFooter>
+          </form>
+        </Form>
+      </DialogContent>
+    </Dialog>
+  )
+}
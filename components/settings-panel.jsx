@@ -0,0 +1,230 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Button } from "@/components/ui/button"
+import { Checkbox } from "@/components/ui/checkbox"
+import BackupSettings from "@/components/backup-settings"
+import { useAuth } from "@/components/auth-wrapper"
+import { PERMISSIONS, hasPermission } from "@/lib/permissions"
+import {
+  getPatientIdFormat,
+  savePatientIdFormat,
+  getTrashRetentionDays,
+  saveTrashRetentionDays,
+  DEFAULT_TRASH_RETENTION_DAYS,
+  TRASH_RETENTION_OPTIONS,
+} from "@/lib/database"
+import {
+  DEFAULT_PATIENT_ID_FORMAT,
+  MAX_PATIENT_ID_LENGTH,
+  MAX_PATIENT_ID_PADDING,
+  formatPatientId,
+  normalizePatientIdFormat,
+} from "@/lib/patient-ids"
+import { Settings, Hash, Loader2, Save, Trash2 } from "lucide-react"
+import { toast } from "react-toastify"
+
+const toastOptions = {
+  position: "top-right",
+  autoClose: 3000,
+  hideProgressBar: true,
+  closeOnClick: true,
+  pauseOnHover: false,
+  draggable: false,
+  className: "text-sm",
+}
+
+// Example id for the format being edited, or the validation error if it isn't valid yet
+function getPreview(format) {
+  try {
+    return { example: formatPatientId(new Date().getFullYear(), 1, normalizePatientIdFormat(format)) }
+  } catch (error) {
+    return { error: error.message }
+  }
+}
+
+// Admin screen for app-wide settings
+export default function SettingsPanel() {
+  const { user } = useAuth()
+  const [idFormat, setIdFormat] = useState(DEFAULT_PATIENT_ID_FORMAT)
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSaving, setIsSaving] = useState(false)
+  const [retentionDays, setRetentionDays] = useState(DEFAULT_TRASH_RETENTION_DAYS)
+  const [isSavingRetention, setIsSavingRetention] = useState(false)
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        const [format, days] = await Promise.all([getPatientIdFormat(), getTrashRetentionDays()])
+        setIdFormat(format)
+        setRetentionDays(days)
+      } catch (error) {
+        console.error("Error loading settings:", error)
+        toast.error("Failed to load settings", toastOptions)
+      } finally {
+        setIsLoading(false)
+      }
+    }
+
+    loadSettings()
+  }, [])
+
+  const preview = getPreview(idFormat)
+
+  const handleSaveIdFormat = async (e) => {
+    e.preventDefault()
+    setIsSaving(true)
+    try {
+      setIdFormat(await savePatientIdFormat(idFormat))
+      toast.success("Patient ID format saved", toastOptions)
+    } catch (error) {
+      toast.error(error.message, toastOptions)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleSaveRetention = async (e) => {
+    e.preventDefault()
+    setIsSavingRetention(true)
+    try {
+      setRetentionDays(await saveTrashRetentionDays(retentionDays))
+      toast.success("Trash retention period saved", toastOptions)
+    } catch (error) {
+      toast.error(error.message, toastOptions)
+    } finally {
+      setIsSavingRetention(false)
+    }
+  }
+
+  return (
+    <Card className="shadow-xl border-0 bg-white/90 dark:bg-gray-800/90 backdrop-blur-sm transition-all duration-300">
+      <CardHeader className="pb-6">
+        <div className="flex items-center space-x-3">
+          <div className="p-2 bg-gradient-to-r from-slate-500 to-gray-700 rounded-lg shadow-lg">
+            <Settings className="h-6 w-6 text-white" />
+          </div>
+          <div>
+            <CardTitle className="text-xl sm:text-2xl font-bold text-gray-800 dark:text-gray-100">Settings</CardTitle>
+            <CardDescription className="text-gray-600 dark:text-gray-300">
+              Settings shared by every user of this browser
+            </CardDescription>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {isLoading ? (
+          <div className="flex justify-center py-8">
+            <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+          </div>
+        ) : (
+          <>
+            <form onSubmit={handleSaveIdFormat} className="space-y-4 p-4 bg-gray-50 dark:bg-gray-700 rounded-lg">
+              <div className="flex items-center gap-2">
+                <Hash className="h-4 w-4 text-gray-500" />
+                <h3 className="font-semibold text-gray-800 dark:text-gray-100">Patient ID Format</h3>
+              </div>
+              <p className="text-sm text-gray-600 dark:text-gray-300">
+                Applies to newly registered patients. Numbering restarts at 1 every year, and existing patients keep
+                their IDs. IDs can be at most {MAX_PATIENT_ID_LENGTH} characters long.
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+                <div className="space-y-2">
+                  <Label htmlFor="id-prefix">Prefix</Label>
+                  <Input
+                    id="id-prefix"
+                    value={idFormat.prefix}
+                    onChange={(e) => setIdFormat((prev) => ({ ...prev, prefix: e.target.value.toUpperCase() }))}
+                    className="border-0 bg-white dark:bg-gray-800"
+                    maxLength={10}
+                    required
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="id-padding">Sequence Digits</Label>
+                  <Input
+                    id="id-padding"
+                    type="number"
+                    min={1}
+                    max={MAX_PATIENT_ID_PADDING}
+                    value={idFormat.padding}
+                    onChange={(e) => setIdFormat((prev) => ({ ...prev, padding: e.target.value }))}
+                    className="border-0 bg-white dark:bg-gray-800"
+                    required
+                  />
+                </div>
+                <label className="flex items-center gap-2 h-10 text-sm cursor-pointer">
+                  <Checkbox
+                    checked={idFormat.checkDigit}
+                    onCheckedChange={(checked) => setIdFormat((prev) => ({ ...prev, checkDigit: checked === true }))}
+                  />
+                  Add a check digit
+                </label>
+              </div>
+              <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+                <p className="text-sm">
+                  {preview.error ? (
+                    <span className="text-red-600 dark:text-red-400">{preview.error}</span>
+                  ) : (
+                    <>
+                      <span className="text-gray-500 dark:text-gray-400">Example: </span>
+                      <span className="font-mono font-medium text-gray-800 dark:text-gray-100">{preview.example}</span>
+                    </>
+                  )}
+                </p>
+                <Button
+                  type="submit"
+                  disabled={isSaving || Boolean(preview.error)}
+                  className="bg-gradient-to-r from-slate-500 to-gray-700 hover:from-slate-600 hover:to-gray-800 text-white border-0 shadow-lg"
+                >
+                  {isSaving ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Save className="h-4 w-4 mr-2" />}
+                  Save
+                </Button>
+              </div>
+            </form>
+
+            <form onSubmit={handleSaveRetention} className="space-y-4 p-4 bg-gray-50 dark:bg-gray-700 rounded-lg">
+              <div className="flex items-center gap-2">
+                <Trash2 className="h-4 w-4 text-gray-500" />
+                <h3 className="font-semibold text-gray-800 dark:text-gray-100">Trash</h3>
+              </div>
+              <p className="text-sm text-gray-600 dark:text-gray-300">
+                Deleted patients can be restored from the trash until they are purged for good. Expired records are purged
+                when the app is opened and when the trash is viewed.
+              </p>
+              <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+                <div className="space-y-2">
+                  <Label htmlFor="trash-retention">Keep Deleted Patients For</Label>
+                  <select
+                    id="trash-retention"
+                    value={retentionDays}
+                    onChange={(e) => setRetentionDays(Number.parseInt(e.target.value))}
+                    className="px-3 pr-8 h-10 border-0 bg-white dark:bg-gray-800 rounded-md focus:ring-2 focus:ring-slate-500 transition-all duration-300 cursor-pointer text-sm"
+                  >
+                    {TRASH_RETENTION_OPTIONS.map((days) => (
+                      <option key={days} value={days}>
+                        {days} days
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <Button
+                  type="submit"
+                  disabled={isSavingRetention}
+                  className="bg-gradient-to-r from-slate-500 to-gray-700 hover:from-slate-600 hover:to-gray-800 text-white border-0 shadow-lg"
+                >
+                  {isSavingRetention ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Save className="h-4 w-4 mr-2" />}
+                  Save
+                </Button>
+              </div>
+            </form>
+          </>
+        )}
+        {hasPermission(user, PERMISSIONS.MANAGE_BACKUPS) && <BackupSettings />}
+      </CardContent>
+    </Card>
+  )
+}
@@ -1,96 +1,247 @@
 "use client"
 
-import { useState, useEffect, useRef } from "react"
+import { useState, useEffect, useRef, useMemo } from "react"
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
-import { executeQuery } from "@/lib/database"
+import {
+  executeScript,
+  explainQuery,
+  getSqlSchema,
+  importLegacyQueryHistory,
+  previewScript,
+  recordQueryHistory,
+} from "@/lib/database"
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table"
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
 import { Badge } from "@/components/ui/badge"
-import { Play, Copy, Download, Database, History, Code, Clock, Loader2, RefreshCw, Search, Filter } from "lucide-react"
+import {
+  Play,
+  Copy,
+  Download,
+  Database,
+  History,
+  Code,
+  Clock,
+  BookMarked,
+  BookmarkPlus,
+  Loader2,
+  RefreshCw,
+  Search,
+  Filter,
+  Lock,
+  LockOpen,
+  TextCursor,
+  GitBranch,
+} from "lucide-react"
 import { toast } from "react-toastify"
 import { Input } from "@/components/ui/input"
+import { Checkbox } from "@/components/ui/checkbox"
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog"
 import Editor from "@monaco-editor/react"
+import { useAuth } from "@/components/auth-wrapper"
+import { PERMISSIONS, hasPermission } from "@/lib/permissions"
+import { PATIENT_SYNC_EVENTS, isOwnMessage, useSyncEvents } from "@/lib/sync"
+import CsvExportDialog from "@/components/csv-export-dialog"
+import QueryPlanViewer from "@/components/query-plan-viewer"
+import QueryLibrary from "@/components/query-library"
+import QueryHistory from "@/components/query-history"
+import SavedQueryDialog from "@/components/saved-query-dialog"
+import { registerSqlLanguageFeatures, setSqlSchema } from "@/lib/sql-completion"
+import { getStatementAtOffset, isDestructiveStatement, splitSqlStatements } from "@/lib/sql-statements"
+
+// Runs kept in localStorage before history moved to the database, moved over on first visit (see
+// importLegacyQueryHistory())
+const LEGACY_HISTORY_KEY = "sql_query_history"
+
+// Statements that change the schema the editor's completions are built from
+const SCHEMA_CHANGE_PATTERN = /\b(?:create|alter|drop|comment\s+on)\b/i
+
+// How each statement of a script ended, as its result tab shows it
+const STATEMENT_STATUSES = {
+  success: {
+    label: "Success",
+    badgeClassName: "bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300",
+    dotClassName: "bg-green-500",
+  },
+  error: {
+    label: "Error",
+    badgeClassName: "bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300",
+    dotClassName: "bg-red-500",
+  },
+  "rolled back": {
+    label: "Rolled back",
+    badgeClassName: "bg-amber-100 text-amber-800 dark:bg-amber-900 dark:text-amber-300",
+    dotClassName: "bg-amber-500",
+  },
+  skipped: {
+    label: "Not run",
+    badgeClassName: "bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300",
+    dotClassName: "bg-gray-400",
+  },
+}
+
+const pluralizeRows = (count) => `${count} ${count === 1 ? "row" : "rows"}`
+
+// What a statement did, e.g. "12 rows", "3 rows affected" or "DROP TABLE"
+function describeStatementResult(result) {
+  if (result.status === "skipped") return "not run"
+  if (result.status === "error") return "failed"
+  if (!result.writeCommand) return pluralizeRows(result.rowCount)
+  return result.affectedRows === null ? result.writeCommand : `${pluralizeRows(result.affectedRows)} affected`
+}
 
 export default function SqlQueryInterface() {
-  const [query, setQuery] = useState("SELECT * FROM patients")
-  const [results, setResults] = useState([])
-  const [columns, setColumns] = useState([])
+  const { user } = useAuth()
+  const canWrite = hasPermission(user, PERMISSIONS.WRITE_SQL)
+  const [query, setQuery] = useState("SELECT * FROM patients WHERE deleted_at IS NULL")
+  // One result per statement of the last script run, shown as tabs
+  const [statementResults, setStatementResults] = useState([])
+  const [activeResultIndex, setActiveResultIndex] = useState(0)
+  // The script those results came from, which auto-refresh runs again
+  const [lastScript, setLastScript] = useState("")
   const [isExecuting, setIsExecuting] = useState(false)
   const [error, setError] = useState(null)
-  const [queryHistory, setQueryHistory] = useState([])
+  const [activeTab, setActiveTab] = useState("editor")
+  // The editor's SQL waiting to be saved to the library: { query }
+  const [savingQuery, setSavingQuery] = useState(null)
   const [autoRefresh, setAutoRefresh] = useState(true)
   const [isRefreshing, setIsRefreshing] = useState(false)
   const [searchTerm, setSearchTerm] = useState("")
   const [sortColumn, setSortColumn] = useState(null)
   const [sortDirection, setSortDirection] = useState("asc")
+  const [isExportOpen, setIsExportOpen] = useState(false)
+  // Statements that change data only run in read-write mode, which is switched on per visit
+  const [mode, setMode] = useState("read-only")
+  const [runInTransaction, setRunInTransaction] = useState(false)
+  // A script with destructive statements waiting for confirmation: { query, writes }, where
+  // writes are the destructive statements with what they would do (see previewScript())
+  const [pendingWrite, setPendingWrite] = useState(null)
+  // The plan of the last statement explained (see explainQuery())
+  const [explained, setExplained] = useState(null)
+  const [isExplaining, setIsExplaining] = useState(false)
   const editorRef = useRef(null)
+  const requestQueryRef = useRef(null)
 
-  // Load query history from localStorage on component mount
+  const activeResult = statementResults[Math.min(activeResultIndex, statementResults.length - 1)] ?? null
+  const results = activeResult?.rows ?? []
+  const columns = activeResult?.columns ?? []
+
+  // Move runs remembered by older versions of the app into the database
   useEffect(() => {
-    const savedHistory = localStorage.getItem("sql_query_history")
-    if (savedHistory) {
-      setQueryHistory(JSON.parse(savedHistory))
+    const legacyHistory = localStorage.getItem(LEGACY_HISTORY_KEY)
+    if (!legacyHistory) return
+    // Removed first so a second mount doesn't move the same runs again
+    localStorage.removeItem(LEGACY_HISTORY_KEY)
+
+    const moveLegacyHistory = async () => {
+      try {
+        await importLegacyQueryHistory(
+          JSON.parse(legacyHistory)
+            .reverse()
+            .map((item) => ({
+              query: item.query,
+              success: item.success,
+              resultCount: item.success ? item.resultCount : null,
+              executedAt: item.timestamp,
+            })),
+        )
+      } catch (err) {
+        console.error("Error moving query history:", err)
+      }
     }
+    moveLegacyHistory()
   }, [])
 
-  // Subscribe to patient changes for auto-refresh
-  useEffect(() => {
-    if (!autoRefresh) return
-
-    const channel = new BroadcastChannel("patient_updates")
-
-    const handleMessage = (event) => {
-      console.log("SqlQueryInterface: Received patient change:", event.data)
-
-      // Auto-refresh if we have results and auto-refresh is enabled
-      if (results.length > 0 && query.trim()) {
-        executeUserQuery(true) // true = auto-refresh
-      }
+  // Load the tables, columns and functions the editor suggests
+  const loadSqlSchema = async () => {
+    try {
+      setSqlSchema(await getSqlSchema())
+    } catch (err) {
+      console.error("Error loading the database schema:", err)
     }
+  }
 
-    channel.addEventListener("message", handleMessage)
+  useEffect(() => {
+    loadSqlSchema()
+  }, [])
 
-    return () => {
-      channel.removeEventListener("message", handleMessage)
-      channel.close()
-    }
-  }, [query, results, autoRefresh])
-
-  // Save query to history
-  const saveQueryToHistory = (query, success, resultCount = 0) => {
-    const historyItem = {
-      id: Date.now(),
-      query: query.trim(),
-      timestamp: new Date().toISOString(),
-      success,
-      resultCount,
+  // Re-run the last script when patient data changes in another tab. Changes made here are
+  // skipped, and scripts that wrote are never re-run.
+  useSyncEvents((message) => {
+    if (isOwnMessage(message)) return
+    if (autoRefresh && results.length > 0 && !statementResults.some((result) => result.writeCommand)) {
+      executeUserQuery(true, lastScript) // true = auto-refresh
     }
+  }, PATIENT_SYNC_EVENTS)
 
-    const newHistory = [historyItem, ...queryHistory.slice(0, 4)] // Keep only last 5 queries
-    setQueryHistory(newHistory)
-    localStorage.setItem("sql_query_history", JSON.stringify(newHistory))
+  // Remember a run in the user's history. Failing to record it doesn't fail the run.
+  const saveQueryToHistory = (query, success, resultCount = null) => {
+    recordQueryHistory({ query: query.trim(), success, resultCount }).catch((err) =>
+      console.error("Error recording query history:", err),
+    )
   }
 
-  const executeUserQuery = async (isAutoRefresh = false) => {
+  // Auto-refresh always runs read-only, so it can never repeat a write
+  const executeUserQuery = async (isAutoRefresh = false, sql = query) => {
     setIsExecuting(true)
     setError(null)
 
     if (isAutoRefresh) setIsRefreshing(true)
 
     try {
-      const { rows, columns } = await executeQuery(query)
-      setResults(rows)
-      setColumns(columns)
+      const newResults = await executeScript(sql, {
+        mode: isAutoRefresh ? "read-only" : mode,
+        transaction: runInTransaction,
+      })
+      const failedIndex = newResults.findIndex((result) => result.status === "error")
+      setStatementResults(newResults)
+      setLastScript(sql)
       setSortColumn(null)
       setSortDirection("asc")
 
-      saveQueryToHistory(query, true, rows.length)
+      // Open the statement that failed, or else the last one. Auto-refresh keeps the open tab.
+      if (!isAutoRefresh) {
+        setActiveResultIndex(failedIndex >= 0 ? failedIndex : newResults.length - 1)
+        setSearchTerm("")
+      }
+
+      // Auto-refresh only repeats a run that is already in the history
+      if (!isAutoRefresh) {
+        saveQueryToHistory(sql, failedIndex < 0, newResults.reduce((total, result) => total + result.rowCount, 0))
+      }
+
+      // New or changed tables show up in completions straight away
+      if (SCHEMA_CHANGE_PATTERN.test(sql)) loadSqlSchema()
 
       if (isAutoRefresh) {
         // No notification for auto-refresh
+      } else if (failedIndex >= 0) {
+        const failure = newResults[failedIndex]
+        const prefix = newResults.length > 1 ? `Statement ${failedIndex + 1} failed` : "Query failed"
+        toast.error(`${prefix}: ${failure.error}`, {
+          position: "top-right",
+          autoClose: 3000,
+          hideProgressBar: true,
+          closeOnClick: true,
+          pauseOnHover: false,
+          draggable: false,
+          className: "text-sm",
+        })
       } else {
-        toast.success(`Query executed successfully! Found ${rows.length} results.`, {
+        const message =
+          newResults.length > 1
+            ? `Script executed successfully! Ran ${newResults.length} statements.`
+            : `Query executed successfully! Found ${newResults[0].rowCount} results.`
+        toast.success(message, {
           position: "top-right",
           autoClose: 2000,
           hideProgressBar: true,
@@ -104,9 +255,9 @@ export default function SqlQueryInterface() {
       console.error("SQL execution error:", err)
       const errorMessage = err.message || "An error occurred while executing the query."
       setError(errorMessage)
-      saveQueryToHistory(query, false)
 
       if (!isAutoRefresh) {
+        saveQueryToHistory(sql, false)
         toast.error(`Query failed: ${errorMessage}`, {
           position: "top-right",
           autoClose: 3000,
@@ -123,6 +274,73 @@ export default function SqlQueryInterface() {
     }
   }
 
+  // The SQL to run: the selection if there is one, otherwise the statement at the cursor
+  // ("statement") or the whole script ("script")
+  const getSqlToRun = (scope) => {
+    const editor = editorRef.current
+    const model = editor?.getModel()
+    if (!model) return query
+
+    const selection = editor.getSelection()
+    if (selection && !selection.isEmpty()) return model.getValueInRange(selection)
+    if (scope === "statement") {
+      return getStatementAtOffset(model.getValue(), model.getOffsetAt(editor.getPosition()))?.text ?? ""
+    }
+    return model.getValue()
+  }
+
+  // In read-write mode, scripts with statements that delete, overwrite or drop are first run in a
+  // transaction that is rolled back, and only run for real once the affected rows are confirmed
+  const requestQuery = async (scope = "script") => {
+    const sql = getSqlToRun(scope)
+    if (!sql.trim() || isExecuting) return
+
+    if (mode === "read-write" && splitSqlStatements(sql).some((statement) => isDestructiveStatement(statement.text))) {
+      setIsExecuting(true)
+      setError(null)
+      try {
+        const writes = (await previewScript(sql)).filter((write) => isDestructiveStatement(write.statement))
+        if (writes.length > 0) {
+          setPendingWrite({ query: sql, writes })
+          return
+        }
+      } catch (err) {
+        console.error("SQL preview error:", err)
+        setError(err.message)
+        saveQueryToHistory(sql, false)
+        return
+      } finally {
+        setIsExecuting(false)
+      }
+    }
+    await executeUserQuery(false, sql)
+  }
+  // The editor's shortcut is registered once, so it calls whichever version is current
+  requestQueryRef.current = requestQuery
+
+  // Show the plan of the selection or the statement at the cursor
+  const explainStatement = async () => {
+    const sql = getSqlToRun("statement")
+    if (!sql.trim() || isExplaining) return
+
+    setIsExplaining(true)
+    setError(null)
+    try {
+      setExplained(await explainQuery(sql, { mode }))
+    } catch (err) {
+      console.error("SQL explain error:", err)
+      setError(err.message)
+    } finally {
+      setIsExplaining(false)
+    }
+  }
+
+  const confirmPendingWrite = () => {
+    const { query: sql } = pendingWrite
+    setPendingWrite(null)
+    executeUserQuery(false, sql)
+  }
+
   const copyToClipboard = async () => {
     try {
       await navigator.clipboard.writeText(query)
@@ -148,61 +366,13 @@ export default function SqlQueryInterface() {
     }
   }
 
-  const exportResults = () => {
-    if (filteredAndSortedResults.length === 0) {
-      toast.warning("No results to export", {
-        position: "top-right",
-        autoClose: 2000,
-        hideProgressBar: true,
-        closeOnClick: true,
-        pauseOnHover: false,
-        draggable: false,
-        className: "text-sm",
-      })
-      return
-    }
-
-    // Create CSV content
-    const headers = columns.join(",")
-    const rows = filteredAndSortedResults.map((row) =>
-      columns.map((col) => (typeof row[col] === "string" ? `"${row[col].replace(/"/g, '""')}"` : row[col])).join(","),
-    )
-    const csv = [headers, ...rows].join("\n")
-
-    // Create download link
-    const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" })
-    const url = URL.createObjectURL(blob)
-    const link = document.createElement("a")
-    link.setAttribute("href", url)
-    link.setAttribute("download", `query_results_${new Date().toISOString().split("T")[0]}.csv`)
-    link.style.visibility = "hidden"
-    document.body.appendChild(link)
-    link.click()
-    document.body.removeChild(link)
-
-    toast.success("Results exported successfully", {
-      position: "top-right",
-      autoClose: 2000,
-      hideProgressBar: true,
-      closeOnClick: true,
-      pauseOnHover: false,
-      draggable: false,
-      className: "text-sm",
-    })
-  }
+  // Query results are exported with the column names the query returned
+  const exportColumns = useMemo(() => columns.map((column) => ({ key: column, label: column })), [columns])
 
-  const loadQueryFromHistory = (historyQuery) => {
-    setQuery(historyQuery)
-  }
-
-  const formatTimestamp = (timestamp) => {
-    const date = new Date(timestamp)
-    return date.toLocaleString("en-US", {
-      month: "short",
-      day: "numeric",
-      hour: "2-digit",
-      minute: "2-digit",
-    })
+  // Open SQL from the library or the history in the editor
+  const loadQuery = (sql) => {
+    setQuery(sql)
+    setActiveTab("editor")
   }
 
   // Enhanced sorting function
@@ -244,242 +414,18 @@ export default function SqlQueryInterface() {
       return 0
     })
 
-  // Monaco Editor configuration with updated suggestions for new fields
+  // Completions, signature help and hovers come from the database's schema
   const handleEditorDidMount = (editor, monaco) => {
     editorRef.current = editor
-
-    // Configure SQL language features
-    monaco.languages.registerCompletionItemProvider("sql", {
-      provideCompletionItems: (model, position) => {
-        const suggestions = [
-          // SQL Keywords
-          {
-            label: "SELECT",
-            kind: monaco.languages.CompletionItemKind.Keyword,
-            insertText: "SELECT ",
-            documentation: "Retrieve data from database tables",
-          },
-          {
-            label: "FROM",
-            kind: monaco.languages.CompletionItemKind.Keyword,
-            insertText: "FROM ",
-            documentation: "Specify the table to query",
-          },
-          {
-            label: "WHERE",
-            kind: monaco.languages.CompletionItemKind.Keyword,
-            insertText: "WHERE ",
-            documentation: "Filter rows based on conditions",
-          },
-          {
-            label: "ORDER BY",
-            kind: monaco.languages.CompletionItemKind.Keyword,
-            insertText: "ORDER BY ",
-            documentation: "Sort the result set",
-          },
-          {
-            label: "GROUP BY",
-            kind: monaco.languages.CompletionItemKind.Keyword,
-            insertText: "GROUP BY ",
-            documentation: "Group rows that have the same values",
-          },
-          {
-            label: "HAVING",
-            kind: monaco.languages.CompletionItemKind.Keyword,
-            insertText: "HAVING ",
-            documentation: "Filter groups based on conditions",
-          },
-          {
-            label: "INSERT INTO",
-            kind: monaco.languages.CompletionItemKind.Keyword,
-            insertText: "INSERT INTO ",
-            documentation: "Insert new rows into a table",
-          },
-          {
-            label: "UPDATE",
-            kind: monaco.languages.CompletionItemKind.Keyword,
-            insertText: "UPDATE ",
-            documentation: "Modify existing rows in a table",
-          },
-          {
-            label: "DELETE FROM",
-            kind: monaco.languages.CompletionItemKind.Keyword,
-            insertText: "DELETE FROM ",
-            documentation: "Remove rows from a table",
-          },
-          {
-            label: "CREATE TABLE",
-            kind: monaco.languages.CompletionItemKind.Keyword,
-            insertText: "CREATE TABLE ",
-            documentation: "Create a new table",
-          },
-          // Table names
-          {
-            label: "patients",
-            kind: monaco.languages.CompletionItemKind.Class,
-            insertText: "patients",
-            documentation: "Main patients table",
-          },
-          // Updated column names for patients table - REMOVED id, added patient_id first
-          {
-            label: "patient_id",
-            kind: monaco.languages.CompletionItemKind.Field,
-            insertText: "patient_id",
-            documentation: "Patient ID (PAT-YYYY-NNNN format)",
-          },
-          {
-            label: "first_name",
-            kind: monaco.languages.CompletionItemKind.Field,
-            insertText: "first_name",
-            documentation: "Patient's first name",
-          },
-          {
-            label: "last_name",
-            kind: monaco.languages.CompletionItemKind.Field,
-            insertText: "last_name",
-            documentation: "Patient's last name",
-          },
-          {
-            label: "email",
-            kind: monaco.languages.CompletionItemKind.Field,
-            insertText: "email",
-            documentation: "Patient's email address",
-          },
-          {
-            label: "phone",
-            kind: monaco.languages.CompletionItemKind.Field,
-            insertText: "phone",
-            documentation: "Patient's phone number with country code",
-          },
-          {
-            label: "date_of_birth",
-            kind: monaco.languages.CompletionItemKind.Field,
-            insertText: "date_of_birth",
-            documentation: "Patient's date of birth",
-          },
-          {
-            label: "age",
-            kind: monaco.languages.CompletionItemKind.Field,
-            insertText: "age",
-            documentation: "Patient's age in years",
-          },
-          {
-            label: "gender",
-            kind: monaco.languages.CompletionItemKind.Field,
-            insertText: "gender",
-            documentation: "Patient's gender",
-          },
-          {
-            label: "address",
-            kind: monaco.languages.CompletionItemKind.Field,
-            insertText: "address",
-            documentation: "Patient's address",
-          },
-          {
-            label: "emergency_contact_name",
-            kind: monaco.languages.CompletionItemKind.Field,
-            insertText: "emergency_contact_name",
-            documentation: "Emergency contact name",
-          },
-          {
-            label: "emergency_contact_phone",
-            kind: monaco.languages.CompletionItemKind.Field,
-            insertText: "emergency_contact_phone",
-            documentation: "Emergency contact phone number",
-          },
-          {
-            label: "medical_history",
-            kind: monaco.languages.CompletionItemKind.Field,
-            insertText: "medical_history",
-            documentation: "Patient's medical history",
-          },
-          {
-            label: "allergies",
-            kind: monaco.languages.CompletionItemKind.Field,
-            insertText: "allergies",
-            documentation: "Patient's allergies",
-          },
-          {
-            label: "current_medications",
-            kind: monaco.languages.CompletionItemKind.Field,
-            insertText: "current_medications",
-            documentation: "Patient's current medications",
-          },
-          {
-            label: "insurance_provider",
-            kind: monaco.languages.CompletionItemKind.Field,
-            insertText: "insurance_provider",
-            documentation: "Patient's insurance provider",
-          },
-          {
-            label: "insurance_policy_number",
-            kind: monaco.languages.CompletionItemKind.Field,
-            insertText: "insurance_policy_number",
-            documentation: "Patient's insurance policy number",
-          },
-          {
-            label: "created_at",
-            kind: monaco.languages.CompletionItemKind.Field,
-            insertText: "created_at",
-            documentation: "Record creation timestamp",
-          },
-          {
-            label: "updated_at",
-            kind: monaco.languages.CompletionItemKind.Field,
-            insertText: "updated_at",
-            documentation: "Record last update timestamp",
-          },
-          // SQL Functions
-          {
-            label: "COUNT(*)",
-            kind: monaco.languages.CompletionItemKind.Function,
-            insertText: "COUNT(*)",
-            documentation: "Count the number of rows",
-          },
-          {
-            label: "COUNT(column)",
-            kind: monaco.languages.CompletionItemKind.Function,
-            insertText: "COUNT(${1:column})",
-            insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-            documentation: "Count non-null values in a column",
-          },
-          {
-            label: "MAX(column)",
-            kind: monaco.languages.CompletionItemKind.Function,
-            insertText: "MAX(${1:column})",
-            insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-            documentation: "Find the maximum value",
-          },
-          {
-            label: "MIN(column)",
-            kind: monaco.languages.CompletionItemKind.Function,
-            insertText: "MIN(${1:column})",
-            insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-            documentation: "Find the minimum value",
-          },
-          {
-            label: "AVG(column)",
-            kind: monaco.languages.CompletionItemKind.Function,
-            insertText: "AVG(${1:column})",
-            insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-            documentation: "Calculate the average value",
-          },
-          {
-            label: "SUM(column)",
-            kind: monaco.languages.CompletionItemKind.Function,
-            insertText: "SUM(${1:column})",
-            insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-            documentation: "Calculate the sum of values",
-          },
-        ]
-
-        return { suggestions }
-      },
-    })
+    registerSqlLanguageFeatures(monaco)
 
     // Add keyboard shortcuts
     editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyCode.Enter, () => {
-      executeUserQuery()
+      requestQueryRef.current("script")
+    })
+
+    editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyMod.Shift | monaco.KeyCode.Enter, () => {
+      requestQueryRef.current("statement")
     })
 
     editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyCode.KeyS, () => {
@@ -487,49 +433,6 @@ export default function SqlQueryInterface() {
     })
   }
 
-  // Updated sample queries with patient_id field and without internal id
-  const sampleQueries = [
-    {
-      name: "Select All Patients",
-      query: "SELECT patient_id, first_name, last_name, age, gender FROM patients",
-      description: "Retrieve all patient records with key information",
-    },
-    {
-      name: "Count Patients by Gender",
-      query: "SELECT gender, COUNT(*) as count FROM patients GROUP BY gender",
-      description: "Get patient count grouped by gender",
-    },
-    {
-      name: "Patients with Insurance",
-      query:
-        "SELECT patient_id, first_name, last_name, age, insurance_provider FROM patients WHERE insurance_provider IS NOT NULL AND insurance_provider != ''",
-      description: "Find patients who have insurance",
-    },
-    {
-      name: "Patients by Age Group",
-      query:
-        "SELECT CASE WHEN age < 18 THEN 'Minor' WHEN age < 65 THEN 'Adult' ELSE 'Senior' END as age_group, COUNT(*) as count FROM patients GROUP BY age_group",
-      description: "Group patients by age categories",
-    },
-    {
-      name: "Patients with Allergies",
-      query:
-        "SELECT patient_id, first_name, last_name, age, allergies FROM patients WHERE allergies IS NOT NULL AND allergies != ''",
-      description: "Find patients with known allergies",
-    },
-    {
-      name: "Recent Patients",
-      query:
-        "SELECT patient_id, first_name, last_name, age, email, created_at FROM patients ORDER BY created_at DESC LIMIT 10",
-      description: "Get the 10 most recently registered patients",
-    },
-    {
-      name: "Senior Patients",
-      query: "SELECT patient_id, first_name, last_name, age, medical_history FROM patients WHERE age >= 65",
-      description: "Get patients aged 65 and above with medical information",
-    },
-  ]
-
   return (
     <Card className="shadow-xl border-0 bg-white/90 dark:bg-gray-800/90 backdrop-blur-sm transform hover:scale-[1.01] transition-all duration-300">
       <CardHeader className="pb-6">
@@ -543,33 +446,60 @@ export default function SqlQueryInterface() {
               <CardTitle className="text-xl sm:text-2xl font-bold text-gray-800 dark:text-gray-100 flex items-center gap-2">
                 SQL Query Interface
                 {isRefreshing && <RefreshCw className="h-4 w-4 animate-spin text-purple-500" />}
+                {!canWrite && (
+                  <Badge className="bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300 border-0 text-xs font-normal">
+                    Read-only
+                  </Badge>
+                )}
               </CardTitle>
               <CardDescription className="text-gray-600 dark:text-gray-300">
                 Execute SQL queries with intelligent autocompletion and enhanced results
               </CardDescription>
             </div>
           </div>
-          <Button
-            variant="outline"
-            size="sm"
-            onClick={() => setAutoRefresh(!autoRefresh)}
-            className={`${autoRefresh ? "bg-green-50 border-green-200 text-green-700" : "bg-gray-50"} transition-all duration-300`}
-          >
-            <RefreshCw className={`h-4 w-4 mr-2 ${autoRefresh ? "text-green-600" : ""}`} />
-            Auto-refresh: {autoRefresh ? "ON" : "OFF"}
-          </Button>
+          <div className="flex items-center gap-2">
+            {canWrite && (
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => setMode(mode === "read-only" ? "read-write" : "read-only")}
+                title={
+                  mode === "read-only"
+                    ? "Statements that change data are refused"
+                    : "Statements that change data run and are audited"
+                }
+                className={`${mode === "read-write" ? "bg-amber-50 border-amber-200 text-amber-700" : "bg-gray-50"} transition-all duration-300`}
+              >
+                {mode === "read-write" ? (
+                  <LockOpen className="h-4 w-4 mr-2 text-amber-600" />
+                ) : (
+                  <Lock className="h-4 w-4 mr-2" />
+                )}
+                {mode === "read-write" ? "Read-write" : "Read-only"}
+              </Button>
+            )}
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => setAutoRefresh(!autoRefresh)}
+              className={`${autoRefresh ? "bg-green-50 border-green-200 text-green-700" : "bg-gray-50"} transition-all duration-300`}
+            >
+              <RefreshCw className={`h-4 w-4 mr-2 ${autoRefresh ? "text-green-600" : ""}`} />
+              Auto-refresh: {autoRefresh ? "ON" : "OFF"}
+            </Button>
+          </div>
         </div>
       </CardHeader>
       <CardContent>
-        <Tabs defaultValue="editor" className="w-full">
+        <Tabs value={activeTab} onValueChange={setActiveTab} className="w-full">
           <TabsList className="grid w-full grid-cols-3 mb-6 bg-gray-100 dark:bg-gray-700">
             <TabsTrigger value="editor" className="flex items-center space-x-2">
               <Code className="h-4 w-4" />
               <span>Query Editor</span>
             </TabsTrigger>
-            <TabsTrigger value="samples" className="flex items-center space-x-2">
-              <Database className="h-4 w-4" />
-              <span>Sample Queries</span>
+            <TabsTrigger value="library" className="flex items-center space-x-2">
+              <BookMarked className="h-4 w-4" />
+              <span>Library</span>
             </TabsTrigger>
             <TabsTrigger value="history" className="flex items-center space-x-2">
               <History className="h-4 w-4" />
@@ -613,7 +543,17 @@ export default function SqlQueryInterface() {
                     }}
                   />
                 </div>
-                <div className="absolute top-3 right-3 z-10">
+                <div className="absolute top-3 right-3 z-10 flex items-center gap-1">
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => setSavingQuery({ query })}
+                    disabled={!query.trim()}
+                    title="Save to the library"
+                    className="hover:bg-white/80 dark:hover:bg-gray-600/80 transition-all duration-200"
+                  >
+                    <BookmarkPlus className="h-4 w-4" />
+                  </Button>
                   <Button
                     variant="ghost"
                     size="icon"
@@ -626,27 +566,63 @@ export default function SqlQueryInterface() {
               </div>
 
               <div className="flex flex-col sm:flex-row justify-between gap-4">
-                <Button
-                  onClick={() => executeUserQuery()}
-                  disabled={isExecuting || !query.trim()}
-                  className="bg-gradient-to-r from-purple-500 to-indigo-600 hover:from-purple-600 hover:to-indigo-700 text-white shadow-lg hover:shadow-xl transform hover:scale-105 transition-all duration-300"
-                >
-                  {isExecuting ? (
-                    <div className="flex items-center space-x-2">
-                      <Loader2 className="h-4 w-4 animate-spin" />
-                      <span>Executing...</span>
-                    </div>
-                  ) : (
-                    <div className="flex items-center space-x-2">
-                      <Play className="h-4 w-4" />
-                      <span>Execute Query (Ctrl+Enter)</span>
-                    </div>
-                  )}
-                </Button>
+                <div className="flex flex-col sm:flex-row sm:items-center gap-4">
+                  <Button
+                    onClick={() => requestQuery("script")}
+                    disabled={isExecuting || !query.trim()}
+                    className="bg-gradient-to-r from-purple-500 to-indigo-600 hover:from-purple-600 hover:to-indigo-700 text-white shadow-lg hover:shadow-xl transform hover:scale-105 transition-all duration-300"
+                  >
+                    {isExecuting ? (
+                      <div className="flex items-center space-x-2">
+                        <Loader2 className="h-4 w-4 animate-spin" />
+                        <span>Executing...</span>
+                      </div>
+                    ) : (
+                      <div className="flex items-center space-x-2">
+                        <Play className="h-4 w-4" />
+                        <span>Execute Query (Ctrl+Enter)</span>
+                      </div>
+                    )}
+                  </Button>
+                  <Button
+                    variant="outline"
+                    onClick={() => requestQuery("statement")}
+                    disabled={isExecuting || !query.trim()}
+                    title="Run the selection, or the statement the cursor is in (Ctrl+Shift+Enter)"
+                    className="bg-white/80 dark:bg-gray-700/80 backdrop-blur-sm border-0 shadow-lg hover:scale-105 transition-all duration-300"
+                  >
+                    <TextCursor className="mr-2 h-4 w-4" />
+                    Run Statement
+                  </Button>
+                  <Button
+                    variant="outline"
+                    onClick={explainStatement}
+                    disabled={isExplaining || isExecuting || !query.trim()}
+                    title="Show how the database runs the selection, or the statement the cursor is in"
+                    className="bg-white/80 dark:bg-gray-700/80 backdrop-blur-sm border-0 shadow-lg hover:scale-105 transition-all duration-300"
+                  >
+                    {isExplaining ? (
+                      <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    ) : (
+                      <GitBranch className="mr-2 h-4 w-4" />
+                    )}
+                    Explain
+                  </Button>
+                  <label
+                    title="Roll back every statement if one fails"
+                    className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 cursor-pointer"
+                  >
+                    <Checkbox
+                      checked={runInTransaction}
+                      onCheckedChange={(checked) => setRunInTransaction(checked === true)}
+                    />
+                    Run as one transaction
+                  </label>
+                </div>
 
                 <Button
                   variant="outline"
-                  onClick={exportResults}
+                  onClick={() => setIsExportOpen(true)}
                   disabled={filteredAndSortedResults.length === 0}
                   className="bg-white/80 dark:bg-gray-700/80 backdrop-blur-sm border-0 shadow-lg hover:scale-105 transition-all duration-300"
                 >
@@ -657,7 +633,10 @@ export default function SqlQueryInterface() {
 
               <div className="text-xs text-gray-500 dark:text-gray-400 bg-gray-50 dark:bg-gray-700 p-3 rounded-lg">
                 <strong>💡 Tips:</strong> Press{" "}
-                <kbd className="px-1 py-0.5 bg-gray-200 dark:bg-gray-600 rounded">Ctrl+Enter</kbd> to execute •
+                <kbd className="px-1 py-0.5 bg-gray-200 dark:bg-gray-600 rounded">Ctrl+Enter</kbd> to execute the script
+                or selection •
+                <kbd className="px-1 py-0.5 bg-gray-200 dark:bg-gray-600 rounded ml-1">Ctrl+Shift+Enter</kbd> to run the
+                statement at the cursor •
                 <kbd className="px-1 py-0.5 bg-gray-200 dark:bg-gray-600 rounded ml-1">Ctrl+Space</kbd> for suggestions
                 •<kbd className="px-1 py-0.5 bg-gray-200 dark:bg-gray-600 rounded ml-1">Ctrl+S</kbd> to copy query
               </div>
@@ -676,6 +655,57 @@ export default function SqlQueryInterface() {
                 </div>
               )}
 
+              {explained && <QueryPlanViewer explained={explained} onClose={() => setExplained(null)} />}
+
+              {activeResult && (
+                <div className="space-y-3 animate-fadeIn">
+                  {statementResults.length > 1 && (
+                    <Tabs
+                      value={String(Math.min(activeResultIndex, statementResults.length - 1))}
+                      onValueChange={(value) => {
+                        setActiveResultIndex(Number(value))
+                        setSortColumn(null)
+                        setSortDirection("asc")
+                        setSearchTerm("")
+                      }}
+                    >
+                      <TabsList className="h-auto flex-wrap justify-start bg-gray-100 dark:bg-gray-700">
+                        {statementResults.map((result, index) => (
+                          <TabsTrigger key={index} value={String(index)} className="flex items-center gap-2">
+                            <span className={`h-2 w-2 rounded-full ${STATEMENT_STATUSES[result.status].dotClassName}`} />
+                            <span>Statement {index + 1}</span>
+                            <span className="text-xs text-gray-500 dark:text-gray-400">
+                              {describeStatementResult(result)}
+                            </span>
+                          </TabsTrigger>
+                        ))}
+                      </TabsList>
+                    </Tabs>
+                  )}
+
+                  <div className="p-3 rounded-lg bg-gray-50 dark:bg-gray-700 space-y-2">
+                    <pre className="max-h-24 overflow-y-auto whitespace-pre-wrap break-words text-xs font-mono text-gray-700 dark:text-gray-300">
+                      <code>{activeResult.statement}</code>
+                    </pre>
+                    <div className="flex flex-wrap items-center gap-3 text-xs text-gray-600 dark:text-gray-400">
+                      <Badge className={`${STATEMENT_STATUSES[activeResult.status].badgeClassName} border-0`}>
+                        {STATEMENT_STATUSES[activeResult.status].label}
+                      </Badge>
+                      <span>{describeStatementResult(activeResult)}</span>
+                      {activeResult.duration !== null && (
+                        <span className="flex items-center">
+                          <Clock className="h-3 w-3 mr-1" />
+                          {activeResult.duration} ms
+                        </span>
+                      )}
+                    </div>
+                    {activeResult.error && (
+                      <p className="font-mono text-sm text-red-700 dark:text-red-400">{activeResult.error}</p>
+                    )}
+                  </div>
+                </div>
+              )}
+
               {results.length > 0 ? (
                 <div className="space-y-4 animate-fadeIn">
                   <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
@@ -688,9 +718,6 @@ export default function SqlQueryInterface() {
                           Auto-refreshing
                         </Badge>
                       )}
-                      <Badge className="bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300 border-0">
-                        Success
-                      </Badge>
                     </div>
 
                     {/* Enhanced Search and Filter Controls */}
@@ -812,7 +839,9 @@ export default function SqlQueryInterface() {
                 </div>
               ) : (
                 !error &&
-                !isExecuting && (
+                !isExecuting &&
+                !activeResult &&
+                !explained && (
                   <div className="text-center py-12 space-y-4">
                     <Database className="h-16 w-16 text-gray-300 dark:text-gray-600 mx-auto" />
                     <div>
@@ -827,97 +856,67 @@ export default function SqlQueryInterface() {
             </div>
           </TabsContent>
 
-          <TabsContent value="samples">
-            <div className="space-y-4">
-              <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-200 mb-4">Sample Queries</h3>
-              {sampleQueries.map((sample, index) => (
-                <Card
-                  key={index}
-                  className="cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-all duration-300 transform hover:scale-[1.02] border-0 shadow-md bg-white dark:bg-gray-800"
-                  onClick={() => setQuery(sample.query)}
-                >
-                  <CardHeader className="py-4">
-                    <div className="flex items-center justify-between">
-                      <CardTitle className="text-base font-semibold text-gray-800 dark:text-gray-200">
-                        {sample.name}
-                      </CardTitle>
-                      <Badge variant="outline" className="text-xs">
-                        Click to load
-                      </Badge>
-                    </div>
-                    <CardDescription className="text-sm text-gray-600 dark:text-gray-400">
-                      {sample.description}
-                    </CardDescription>
-                  </CardHeader>
-                  <CardContent className="py-0 pb-4">
-                    <pre className="bg-gray-50 dark:bg-gray-700 p-3 rounded-md overflow-x-auto text-xs font-mono text-gray-700 dark:text-gray-300 border">
-                      <code>{sample.query}</code>
-                    </pre>
-                  </CardContent>
-                </Card>
-              ))}
-            </div>
+          <TabsContent value="library">
+            <QueryLibrary onLoad={loadQuery} />
           </TabsContent>
 
           <TabsContent value="history">
-            <div className="space-y-4">
-              <div className="flex items-center justify-between">
-                <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-200">Query History</h3>
-                <Badge variant="outline" className="text-xs">
-                  Last 5 queries
-                </Badge>
-              </div>
+            <QueryHistory onLoad={loadQuery} />
+          </TabsContent>
+        </Tabs>
 
-              {queryHistory.length === 0 ? (
-                <div className="text-center py-12 space-y-4">
-                  <History className="h-16 w-16 text-gray-300 dark:text-gray-600 mx-auto" />
-                  <div>
-                    <h3 className="text-lg font-semibold text-gray-600 dark:text-gray-400">No query history</h3>
-                    <p className="text-gray-500 dark:text-gray-500">Execute some queries to see them here</p>
-                  </div>
+        <CsvExportDialog
+          open={isExportOpen}
+          onOpenChange={setIsExportOpen}
+          title="Export Query Results"
+          rows={filteredAndSortedResults}
+          columns={exportColumns}
+          filenamePrefix="query_results"
+        />
+
+        <SavedQueryDialog
+          open={Boolean(savingQuery)}
+          onOpenChange={(open) => !open && setSavingQuery(null)}
+          defaults={savingQuery}
+        />
+
+        <AlertDialog open={Boolean(pendingWrite)} onOpenChange={(open) => !open && setPendingWrite(null)}>
+          <AlertDialogContent className="bg-white dark:bg-gray-800 border-0 shadow-2xl">
+            <AlertDialogHeader>
+              <AlertDialogTitle className="text-gray-900 dark:text-gray-100">
+                {pendingWrite?.writes.length === 1
+                  ? `Run ${pendingWrite.writes[0].command}?`
+                  : `Run ${pendingWrite?.writes.length} destructive statements?`}
+              </AlertDialogTitle>
+              <AlertDialogDescription className="text-gray-600 dark:text-gray-400">
+                Counted by trying the SQL in a transaction that was rolled back. Once run, this can't be undone.
+              </AlertDialogDescription>
+            </AlertDialogHeader>
+            <div className="space-y-2 max-h-64 overflow-y-auto">
+              {pendingWrite?.writes.map((write, index) => (
+                <div key={index} className="space-y-1">
+                  <p className="text-sm font-medium text-gray-800 dark:text-gray-200">
+                    {write.command}:{" "}
+                    {write.affectedRows === null
+                      ? "changes the database structure or removes data"
+                      : `${pluralizeRows(write.affectedRows)} affected`}
+                  </p>
+                  <pre className="bg-gray-50 dark:bg-gray-700 p-2 rounded text-xs font-mono text-gray-700 dark:text-gray-300 overflow-x-auto border">
+                    <code>{write.statement}</code>
+                  </pre>
                 </div>
-              ) : (
-                <div className="space-y-3">
-                  {queryHistory.map((item, index) => (
-                    <Card
-                      key={item.id}
-                      className="cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-all duration-300 transform hover:scale-[1.01] border-0 shadow-md bg-white dark:bg-gray-800"
-                      onClick={() => loadQueryFromHistory(item.query)}
-                    >
-                      <CardContent className="p-4">
-                        <div className="flex items-start justify-between mb-2">
-                          <div className="flex items-center space-x-2">
-                            <Badge
-                              className={`${
-                                item.success
-                                  ? "bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300"
-                                  : "bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300"
-                              } border-0 text-xs`}
-                            >
-                              {item.success ? "Success" : "Failed"}
-                            </Badge>
-                            {item.success && (
-                              <span className="text-xs text-gray-500 dark:text-gray-400">
-                                {item.resultCount} results
-                              </span>
-                            )}
-                          </div>
-                          <div className="flex items-center text-xs text-gray-500 dark:text-gray-400">
-                            <Clock className="h-3 w-3 mr-1" />
-                            {formatTimestamp(item.timestamp)}
-                          </div>
-                        </div>
-                        <pre className="bg-gray-50 dark:bg-gray-700 p-2 rounded text-xs font-mono text-gray-700 dark:text-gray-300 overflow-x-auto border">
-                          <code>{item.query}</code>
-                        </pre>
-                      </CardContent>
-                    </Card>
-                  ))}
-                </div>
-              )}
+              ))}
             </div>
-          </TabsContent>
-        </Tabs>
+            <AlertDialogFooter>
+              <AlertDialogCancel className="border-0 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600">
+                Cancel
+              </AlertDialogCancel>
+              <AlertDialogAction onClick={confirmPendingWrite} className="bg-red-500 hover:bg-red-600 text-white border-0">
+                Run
+              </AlertDialogAction>
+            </AlertDialogFooter>
+          </AlertDialogContent>
+        </AlertDialog>
       </CardContent>
     </Card>
   )
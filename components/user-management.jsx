@@ -0,0 +1,499 @@
+"use client"
+
+import { useState, useEffect, useCallback } from "react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogTrigger,
+} from "@/components/ui/alert-dialog"
+import { getUsers, createUser, setUserActive, updateUserRole, resetUserPassword, setUserGrants } from "@/lib/users"
+import { ROLES, ROLE_LABELS, MIN_PASSWORD_LENGTH } from "@/lib/auth"
+import { GRANTABLE_PERMISSIONS, PERMISSION_LABELS, PERMISSIONS, hasPermission } from "@/lib/permissions"
+import { rotateEncryptionKey } from "@/lib/database"
+import { Checkbox } from "@/components/ui/checkbox"
+import { useAuth } from "@/components/auth-wrapper"
+import { UserCog, UserPlus, RefreshCw, Loader2, KeyRound, Ban, CheckCircle, ShieldCheck } from "lucide-react"
+import { toast } from "react-toastify"
+
+const toastOptions = {
+  position: "top-right",
+  autoClose: 3000,
+  hideProgressBar: true,
+  closeOnClick: true,
+  pauseOnHover: false,
+  draggable: false,
+  className: "text-sm",
+}
+
+const EMPTY_NEW_USER = { username: "", displayName: "", role: "receptionist", password: "" }
+
+const getRoleBadgeColor = (role) => {
+  switch (role) {
+    case "admin":
+      return "bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-300"
+    case "clinician":
+      return "bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300"
+    default:
+      return "bg-teal-100 text-teal-800 dark:bg-teal-900 dark:text-teal-300"
+  }
+}
+
+// Admin screen for creating accounts, changing roles, disabling users and resetting passwords
+export default function UserManagement() {
+  const { user: currentUser } = useAuth()
+  const [users, setUsers] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [newUser, setNewUser] = useState(EMPTY_NEW_USER)
+  const [isCreating, setIsCreating] = useState(false)
+  const [busyIds, setBusyIds] = useState(new Set())
+  const [passwordResetUser, setPasswordResetUser] = useState(null)
+  const [newPassword, setNewPassword] = useState("")
+  const [isResetting, setIsResetting] = useState(false)
+  const [isRotating, setIsRotating] = useState(false)
+  const canManageEncryption = hasPermission(currentUser, PERMISSIONS.MANAGE_ENCRYPTION)
+
+  const loadUsers = useCallback(async () => {
+    setIsLoading(true)
+    try {
+      setUsers(await getUsers())
+    } catch (error) {
+      console.error("Error loading users:", error)
+      toast.error("Failed to load users", toastOptions)
+    } finally {
+      setIsLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    loadUsers()
+  }, [loadUsers])
+
+  const replaceUser = (updatedUser) => {
+    setUsers((prev) => prev.map((user) => (user.id === updatedUser.id ? updatedUser : user)))
+  }
+
+  // Run an update for one row while showing it as busy
+  const withBusyUser = async (id, fn) => {
+    setBusyIds((prev) => new Set(prev).add(id))
+    try {
+      await fn()
+    } finally {
+      setBusyIds((prev) => {
+        const next = new Set(prev)
+        next.delete(id)
+        return next
+      })
+    }
+  }
+
+  const handleCreateUser = async (e) => {
+    e.preventDefault()
+    setIsCreating(true)
+    try {
+      const created = await createUser(newUser)
+      setUsers((prev) => [...prev, created].sort((a, b) => a.username.localeCompare(b.username)))
+      setNewUser(EMPTY_NEW_USER)
+      toast.success(`User ${created.username} created`, toastOptions)
+    } catch (error) {
+      toast.error(error.message, toastOptions)
+    } finally {
+      setIsCreating(false)
+    }
+  }
+
+  const handleRoleChange = (user, role) =>
+    withBusyUser(user.id, async () => {
+      try {
+        replaceUser(await updateUserRole(user.id, role))
+        toast.success(`${user.username} is now ${ROLE_LABELS[role]}`, toastOptions)
+      } catch (error) {
+        toast.error(error.message, toastOptions)
+      }
+    })
+
+  const handleToggleActive = (user) =>
+    withBusyUser(user.id, async () => {
+      try {
+        replaceUser(await setUserActive(user.id, !user.isActive))
+        toast.success(`${user.username} ${user.isActive ? "disabled" : "enabled"}`, toastOptions)
+      } catch (error) {
+        toast.error(error.message, toastOptions)
+      }
+    })
+
+  const handleGrantChange = (user, permission, granted) =>
+    withBusyUser(user.id, async () => {
+      try {
+        const grants = granted ? [...user.grants, permission] : user.grants.filter((grant) => grant !== permission)
+        replaceUser(await setUserGrants(user.id, grants))
+        toast.success(
+          `${PERMISSION_LABELS[permission]} ${granted ? "granted to" : "revoked from"} ${user.username}`,
+          toastOptions,
+        )
+      } catch (error) {
+        toast.error(error.message, toastOptions)
+      }
+    })
+
+  const handleResetPassword = async (e) => {
+    e.preventDefault()
+    setIsResetting(true)
+    try {
+      await resetUserPassword(passwordResetUser.id, newPassword)
+      toast.success(`Password reset for ${passwordResetUser.username}`, toastOptions)
+      setPasswordResetUser(null)
+      setNewPassword("")
+    } catch (error) {
+      toast.error(error.message, toastOptions)
+    } finally {
+      setIsResetting(false)
+    }
+  }
+
+  const handleRotateKey = async () => {
+    setIsRotating(true)
+    try {
+      const { version, reencrypted } = await rotateEncryptionKey()
+      toast.success(`Encryption key rotated to version ${version}, ${reencrypted} record(s) re-encrypted`, toastOptions)
+    } catch (error) {
+      toast.error(error.message, toastOptions)
+    } finally {
+      setIsRotating(false)
+    }
+  }
+
+  const formatDateTime = (dateString) => {
+    if (!dateString) return "Never"
+    return new Date(dateString).toLocaleString("en-US", {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+    })
+  }
+
+  return (
+    <Card className="shadow-xl border-0 bg-white/90 dark:bg-gray-800/90 backdrop-blur-sm transition-all duration-300">
+      <CardHeader className="pb-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div className="flex items-center space-x-3">
+            <div className="p-2 bg-gradient-to-r from-purple-500 to-indigo-600 rounded-lg shadow-lg">
+              <UserCog className="h-6 w-6 text-white" />
+            </div>
+            <div>
+              <CardTitle className="text-xl sm:text-2xl font-bold text-gray-800 dark:text-gray-100">Users</CardTitle>
+              <CardDescription className="text-gray-600 dark:text-gray-300">
+                Manage staff accounts and their roles
+              </CardDescription>
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            {canManageEncryption && (
+              <AlertDialog>
+                <AlertDialogTrigger asChild>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    disabled={isRotating}
+                    className="bg-white/80 dark:bg-gray-700/80 backdrop-blur-sm border-0 shadow-lg hover:scale-105 transition-all duration-300"
+                  >
+                    {isRotating ? (
+                      <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                    ) : (
+                      <ShieldCheck className="h-4 w-4 mr-2" />
+                    )}
+                    Rotate Encryption Key
+                  </Button>
+                </AlertDialogTrigger>
+                <AlertDialogContent className="bg-white dark:bg-gray-800 border-0 shadow-2xl">
+                  <AlertDialogHeader>
+                    <AlertDialogTitle className="text-gray-900 dark:text-gray-100">Rotate Encryption Key</AlertDialogTitle>
+                    <AlertDialogDescription className="text-gray-600 dark:text-gray-400">
+                      A new key will be generated and every patient's medical history, allergies, medications,
+                      insurance policy number and visit notes will be re-encrypted with it. Users who are signed in elsewhere keep
+                      working; the new key is shared with every account automatically.
+                    </AlertDialogDescription>
+                  </AlertDialogHeader>
+                  <AlertDialogFooter>
+                    <AlertDialogCancel className="border-0 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600">
+                      Cancel
+                    </AlertDialogCancel>
+                    <AlertDialogAction
+                      onClick={handleRotateKey}
+                      className="bg-purple-500 hover:bg-purple-600 text-white border-0"
+                    >
+                      Rotate Key
+                    </AlertDialogAction>
+                  </AlertDialogFooter>
+                </AlertDialogContent>
+              </AlertDialog>
+            )}
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={loadUsers}
+              disabled={isLoading}
+              className="bg-white/80 dark:bg-gray-700/80 backdrop-blur-sm border-0 shadow-lg hover:scale-105 transition-all duration-300"
+            >
+              <RefreshCw className={`h-4 w-4 mr-2 ${isLoading ? "animate-spin" : ""}`} />
+              Refresh
+            </Button>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {/* New user */}
+        <form
+          onSubmit={handleCreateUser}
+          className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4 items-end p-4 bg-gray-50 dark:bg-gray-700 rounded-lg"
+        >
+          <div className="space-y-2">
+            <Label htmlFor="new-username">Username</Label>
+            <Input
+              id="new-username"
+              value={newUser.username}
+              onChange={(e) => setNewUser((prev) => ({ ...prev, username: e.target.value }))}
+              className="border-0 bg-white dark:bg-gray-800"
+              required
+            />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="new-display-name">Display Name</Label>
+            <Input
+              id="new-display-name"
+              value={newUser.displayName}
+              onChange={(e) => setNewUser((prev) => ({ ...prev, displayName: e.target.value }))}
+              className="border-0 bg-white dark:bg-gray-800"
+            />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="new-role">Role</Label>
+            <select
+              id="new-role"
+              value={newUser.role}
+              onChange={(e) => setNewUser((prev) => ({ ...prev, role: e.target.value }))}
+              className="w-full px-3 h-10 border-0 bg-white dark:bg-gray-800 rounded-md focus:ring-2 focus:ring-purple-500 appearance-none cursor-pointer text-sm"
+            >
+              {ROLES.map((role) => (
+                <option key={role} value={role}>
+                  {ROLE_LABELS[role]}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="new-password">Password</Label>
+            <Input
+              id="new-password"
+              type="password"
+              autoComplete="new-password"
+              placeholder={`At least ${MIN_PASSWORD_LENGTH} characters`}
+              value={newUser.password}
+              onChange={(e) => setNewUser((prev) => ({ ...prev, password: e.target.value }))}
+              className="border-0 bg-white dark:bg-gray-800"
+              required
+            />
+          </div>
+          <Button
+            type="submit"
+            disabled={isCreating}
+            className="bg-gradient-to-r from-purple-500 to-indigo-600 hover:from-purple-600 hover:to-indigo-700 text-white border-0"
+          >
+            {isCreating ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <UserPlus className="h-4 w-4 mr-2" />}
+            Add User
+          </Button>
+        </form>
+
+        {isLoading ? (
+          <div className="flex justify-center py-12">
+            <div className="text-center space-y-4">
+              <Loader2 className="h-8 w-8 animate-spin text-purple-600 mx-auto" />
+              <p className="text-gray-600 dark:text-gray-400">Loading users...</p>
+            </div>
+          </div>
+        ) : (
+          <div className="rounded-lg border-0 overflow-hidden shadow-lg bg-white dark:bg-gray-800">
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow className="bg-gray-50 dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700">
+                    <TableHead className="font-semibold text-gray-700 dark:text-gray-300">User</TableHead>
+                    <TableHead className="font-semibold text-gray-700 dark:text-gray-300">Role</TableHead>
+                    <TableHead className="font-semibold text-gray-700 dark:text-gray-300">Extra Permissions</TableHead>
+                    <TableHead className="font-semibold text-gray-700 dark:text-gray-300">Status</TableHead>
+                    <TableHead className="font-semibold text-gray-700 dark:text-gray-300">Last Sign In</TableHead>
+                    <TableHead className="text-right font-semibold text-gray-700 dark:text-gray-300">Actions</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {users.map((user) => {
+                    const isSelf = user.id === currentUser.id
+                    const isBusy = busyIds.has(user.id)
+
+                    return (
+                      <TableRow
+                        key={user.id}
+                        className={`hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors duration-200 ${
+                          isBusy ? "opacity-50 pointer-events-none" : ""
+                        }`}
+                      >
+                        <TableCell>
+                          <div className="font-semibold text-gray-900 dark:text-gray-100">
+                            {user.displayName || user.username}
+                            {isSelf && <span className="ml-2 text-xs font-normal text-gray-500">(you)</span>}
+                          </div>
+                          <div className="text-xs font-mono text-gray-500 dark:text-gray-400">{user.username}</div>
+                        </TableCell>
+                        <TableCell>
+                          <div className="flex items-center gap-2">
+                            <Badge className={`border-0 text-xs ${getRoleBadgeColor(user.role)}`}>
+                              {ROLE_LABELS[user.role]}
+                            </Badge>
+                            <select
+                              value={user.role}
+                              onChange={(e) => handleRoleChange(user, e.target.value)}
+                              disabled={isBusy}
+                              aria-label={`Role for ${user.username}`}
+                              className="px-2 h-8 border-0 bg-gray-50 dark:bg-gray-700 rounded-md text-xs cursor-pointer"
+                            >
+                              {ROLES.map((role) => (
+                                <option key={role} value={role}>
+                                  {ROLE_LABELS[role]}
+                                </option>
+                              ))}
+                            </select>
+                          </div>
+                        </TableCell>
+                        <TableCell>
+                          <div className="space-y-1">
+                            {Object.entries(GRANTABLE_PERMISSIONS)
+                              .filter(([, roles]) => roles.includes(user.role))
+                              .map(([permission]) => (
+                                <label key={permission} className="flex items-center gap-2 text-sm cursor-pointer">
+                                  <Checkbox
+                                    checked={user.grants.includes(permission)}
+                                    onCheckedChange={(checked) => handleGrantChange(user, permission, checked === true)}
+                                    disabled={isBusy}
+                                  />
+                                  {PERMISSION_LABELS[permission]}
+                                </label>
+                              ))}
+                            {!Object.values(GRANTABLE_PERMISSIONS).some((roles) => roles.includes(user.role)) && (
+                              <span className="text-gray-400 text-sm">—</span>
+                            )}
+                          </div>
+                        </TableCell>
+                        <TableCell>
+                          {user.isActive ? (
+                            <Badge className="bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300 border-0 text-xs">
+                              Active
+                            </Badge>
+                          ) : (
+                            <Badge className="bg-gray-100 text-gray-600 dark:bg-gray-900 dark:text-gray-400 border-0 text-xs">
+                              Disabled
+                            </Badge>
+                          )}
+                        </TableCell>
+                        <TableCell className="text-sm text-gray-600 dark:text-gray-400">
+                          {formatDateTime(user.lastLoginAt)}
+                        </TableCell>
+                        <TableCell className="text-right">
+                          <div className="flex items-center justify-end gap-1">
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => setPasswordResetUser(user)}
+                              className="text-blue-600 hover:text-blue-700 hover:bg-blue-50 dark:hover:bg-blue-900/20"
+                            >
+                              <KeyRound className="h-4 w-4 mr-1" />
+                              Reset Password
+                            </Button>
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => handleToggleActive(user)}
+                              disabled={isSelf || isBusy}
+                              className={
+                                user.isActive
+                                  ? "text-red-500 hover:text-red-700 hover:bg-red-50 dark:hover:bg-red-900/20"
+                                  : "text-green-600 hover:text-green-700 hover:bg-green-50 dark:hover:bg-green-900/20"
+                              }
+                            >
+                              {user.isActive ? <Ban className="h-4 w-4 mr-1" /> : <CheckCircle className="h-4 w-4 mr-1" />}
+                              {user.isActive ? "Disable" : "Enable"}
+                            </Button>
+                          </div>
+                        </TableCell>
+                      </TableRow>
+                    )
+                  })}
+                </TableBody>
+              </Table>
+            </div>
+          </div>
+        )}
+
+        <Dialog
+          open={passwordResetUser !== null}
+          onOpenChange={(open) => {
+            if (!open) {
+              setPasswordResetUser(null)
+              setNewPassword("")
+            }
+          }}
+        >
+          <DialogContent className="bg-white dark:bg-gray-800 border-0 shadow-2xl">
+            <form onSubmit={handleResetPassword} className="space-y-4">
+              <DialogHeader>
+                <DialogTitle>Reset Password</DialogTitle>
+                <DialogDescription>
+                  Set a new password for <strong>{passwordResetUser?.username}</strong>.
+                </DialogDescription>
+              </DialogHeader>
+              <Input
+                type="password"
+                autoComplete="new-password"
+                placeholder={`At least ${MIN_PASSWORD_LENGTH} characters`}
+                value={newPassword}
+                onChange={(e) => setNewPassword(e.target.value)}
+                className="border-0 bg-gray-50 dark:bg-gray-700"
+                required
+              />
+              <DialogFooter>
+                <Button
+                  type="submit"
+                  disabled={isResetting}
+                  className="bg-gradient-to-r from-purple-500 to-indigo-600 hover:from-purple-600 hover:to-indigo-700 text-white border-0"
+                >
+                  {isResetting && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                  Reset Password
+                </Button>
+              </DialogFooter>
+            </form>
+          </DialogContent>
+        </Dialog>
+      </CardContent>
+    </Card>
+  )
+}
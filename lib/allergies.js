@@ -0,0 +1,121 @@
+// Structured allergy entries (the patient_allergies table).
+//
+// Each entry names one allergen with its category, severity, reaction and onset date, so
+// questions like "who is allergic to penicillin" can be answered with SQL. The reaction is stored
+// encrypted and the rest in plain text; the free-text `allergies` column on patients is kept as
+// encrypted allergy notes.
+import { toDateString } from "./dates"
+
+export const ALLERGY_CATEGORIES = [
+  { value: "drug", label: "Drug" },
+  { value: "food", label: "Food" },
+  { value: "environment", label: "Environment" },
+]
+
+// Most severe first
+export const ALLERGY_SEVERITIES = [
+  {
+    value: "severe",
+    label: "Severe",
+    badgeClassName: "bg-red-600 text-white dark:bg-red-700 dark:text-white",
+  },
+  {
+    value: "moderate",
+    label: "Moderate",
+    badgeClassName: "bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-300",
+  },
+  {
+    value: "mild",
+    label: "Mild",
+    badgeClassName: "bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300",
+  },
+  {
+    value: "unknown",
+    label: "Unknown severity",
+    badgeClassName: "bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300",
+  },
+]
+
+// Suggestions for the allergen field. Picking one also fills in its category.
+export const COMMON_ALLERGENS = [
+  { name: "Penicillin", category: "drug" },
+  { name: "Amoxicillin", category: "drug" },
+  { name: "Cephalosporins", category: "drug" },
+  { name: "Sulfonamides", category: "drug" },
+  { name: "Aspirin", category: "drug" },
+  { name: "Ibuprofen", category: "drug" },
+  { name: "NSAIDs", category: "drug" },
+  { name: "Codeine", category: "drug" },
+  { name: "Morphine", category: "drug" },
+  { name: "Erythromycin", category: "drug" },
+  { name: "Tetracycline", category: "drug" },
+  { name: "Ciprofloxacin", category: "drug" },
+  { name: "Vancomycin", category: "drug" },
+  { name: "Carbamazepine", category: "drug" },
+  { name: "Phenytoin", category: "drug" },
+  { name: "Allopurinol", category: "drug" },
+  { name: "ACE inhibitors", category: "drug" },
+  { name: "Insulin", category: "drug" },
+  { name: "Iodinated contrast", category: "drug" },
+  { name: "Local anesthetics", category: "drug" },
+  { name: "Peanuts", category: "food" },
+  { name: "Tree nuts", category: "food" },
+  { name: "Milk", category: "food" },
+  { name: "Eggs", category: "food" },
+  { name: "Wheat", category: "food" },
+  { name: "Gluten", category: "food" },
+  { name: "Soy", category: "food" },
+  { name: "Fish", category: "food" },
+  { name: "Shellfish", category: "food" },
+  { name: "Sesame", category: "food" },
+  { name: "Mustard", category: "food" },
+  { name: "Strawberries", category: "food" },
+  { name: "Pollen", category: "environment" },
+  { name: "Grass pollen", category: "environment" },
+  { name: "Dust mites", category: "environment" },
+  { name: "Mold", category: "environment" },
+  { name: "Cat dander", category: "environment" },
+  { name: "Dog dander", category: "environment" },
+  { name: "Latex", category: "environment" },
+  { name: "Bee stings", category: "environment" },
+  { name: "Wasp stings", category: "environment" },
+  { name: "Nickel", category: "environment" },
+  { name: "Cockroaches", category: "environment" },
+]
+
+export const getAllergyCategoryLabel = (value) =>
+  ALLERGY_CATEGORIES.find((category) => category.value === value)?.label ?? value
+
+export const getAllergySeverity = (value) =>
+  ALLERGY_SEVERITIES.find((severity) => severity.value === value) ?? ALLERGY_SEVERITIES[ALLERGY_SEVERITIES.length - 1]
+
+// Category of a known allergen, matched case-insensitively
+export function findAllergenCategory(name) {
+  const key = (name || "").trim().toLowerCase()
+  return COMMON_ALLERGENS.find((allergen) => allergen.name.toLowerCase() === key)?.category ?? null
+}
+
+// Most severe first, then by allergen name
+export function sortAllergies(records = []) {
+  const rank = (record) => ALLERGY_SEVERITIES.findIndex((severity) => severity.value === record.severity)
+  return [...records].sort((a, b) => rank(a) - rank(b) || a.allergen.localeCompare(b.allergen))
+}
+
+// Allergy entries in the shape they are stored and read back: trimmed text, empty values as
+// null and onset dates as YYYY-MM-DD
+export function normalizeAllergyRecords(records = []) {
+  return records.map((record) => ({
+    ...(record.id && { id: record.id }),
+    allergen: record.allergen.trim(),
+    category: record.category,
+    severity: record.severity || "unknown",
+    reaction: record.reaction?.trim() || null,
+    onsetDate: toDateString(record.onsetDate),
+  }))
+}
+
+// One line per entry, e.g. "Penicillin (drug, severe): Hives"
+export function formatAllergyRecord(record) {
+  const details = [record.category, record.severity !== "unknown" && record.severity].filter(Boolean).join(", ")
+  return `${record.allergen} (${details})${record.reaction ? `: ${record.reaction}` : ""}`
+}
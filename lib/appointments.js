@@ -0,0 +1,203 @@
+// Appointments (the appointments table).
+//
+// An appointment books a provider for a patient from start_time to end_time. It starts out
+// "booked", becomes "checked in" when the patient arrives, or ends as a no-show or cancelled.
+// Only booked and checked-in appointments hold the provider's time; the others stay on the
+// calendar but don't count as double bookings.
+import { toDateTimeInputValue } from "./encounters"
+
+export const APPOINTMENT_STATUSES = [
+  {
+    value: "booked",
+    label: "Booked",
+    badgeClassName: "bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300",
+  },
+  {
+    value: "checked-in",
+    label: "Checked in",
+    badgeClassName: "bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300",
+  },
+  {
+    value: "no-show",
+    label: "No-show",
+    badgeClassName: "bg-amber-100 text-amber-800 dark:bg-amber-900 dark:text-amber-300",
+  },
+  {
+    value: "cancelled",
+    label: "Cancelled",
+    badgeClassName: "bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300",
+  },
+]
+
+// Statuses that keep the provider busy for the slot
+export const ACTIVE_APPOINTMENT_STATUSES = ["booked", "checked-in"]
+
+// Appointment lengths offered in the booking form, in minutes
+export const APPOINTMENT_DURATIONS = [10, 15, 20, 30, 45, 60, 90, 120]
+
+export const DEFAULT_APPOINTMENT_DURATION = 30
+
+export const getAppointmentStatus = (value) =>
+  APPOINTMENT_STATUSES.find((status) => status.value === value) ?? APPOINTMENT_STATUSES[0]
+
+export const isActiveAppointment = (appointment) => ACTIVE_APPOINTMENT_STATUSES.includes(appointment.status)
+
+export const getAppointmentDuration = (appointment) =>
+  Math.round((new Date(appointment.endTime) - new Date(appointment.startTime)) / 60000)
+
+const formatTime = (value) => new Date(value).toLocaleTimeString("en-US", { hour: "numeric", minute: "2-digit" })
+
+// The appointment's slot in local time, e.g. "9:00 AM – 9:30 AM"
+export const formatAppointmentTime = (appointment) =>
+  `${formatTime(appointment.startTime)} – ${formatTime(appointment.endTime)}`
+
+// Whether two appointments share any time. Back-to-back appointments don't overlap.
+export const appointmentsOverlap = (a, b) =>
+  new Date(a.startTime) < new Date(b.endTime) && new Date(b.startTime) < new Date(a.endTime)
+
+// Providers are compared ignoring case and surrounding spaces, so "Dr. Smith " and "dr. smith"
+// are the same diary
+export const normalizeProvider = (provider) => (provider ?? "").trim().toLowerCase()
+
+// Next quarter hour from now, the default start for a new appointment
+function nextQuarterHour() {
+  const date = new Date()
+  date.setSeconds(0, 0)
+  date.setMinutes(Math.ceil((date.getMinutes() + 1) / 15) * 15)
+  return date
+}
+
+// Form values for a new appointment, or for editing an existing one
+export function appointmentToFormValues(appointment = {}) {
+  return {
+    patientRecordId: appointment.patientRecordId ? String(appointment.patientRecordId) : "",
+    startTime: toDateTimeInputValue(appointment.startTime ?? nextQuarterHour()),
+    duration: String(appointment.endTime ? getAppointmentDuration(appointment) : DEFAULT_APPOINTMENT_DURATION),
+    provider: appointment.provider ?? "",
+    reason: appointment.reason ?? "",
+    status: appointment.status ?? "booked",
+  }
+}
+
+// Form values in the shape they are stored: Dates for the slot and empty values as null
+export function normalizeAppointment(values) {
+  const startTime = new Date(values.startTime)
+  return {
+    startTime,
+    endTime: new Date(startTime.getTime() + Number(values.duration) * 60000),
+    provider: values.provider.trim(),
+    reason: values.reason?.trim() || null,
+    status: values.status || "booked",
+  }
+}
+
+// Calendar ranges, in local time. Weeks start on Monday.
+
+export const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate())
+
+export const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days)
+
+export const startOfWeek = (date) => addDays(startOfDay(date), -((date.getDay() + 6) % 7))
+
+export const isSameDay = (a, b) =>
+  a.getFullYear() === b.getFullYear() && a.getMonth() === b.getMonth() && a.getDate() === b.getDate()
+
+// First and last+1 day shown by a calendar view around `date`. The month view shows whole weeks.
+export function getCalendarRange(view, date) {
+  if (view === "day") {
+    const from = startOfDay(date)
+    return { from, to: addDays(from, 1) }
+  }
+  if (view === "week") {
+    const from = startOfWeek(date)
+    return { from, to: addDays(from, 7) }
+  }
+
+  const from = startOfWeek(new Date(date.getFullYear(), date.getMonth(), 1))
+  const to = addDays(startOfWeek(new Date(date.getFullYear(), date.getMonth() + 1, 0)), 7)
+  return { from, to }
+}
+
+// The date one view earlier (-1) or later (1)
+export function shiftCalendarDate(view, date, direction) {
+  if (view === "day") return addDays(date, direction)
+  if (view === "week") return addDays(date, 7 * direction)
+  return new Date(date.getFullYear(), date.getMonth() + direction, 1)
+}
+
+// iCalendar (RFC 5545) export
+
+const ICS_STATUSES = {
+  booked: "CONFIRMED",
+  "checked-in": "CONFIRMED",
+  "no-show": "CANCELLED",
+  cancelled: "CANCELLED",
+}
+
+// UTC date-time, e.g. 20240501T093000Z
+const toICalendarDate = (value) =>
+  new Date(value)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "")
+
+const escapeICalendarText = (value) =>
+  String(value).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n")
+
+// Lines longer than 75 octets continue on the next line after a space. Characters are never split.
+function foldICalendarLine(line) {
+  const encoder = new TextEncoder()
+  const parts = []
+  let current = ""
+  let currentLength = 0
+  for (const character of line) {
+    const length = encoder.encode(character).length
+    if (currentLength + length > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current)
+      current = ""
+      currentLength = 0
+    }
+    current += character
+    currentLength += length
+  }
+  parts.push(current)
+  return parts.join("\r\n ")
+}
+
+// An .ics calendar with one event per appointment. The patient's name and id are the event
+// summary, so the file holds patient data and should be handled like any other export.
+export function appointmentsToICalendar(appointments, { calendarName = "Appointments" } = {}) {
+  const stamp = toICalendarDate(new Date())
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Patient Management System//Appointments//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeICalendarText(calendarName)}`,
+  ]
+
+  appointments.forEach((appointment) => {
+    const { patient } = appointment
+    const description = [
+      appointment.reason && `Reason: ${appointment.reason}`,
+      `Provider: ${appointment.provider}`,
+      `Status: ${getAppointmentStatus(appointment.status).label}`,
+    ].filter(Boolean)
+
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:appointment-${appointment.id}@patient-management`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${toICalendarDate(appointment.startTime)}`,
+      `DTEND:${toICalendarDate(appointment.endTime)}`,
+      `SUMMARY:${escapeICalendarText(`${patient.firstName} ${patient.lastName} (${patient.patientId})`)}`,
+      `DESCRIPTION:${escapeICalendarText(description.join("\n"))}`,
+      `STATUS:${ICS_STATUSES[appointment.status] ?? "CONFIRMED"}`,
+      "END:VEVENT",
+    )
+  })
+
+  lines.push("END:VCALENDAR")
+  return lines.map(foldICalendarLine).join("\r\n") + "\r\n"
+}
@@ -0,0 +1,152 @@
+// Password hashing, session tokens and the signed-in user for this tab.
+//
+// Passwords are hashed with salted PBKDF2-SHA256 and sessions are HMAC-SHA256 signed tokens
+// with an expiry, both through WebCrypto. This module has no database access - user records
+// and the signing secret live in PGlite and are handled by lib/users.js.
+
+export const ROLES = ["admin", "clinician", "receptionist"]
+
+export const ROLE_LABELS = {
+  admin: "Administrator",
+  clinician: "Clinician",
+  receptionist: "Receptionist",
+}
+
+// Demo mode seeds admin/admin123 and shows the demo credentials on the login card
+export const IS_DEMO_MODE = process.env.NEXT_PUBLIC_DEMO_MODE === "true"
+export const DEMO_CREDENTIALS = { username: "admin", password: "admin123" }
+
+// Minutes without mouse, keyboard or touch activity before the app locks (0 turns the lock off)
+const configuredIdleTimeout = Number.parseInt(process.env.NEXT_PUBLIC_IDLE_TIMEOUT_MINUTES ?? "", 10)
+export const IDLE_TIMEOUT_MINUTES = Number.isNaN(configuredIdleTimeout) ? 15 : Math.max(0, configuredIdleTimeout)
+
+export const MIN_PASSWORD_LENGTH = 8
+export const PBKDF2_ITERATIONS = 210000
+const SESSION_DURATION_MS = 8 * 60 * 60 * 1000 // 8 hours
+const SESSION_STORAGE_KEY = "session_token"
+
+const encoder = new TextEncoder()
+const decoder = new TextDecoder()
+
+export function bytesToBase64(bytes) {
+  let binary = ""
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte)
+  })
+  return btoa(binary)
+}
+
+export function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0))
+}
+
+function toBase64Url(bytes) {
+  return bytesToBase64(bytes).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "")
+}
+
+function fromBase64Url(value) {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/")
+  return base64ToBytes(base64 + "=".repeat((4 - (base64.length % 4)) % 4))
+}
+
+// Generate a random secret, base64 encoded
+export function generateSecret(byteLength = 32) {
+  return bytesToBase64(crypto.getRandomValues(new Uint8Array(byteLength)))
+}
+
+// Hash a password with PBKDF2. A new random salt is generated unless one is given.
+export async function hashPassword(password, salt = generateSecret(16), iterations = PBKDF2_ITERATIONS) {
+  const keyMaterial = await crypto.subtle.importKey("raw", encoder.encode(password), "PBKDF2", false, ["deriveBits"])
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt: base64ToBytes(salt), iterations },
+    keyMaterial,
+    256,
+  )
+
+  return { hash: bytesToBase64(new Uint8Array(bits)), salt, iterations }
+}
+
+// Check a password against a stored hash, comparing in constant time
+export async function verifyPassword(password, { hash, salt, iterations }) {
+  const candidate = await hashPassword(password, salt, iterations)
+  if (candidate.hash.length !== hash.length) return false
+
+  let difference = 0
+  for (let i = 0; i < hash.length; i++) {
+    difference |= candidate.hash.charCodeAt(i) ^ hash.charCodeAt(i)
+  }
+  return difference === 0
+}
+
+async function getSigningKey(secret) {
+  return await crypto.subtle.importKey("raw", base64ToBytes(secret), { name: "HMAC", hash: "SHA-256" }, false, [
+    "sign",
+    "verify",
+  ])
+}
+
+// Create a signed session token for a user: base64url(payload).base64url(signature)
+export async function createSessionToken(user, secret) {
+  const issuedAt = Date.now()
+  const payload = {
+    sub: user.id,
+    username: user.username,
+    role: user.role,
+    iat: issuedAt,
+    exp: issuedAt + SESSION_DURATION_MS,
+  }
+
+  const encodedPayload = toBase64Url(encoder.encode(JSON.stringify(payload)))
+  const signature = await crypto.subtle.sign("HMAC", await getSigningKey(secret), encoder.encode(encodedPayload))
+
+  return `${encodedPayload}.${toBase64Url(new Uint8Array(signature))}`
+}
+
+// Verify a session token's signature and expiry. Returns the payload, or null if invalid.
+export async function verifySessionToken(token, secret) {
+  if (!token || typeof token !== "string") return null
+
+  const [encodedPayload, encodedSignature] = token.split(".")
+  if (!encodedPayload || !encodedSignature) return null
+
+  try {
+    const isValid = await crypto.subtle.verify(
+      "HMAC",
+      await getSigningKey(secret),
+      fromBase64Url(encodedSignature),
+      encoder.encode(encodedPayload),
+    )
+    if (!isValid) return null
+
+    const payload = JSON.parse(decoder.decode(fromBase64Url(encodedPayload)))
+    if (!payload.exp || payload.exp < Date.now()) return null
+
+    return payload
+  } catch (error) {
+    console.warn("Invalid session token:", error)
+    return null
+  }
+}
+
+export function getStoredSessionToken() {
+  return localStorage.getItem(SESSION_STORAGE_KEY)
+}
+
+export function storeSessionToken(token) {
+  localStorage.setItem(SESSION_STORAGE_KEY, token)
+}
+
+export function clearStoredSessionToken() {
+  localStorage.removeItem(SESSION_STORAGE_KEY)
+}
+
+// The verified user signed in on this tab ({ id, username, displayName, role }), or null
+let currentUser = null
+
+export function getCurrentUser() {
+  return currentUser
+}
+
+export function setCurrentUser(user) {
+  currentUser = user
+}
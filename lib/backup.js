@@ -0,0 +1,261 @@
+// Full database backups.
+//
+// A backup is a JSON file holding a manifest and the rows of every table:
+//
+//   {
+//     "manifest": { format, formatVersion, schemaVersion, createdAt, createdBy, encrypted,
+//                   tables: { <table>: <row count> }, checksum },
+//     "encryption": { algorithm, kdf, salt, iterations },   (password-protected backups only)
+//     "data": { <table>: [rows] }                           (or the encrypted rows, base64)
+//   }
+//
+// Rows are read with json_agg and written back with json_populate_recordset, so every value
+// round-trips through Postgres' own JSON conversion. The manifest stays readable so a restore can
+// be previewed before the password is entered; for encrypted backups it is bound to the
+// ciphertext, so changing it makes decryption fail. `checksum` (SHA-256 of the rows) catches
+// damaged files.
+//
+// Restoring replaces the whole database in one transaction: the schema is rebuilt at the
+// backup's version, the rows are loaded with triggers off and any newer migrations run on top,
+// so a backup made by an older version of the app can still be restored.
+import { getDatabaseInstance } from "./database"
+import { applyMigrationsInTransaction, getSchemaVersion, LATEST_SCHEMA_VERSION } from "./migrations"
+import { PERMISSIONS, requirePermission } from "./permissions"
+import { encryptWithPassword, decryptWithPassword } from "./encryption"
+import { SYNC_EVENTS, publish } from "./sync"
+
+export const BACKUP_FORMAT = "patient-registration-backup"
+const BACKUP_FORMAT_VERSION = 1
+
+// Rebuilt from the migrations rather than copied
+const EXCLUDED_TABLES = ["schema_migrations"]
+
+// Table names are interpolated into SQL, so anything else in a file is rejected
+const TABLE_NAME_PATTERN = /^[a-z_][a-z0-9_]*$/
+
+async function getTableNames(database) {
+  const result = await database.query(`
+    SELECT table_name AS name
+    FROM information_schema.tables
+    WHERE table_schema = 'public' AND table_type = 'BASE TABLE'
+    ORDER BY table_name
+  `)
+  return result.rows.map((row) => row.name).filter((name) => !EXCLUDED_TABLES.includes(name))
+}
+
+async function sha256(text) {
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text)))
+  return Array.from(digest, (byte) => byte.toString(16).padStart(2, "0")).join("")
+}
+
+// Read every table in one transaction so the backup is consistent even while other tabs write
+async function readTables(database) {
+  return await database.transaction(async (tx) => {
+    const tables = {}
+    for (const name of await getTableNames(tx)) {
+      const result = await tx.query(`SELECT COALESCE(json_agg(t), '[]'::json) AS rows FROM "${name}" t`)
+      tables[name] = result.rows[0].rows
+    }
+    return { schemaVersion: await getSchemaVersion(tx), tables }
+  })
+}
+
+// Build the contents of a backup file, encrypted when a password is given. Also used for the
+// automatic snapshots in lib/snapshots.js, so it doesn't check permissions itself.
+export async function buildBackup({ password = "", createdBy = null } = {}) {
+  const database = await getDatabaseInstance()
+  const { schemaVersion, tables } = await readTables(database)
+  const data = JSON.stringify(tables)
+
+  const manifest = {
+    format: BACKUP_FORMAT,
+    formatVersion: BACKUP_FORMAT_VERSION,
+    schemaVersion,
+    createdAt: new Date().toISOString(),
+    createdBy,
+    encrypted: Boolean(password),
+    tables: Object.fromEntries(Object.entries(tables).map(([name, rows]) => [name, rows.length])),
+    checksum: await sha256(data),
+  }
+
+  if (!password) {
+    return { manifest, content: JSON.stringify({ manifest, data: tables }) }
+  }
+
+  const { ciphertext, ...encryption } = await encryptWithPassword(data, password, JSON.stringify(manifest))
+  return { manifest, content: JSON.stringify({ manifest, encryption, data: ciphertext }) }
+}
+
+// Back up the whole database for download. Returns { manifest, content, filename }.
+export async function createBackup({ password = "" } = {}) {
+  try {
+    const user = requirePermission(PERMISSIONS.MANAGE_BACKUPS, "back up the database")
+    const backup = await buildBackup({ password, createdBy: user.username })
+
+    const database = await getDatabaseInstance()
+    await database.query(
+      "INSERT INTO audit_log (username, operation, source, after_data) VALUES ($1, 'DB_BACKUP', 'app', $2)",
+      [user.username, JSON.stringify({ encrypted: backup.manifest.encrypted, tables: backup.manifest.tables })],
+    )
+
+    const date = backup.manifest.createdAt.split("T")[0]
+    return { ...backup, filename: `patients_backup_${date}.json` }
+  } catch (error) {
+    console.error("Error creating backup:", error)
+    throw new Error(`Failed to create backup: ${error.message}`)
+  }
+}
+
+// Parse a backup file and check its manifest, without decrypting anything. The result can be
+// previewed and passed to restoreBackup().
+export function readBackupFile(text) {
+  let backup
+  try {
+    backup = JSON.parse(text)
+  } catch {
+    throw new Error("The file isn't valid JSON")
+  }
+
+  const manifest = backup?.manifest
+  if (manifest?.format !== BACKUP_FORMAT) {
+    throw new Error("The file isn't a patient database backup")
+  }
+  if (manifest.formatVersion > BACKUP_FORMAT_VERSION) {
+    throw new Error("The backup was made by a newer version of the app")
+  }
+  if (!Number.isInteger(manifest.schemaVersion) || manifest.schemaVersion < 1) {
+    throw new Error("The backup's manifest has no schema version")
+  }
+  if (manifest.schemaVersion > LATEST_SCHEMA_VERSION) {
+    throw new Error(
+      `The backup has schema version ${manifest.schemaVersion}, which is newer than this app supports (${LATEST_SCHEMA_VERSION}). Update the app before restoring it.`,
+    )
+  }
+  if (!manifest.tables || typeof manifest.tables !== "object" || typeof manifest.checksum !== "string") {
+    throw new Error("The backup's manifest is incomplete")
+  }
+
+  const hasData = manifest.encrypted
+    ? typeof backup.data === "string" && typeof backup.encryption === "object"
+    : backup.data !== null && typeof backup.data === "object"
+  if (!hasData) {
+    throw new Error("The backup has no data")
+  }
+
+  return backup
+}
+
+// Decrypt (if needed) and check a backup's rows against its manifest
+async function readBackupData(backup, password) {
+  const { manifest } = backup
+  const data = manifest.encrypted
+    ? await decryptWithPassword({ ...backup.encryption, ciphertext: backup.data }, password, JSON.stringify(manifest))
+    : JSON.stringify(backup.data)
+
+  if ((await sha256(data)) !== manifest.checksum) {
+    throw new Error("The backup is damaged: its checksum doesn't match")
+  }
+
+  const tables = JSON.parse(data)
+  const names = new Set([...Object.keys(tables), ...Object.keys(manifest.tables)])
+  for (const name of names) {
+    if (!TABLE_NAME_PATTERN.test(name) || !Array.isArray(tables[name])) {
+      throw new Error(`The backup has an invalid table: ${name}`)
+    }
+    if (tables[name].length !== manifest.tables[name]) {
+      throw new Error(`The backup is damaged: ${name} has ${tables[name].length} rows but the manifest lists ${manifest.tables[name]}`)
+    }
+  }
+  return tables
+}
+
+// Move every serial column's sequence past the restored ids
+async function resetSequences(tx) {
+  const result = await tx.query(`
+    SELECT table_name AS "table", column_name AS "column",
+      pg_get_serial_sequence(quote_ident(table_name), column_name) AS sequence
+    FROM information_schema.columns
+    WHERE table_schema = 'public' AND column_default LIKE 'nextval(%'
+  `)
+
+  for (const { table, column, sequence } of result.rows) {
+    await tx.query(`SELECT setval($1, COALESCE((SELECT MAX("${column}") FROM "${table}"), 0) + 1, false)`, [sequence])
+  }
+}
+
+// Row counts of the current database, to show what a restore will replace
+export async function getTableCounts() {
+  try {
+    requirePermission(PERMISSIONS.MANAGE_BACKUPS, "view backups")
+    const database = await getDatabaseInstance()
+
+    const counts = {}
+    for (const name of await getTableNames(database)) {
+      const result = await database.query(`SELECT COUNT(*)::INTEGER AS count FROM "${name}"`)
+      counts[name] = result.rows[0].count
+    }
+    return counts
+  } catch (error) {
+    console.error("Error counting table rows:", error)
+    throw new Error(`Failed to count table rows: ${error.message}`)
+  }
+}
+
+// Replace the whole database with a backup read by readBackupFile(). Users, keys and settings
+// come from the backup too, so every open tab reloads afterwards and users sign in again with
+// the accounts in the backup.
+export async function restoreBackup(backup, password = "") {
+  try {
+    const user = requirePermission(PERMISSIONS.MANAGE_BACKUPS, "restore a backup")
+    const { manifest } = backup
+    const tables = await readBackupData(backup, password)
+    const database = await getDatabaseInstance()
+
+    await database.transaction(async (tx) => {
+      // Start from an empty schema at the backup's version
+      await tx.exec("DROP SCHEMA public CASCADE; CREATE SCHEMA public;")
+      await applyMigrationsInTransaction(tx, 0, manifest.schemaVersion)
+
+      const existing = await getTableNames(tx)
+      const unknown = Object.keys(tables).filter((name) => !existing.includes(name))
+      if (unknown.length > 0) {
+        throw new Error(`The backup has tables that schema version ${manifest.schemaVersion} doesn't: ${unknown.join(", ")}`)
+      }
+
+      // Replica mode skips triggers and foreign key checks, so rows load in any order and aren't
+      // audited or announced one by one
+      await tx.exec("SET LOCAL session_replication_role = replica")
+      for (const [name, rows] of Object.entries(tables)) {
+        // Migrations may have seeded rows the backup replaces
+        await tx.exec(`DELETE FROM "${name}"`)
+        if (rows.length > 0) {
+          await tx.query(`INSERT INTO "${name}" SELECT * FROM json_populate_recordset(NULL::"${name}", $1::json)`, [
+            JSON.stringify(rows),
+          ])
+        }
+      }
+      await tx.exec("SET LOCAL session_replication_role = origin")
+      await resetSequences(tx)
+
+      await applyMigrationsInTransaction(tx, manifest.schemaVersion)
+      await tx.query(
+        "INSERT INTO audit_log (username, operation, source, after_data) VALUES ($1, 'DB_RESTORE', 'app', $2)",
+        [
+          user.username,
+          JSON.stringify({
+            backup_created_at: manifest.createdAt,
+            backup_created_by: manifest.createdBy,
+            schema_version: manifest.schemaVersion,
+            tables: manifest.tables,
+          }),
+        ],
+      )
+    })
+
+    publish(SYNC_EVENTS.DATABASE_RESTORED)
+    return manifest
+  } catch (error) {
+    console.error("Error restoring backup:", error)
+    throw new Error(`Failed to restore backup: ${error.message}`)
+  }
+}
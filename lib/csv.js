@@ -0,0 +1,152 @@
+// CSV reading and writing (RFC 4180).
+//
+// Fields may be quoted with double quotes; a quoted field can contain the delimiter, line breaks
+// and doubled quotes (""). When parsing, records end with CRLF or LF and a leading UTF-8 byte
+// order mark, as written by Excel, is ignored. When writing, records end with CRLF and only
+// fields that need it are quoted.
+import { downloadFile } from "./download"
+
+export const CSV_DELIMITERS = [
+  { value: ",", label: "Comma" },
+  { value: ";", label: "Semicolon" },
+  { value: "\t", label: "Tab" },
+]
+
+export const CSV_DATE_FORMATS = [
+  { value: "iso", label: "ISO 8601 (2025-01-31T09:30:00.000Z)" },
+  { value: "date", label: "Date only (2025-01-31)" },
+  { value: "locale", label: "Local (1/31/2025, 9:30 AM)" },
+]
+
+export const DEFAULT_CSV_OPTIONS = { delimiter: ",", dateFormat: "iso", includeBom: true }
+
+const BOM = "\uFEFF"
+
+// Parse CSV text into an array of records, each an array of field strings. Blank lines are skipped.
+export function parseCsv(text, { delimiter = "," } = {}) {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text
+  const records = []
+  let record = []
+  let field = ""
+  let inQuotes = false
+  let fieldStarted = false
+
+  const endField = () => {
+    record.push(field)
+    field = ""
+    fieldStarted = false
+  }
+
+  const endRecord = () => {
+    endField()
+    // A line with nothing on it is a blank line, not a record with one empty field
+    if (record.length > 1 || record[0] !== "") records.push(record)
+    record = []
+  }
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (inQuotes) {
+      if (char !== '"') {
+        field += char
+      } else if (input[i + 1] === '"') {
+        field += '"'
+        i++
+      } else {
+        inQuotes = false
+      }
+      continue
+    }
+
+    if (char === '"' && !fieldStarted) {
+      inQuotes = true
+      fieldStarted = true
+    } else if (char === delimiter) {
+      endField()
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++
+      endRecord()
+    } else {
+      field += char
+      fieldStarted = true
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("The file ends inside a quoted field")
+  }
+  if (fieldStarted || record.length > 0) endRecord()
+
+  return records
+}
+
+// Parse CSV with a header row into { headers, rows }, where each row is an array aligned with headers
+export function parseCsvWithHeaders(text, options) {
+  const [headers = [], ...rows] = parseCsv(text, options)
+  return { headers: headers.map((header) => header.trim()), rows }
+}
+
+// DATE columns come back from the database as UTC midnight; show those as the calendar date
+// rather than shifting them into the local timezone
+function isCalendarDate(date) {
+  return (
+    date.getUTCHours() === 0 && date.getUTCMinutes() === 0 && date.getUTCSeconds() === 0 && date.getUTCMilliseconds() === 0
+  )
+}
+
+function formatDate(date, dateFormat) {
+  if (Number.isNaN(date.getTime())) return ""
+
+  const calendarDate = isCalendarDate(date)
+  switch (dateFormat) {
+    case "date":
+      return calendarDate ? date.toISOString().split("T")[0] : date.toLocaleDateString("en-CA")
+    case "locale":
+      return calendarDate ? date.toLocaleDateString("en-US", { timeZone: "UTC" }) : date.toLocaleString("en-US")
+    default:
+      return calendarDate ? date.toISOString().split("T")[0] : date.toISOString()
+  }
+}
+
+// Text for one value: empty for null, dates in the chosen format, lists joined with "; "
+export function formatCsvValue(value, { dateFormat = DEFAULT_CSV_OPTIONS.dateFormat } = {}) {
+  if (value === null || value === undefined) return ""
+  if (value instanceof Date) return formatDate(value, dateFormat)
+  if (Array.isArray(value)) return value.map((item) => formatCsvValue(item, { dateFormat })).join("; ")
+  if (typeof value === "object") return JSON.stringify(value)
+  return String(value)
+}
+
+// Quote a field if it contains the delimiter, a quote, a line break or surrounding spaces
+export function escapeCsvField(text, delimiter = DEFAULT_CSV_OPTIONS.delimiter) {
+  if (
+    text.includes(delimiter) ||
+    text.includes('"') ||
+    text.includes("\n") ||
+    text.includes("\r") ||
+    text !== text.trim()
+  ) {
+    return `"${text.replace(/"/g, '""')}"`
+  }
+  return text
+}
+
+// Build a CSV document from row objects. `columns` is a list of { key, label }; labels are
+// written as the header row.
+export function toCsv(rows, columns, options = {}) {
+  const { delimiter, dateFormat, includeBom } = { ...DEFAULT_CSV_OPTIONS, ...options }
+  const writeRecord = (fields) => fields.map((field) => escapeCsvField(field, delimiter)).join(delimiter)
+
+  const records = [
+    writeRecord(columns.map((column) => column.label)),
+    ...rows.map((row) => writeRecord(columns.map((column) => formatCsvValue(row[column.key], { dateFormat })))),
+  ]
+  // Excel only detects UTF-8 when the file starts with a byte order mark
+  return `${includeBom ? BOM : ""}${records.join("\r\n")}\r\n`
+}
+
+// Save a CSV document as a file download
+export function downloadCsv(csv, filename) {
+  downloadFile(csv, filename, "text/csv;charset=utf-8;")
+}
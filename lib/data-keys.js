@@ -0,0 +1,266 @@
+// Storage and lifecycle of the patient data encryption keys (see lib/encryption.js).
+//
+// Each user has an RSA key pair (public key in clear, private key encrypted with their
+// password) and one user_data_keys row per data key version, wrapped with their public key.
+// The version used for new values is kept in app_settings under "data_key_version".
+// Functions take the database instance so this module can be used from lib/database.js.
+import {
+  ENCRYPTED_COLUMNS,
+  generateDataKey,
+  generateUserKeys,
+  unlockPrivateKey,
+  wrapDataKey,
+  unwrapDataKey,
+  encryptValue,
+  decryptField,
+  setUnlockedKeys,
+  addDataKey,
+  getDataKeys,
+  getCurrentKeyVersion,
+  getPrivateKey,
+} from "./encryption"
+
+async function getStoredKeyVersion(database) {
+  const result = await database.query("SELECT value FROM app_settings WHERE key = 'data_key_version'")
+  return result.rows.length > 0 ? Number.parseInt(result.rows[0].value) : null
+}
+
+async function saveUserKeys(database, userId, keys) {
+  await database.query(
+    `
+    UPDATE users
+    SET public_key = $1, encrypted_private_key = $2, private_key_salt = $3, private_key_iterations = $4
+    WHERE id = $5
+  `,
+    [keys.publicKey, keys.encryptedPrivateKey, keys.privateKeySalt, keys.privateKeyIterations, userId],
+  )
+}
+
+// Wrap every unlocked data key for one user. `database` may also be a transaction.
+async function wrapKeysForUser(database, userId, publicKey) {
+  for (const [version, key] of getDataKeys()) {
+    await database.query(
+      `
+      INSERT INTO user_data_keys (user_id, key_version, wrapped_key)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (user_id, key_version) DO NOTHING
+    `,
+      [userId, version, await wrapDataKey(key, publicKey)],
+    )
+  }
+}
+
+// Give the unlocked data keys to every user who has a key pair but is missing some of them
+// (accounts created before encryption, or users who haven't signed in since a rotation)
+async function shareDataKeys(database) {
+  const versions = Array.from(getDataKeys().keys())
+  const result = await database.query(
+    `
+    SELECT u.id, u.public_key
+    FROM users u
+    WHERE u.public_key IS NOT NULL
+      AND (SELECT COUNT(*) FROM user_data_keys k WHERE k.user_id = u.id AND k.key_version = ANY($1::INTEGER[])) < $2
+  `,
+    [versions, versions.length],
+  )
+
+  for (const user of result.rows) {
+    await wrapKeysForUser(database, user.id, user.public_key)
+  }
+}
+
+// Run key maintenance in one transaction with the per-row audit and notify triggers of the
+// encrypted tables disabled, so re-encrypting rows is recorded as a single audit entry instead of
+// one UPDATE per row (and open tabs aren't told about changes they can't see - the decrypted
+// values are the same)
+async function withKeyMaintenance(database, { username, operation, details }, fn) {
+  const tables = Object.keys(ENCRYPTED_COLUMNS)
+  await database.transaction(async (tx) => {
+    for (const table of tables) {
+      await tx.exec(`ALTER TABLE ${table} DISABLE TRIGGER ${table}_audit`)
+      await tx.exec(`ALTER TABLE ${table} DISABLE TRIGGER ${table}_notify`)
+    }
+    await fn(tx)
+    for (const table of tables) {
+      await tx.exec(`ALTER TABLE ${table} ENABLE TRIGGER ${table}_notify`)
+      await tx.exec(`ALTER TABLE ${table} ENABLE TRIGGER ${table}_audit`)
+    }
+    await tx.query("INSERT INTO audit_log (username, operation, source, after_data) VALUES ($1, $2, 'system', $3)", [
+      username,
+      operation,
+      JSON.stringify(details),
+    ])
+  })
+}
+
+// Read the rows of every encrypted table that have an encrypted column set, by table. With
+// `plaintextOnly`, just the rows holding a value that isn't encrypted yet.
+async function selectEncryptedRows(database, { plaintextOnly = false } = {}) {
+  const rowsByTable = {}
+  for (const [table, columns] of Object.entries(ENCRYPTED_COLUMNS)) {
+    const condition = columns
+      .map((column) => (plaintextOnly ? `(${column} IS NOT NULL AND ${column} NOT LIKE 'enc:%')` : `${column} IS NOT NULL`))
+      .join(" OR ")
+    const result = await database.query(`SELECT id, ${columns.join(", ")} FROM ${table} WHERE ${condition}`)
+    rowsByTable[table] = result.rows
+  }
+  return rowsByTable
+}
+
+const countRows = (rowsByTable) => Object.values(rowsByTable).reduce((total, rows) => total + rows.length, 0)
+
+// Re-encrypt the sensitive columns of the given rows, by table, with one data key
+async function reencryptRows(tx, rowsByTable, key, version) {
+  for (const [table, rows] of Object.entries(rowsByTable)) {
+    const columns = ENCRYPTED_COLUMNS[table]
+    for (const row of rows) {
+      const values = []
+      for (const column of columns) {
+        const plaintext = await decryptField(row[column])
+        values.push(plaintext === null || plaintext === "" ? null : await encryptValue(plaintext, key, version))
+      }
+
+      await tx.query(
+        `
+        UPDATE ${table}
+        SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(", ")}
+        WHERE id = $${columns.length + 1}
+      `,
+        [...values, row.id],
+      )
+    }
+  }
+}
+
+// Encrypt values that are still plaintext (rows from before encryption or written through SQL)
+async function encryptPlaintextRows(database, username) {
+  const rowsByTable = await selectEncryptedRows(database, { plaintextOnly: true })
+  const rows = countRows(rowsByTable)
+  if (rows === 0) return
+
+  const version = getCurrentKeyVersion()
+  await withKeyMaintenance(
+    database,
+    { username, operation: "ENCRYPT", details: { rows, key_version: version } },
+    (tx) => reencryptRows(tx, rowsByTable, getDataKeys().get(version), version),
+  )
+  console.log(`🔐 Encrypted sensitive fields of ${rows} record(s)`)
+}
+
+async function loadUserDataKeys(database, userId, userPrivateKey) {
+  const result = await database.query("SELECT key_version, wrapped_key FROM user_data_keys WHERE user_id = $1", [
+    userId,
+  ])
+
+  const keys = new Map()
+  for (const row of result.rows) {
+    keys.set(row.key_version, await unwrapDataKey(row.wrapped_key, userPrivateKey))
+  }
+  return keys
+}
+
+// Unlock the data keys for a user who has just proved their password
+export async function unlockDataKeys(database, user, password) {
+  const userResult = await database.query(
+    `
+    SELECT public_key, encrypted_private_key as "encryptedPrivateKey",
+      private_key_salt as "privateKeySalt", private_key_iterations as "privateKeyIterations"
+    FROM users WHERE id = $1
+  `,
+    [user.id],
+  )
+  const stored = userResult.rows[0]
+
+  // Accounts created before encryption get their key pair on first sign-in
+  let userPrivateKey
+  let publicKey = stored.public_key
+  if (!stored.encryptedPrivateKey) {
+    const generated = await generateUserKeys(password)
+    await saveUserKeys(database, user.id, generated)
+    userPrivateKey = generated.privateKey
+    publicKey = generated.publicKey
+  } else {
+    userPrivateKey = await unlockPrivateKey(stored, password)
+  }
+
+  let version = await getStoredKeyVersion(database)
+
+  // The first user to sign in creates the data key
+  if (version === null) {
+    const created = await database.query(
+      "INSERT INTO app_settings (key, value) VALUES ('data_key_version', '1') ON CONFLICT (key) DO NOTHING RETURNING key",
+    )
+    if (created.rows.length > 0) {
+      const dataKey = await generateDataKey()
+      setUnlockedKeys({ keys: [[1, dataKey]], version: 1, userPrivateKey })
+      await wrapKeysForUser(database, user.id, publicKey)
+      console.log("🔐 Patient data encryption key created")
+    }
+    version = await getStoredKeyVersion(database)
+  }
+
+  const keys = await loadUserDataKeys(database, user.id, userPrivateKey)
+  if (!keys.has(version)) {
+    throw new Error(
+      "Your account doesn't have access to encrypted patient data yet. It is granted automatically the next time another user signs in.",
+    )
+  }
+
+  setUnlockedKeys({ keys, version, userPrivateKey })
+  await shareDataKeys(database)
+  await encryptPlaintextRows(database, user.username)
+}
+
+// Pick up a data key rotated in another tab, using the private key unlocked at sign-in
+export async function refreshDataKeys(database, userId) {
+  const version = await getStoredKeyVersion(database)
+  if (version === null || version === getCurrentKeyVersion()) return
+
+  const keys = await loadUserDataKeys(database, userId, getPrivateKey())
+  if (!keys.has(version)) {
+    throw new Error("Encrypted patient data is locked. Please sign in again.")
+  }
+  setUnlockedKeys({ keys, version, userPrivateKey: getPrivateKey() })
+}
+
+// Give a user a new key pair for their (new) password and wrap the unlocked data keys for them.
+// Used when an administrator creates an account or resets a password.
+export async function provisionUserKeys(database, userId, password) {
+  const keys = await generateUserKeys(password)
+  await saveUserKeys(database, userId, keys)
+
+  // Keys wrapped for the old key pair can no longer be unwrapped
+  await database.query("DELETE FROM user_data_keys WHERE user_id = $1", [userId])
+  await wrapKeysForUser(database, userId, keys.publicKey)
+}
+
+// Generate a new data key, re-encrypt every encrypted value with it and wrap it for every user.
+// Older keys stay wrapped so audit log entries written before the rotation remain readable.
+export async function rotateDataKey(database, username) {
+  const version = (getCurrentKeyVersion() || 0) + 1
+  const dataKey = await generateDataKey()
+
+  const rowsByTable = await selectEncryptedRows(database)
+  const rows = countRows(rowsByTable)
+
+  const users = await database.query("SELECT id, public_key FROM users WHERE public_key IS NOT NULL")
+
+  // Decrypting needs the old keys, so the new one only becomes current once everything is committed.
+  // Rows, wrapped keys and the version change commit together so no row is left under a key nobody holds.
+  addDataKey(version, dataKey)
+  await withKeyMaintenance(
+    database,
+    { username, operation: "KEY_ROTATION", details: { rows, key_version: version } },
+    async (tx) => {
+      await reencryptRows(tx, rowsByTable, dataKey, version)
+      for (const user of users.rows) {
+        await wrapKeysForUser(tx, user.id, user.public_key)
+      }
+      await tx.query("UPDATE app_settings SET value = $1 WHERE key = 'data_key_version'", [String(version)])
+    },
+  )
+  addDataKey(version, dataKey, { makeCurrent: true })
+
+  console.log(`🔐 Rotated patient data key to version ${version} (${rows} record(s) re-encrypted)`)
+  return { version, reencrypted: rows }
+}
@@ -1,4 +1,34 @@
-import { PGlite } from "@electric-sql/pglite"
+import { PGliteWorker } from "@electric-sql/pglite/worker"
+import { PATIENT_CHANGES_CHANNEL } from "./migrations"
+import { SYNC_EVENTS, dispatch, publish, getTabId } from "./sync"
+import { getCurrentUser } from "./auth"
+import { PERMISSIONS, hasPermission, requirePermission, getFieldPermission, canEditPatients } from "./permissions"
+import {
+  ENCRYPTED_PATIENT_FIELDS,
+  ENCRYPTED_COLUMNS,
+  ENCRYPTED_RECORD_FIELDS,
+  ENCRYPTED_ENCOUNTER_FIELDS,
+  encryptField,
+  decryptField,
+  decryptFields,
+  decryptPatientFields,
+  isEncryptedValue,
+  isEncryptionUnlocked,
+} from "./encryption"
+import { refreshDataKeys, rotateDataKey } from "./data-keys"
+import {
+  DEFAULT_PATIENT_ID_FORMAT,
+  MAX_PATIENT_ID_LENGTH,
+  normalizePatientIdFormat,
+  formatPatientId,
+} from "./patient-ids"
+import { findMatches, findDuplicatePairs } from "./duplicates"
+import { normalizeAllergyRecords } from "./allergies"
+import { normalizeMedicationRecords } from "./medications"
+import { VITAL_SIGNS } from "./encounters"
+import { ACTIVE_APPOINTMENT_STATUSES, formatAppointmentTime } from "./appointments"
+import { splitSqlStatements, isTransactionControlStatement } from "./sql-statements"
+import { parseQueryPlan, getPlanRelations } from "./query-plans"
 
 // Global database state management
 let db = null
@@ -7,7 +37,13 @@ let isInitialized = false
 let initPromise = null
 const DB_NAME = "patient_registration_db"
 
-// Singleton database initialization with proper persistence check
+// How long deleted patients stay in the trash before they are purged for good, unless an
+// administrator picks another of the TRASH_RETENTION_OPTIONS (in days) in the settings
+export const DEFAULT_TRASH_RETENTION_DAYS = 30
+export const TRASH_RETENTION_OPTIONS = [7, 14, 30, 90, 365]
+
+// Singleton database initialization. The database itself runs in a worker shared by every tab
+// (see lib/pglite-worker.js), which also applies the migrations.
 export async function initializeDatabase() {
   if (typeof window === "undefined") throw new Error("PGlite can only run in the browser")
 
@@ -28,136 +64,19 @@ export async function initializeDatabase() {
     try {
       console.log("🔄 Initializing PGlite database...")
 
-      // Create new instance only if one doesn't exist
-      if (!db) {
-        db = new PGlite(`idb://${DB_NAME}`)
-      }
-
-      // Wait for database to be ready
-      await new Promise((resolve) => setTimeout(resolve, 100))
-
-      // Create patients table with updated gender field length
-      await db.exec(`
-        CREATE TABLE IF NOT EXISTS patients (
-          id SERIAL PRIMARY KEY,
-          patient_id VARCHAR(20) UNIQUE,
-          first_name VARCHAR(100) NOT NULL,
-          last_name VARCHAR(100) NOT NULL,
-          email VARCHAR(255) NOT NULL,
-          phone VARCHAR(20),
-          date_of_birth DATE NOT NULL,
-          age INTEGER,
-          gender VARCHAR(20) NOT NULL,
-          address TEXT,
-          emergency_contact_name VARCHAR(100),
-          emergency_contact_phone VARCHAR(20),
-          medical_history TEXT,
-          allergies TEXT,
-          current_medications TEXT,
-          insurance_provider VARCHAR(100),
-          insurance_policy_number VARCHAR(50),
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
-      `)
-
-      // Check if gender column needs to be updated to accommodate longer values
-      try {
-        const columnInfo = await db.query(`
-          SELECT character_maximum_length 
-          FROM information_schema.columns 
-          WHERE table_name = 'patients' AND column_name = 'gender'
-        `)
-
-        if (columnInfo.rows.length > 0 && columnInfo.rows[0].character_maximum_length < 20) {
-          console.log("Updating gender column to accommodate longer values...")
-          await db.exec(`ALTER TABLE patients ALTER COLUMN gender TYPE VARCHAR(20)`)
-          console.log("Gender column updated successfully")
-        }
-      } catch (error) {
-        console.log("Gender column check/update:", error.message)
-      }
-
-      // Check if age column exists, if not add it
-      try {
-        await db.query("SELECT age FROM patients LIMIT 1")
-      } catch (error) {
-        if (error.message.includes('column "age" does not exist')) {
-          console.log("Adding age column to existing patients table...")
-          await db.exec(`ALTER TABLE patients ADD COLUMN age INTEGER`)
-
-          // Update existing records with calculated age
-          await db.exec(`
-            UPDATE patients 
-            SET age = EXTRACT(YEAR FROM AGE(CURRENT_DATE, date_of_birth))
-            WHERE age IS NULL
-          `)
-
-          // Make age column NOT NULL after updating existing records
-          await db.exec(`ALTER TABLE patients ALTER COLUMN age SET NOT NULL`)
-
-          console.log("Age column added and existing records updated successfully")
-        }
-      }
-
-      // Check if patient_id column exists, if not add it
-      try {
-        await db.query("SELECT patient_id FROM patients LIMIT 1")
-      } catch (error) {
-        if (error.message.includes('column "patient_id" does not exist')) {
-          console.log("Adding patient_id column to existing patients table...")
-          await db.exec(`ALTER TABLE patients ADD COLUMN patient_id VARCHAR(20) UNIQUE`)
-
-          // Update existing records with generated patient IDs
-          const existingPatients = await db.query("SELECT id FROM patients WHERE patient_id IS NULL ORDER BY id")
-          for (let i = 0; i < existingPatients.rows.length; i++) {
-            const patientId = generatePatientId(i + 1)
-            await db.query("UPDATE patients SET patient_id = $1 WHERE id = $2", [
-              patientId,
-              existingPatients.rows[i].id,
-            ])
-          }
-
-          console.log("Patient ID column added and existing records updated successfully")
-        }
-      }
-
-      // Create indexes for better performance
-      await db.exec(`
-        CREATE INDEX IF NOT EXISTS idx_patients_email ON patients(email);
-        CREATE INDEX IF NOT EXISTS idx_patients_last_name ON patients(last_name);
-        CREATE INDEX IF NOT EXISTS idx_patients_created_at ON patients(created_at);
-        CREATE INDEX IF NOT EXISTS idx_patients_age ON patients(age);
-        CREATE INDEX IF NOT EXISTS idx_patients_patient_id ON patients(patient_id);
-      `)
-
-      // CRITICAL: Perform multiple test operations to ensure IndexedDB persistence is working
-      console.log("🔄 Testing database persistence...")
-
-      // Test 1: Basic query
-      await db.query("SELECT 1 as test")
-
-      // Test 2: Create and drop a test table to ensure write operations work
-      await db.exec("CREATE TEMP TABLE IF NOT EXISTS persistence_test (id INTEGER)")
-      await db.exec("INSERT INTO persistence_test (id) VALUES (1)")
-      const testResult = await db.query("SELECT id FROM persistence_test WHERE id = 1")
-      if (testResult.rows.length === 0) {
-        throw new Error("Database persistence test failed")
-      }
-      await db.exec("DROP TABLE IF EXISTS persistence_test")
+      db = await PGliteWorker.create(new Worker(new URL("./pglite-worker.js", import.meta.url), { type: "module" }), {
+        dataDir: `idb://${DB_NAME}`,
+      })
 
-      // Test 3: Ensure the patients table is accessible and writable
-      await db.query("SELECT COUNT(*) FROM patients")
+      // Patient changes made in any tab, including this one, arrive as database notifications
+      await db.listen(PATIENT_CHANGES_CHANNEL, handlePatientNotification)
 
-      // Wait for IndexedDB to fully commit all operations
-      await new Promise((resolve) => setTimeout(resolve, 300))
-
-      // Final verification
-      await db.query("SELECT 1 as final_test")
+      // The retention period applies whoever opens the app, not only when the trash is looked at
+      await deleteExpiredPatients(db).catch((error) => console.error("Error purging expired patients:", error))
 
       isInitialized = true
       isInitializing = false
-      console.log("✅ PGlite database initialized and persistence verified")
+      console.log(`✅ PGlite database ready (${db.isLeader ? "this tab is the leader" : "shared with another tab"})`)
       return db
     } catch (error) {
       console.error("Failed to initialize PGlite database:", error)
@@ -175,40 +94,116 @@ export async function initializeDatabase() {
   return await initPromise
 }
 
-// Generate patient ID in format PAT-YYYY-NNNN
-function generatePatientId(sequenceNumber) {
-  const currentYear = new Date().getFullYear()
-  const paddedNumber = sequenceNumber.toString().padStart(4, "0")
-  return `PAT-${currentYear}-${paddedNumber}`
+// Notifications are handled one at a time so events reach subscribers in commit order
+let notificationQueue = Promise.resolve()
+
+function handlePatientNotification(payload) {
+  notificationQueue = notificationQueue.then(async () => {
+    try {
+      const { type, patientId, encounterId, appointmentId, source } = JSON.parse(payload)
+      if (encounterId) {
+        const encounter = type === SYNC_EVENTS.ENCOUNTER_DELETED ? null : await getEncounterForSync(encounterId)
+        dispatch(type, { encounterId, patientId, encounter, source })
+        return
+      }
+      if (appointmentId) {
+        const appointment = type === SYNC_EVENTS.APPOINTMENT_DELETED ? null : await getAppointmentForSync(appointmentId)
+        dispatch(type, { appointmentId, patientId, appointment, source })
+        return
+      }
+
+      const patient = type === SYNC_EVENTS.PATIENT_PURGED ? null : await getPatientForSync(patientId)
+      dispatch(type, { patientId, patient, source })
+    } catch (error) {
+      console.error("Error handling patient change notification:", error)
+    }
+  })
+}
+
+// Read a changed patient for the sync event, or null if this tab can't show it right now
+async function getPatientForSync(id) {
+  if (!hasPermission(getCurrentUser(), PERMISSIONS.VIEW_PATIENTS) || !isEncryptionUnlocked()) return null
+
+  try {
+    const result = await db.query(`SELECT ${PATIENT_COLUMNS}, deleted_at as "deletedAt" FROM patients WHERE id = $1`, [id])
+    if (result.rows.length === 0) return null
+
+    const { deletedAt, ...patient } = await decryptPatientFields(result.rows[0])
+    return deletedAt ? { ...patient, deletedAt } : patient
+  } catch (error) {
+    console.error("Error reading changed patient:", error)
+    return null
+  }
 }
 
-// Get next patient sequence number
-async function getNextPatientSequence() {
+// Read a changed visit for the sync event, or null if this tab can't show it right now
+async function getEncounterForSync(id) {
+  if (!hasPermission(getCurrentUser(), PERMISSIONS.VIEW_PATIENTS) || !isEncryptionUnlocked()) return null
+
   try {
-    const database = await getDatabase()
-    const currentYear = new Date().getFullYear()
+    const result = await db.query(`SELECT ${ENCOUNTER_COLUMNS} FROM encounters WHERE id = $1`, [id])
+    return result.rows.length > 0 ? await decryptFields(result.rows[0], ENCRYPTED_ENCOUNTER_FIELDS) : null
+  } catch (error) {
+    console.error("Error reading changed visit:", error)
+    return null
+  }
+}
 
-    // Get the highest sequence number for current year
-    const result = await database.query(
-      `
-      SELECT patient_id FROM patients 
-      WHERE patient_id LIKE $1 
-      ORDER BY patient_id DESC 
-      LIMIT 1
-    `,
-      [`PAT-${currentYear}-%`],
+// Read a changed appointment for the sync event, or null if this tab can't show it right now
+// (including when the patient is in the trash)
+async function getAppointmentForSync(id) {
+  if (!hasPermission(getCurrentUser(), PERMISSIONS.VIEW_PATIENTS)) return null
+
+  try {
+    const result = await db.query(
+      `SELECT ${APPOINTMENT_COLUMNS} FROM appointments a JOIN patients p ON p.id = a.patient_record_id
+       WHERE a.id = $1 AND p.deleted_at IS NULL`,
+      [id],
     )
+    return result.rows[0] ?? null
+  } catch (error) {
+    console.error("Error reading changed appointment:", error)
+    return null
+  }
+}
 
-    if (result.rows.length === 0) return 1 // First patient of the year
+const PATIENT_ID_FORMAT_SETTING = "patient_id_format"
 
-    // Extract sequence number from patient_id (PAT-YYYY-NNNN)
-    const lastPatientId = result.rows[0].patient_id
-    const sequencePart = lastPatientId.split("-")[2]
-    return Number.parseInt(sequencePart) + 1
+async function readPatientIdFormat(database) {
+  const result = await database.query("SELECT value FROM app_settings WHERE key = $1", [PATIENT_ID_FORMAT_SETTING])
+  if (result.rows.length === 0) return DEFAULT_PATIENT_ID_FORMAT
+
+  try {
+    return normalizePatientIdFormat(JSON.parse(result.rows[0].value))
   } catch (error) {
-    console.error("Error getting next patient sequence:", error)
-    return 1
+    console.error("Invalid patient id format setting, using the default:", error)
+    return DEFAULT_PATIENT_ID_FORMAT
+  }
+}
+
+// Allocate the next patient id inside the insert transaction. The per-year counter row is
+// incremented atomically, so concurrent registrations never get the same number, the first
+// registration of a new year starts again at 1, and a failed insert gives its number back.
+async function allocatePatientId(tx) {
+  const format = await readPatientIdFormat(tx)
+  const result = await tx.query(`
+    INSERT INTO patient_id_counters (year, last_value)
+    VALUES (EXTRACT(YEAR FROM CURRENT_DATE)::INTEGER, 1)
+    ON CONFLICT (year) DO UPDATE SET last_value = patient_id_counters.last_value + 1
+    RETURNING year, last_value
+  `)
+
+  const { year, last_value: sequence } = result.rows[0]
+  const patientId = formatPatientId(year, sequence, format)
+
+  // The padding is only a minimum width: once a year's count outgrows it, the ids get longer than the format
+  // promised. Failing here rolls the counter back and keeps the insert from overflowing the patient_id column.
+  if (patientId.length > MAX_PATIENT_ID_LENGTH) {
+    throw new Error(
+      `Patient number ${sequence} of ${year} doesn't fit in a ${MAX_PATIENT_ID_LENGTH}-character patient ID. Use a shorter prefix in Settings.`,
+    )
   }
+  return patientId
 }
 
 // Get database instance with singleton pattern
@@ -219,97 +214,266 @@ async function getDatabase() {
   return db
 }
 
-// Add new patient with enhanced persistence verification
-export async function addPatient(patientData) {
-  try {
-    // Ensure database is fully initialized and ready
-    const database = await getDatabase()
+// Dates picked in the form are local midnight, so use the local calendar day rather than
+// toISOString(), which shifts to the previous day in timezones ahead of UTC
+function formatDateForDatabase(value) {
+  if (!(value instanceof Date)) return value
 
-    console.log("🔄 Adding patient to database...")
+  const month = String(value.getMonth() + 1).padStart(2, "0")
+  const day = String(value.getDate()).padStart(2, "0")
+  return `${value.getFullYear()}-${month}-${day}`
+}
 
-    // Generate patient ID
-    const sequenceNumber = await getNextPatientSequence()
-    const patientId = generatePatientId(sequenceNumber)
+// Username recorded in the audit log for changes made from this tab
+function getActingUsername() {
+  return getCurrentUser()?.username || "unknown"
+}
 
-    // Format date properly for PostgreSQL
-    const formattedDate =
-      patientData.dateOfBirth instanceof Date
-        ? patientData.dateOfBirth.toISOString().split("T")[0]
-        : patientData.dateOfBirth
-
-    // Ensure age is provided, if not calculate it
-    let age = patientData.age
-    if (!age && patientData.dateOfBirth) {
-      const today = new Date()
-      const birthDate = new Date(patientData.dateOfBirth)
-      age = today.getFullYear() - birthDate.getFullYear()
-      const monthDiff = today.getMonth() - birthDate.getMonth()
-      if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate())) age--
-    }
-
-    // Insert the patient record
-    const result = await database.query(
-      `
-      INSERT INTO patients (
-        patient_id, first_name, last_name, email, phone, date_of_birth, age, gender,
-        address, emergency_contact_name, emergency_contact_phone,
-        medical_history, allergies, current_medications,
-        insurance_provider, insurance_policy_number
-      ) VALUES (
-        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16
-      ) RETURNING id
-    `,
-      [
-        patientId,
-        patientData.firstName,
-        patientData.lastName,
-        patientData.email,
-        patientData.phone || null,
-        formattedDate,
-        Number.parseInt(age) || 0,
-        patientData.gender,
-        patientData.address || null,
-        patientData.emergencyContactName || null,
-        patientData.emergencyContactPhone || null,
-        patientData.medicalHistory || null,
-        patientData.allergies || null,
-        patientData.currentMedications || null,
-        patientData.insuranceProvider || null,
-        patientData.insurancePolicyNumber || null,
-      ],
+// Make sure this tab has the current data key (it may have been rotated in another tab)
+async function ensureDataKeys(database) {
+  const user = getCurrentUser()
+  if (user) await refreshDataKeys(database, user.id)
+}
+
+// Run `fn` inside a transaction tagged with the acting user, the change source ("app" or
+// "sql") and this tab. The patients audit and notify triggers read these transaction-local settings.
+async function withAuditContext(database, source, fn) {
+  return await database.transaction(async (tx) => {
+    await tx.query(
+      "SELECT set_config('app.audit_user', $1, true), set_config('app.audit_source', $2, true), set_config('app.sync_source', $3, true)",
+      [getActingUsername(), source, getTabId()],
     )
+    return await fn(tx)
+  })
+}
 
-    const insertedId = result.rows[0].id
+// Column values for a patient, in the order insertPatient() and updatePatientRow() write them.
+// Encrypted fields are encrypted here, outside the transaction. When updating, pass the row as
+// stored and decrypted: unchanged encrypted fields keep their stored ciphertext, so a save
+// doesn't show them as changed.
+async function preparePatientValues(patientData, current = null) {
+  // Format date properly for PostgreSQL
+  const formattedDate = formatDateForDatabase(patientData.dateOfBirth)
+
+  // Ensure age is provided, if not calculate it
+  let age = patientData.age
+  if (!age && patientData.dateOfBirth) {
+    const today = new Date()
+    const birthDate = new Date(patientData.dateOfBirth)
+    age = today.getFullYear() - birthDate.getFullYear()
+    const monthDiff = today.getMonth() - birthDate.getMonth()
+    if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate())) age--
+  }
 
-    // CRITICAL: Force IndexedDB to persist the data
-    await new Promise((resolve) => setTimeout(resolve, 200))
+  const [medicalHistory, allergies, currentMedications, insurancePolicyNumber] = await Promise.all(
+    ENCRYPTED_PATIENT_FIELDS.map((field) =>
+      current && normalizeFieldValue(current.decrypted[field]) === normalizeFieldValue(patientData[field])
+        ? current.stored[field]
+        : encryptField(patientData[field]),
+    ),
+  )
+
+  return [
+    patientData.firstName,
+    patientData.lastName,
+    patientData.email,
+    patientData.phone || null,
+    formattedDate,
+    Number.parseInt(age) || 0,
+    patientData.gender,
+    patientData.address || null,
+    patientData.emergencyContactName || null,
+    patientData.emergencyContactPhone || null,
+    medicalHistory,
+    allergies,
+    currentMedications,
+    patientData.insuranceProvider || null,
+    insurancePolicyNumber,
+  ]
+}
 
-    // Multiple verification attempts to ensure persistence
-    let verificationAttempts = 0
-    let verified = false
+// Allocate a patient id and insert one patient inside an open transaction
+async function insertPatient(tx, values) {
+  const patientId = await allocatePatientId(tx)
+  const result = await tx.query(
+    `
+    INSERT INTO patients (
+      patient_id, first_name, last_name, email, phone, date_of_birth, age, gender,
+      address, emergency_contact_name, emergency_contact_phone,
+      medical_history, allergies, current_medications,
+      insurance_provider, insurance_policy_number
+    ) VALUES (
+      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16
+    ) RETURNING id, patient_id
+  `,
+    [patientId, ...values],
+  )
+  return result.rows[0]
+}
 
-    while (verificationAttempts < 3 && !verified) {
-      try {
-        const verification = await database.query("SELECT id FROM patients WHERE id = $1", [insertedId])
-        if (verification.rows.length > 0) {
-          verified = true
-          break
-        }
-      } catch (error) {
-        console.warn(`Verification attempt ${verificationAttempts + 1} failed:`, error)
-      }
+// Overwrite a patient's editable columns inside an open transaction
+async function updatePatientRow(tx, id, values) {
+  await tx.query(
+    `
+    UPDATE patients SET
+      first_name = $1,
+      last_name = $2,
+      email = $3,
+      phone = $4,
+      date_of_birth = $5,
+      age = $6,
+      gender = $7,
+      address = $8,
+      emergency_contact_name = $9,
+      emergency_contact_phone = $10,
+      medical_history = $11,
+      allergies = $12,
+      current_medications = $13,
+      insurance_provider = $14,
+      insurance_policy_number = $15,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = $16
+  `,
+    [...values, id],
+  )
+}
 
-      verificationAttempts++
-      if (!verified) {
-        await new Promise((resolve) => setTimeout(resolve, 100))
-      }
-    }
+// Lists of records kept in their own table and edited together with the patient, by the
+// patient field holding them. `columns` maps entry fields to columns. An entry without an id is
+// matched to a stored row by its `key` field, and `duplicate` says when a merged record's entry
+// repeats one the surviving record already has. Entries are compared decrypted, since some of
+// their fields are encrypted (see ENCRYPTED_RECORD_FIELDS).
+const PATIENT_RECORD_LISTS = {
+  allergyRecords: {
+    table: "patient_allergies",
+    key: "allergen",
+    normalize: normalizeAllergyRecords,
+    columns: {
+      allergen: "allergen",
+      category: "category",
+      severity: "severity",
+      reaction: "reaction",
+      onsetDate: "onset_date",
+    },
+    duplicate: (a, b) => a.allergen.toLowerCase() === b.allergen.toLowerCase(),
+  },
+  medicationRecords: {
+    table: "patient_medications",
+    key: "drugName",
+    normalize: normalizeMedicationRecords,
+    columns: {
+      drugName: "drug_name",
+      strength: "strength",
+      route: "route",
+      frequency: "frequency",
+      startDate: "start_date",
+      stopDate: "stop_date",
+      prescriber: "prescriber",
+    },
+    duplicate: (a, b) => a.drugName.toLowerCase() === b.drugName.toLowerCase() && a.strength === b.strength,
+  },
+}
+
+const PATIENT_RECORD_FIELDS = Object.keys(PATIENT_RECORD_LISTS)
+
+// Replace one of a patient's record lists with `records` inside an open transaction. Entries
+// are matched to the stored rows by id, or else by their key, so unchanged entries aren't
+// rewritten (or audited) and one removed and added again keeps its row. Encryption must be
+// unlocked for lists with encrypted fields (see ENCRYPTED_RECORD_FIELDS).
+async function savePatientRecords(tx, field, patientRecordId, records) {
+  const { table, key, normalize, columns } = PATIENT_RECORD_LISTS[field]
+  const fields = Object.keys(columns)
+  const encrypted = ENCRYPTED_RECORD_FIELDS[field] ?? []
+
+  // Stored values as text, so dates compare with the normalized entries' YYYY-MM-DD strings
+  const stored = await tx.query(
+    `SELECT id, LOWER(${columns[key]}) AS key, ${fields.map((name) => `${columns[name]}::text AS "${name}"`).join(", ")}
+     FROM ${table} WHERE patient_record_id = $1 ORDER BY id`,
+    [patientRecordId],
+  )
+  const storedById = new Map(stored.rows.map((row) => [row.id, row]))
+  const unmatched = [...stored.rows]
+  const takeRow = (predicate) => {
+    const index = unmatched.findIndex(predicate)
+    return index === -1 ? null : unmatched.splice(index, 1)[0].id
+  }
+
+  // Match by id first, so a key match can't take a row another entry keeps by id
+  const entries = normalize(records).map((entry) => ({ ...entry, id: takeRow((row) => row.id === entry.id) }))
+  for (const entry of entries) {
+    entry.id ??= takeRow((row) => row.key === entry[key].toLowerCase())
+  }
 
-    if (!verified) {
-      throw new Error("Patient insertion verification failed after multiple attempts")
+  await tx.query(`DELETE FROM ${table} WHERE patient_record_id = $1 AND NOT (id = ANY($2::int[]))`, [
+    patientRecordId,
+    entries.map((entry) => entry.id).filter(Boolean),
+  ])
+
+  for (const entry of entries) {
+    // Unchanged encrypted values keep their stored ciphertext, as in preparePatientValues()
+    const storedRow = storedById.get(entry.id)
+    const values = []
+    for (const name of fields) {
+      const value = entry[name] ?? null
+      if (!encrypted.includes(name)) values.push(value)
+      else if (storedRow && value === (await decryptField(storedRow[name]))) values.push(storedRow[name])
+      else values.push(await encryptField(value))
+    }
+    if (storedRow && fields.every((name, index) => values[index] === storedRow[name])) continue
+
+    if (entry.id) {
+      const assignments = fields.map((name, index) => `${columns[name]} = $${index + 1}`).join(", ")
+      await tx.query(`UPDATE ${table} SET ${assignments}, updated_at = CURRENT_TIMESTAMP WHERE id = $${fields.length + 1}`, [
+        ...values,
+        entry.id,
+      ])
+    } else {
+      const placeholders = fields.map((_, index) => `$${index + 2}`).join(", ")
+      await tx.query(
+        `INSERT INTO ${table} (patient_record_id, ${fields.map((name) => columns[name]).join(", ")}) VALUES ($1, ${placeholders})`,
+        [patientRecordId, ...values],
+      )
     }
+  }
+}
+
+// Save every record list included in `patientData`; lists left out are unchanged
+async function savePatientRecordLists(tx, patientRecordId, patientData) {
+  for (const field of PATIENT_RECORD_FIELDS) {
+    if (patientData[field] !== undefined) await savePatientRecords(tx, field, patientRecordId, patientData[field])
+  }
+}
+
+// Whether two versions of a record list hold the same entries, in any order
+function isSameRecordList(field, a, b) {
+  const { key, normalize } = PATIENT_RECORD_LISTS[field]
+  const comparable = (list) =>
+    normalize(list)
+      .map(({ id, ...entry }) => JSON.stringify({ ...entry, [key]: entry[key].toLowerCase() }))
+      .sort()
+      .join("\n")
+  return comparable(a) === comparable(b)
+}
+
+// Add new patient
+export async function addPatient(patientData) {
+  try {
+    requirePermission(PERMISSIONS.REGISTER_PATIENT, "register patients")
+
+    // Ensure database is fully initialized and ready
+    const database = await getDatabase()
+    await ensureDataKeys(database)
+
+    console.log("🔄 Adding patient to database...")
+
+    const values = await preparePatientValues(patientData)
+    const { id: insertedId, patient_id: patientId } = await withAuditContext(database, "app", async (tx) => {
+      const inserted = await insertPatient(tx, values)
+      await savePatientRecordLists(tx, inserted.id, patientData)
+      return inserted
+    })
 
-    console.log(`✅ Patient successfully added and verified with ID: ${insertedId}, Patient ID: ${patientId}`)
+    console.log(`✅ Patient successfully added with ID: ${insertedId}, Patient ID: ${patientId}`)
     return { success: true, patientId, id: insertedId }
   } catch (error) {
     console.error("Error adding patient:", error)
@@ -328,159 +492,411 @@ export async function addPatient(patientData) {
   }
 }
 
-// Get all patients with enhanced error handling
+// Triggers that announce patient changes to open tabs, by table
+const NOTIFY_TRIGGERS = [
+  ["patients", "patients_notify"],
+  ["patient_allergies", "patient_allergies_notify"],
+  ["patient_medications", "patient_medications_notify"],
+]
+
+// Run a bulk import in one transaction. Each patient is written to the audit log as usual, but
+// the notify triggers are off, so open tabs get a single PATIENTS_IMPORTED event at the end
+// instead of one per patient.
+async function withBulkImport(database, fn) {
+  const count = await withAuditContext(database, "import", async (tx) => {
+    for (const [table, trigger] of NOTIFY_TRIGGERS) {
+      await tx.exec(`ALTER TABLE ${table} DISABLE TRIGGER ${trigger}`)
+    }
+    const changed = await fn(tx)
+    for (const [table, trigger] of NOTIFY_TRIGGERS) {
+      await tx.exec(`ALTER TABLE ${table} ENABLE TRIGGER ${trigger}`)
+    }
+    return changed
+  })
+
+  publish(SYNC_EVENTS.PATIENTS_IMPORTED, { count })
+}
+
+// Register many patients at once, all or nothing
+export async function importPatients(patients) {
+  try {
+    requirePermission(PERMISSIONS.REGISTER_PATIENT, "import patients")
+    if (patients.length === 0) {
+      throw new Error("There are no patients to import")
+    }
+
+    const database = await getDatabase()
+    await ensureDataKeys(database)
+
+    const rows = []
+    for (const patientData of patients) {
+      rows.push(await preparePatientValues(patientData))
+    }
+
+    const inserted = []
+    await withBulkImport(database, async (tx) => {
+      for (const values of rows) {
+        inserted.push(await insertPatient(tx, values))
+      }
+      return inserted.length
+    })
+
+    console.log(`✅ Imported ${inserted.length} patient(s)`)
+    return inserted.map((row) => ({ id: row.id, patientId: row.patient_id }))
+  } catch (error) {
+    console.error("Error importing patients:", error)
+    throw new Error(`Failed to import patients: ${error.message}`)
+  }
+}
+
+// Import patients read from a FHIR Bundle, all or nothing. A record whose `patientId` matches an
+// active patient (directly or through a merge) updates that patient; fields the record leaves
+// out keep their current values. That is medical history, which FHIR doesn't carry, and
+// allergies, medications and insurance unless the Bundle has resources of that type for the
+// patient (see parseFhirBundle()). Every other record is registered as new.
+export async function importFhirPatients(records) {
+  try {
+    if (records.length === 0) {
+      throw new Error("There are no patients to import")
+    }
+
+    const database = await getDatabase()
+    await ensureDataKeys(database)
+
+    const patientIds = records.map((record) => record.patientId).filter(Boolean)
+    const existingResult = await database.query(
+      `
+      SELECT ${PATIENT_COLUMNS}
+      FROM patients
+      WHERE deleted_at IS NULL
+        AND (patient_id = ANY($1::text[])
+          OR id IN (SELECT surviving_record_id FROM patient_merges WHERE merged_patient_id = ANY($1::text[])))
+    `,
+      [patientIds],
+    )
+    const findExisting = (patientId) =>
+      existingResult.rows.find((row) => row.patientId === patientId || row.mergedIds.includes(patientId))
+
+    const creates = []
+    const updates = []
+    for (const record of records) {
+      const stored = record.patientId ? findExisting(record.patientId) : null
+      if (!stored) {
+        requirePermission(PERMISSIONS.REGISTER_PATIENT, "register patients")
+        creates.push({ values: await preparePatientValues(record.patient), patientData: record.patient })
+        continue
+      }
+
+      if (!canEditPatients(getCurrentUser())) {
+        throw new Error(`You don't have permission to update ${stored.patientId}`)
+      }
+      const existing = await decryptPatientFields(stored)
+      const imported = Object.fromEntries(Object.entries(record.patient).filter(([, value]) => value !== undefined))
+      const patientData = { ...existing, ...imported }
+      getChangedPatientFields(existing, { ...patientData, dateOfBirth: formatDateForDatabase(patientData.dateOfBirth) }).forEach(
+        (field) => requirePermission(getFieldPermission(field), `change ${field} of ${stored.patientId}`),
+      )
+      updates.push({
+        id: stored.id,
+        values: await preparePatientValues(patientData, { stored, decrypted: existing }),
+        // Only the record lists the Bundle has are replaced
+        recordLists: imported,
+      })
+    }
+
+    await withBulkImport(database, async (tx) => {
+      for (const { values, patientData } of creates) {
+        const inserted = await insertPatient(tx, values)
+        await savePatientRecordLists(tx, inserted.id, patientData)
+      }
+      for (const { id, values, recordLists } of updates) {
+        await updatePatientRow(tx, id, values)
+        await savePatientRecordLists(tx, id, recordLists)
+      }
+      return creates.length + updates.length
+    })
+
+    console.log(`✅ FHIR import: ${creates.length} created, ${updates.length} updated`)
+    return { created: creates.length, updated: updates.length }
+  } catch (error) {
+    console.error("Error importing FHIR patients:", error)
+    throw new Error(`Failed to import FHIR patients: ${error.message}`)
+  }
+}
+
+// Column list shared by the patient read queries, mapped to the camelCase shape used by the UI
+const PATIENT_COLUMNS = `
+  id,
+  patient_id as "patientId",
+  first_name as "firstName",
+  last_name as "lastName",
+  email,
+  phone,
+  date_of_birth as "dateOfBirth",
+  COALESCE(age, EXTRACT(YEAR FROM AGE(CURRENT_DATE, date_of_birth))) as age,
+  gender,
+  address,
+  emergency_contact_name as "emergencyContactName",
+  emergency_contact_phone as "emergencyContactPhone",
+  medical_history as "medicalHistory",
+  allergies,
+  current_medications as "currentMedications",
+  insurance_provider as "insuranceProvider",
+  insurance_policy_number as "insurancePolicyNumber",
+  created_at as "createdAt",
+  updated_at as "updatedAt",
+  medications_reviewed_at as "medicationsReviewedAt",
+  medications_reviewed_by as "medicationsReviewedBy",
+  ARRAY(
+    SELECT merged_patient_id FROM patient_merges WHERE surviving_record_id = patients.id ORDER BY merged_at
+  ) as "mergedIds",
+  ${Object.entries(PATIENT_RECORD_LISTS)
+    .map(
+      ([field, { table, columns }]) => `(
+    SELECT COALESCE(json_agg(json_build_object(
+      'id', r.id,
+      ${Object.entries(columns)
+        .map(([name, column]) => `'${name}', r.${column}`)
+        .join(",\n      ")}
+    ) ORDER BY r.id), '[]'::json)
+    FROM ${table} r WHERE r.patient_record_id = patients.id
+  ) as "${field}"`,
+    )
+    .join(",\n  ")}
+`
+
+// Get all patients with enhanced error handling (patients in the trash are left out)
 export async function getAllPatients() {
   try {
+    requirePermission(PERMISSIONS.VIEW_PATIENTS, "view patients")
     const database = await getDatabase()
+    await ensureDataKeys(database)
 
     const result = await database.query(`
-      SELECT 
-        id,
-        patient_id as "patientId",
-        first_name as "firstName",
-        last_name as "lastName",
-        email,
-        phone,
-        date_of_birth as "dateOfBirth",
-        COALESCE(age, EXTRACT(YEAR FROM AGE(CURRENT_DATE, date_of_birth))) as age,
-        gender,
-        address,
-        emergency_contact_name as "emergencyContactName",
-        emergency_contact_phone as "emergencyContactPhone",
-        medical_history as "medicalHistory",
-        allergies,
-        current_medications as "currentMedications",
-        insurance_provider as "insuranceProvider",
-        insurance_policy_number as "insurancePolicyNumber",
-        created_at as "createdAt",
-        updated_at as "updatedAt"
+      SELECT ${PATIENT_COLUMNS}
       FROM patients 
+      WHERE deleted_at IS NULL
       ORDER BY created_at DESC
     `)
 
-    return result.rows || []
+    return await Promise.all((result.rows || []).map(decryptPatientFields))
   } catch (error) {
     console.error("Error getting patients:", error)
     throw new Error(`Failed to get patients: ${error.message}`)
   }
 }
 
-// Delete a patient with forced transaction commitment
+// Get the patients currently in the trash, most recently deleted first
+export async function getDeletedPatients() {
+  try {
+    requirePermission(PERMISSIONS.DELETE_PATIENT, "view the trash")
+    const database = await getDatabase()
+    await ensureDataKeys(database)
+
+    const result = await database.query(`
+      SELECT ${PATIENT_COLUMNS}, deleted_at as "deletedAt"
+      FROM patients
+      WHERE deleted_at IS NOT NULL
+      ORDER BY deleted_at DESC
+    `)
+
+    return await Promise.all((result.rows || []).map(decryptPatientFields))
+  } catch (error) {
+    console.error("Error getting deleted patients:", error)
+    throw new Error(`Failed to get deleted patients: ${error.message}`)
+  }
+}
+
+// Move a patient to the trash. The record stays in the database until it is purged.
 export async function deletePatient(id) {
   try {
+    requirePermission(PERMISSIONS.DELETE_PATIENT, "delete patients")
     const database = await getDatabase()
 
-    console.log(`🗑️ Attempting to delete patient with ID: ${id}`)
+    console.log(`🗑️ Moving patient with ID ${id} to trash`)
+
+    const result = await withAuditContext(database, "app", (tx) =>
+      tx.query(
+        "UPDATE patients SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1 AND deleted_at IS NULL RETURNING id",
+        [id],
+      ),
+    )
 
-    // First verify the patient exists
-    const existsCheck = await database.query("SELECT id FROM patients WHERE id = $1", [id])
-    if (existsCheck.rows.length === 0) {
+    if (result.rows.length === 0) {
       console.log(`⚠️ Patient with ID ${id} already deleted or doesn't exist`)
       return true
     }
 
-    // Force a transaction with explicit BEGIN/COMMIT
-    await database.exec("BEGIN")
+    console.log(`✅ Patient with ID ${id} moved to trash`)
+    return true
+  } catch (error) {
+    console.error("Error deleting patient:", error)
+    throw new Error(`Failed to delete patient: ${error.message}`)
+  }
+}
 
-    try {
-      // Delete the patient within the transaction
-      await database.query("DELETE FROM patients WHERE id = $1", [id])
+// Restore a patient from the trash
+export async function restorePatient(id) {
+  try {
+    requirePermission(PERMISSIONS.DELETE_PATIENT, "restore patients")
+    const database = await getDatabase()
 
-      // Force commit the transaction
-      await database.exec("COMMIT")
+    const result = await withAuditContext(database, "app", (tx) =>
+      tx.query(
+        "UPDATE patients SET deleted_at = NULL WHERE id = $1 AND deleted_at IS NOT NULL RETURNING id",
+        [id],
+      ),
+    )
 
-      console.log(`🔄 Transaction committed for patient ID: ${id}`)
-    } catch (error) {
-      // Rollback on error
-      await database.exec("ROLLBACK")
-      throw error
+    if (result.rows.length === 0) {
+      throw new Error("Patient not found in trash")
     }
 
-
-    console.log(`✅ Patient with ID ${id} successfully deleted !`)
+    console.log(`♻️ Patient with ID ${id} restored from trash`)
     return true
   } catch (error) {
-    console.error("Error deleting patient:", error)
+    console.error("Error restoring patient:", error)
+    throw new Error(`Failed to restore patient: ${error.message}`)
+  }
+}
 
-    // If it's a "patient not found" type error, treat it as success since the goal is achieved
-    if (error.message.includes("not found") || error.message.includes("does not exist")) {
-      console.log(`Patient with id ${id} was already deleted`)
-      return true
+// Permanently remove a patient that is already in the trash
+export async function purgePatient(id) {
+  try {
+    requirePermission(PERMISSIONS.DELETE_PATIENT, "purge patients")
+    const database = await getDatabase()
+
+    const result = await withAuditContext(database, "app", (tx) =>
+      tx.query("DELETE FROM patients WHERE id = $1 AND deleted_at IS NOT NULL RETURNING id", [id]),
+    )
+
+    if (result.rows.length === 0) {
+      throw new Error("Only patients in the trash can be purged")
     }
 
-    throw new Error(`Failed to delete patient: ${error.message}`)
+    console.log(`🔥 Patient with ID ${id} permanently purged`)
+    return true
+  } catch (error) {
+    console.error("Error purging patient:", error)
+    throw new Error(`Failed to purge patient: ${error.message}`)
+  }
+}
+
+const TRASH_RETENTION_SETTING = "trash_retention_days"
+
+async function readTrashRetentionDays(database) {
+  const result = await database.query("SELECT value FROM app_settings WHERE key = $1", [TRASH_RETENTION_SETTING])
+  const days = Number.parseInt(result.rows[0]?.value)
+  return TRASH_RETENTION_OPTIONS.includes(days) ? days : DEFAULT_TRASH_RETENTION_DAYS
+}
+
+// Delete every trashed patient past the retention period. `database` may be a transaction;
+// changes are audited as whoever its audit context names ("system" without one).
+async function deleteExpiredPatients(database) {
+  const retentionDays = await readTrashRetentionDays(database)
+  const result = await database.query(
+    `
+    DELETE FROM patients
+    WHERE deleted_at IS NOT NULL
+      AND deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1)
+    RETURNING id, first_name as "firstName", last_name as "lastName"
+  `,
+    [retentionDays],
+  )
+
+  if (result.rows.length > 0) {
+    console.log(`🔥 Purged ${result.rows.length} patient(s) past the ${retentionDays}-day retention period`)
+  }
+  return result.rows
+}
+
+// Permanently remove every trashed patient deleted longer ago than the retention period
+// (getTrashRetentionDays()). Returns the purged patients so callers can broadcast them.
+export async function purgeExpiredPatients() {
+  try {
+    requirePermission(PERMISSIONS.DELETE_PATIENT, "purge patients")
+    const database = await getDatabase()
+
+    return await withAuditContext(database, "app", deleteExpiredPatients)
+  } catch (error) {
+    console.error("Error purging expired patients:", error)
+    throw new Error(`Failed to purge expired patients: ${error.message}`)
   }
 }
 
+// Patient fields the user can change through updatePatient (age is derived from dateOfBirth)
+const EDITABLE_PATIENT_FIELDS = [
+  "firstName",
+  "lastName",
+  "email",
+  "phone",
+  "dateOfBirth",
+  "gender",
+  "address",
+  "emergencyContactName",
+  "emergencyContactPhone",
+  "medicalHistory",
+  "allergies",
+  "currentMedications",
+  "insuranceProvider",
+  "insurancePolicyNumber",
+]
+
+// Compare stored and submitted values the way they are written: empty means null, dates as YYYY-MM-DD
+function normalizeFieldValue(value) {
+  if (value === null || value === undefined) return ""
+  if (value instanceof Date) return value.toISOString().split("T")[0]
+  return String(value)
+}
+
+// Record lists count as changed only when they are included in `patientData`
+function getChangedPatientFields(existing, patientData) {
+  return [
+    ...EDITABLE_PATIENT_FIELDS.filter(
+      (field) => normalizeFieldValue(existing[field]) !== normalizeFieldValue(patientData[field]),
+    ),
+    ...PATIENT_RECORD_FIELDS.filter(
+      (field) => patientData[field] !== undefined && !isSameRecordList(field, existing[field], patientData[field]),
+    ),
+  ]
+}
+
 // Update a patient with enhanced error handling
 export async function updatePatient(id, patientData) {
   try {
+    if (!canEditPatients(getCurrentUser())) {
+      throw new Error("You don't have permission to edit patients")
+    }
+
     const database = await getDatabase()
+    await ensureDataKeys(database)
 
-    // Check if patient exists first
-    const checkResult = await database.query(`SELECT id FROM patients WHERE id = $1`, [id])
+    // Check if patient exists first (patients in the trash can't be edited)
+    const checkResult = await database.query(
+      `SELECT ${PATIENT_COLUMNS} FROM patients WHERE id = $1 AND deleted_at IS NULL`,
+      [id],
+    )
 
     if (checkResult.rows.length === 0) {
       throw new Error("Patient not found")
     }
 
     // Format date properly for PostgreSQL
-    const formattedDate =
-      patientData.dateOfBirth instanceof Date
-        ? patientData.dateOfBirth.toISOString().split("T")[0]
-        : patientData.dateOfBirth
-
-    // Ensure age is provided, if not calculate it
-    let age = patientData.age
-    if (!age && patientData.dateOfBirth) {
-      const today = new Date()
-      const birthDate = new Date(patientData.dateOfBirth)
-      age = today.getFullYear() - birthDate.getFullYear()
-      const monthDiff = today.getMonth() - birthDate.getMonth()
-      if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate())) age--
-    }
+    const formattedDate = formatDateForDatabase(patientData.dateOfBirth)
 
-    await database.query(
-      `
-      UPDATE patients SET
-        first_name = $1,
-        last_name = $2,
-        email = $3,
-        phone = $4,
-        date_of_birth = $5,
-        age = $6,
-        gender = $7,
-        address = $8,
-        emergency_contact_name = $9,
-        emergency_contact_phone = $10,
-        medical_history = $11,
-        allergies = $12,
-        current_medications = $13,
-        insurance_provider = $14,
-        insurance_policy_number = $15,
-        updated_at = CURRENT_TIMESTAMP
-      WHERE id = $16
-    `,
-      [
-        patientData.firstName,
-        patientData.lastName,
-        patientData.email,
-        patientData.phone || null,
-        formattedDate,
-        Number.parseInt(age) || 0,
-        patientData.gender,
-        patientData.address || null,
-        patientData.emergencyContactName || null,
-        patientData.emergencyContactPhone || null,
-        patientData.medicalHistory || null,
-        patientData.allergies || null,
-        patientData.currentMedications || null,
-        patientData.insuranceProvider || null,
-        patientData.insurancePolicyNumber || null,
-        id,
-      ],
+    // Each changed field needs the matching permission (medical fields vs everything else)
+    const stored = checkResult.rows[0]
+    const existing = await decryptPatientFields(stored)
+    getChangedPatientFields(existing, { ...patientData, dateOfBirth: formattedDate }).forEach((field) =>
+      requirePermission(getFieldPermission(field), `change ${field}`),
     )
 
+    const values = await preparePatientValues(patientData, { stored, decrypted: existing })
+    await withAuditContext(database, "app", async (tx) => {
+      await updatePatientRow(tx, id, values)
+      await savePatientRecordLists(tx, id, patientData)
+    })
+
     return true
   } catch (error) {
     console.error("Error updating patient:", error)
@@ -496,95 +912,1212 @@ export async function updatePatient(id, patientData) {
   }
 }
 
-// Execute SQL queries with enhanced security
-export async function executeQuery(query) {
+// Mark a patient's medication list as reviewed with them (medication reconciliation).
+// Returns when and by whom.
+export async function reconcileMedications(id) {
   try {
+    const user = requirePermission(PERMISSIONS.EDIT_MEDICAL, "reconcile medications")
     const database = await getDatabase()
 
-    // Clean the query
-    const cleanQuery = query.trim()
-
-    // Security: Basic validation to prevent harmful queries
-    const dangerousPatterns = [
-      /drop\s+database/i,
-      /drop\s+schema/i,
-      /truncate/i,
-      /grant/i,
-      /revoke/i,
-      /create\s+user/i,
-      /alter\s+user/i,
-      /drop\s+user/i,
-    ]
-
-    const isDangerous = dangerousPatterns.some((pattern) => pattern.test(cleanQuery))
-
-    if (isDangerous) throw new Error("Query contains potentially dangerous operations that are not allowed.")
-
-    // Execute the raw SQL query
-    const result = await database.query(cleanQuery)
+    const result = await withAuditContext(database, "app", async (tx) => {
+      await tx.query("SELECT set_config('app.audit_operation', 'MED_RECONCILE', true)")
+      return tx.query(
+        `UPDATE patients SET medications_reviewed_at = CURRENT_TIMESTAMP, medications_reviewed_by = $2
+         WHERE id = $1 AND deleted_at IS NULL
+         RETURNING medications_reviewed_at as "reviewedAt", medications_reviewed_by as "reviewedBy"`,
+        [id, user.username],
+      )
+    })
+
+    if (result.rows.length === 0) {
+      throw new Error("Patient not found")
+    }
 
-    // Extract column names from the result
-    let columns = result.fields ? result.fields.map((field) => field.name) : []
-    let rows = result.rows || []
+    console.log(`💊 Medications reviewed for patient with ID ${id}`)
+    return result.rows[0]
+  } catch (error) {
+    console.error("Error reconciling medications:", error)
+    throw new Error(`Failed to reconcile medications: ${error.message}`)
+  }
+}
 
-    // If this is a SELECT from patients table, reorder columns to put patient_id first and exclude id
-    if (cleanQuery.toLowerCase().includes("from patients") && cleanQuery.toLowerCase().startsWith("select")) {
-      // Check if we have patient_id and id columns
-      const hasPatientId = columns.includes("patient_id")
-      const hasId = columns.includes("id")
+// Columns of a visit as returned to the app. Vitals are NUMERIC columns, read back as numbers.
+const ENCOUNTER_COLUMNS = `
+  id,
+  patient_record_id as "patientRecordId",
+  visit_date as "visitDate",
+  encounter_type as "encounterType",
+  provider,
+  chief_complaint as "chiefComplaint",
+  ${VITAL_SIGNS.map(({ key, column }) => `${column}::float8 as "${key}"`).join(",\n  ")},
+  notes,
+  status,
+  created_at as "createdAt",
+  updated_at as "updatedAt"
+`
+
+// Column values for a visit, in the order startEncounter() and updateEncounter() write them.
+// Encrypted fields are encrypted here; when updating, pass the visit as stored so unchanged ones
+// keep their stored ciphertext, as in preparePatientValues().
+async function prepareEncounterValues(encounter, stored = null) {
+  const [chiefComplaint, notes] = await Promise.all(
+    ENCRYPTED_ENCOUNTER_FIELDS.map(async (field) =>
+      stored && (encounter[field] ?? null) === (await decryptField(stored[field]))
+        ? stored[field]
+        : encryptField(encounter[field]),
+    ),
+  )
+
+  return [
+    encounter.visitDate,
+    encounter.encounterType,
+    encounter.provider,
+    chiefComplaint,
+    ...VITAL_SIGNS.map(({ key }) => encounter[key]),
+    notes,
+    encounter.status,
+  ]
+}
 
-      if (hasPatientId || hasId) {
-        // Filter out the internal 'id' column
-        const filteredColumns = columns.filter((col) => col !== "id")
+const decryptEncounter = (encounter) => decryptFields(encounter, ENCRYPTED_ENCOUNTER_FIELDS)
 
-        // Reorder to put patient_id first if it exists
-        if (hasPatientId) {
-          const reorderedColumns = ["patient_id", ...filteredColumns.filter((col) => col !== "patient_id")]
-          columns = reorderedColumns
-        } else columns = filteredColumns
+const ENCOUNTER_WRITE_COLUMNS = [
+  "visit_date",
+  "encounter_type",
+  "provider",
+  "chief_complaint",
+  ...VITAL_SIGNS.map(({ column }) => column),
+  "notes",
+  "status",
+]
 
-        // Filter the row data to match the new column order
-        rows = rows.map((row) => {
-          const newRow = {}
-          columns.forEach((col) => {
-            newRow[col] = row[col]
-          })
-          return newRow
-        })
-      }
-    }
+// A patient's visits, newest first
+export async function getPatientEncounters(patientRecordId) {
+  try {
+    requirePermission(PERMISSIONS.VIEW_PATIENTS, "view visits")
+    const database = await getDatabase()
+    await ensureDataKeys(database)
 
-    return {
-      rows: rows,
-      columns: columns,
-      rowCount: rows.length,
-    }
+    const result = await database.query(
+      `SELECT ${ENCOUNTER_COLUMNS} FROM encounters WHERE patient_record_id = $1 ORDER BY visit_date DESC, id DESC`,
+      [patientRecordId],
+    )
+    return await Promise.all(result.rows.map(decryptEncounter))
   } catch (error) {
-    console.error("Error executing query:", error)
-    throw new Error(`Query execution failed: ${error.message}`)
+    console.error("Error getting visits:", error)
+    throw new Error(`Failed to get visits: ${error.message}`)
   }
 }
 
-// Get database statistics
-export async function getDatabaseStats() {
+// Start a visit for a patient. `encounter` is in the shape normalizeEncounter() returns.
+export async function startEncounter(patientRecordId, encounter) {
   try {
+    requirePermission(PERMISSIONS.RECORD_ENCOUNTERS, "start visits")
     const database = await getDatabase()
+    await ensureDataKeys(database)
 
-    const result = await database.query(`
-      SELECT 
-        COUNT(*) as total_patients,
-        COUNT(CASE WHEN gender = 'male' THEN 1 END) as male_patients,
-        COUNT(CASE WHEN gender = 'female' THEN 1 END) as female_patients,
-        COUNT(CASE WHEN insurance_provider IS NOT NULL AND insurance_provider != '' THEN 1 END) as insured_patients,
-        AVG(COALESCE(age, EXTRACT(YEAR FROM AGE(CURRENT_DATE, date_of_birth)))) as average_age,
-        MIN(created_at) as first_registration,
-        MAX(created_at) as last_registration
-      FROM patients
-    `)
-    return result.rows[0] || {}
+    const values = await prepareEncounterValues(encounter)
+    const result = await withAuditContext(database, "app", async (tx) => {
+      const patient = await tx.query("SELECT id FROM patients WHERE id = $1 AND deleted_at IS NULL", [patientRecordId])
+      if (patient.rows.length === 0) {
+        throw new Error("Patient not found")
+      }
+
+      return tx.query(
+        `INSERT INTO encounters (patient_record_id, ${ENCOUNTER_WRITE_COLUMNS.join(", ")})
+         VALUES ($1, ${ENCOUNTER_WRITE_COLUMNS.map((_, index) => `$${index + 2}`).join(", ")})
+         RETURNING ${ENCOUNTER_COLUMNS}`,
+        [patientRecordId, ...values],
+      )
+    })
+
+    console.log(`🩺 Visit started for patient with ID ${patientRecordId}`)
+    return await decryptEncounter(result.rows[0])
   } catch (error) {
-    console.error("Error getting database stats:", error)
-    return {}
+    console.error("Error starting visit:", error)
+    throw new Error(`Failed to start visit: ${error.message}`)
+  }
+}
+
+// Save a visit's details, including completing or cancelling it
+export async function updateEncounter(id, encounter) {
+  try {
+    requirePermission(PERMISSIONS.RECORD_ENCOUNTERS, "record visits")
+    const database = await getDatabase()
+    await ensureDataKeys(database)
+
+    const stored = await database.query(`SELECT ${ENCOUNTER_COLUMNS} FROM encounters WHERE id = $1`, [id])
+    if (stored.rows.length === 0) {
+      throw new Error("Visit not found")
+    }
+
+    const values = await prepareEncounterValues(encounter, stored.rows[0])
+    const result = await withAuditContext(database, "app", (tx) =>
+      tx.query(
+        `UPDATE encounters
+         SET ${ENCOUNTER_WRITE_COLUMNS.map((column, index) => `${column} = $${index + 1}`).join(", ")},
+           updated_at = CURRENT_TIMESTAMP
+         WHERE id = $${ENCOUNTER_WRITE_COLUMNS.length + 1}
+         RETURNING ${ENCOUNTER_COLUMNS}`,
+        [...values, id],
+      ),
+    )
+
+    if (result.rows.length === 0) {
+      throw new Error("Visit not found")
+    }
+    return await decryptEncounter(result.rows[0])
+  } catch (error) {
+    console.error("Error updating visit:", error)
+    throw new Error(`Failed to update visit: ${error.message}`)
+  }
+}
+
+// Columns of an appointment as returned to the app, with the patient it is for. Queries select
+// them from appointments a JOIN patients p. Names and patient ids aren't encrypted.
+const APPOINTMENT_COLUMNS = `
+  a.id,
+  a.patient_record_id as "patientRecordId",
+  json_build_object('id', p.id, 'patientId', p.patient_id, 'firstName', p.first_name, 'lastName', p.last_name) as patient,
+  a.start_time as "startTime",
+  a.end_time as "endTime",
+  a.provider,
+  a.reason,
+  a.status,
+  a.checked_in_at as "checkedInAt",
+  a.created_at as "createdAt",
+  a.updated_at as "updatedAt"
+`
+
+// checked_in_at follows the status written as `statusParam`: set when the patient is checked in,
+// cleared if that is undone
+const checkedInAtFromStatus = (statusParam) =>
+  `CASE WHEN ${statusParam}::varchar = 'checked-in' THEN COALESCE(checked_in_at, CURRENT_TIMESTAMP) END`
+
+async function selectAppointment(database, id) {
+  const result = await database.query(
+    `SELECT ${APPOINTMENT_COLUMNS} FROM appointments a JOIN patients p ON p.id = a.patient_record_id WHERE a.id = $1`,
+    [id],
+  )
+  return result.rows[0] ?? null
+}
+
+// Booked or checked-in appointments of the same provider that overlap `appointment`, leaving
+// out `excludeId` (the appointment being rescheduled). Appointments of patients in the trash
+// don't count, as they aren't shown on the calendar.
+async function queryAppointmentConflicts(database, appointment, excludeId = null) {
+  const result = await database.query(
+    `SELECT ${APPOINTMENT_COLUMNS} FROM appointments a JOIN patients p ON p.id = a.patient_record_id
+     WHERE lower(trim(a.provider)) = lower(trim($1))
+       AND a.start_time < $3 AND a.end_time > $2
+       AND a.status = ANY($4::text[])
+       AND a.id IS DISTINCT FROM $5
+       AND p.deleted_at IS NULL
+     ORDER BY a.start_time`,
+    [appointment.provider, appointment.startTime, appointment.endTime, ACTIVE_APPOINTMENT_STATUSES, excludeId],
+  )
+  return result.rows
+}
+
+// Throw if the provider is already booked for part of the appointment's slot
+async function checkProviderAvailable(tx, appointment, excludeId = null) {
+  if (!ACTIVE_APPOINTMENT_STATUSES.includes(appointment.status)) return
+
+  const [conflict] = await queryAppointmentConflicts(tx, appointment, excludeId)
+  if (conflict) {
+    throw new Error(
+      `${conflict.provider} is already booked ${formatAppointmentTime(conflict)} with ${conflict.patient.firstName} ${conflict.patient.lastName}`,
+    )
+  }
+}
+
+// Appointments that overlap [from, to), earliest first. Appointments of patients in the trash are
+// left out.
+export async function getAppointments({ from, to }) {
+  try {
+    requirePermission(PERMISSIONS.VIEW_PATIENTS, "view appointments")
+    const database = await getDatabase()
+
+    const result = await database.query(
+      `SELECT ${APPOINTMENT_COLUMNS} FROM appointments a JOIN patients p ON p.id = a.patient_record_id
+       WHERE a.start_time < $2 AND a.end_time > $1 AND p.deleted_at IS NULL
+       ORDER BY a.start_time, a.id`,
+      [from, to],
+    )
+    return result.rows
+  } catch (error) {
+    console.error("Error getting appointments:", error)
+    throw new Error(`Failed to get appointments: ${error.message}`)
+  }
+}
+
+// Appointments that would double-book the provider, for warning before saving. bookAppointment()
+// and updateAppointment() check again when saving.
+export async function findAppointmentConflicts(appointment, excludeId = null) {
+  try {
+    requirePermission(PERMISSIONS.VIEW_PATIENTS, "view appointments")
+    if (!ACTIVE_APPOINTMENT_STATUSES.includes(appointment.status)) return []
+
+    const database = await getDatabase()
+    return await queryAppointmentConflicts(database, appointment, excludeId)
+  } catch (error) {
+    console.error("Error checking appointment conflicts:", error)
+    throw new Error(`Failed to check the provider's schedule: ${error.message}`)
+  }
+}
+
+// Book an appointment for a patient. `appointment` is in the shape normalizeAppointment() returns.
+export async function bookAppointment(patientRecordId, appointment) {
+  try {
+    requirePermission(PERMISSIONS.MANAGE_APPOINTMENTS, "book appointments")
+    const database = await getDatabase()
+
+    const result = await withAuditContext(database, "app", async (tx) => {
+      const patient = await tx.query("SELECT id FROM patients WHERE id = $1 AND deleted_at IS NULL", [patientRecordId])
+      if (patient.rows.length === 0) {
+        throw new Error("Patient not found")
+      }
+      await checkProviderAvailable(tx, appointment)
+
+      const inserted = await tx.query(
+        `INSERT INTO appointments (patient_record_id, start_time, end_time, provider, reason, status, checked_in_at)
+         VALUES ($1, $2, $3, $4, $5, $6, CASE WHEN $6::varchar = 'checked-in' THEN CURRENT_TIMESTAMP END)
+         RETURNING id`,
+        [
+          patientRecordId,
+          appointment.startTime,
+          appointment.endTime,
+          appointment.provider,
+          appointment.reason,
+          appointment.status,
+        ],
+      )
+      return selectAppointment(tx, inserted.rows[0].id)
+    })
+
+    console.log(`📅 Appointment booked for patient with ID ${patientRecordId}`)
+    return result
+  } catch (error) {
+    console.error("Error booking appointment:", error)
+    throw new Error(`Failed to book appointment: ${error.message}`)
+  }
+}
+
+// Reschedule an appointment or change its details. The patient stays the same.
+export async function updateAppointment(id, appointment) {
+  try {
+    requirePermission(PERMISSIONS.MANAGE_APPOINTMENTS, "change appointments")
+    const database = await getDatabase()
+
+    const result = await withAuditContext(database, "app", async (tx) => {
+      await checkProviderAvailable(tx, appointment, id)
+
+      const updated = await tx.query(
+        `UPDATE appointments
+         SET start_time = $1, end_time = $2, provider = $3, reason = $4, status = $5,
+           checked_in_at = ${checkedInAtFromStatus("$5")}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $6
+         RETURNING id`,
+        [appointment.startTime, appointment.endTime, appointment.provider, appointment.reason, appointment.status, id],
+      )
+      if (updated.rows.length === 0) {
+        throw new Error("Appointment not found")
+      }
+      return selectAppointment(tx, id)
+    })
+
+    return result
+  } catch (error) {
+    console.error("Error updating appointment:", error)
+    throw new Error(`Failed to update appointment: ${error.message}`)
+  }
+}
+
+// Check a patient in, or mark the appointment as a no-show or cancelled
+export async function setAppointmentStatus(id, status) {
+  try {
+    requirePermission(PERMISSIONS.MANAGE_APPOINTMENTS, "change appointments")
+    const database = await getDatabase()
+
+    const result = await withAuditContext(database, "app", async (tx) => {
+      const current = await selectAppointment(tx, id)
+      if (!current) {
+        throw new Error("Appointment not found")
+      }
+      // Putting a cancelled or no-show appointment back needs its slot to still be free
+      if (!ACTIVE_APPOINTMENT_STATUSES.includes(current.status)) {
+        await checkProviderAvailable(tx, { ...current, status }, id)
+      }
+
+      await tx.query(
+        `UPDATE appointments
+         SET status = $1, checked_in_at = ${checkedInAtFromStatus("$1")}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+        [status, id],
+      )
+      return selectAppointment(tx, id)
+    })
+
+    return result
+  } catch (error) {
+    console.error("Error changing appointment status:", error)
+    throw new Error(`Failed to update appointment: ${error.message}`)
+  }
+}
+
+// Columns compared when looking for duplicates (none of them are encrypted)
+const DUPLICATE_CHECK_COLUMNS = `
+  id,
+  patient_id as "patientId",
+  first_name as "firstName",
+  last_name as "lastName",
+  email,
+  phone,
+  date_of_birth as "dateOfBirth"
+`
+
+// Existing patients that look like the one being registered, best match first
+export async function findPossibleDuplicates(patientData) {
+  try {
+    requirePermission(PERMISSIONS.REGISTER_PATIENT, "register patients")
+    const database = await getDatabase()
+
+    const result = await database.query(`SELECT ${DUPLICATE_CHECK_COLUMNS} FROM patients WHERE deleted_at IS NULL`)
+    const candidate = { ...patientData, dateOfBirth: formatDateForDatabase(patientData.dateOfBirth) }
+
+    return findMatches(candidate, result.rows || [])
+  } catch (error) {
+    console.error("Error finding possible duplicates:", error)
+    throw new Error(`Failed to check for duplicates: ${error.message}`)
+  }
+}
+
+// Every pair of active patients that look like the same person, for the merge screen
+export async function getDuplicatePatientPairs() {
+  try {
+    requirePermission(PERMISSIONS.MERGE_PATIENTS, "merge patients")
+    const database = await getDatabase()
+    await ensureDataKeys(database)
+
+    const result = await database.query(`SELECT ${PATIENT_COLUMNS} FROM patients WHERE deleted_at IS NULL ORDER BY created_at`)
+    const patients = await Promise.all((result.rows || []).map(decryptPatientFields))
+
+    return findDuplicatePairs(patients)
+  } catch (error) {
+    console.error("Error finding duplicate patients:", error)
+    throw new Error(`Failed to find duplicate patients: ${error.message}`)
+  }
+}
+
+// Merge one patient into another. The surviving record keeps its id and PAT number and takes
+// the field values chosen on the merge screen (`patientData`); the merged record is deleted
+// and its PAT number is recorded in patient_merges so it still resolves to the survivor.
+export async function mergePatients(survivingId, mergedId, patientData) {
+  try {
+    requirePermission(PERMISSIONS.MERGE_PATIENTS, "merge patients")
+    if (Number(survivingId) === Number(mergedId)) {
+      throw new Error("A patient can't be merged into itself")
+    }
+
+    const database = await getDatabase()
+    await ensureDataKeys(database)
+
+    const checkResult = await database.query(
+      `SELECT ${PATIENT_COLUMNS} FROM patients WHERE id = ANY($1::int[]) AND deleted_at IS NULL`,
+      [[survivingId, mergedId]],
+    )
+    const surviving = checkResult.rows.find((row) => row.id === Number(survivingId))
+    const merged = checkResult.rows.find((row) => row.id === Number(mergedId))
+    if (!surviving || !merged) {
+      throw new Error("Both patients must exist and not be in the trash")
+    }
+
+    const survivingDecrypted = await decryptPatientFields(surviving)
+    const mergedDecrypted = await decryptPatientFields(merged)
+    const values = await preparePatientValues(patientData, { stored: surviving, decrypted: survivingDecrypted })
+
+    await withAuditContext(database, "app", async (tx) => {
+      await tx.query("SELECT set_config('app.audit_operation', 'MERGE', true)")
+
+      // Earlier merges into the merged record now point at the survivor
+      await tx.query("UPDATE patient_merges SET surviving_record_id = $1 WHERE surviving_record_id = $2", [
+        surviving.id,
+        merged.id,
+      ])
+      await tx.query(
+        `INSERT INTO patient_merges (merged_patient_id, merged_record_id, surviving_record_id, merged_by)
+         VALUES ($1, $2, $3, $4)`,
+        [merged.patientId, merged.id, surviving.id, getActingUsername()],
+      )
+
+      // The survivor takes the merged record's allergies and medications, apart from ones it already lists
+      for (const [field, { table, duplicate }] of Object.entries(PATIENT_RECORD_LISTS)) {
+        const repeated = mergedDecrypted[field].filter((entry) =>
+          survivingDecrypted[field].some((kept) => duplicate(entry, kept)),
+        )
+        await tx.query(`DELETE FROM ${table} WHERE id = ANY($1::int[])`, [repeated.map((entry) => entry.id)])
+        await tx.query(`UPDATE ${table} SET patient_record_id = $1 WHERE patient_record_id = $2`, [surviving.id, merged.id])
+      }
+
+      // Visits and appointments move to the survivor as they are
+      await tx.query("UPDATE encounters SET patient_record_id = $1 WHERE patient_record_id = $2", [surviving.id, merged.id])
+      await tx.query("UPDATE appointments SET patient_record_id = $1 WHERE patient_record_id = $2", [surviving.id, merged.id])
+
+      await tx.query("DELETE FROM patients WHERE id = $1", [merged.id])
+      await updatePatientRow(tx, surviving.id, values)
+    })
+
+    console.log(`🔗 Patient ${merged.patientId} merged into ${surviving.patientId}`)
+    return { patientId: surviving.patientId, mergedPatientId: merged.patientId }
+  } catch (error) {
+    console.error("Error merging patients:", error)
+    throw new Error(`Failed to merge patients: ${error.message}`)
+  }
+}
+
+// Decrypt every encrypted value in a SQL result row
+async function decryptRowValues(row) {
+  const decrypted = {}
+  for (const [column, value] of Object.entries(row)) {
+    decrypted[column] = await decryptField(value)
+  }
+  return decrypted
+}
+
+// Postgres rejects writes in a read-only transaction with "cannot execute <command> in a
+// read-only transaction". The message is matched because the worker passes errors on without
+// their SQLSTATE code.
+const READ_ONLY_VIOLATION = /cannot execute (.+) in a read-only transaction/
+
+// Commands that report how many rows they changed
+const ROW_COUNT_COMMANDS = ["INSERT", "UPDATE", "DELETE", "MERGE"]
+
+const getAffectedRows = (writeCommand, result) =>
+  ROW_COUNT_COMMANDS.includes(writeCommand) ? (result.affectedRows ?? 0) : null
+
+// Run one SQL Interface statement inside `tx`. It is tried read-only under a savepoint first, so
+// the database itself decides whether it writes, and a read is rolled back to the savepoint so
+// session settings it changes don't stick either. Writes need the write grant and "read-write"
+// mode, and are logged with their text. Returns { result, writeCommand }, where writeCommand
+// names the command of a write (e.g. "DELETE") and is null for a read.
+async function runSqlStatement(tx, statement, { canWrite, mode }) {
+  if (isTransactionControlStatement(statement)) {
+    throw new Error('Transaction statements aren\'t supported. Use "Run as one transaction" instead.')
+  }
+
+  let writeCommand = null
+  await tx.exec("SAVEPOINT sql_statement")
+  try {
+    await tx.exec("SET LOCAL transaction_read_only = on")
+    const result = await tx.query(statement)
+    await tx.exec("ROLLBACK TO SAVEPOINT sql_statement")
+    return { result, writeCommand }
+  } catch (error) {
+    await tx.exec("ROLLBACK TO SAVEPOINT sql_statement")
+    const match = error.message.match(READ_ONLY_VIOLATION)
+    if (!match) throw error
+    writeCommand = match[1]
+  }
+
+  if (!canWrite) throw new Error("You don't have permission to run statements that change data")
+  if (mode !== "read-write") throw new Error("This statement changes data. Switch to read-write mode to run it.")
+
+  const result = await tx.query(statement)
+  await tx.query(
+    `
+    INSERT INTO audit_log (username, operation, source, after_data, query)
+    VALUES ($1, 'SQL', 'sql', $2, $3)
+  `,
+    [getActingUsername(), JSON.stringify({ affected_rows: result.affectedRows ?? 0 }), statement],
+  )
+  return { result, writeCommand }
+}
+
+// Rows and column names of a statement's result, as the SQL Interface shows them
+async function formatSqlResult(database, statement, result) {
+  // Extract column names from the result
+  let columns = result.fields ? result.fields.map((field) => field.name) : []
+  let rows = result.rows || []
+
+  // If this is a SELECT from patients table, reorder columns to put patient_id first and exclude id
+  if (statement.toLowerCase().includes("from patients") && statement.toLowerCase().startsWith("select")) {
+    // Check if we have patient_id and id columns
+    const hasPatientId = columns.includes("patient_id")
+    const hasId = columns.includes("id")
+
+    if (hasPatientId || hasId) {
+      // Filter out the internal 'id' column
+      const filteredColumns = columns.filter((col) => col !== "id")
+
+      // Reorder to put patient_id first if it exists
+      if (hasPatientId) {
+        const reorderedColumns = ["patient_id", ...filteredColumns.filter((col) => col !== "patient_id")]
+        columns = reorderedColumns
+      } else columns = filteredColumns
+
+      // Filter the row data to match the new column order
+      rows = rows.map((row) => {
+        const newRow = {}
+        columns.forEach((col) => {
+          newRow[col] = row[col]
+        })
+        return newRow
+      })
+    }
+  }
+
+  // Show encrypted values in clear, whatever column alias they were selected under
+  if (rows.some((row) => Object.values(row).some(isEncryptedValue))) {
+    await ensureDataKeys(database)
+    rows = await Promise.all(rows.map(decryptRowValues))
+  }
+
+  return { rows, columns }
+}
+
+function splitScript(script) {
+  const statements = splitSqlStatements(script).map((statement) => statement.text)
+  if (statements.length === 0) throw new Error("Enter a statement to run")
+  return statements
+}
+
+// Run a script of semicolon-separated statements from the SQL Interface, in order, stopping at
+// the first that fails. In "read-only" mode statements that write are refused; in "read-write"
+// mode (needs the SQL write grant) they run audited. Each statement runs in its own transaction,
+// or with `transaction` all of them run in one that is rolled back if any statement fails.
+//
+// Returns one result per statement: { statement, status, rows, columns, rowCount, affectedRows,
+// writeCommand, duration, error }. status is "success", "error", "skipped" (after a failure) or
+// "rolled back" (succeeded, but undone by a later failure). duration is in milliseconds.
+export async function executeScript(script, { mode = "read-only", transaction = false } = {}) {
+  try {
+    const user = requirePermission(PERMISSIONS.RUN_SQL, "use the SQL Interface")
+    const canWrite = hasPermission(user, PERMISSIONS.WRITE_SQL)
+    const database = await getDatabase()
+    const statements = splitScript(script)
+    const outcomes = statements.map(() => ({ status: "skipped" }))
+
+    // Run statements[index] in tx and record how it went. A failed statement rolls tx back.
+    const runStatement = async (tx, index) => {
+      const startedAt = performance.now()
+      try {
+        const { result, writeCommand } = await runSqlStatement(tx, statements[index], { canWrite, mode })
+        outcomes[index] = { status: "success", result, writeCommand, duration: performance.now() - startedAt }
+        return true
+      } catch (error) {
+        outcomes[index] = { status: "error", error: error.message, duration: performance.now() - startedAt }
+        await tx.rollback()
+        return false
+      }
+    }
+
+    if (transaction) {
+      await withAuditContext(database, "sql", async (tx) => {
+        for (let index = 0; index < statements.length; index++) {
+          if (await runStatement(tx, index)) continue
+          outcomes.slice(0, index).forEach((outcome) => (outcome.status = "rolled back"))
+          return
+        }
+      })
+    } else {
+      for (let index = 0; index < statements.length; index++) {
+        if (!(await withAuditContext(database, "sql", (tx) => runStatement(tx, index)))) break
+      }
+    }
+
+    return await Promise.all(
+      outcomes.map(async ({ result, writeCommand = null, duration = null, ...outcome }, index) => {
+        const { rows, columns } = result
+          ? await formatSqlResult(database, statements[index], result)
+          : { rows: [], columns: [] }
+        return {
+          statement: statements[index],
+          rows,
+          columns,
+          rowCount: rows.length,
+          affectedRows: result && writeCommand ? getAffectedRows(writeCommand, result) : null,
+          writeCommand,
+          duration: duration === null ? null : Math.round(duration),
+          error: null,
+          ...outcome,
+        }
+      }),
+    )
+  } catch (error) {
+    console.error("Error executing query:", error)
+    throw new Error(`Query execution failed: ${error.message}`)
+  }
+}
+
+// What the writes in a script would do, found by running it in a transaction that is rolled
+// back. Returns [{ statement, command, affectedRows }] for each statement that writes. `command`
+// is what Postgres calls the statement, e.g. "DELETE" or "DROP TABLE". affectedRows is null for
+// statements that don't report a row count, such as DDL.
+export async function previewScript(script) {
+  try {
+    const user = requirePermission(PERMISSIONS.RUN_SQL, "use the SQL Interface")
+    if (!hasPermission(user, PERMISSIONS.WRITE_SQL)) {
+      throw new Error("You don't have permission to run statements that change data")
+    }
+    const database = await getDatabase()
+    const statements = splitScript(script)
+
+    return await withAuditContext(database, "sql", async (tx) => {
+      const writes = []
+      try {
+        for (const [index, statement] of statements.entries()) {
+          const { result, writeCommand } = await runSqlStatement(tx, statement, {
+            canWrite: true,
+            mode: "read-write",
+          }).catch((error) => {
+            throw statements.length > 1 ? new Error(`Statement ${index + 1}: ${error.message}`) : error
+          })
+          if (writeCommand) {
+            writes.push({ statement, command: writeCommand, affectedRows: getAffectedRows(writeCommand, result) })
+          }
+        }
+      } finally {
+        await tx.rollback()
+      }
+      return writes
+    })
+  } catch (error) {
+    console.error("Error previewing query:", error)
+    throw new Error(`Failed to preview query: ${error.message}`)
+  }
+}
+
+// The plan of one SQL Interface statement, from EXPLAIN (ANALYZE, FORMAT JSON), with the indexes
+// of every table it reads: { queryPlan, indexes }. queryPlan is the raw "QUERY PLAN" value (see
+// parseQueryPlan() in lib/query-plans.js). ANALYZE runs the statement, so it runs in a
+// transaction that is always rolled back, and read-only unless a write would be allowed (the
+// write grant and "read-write" mode). A write that isn't allowed is only planned, not run.
+export async function explainQuery(query, { mode = "read-only" } = {}) {
+  try {
+    const user = requirePermission(PERMISSIONS.RUN_SQL, "use the SQL Interface")
+    const database = await getDatabase()
+    const statements = splitScript(query)
+    if (statements.length > 1) throw new Error("Explain one statement at a time")
+    const [statement] = statements
+    if (isTransactionControlStatement(statement)) throw new Error("Transaction statements can't be explained")
+
+    const canRunWrites = mode === "read-write" && hasPermission(user, PERMISSIONS.WRITE_SQL)
+    const explain = (options) =>
+      withAuditContext(database, "sql", async (tx) => {
+        try {
+          if (!canRunWrites) await tx.exec("SET LOCAL transaction_read_only = on")
+          const result = await tx.query(`EXPLAIN (${options}) ${statement}`)
+          return result.rows[0]["QUERY PLAN"]
+        } finally {
+          await tx.rollback()
+        }
+      })
+
+    const queryPlan = await explain("ANALYZE, FORMAT JSON").catch((error) => {
+      if (!READ_ONLY_VIOLATION.test(error.message)) throw error
+      return explain("FORMAT JSON")
+    })
+
+    const relations = getPlanRelations(parseQueryPlan(queryPlan).root)
+    const indexes = await database.query(
+      `
+      SELECT tablename as "table", indexname as name, indexdef as definition
+      FROM pg_indexes
+      WHERE schemaname = 'public' AND tablename = ANY($1)
+      ORDER BY tablename, indexname
+    `,
+      [relations],
+    )
+
+    return { queryPlan, indexes: indexes.rows }
+  } catch (error) {
+    console.error("Error explaining query:", error)
+    throw new Error(`Failed to explain query: ${error.message}`)
+  }
+}
+
+// Tables, views and their columns in the public schema, as the SQL Interface's editor shows them
+const SQL_SCHEMA_COLUMNS_QUERY = `
+  SELECT
+    c.table_name as "table",
+    t.table_type as "tableType",
+    c.column_name as name,
+    format_type(a.atttypid, a.atttypmod) as type,
+    c.is_nullable = 'YES' as nullable,
+    c.column_default as "default",
+    col_description(a.attrelid, a.attnum) as description
+  FROM information_schema.columns c
+  JOIN information_schema.tables t ON t.table_schema = c.table_schema AND t.table_name = c.table_name
+  JOIN pg_attribute a ON a.attrelid = format('%I.%I', c.table_schema, c.table_name)::regclass AND a.attname = c.column_name
+  WHERE c.table_schema = 'public'
+  ORDER BY c.table_name, c.ordinal_position
+`
+
+// Functions worth suggesting when writing queries. Postgres has thousands; this leaves out the
+// ones that only exist to implement types, operators, aggregates, indexes and server admin.
+const SQL_SCHEMA_FUNCTIONS_QUERY = `
+  SELECT
+    p.proname as name,
+    pg_get_function_arguments(p.oid) as arguments,
+    pg_get_function_result(p.oid) as result,
+    CASE p.prokind WHEN 'a' THEN 'aggregate' WHEN 'w' THEN 'window' ELSE 'function' END as kind,
+    d.description
+  FROM pg_proc p
+  JOIN pg_namespace n ON n.oid = p.pronamespace
+  LEFT JOIN pg_description d ON d.objoid = p.oid AND d.classoid = 'pg_proc'::regclass AND d.objsubid = 0
+  WHERE n.nspname IN ('pg_catalog', 'public')
+    AND p.prokind IN ('f', 'a', 'w')
+    AND p.prorettype <> 'trigger'::regtype
+    AND p.proname !~ '^(_|binary_upgrade_|bt|hash|brin_|gin_|lo_|fmgr_|has_\\w+_privilege$|pg_(?!typeof$|size_pretty$|sleep$))'
+    AND p.proname !~ '(cmp|_canonical|_subdiff|_hash|extended|xml\\w*)$'
+    AND NOT EXISTS (
+      SELECT 1 FROM unnest(p.proargtypes::oid[] || p.prorettype) AS arg(oid) JOIN pg_type t ON t.oid = arg.oid
+      WHERE t.typcategory IN ('G', 'I', 'Z')
+        OR (t.typtype = 'p' AND t.typname NOT IN ('any', 'anyelement', 'anyarray', 'anynonarray', 'anycompatible', 'anycompatiblearray', 'record', 'void'))
+        OR t.typname IN ('xid', 'xid8', 'cid', 'tid', 'aclitem', 'pg_lsn', 'txid_snapshot', 'pg_snapshot', 'int2vector', 'oidvector',
+          'pg_node_tree', 'regproc', 'regprocedure', 'regoper', 'regoperator', 'regconfig', 'regdictionary', 'regnamespace', 'regrole', 'regcollation')
+    )
+    AND NOT EXISTS (SELECT 1 FROM pg_operator o WHERE o.oprcode = p.oid)
+    AND NOT EXISTS (
+      SELECT 1 FROM pg_aggregate a
+      WHERE p.oid::regproc IN (a.aggtransfn, a.aggfinalfn, a.aggcombinefn, a.aggserialfn, a.aggdeserialfn, a.aggmtransfn, a.aggminvtransfn, a.aggmfinalfn)
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM pg_type t
+      WHERE p.oid::regproc IN (t.typinput, t.typoutput, t.typreceive, t.typsend, t.typmodin, t.typmodout, t.typanalyze, t.typsubscript)
+    )
+    AND NOT EXISTS (SELECT 1 FROM pg_cast c WHERE c.castfunc = p.oid)
+    AND COALESCE(d.description, '') !~* '(primarily for use|support|I/O|implementation of|selectivity|planner)'
+  ORDER BY p.proname, p.pronargs
+`
+
+// The database's tables (with their columns) and functions, read from information_schema and
+// pg_catalog for the SQL Interface's autocomplete, signature help and hovers
+export async function getSqlSchema() {
+  try {
+    requirePermission(PERMISSIONS.RUN_SQL, "use the SQL Interface")
+    const database = await getDatabase()
+
+    const [columns, functions] = await Promise.all([
+      database.query(SQL_SCHEMA_COLUMNS_QUERY),
+      database.query(SQL_SCHEMA_FUNCTIONS_QUERY),
+    ])
+
+    const tables = new Map()
+    columns.rows.forEach(({ table, tableType, ...column }) => {
+      if (!tables.has(table)) {
+        tables.set(table, { name: table, type: tableType === "VIEW" ? "view" : "table", columns: [] })
+      }
+      tables.get(table).columns.push(column)
+    })
+
+    return { tables: [...tables.values()], functions: functions.rows }
+  } catch (error) {
+    console.error("Error reading the database schema:", error)
+    throw new Error(`Failed to read the database schema: ${error.message}`)
+  }
+}
+
+const SAVED_QUERY_COLUMNS = `
+  q.id,
+  q.name,
+  q.description,
+  q.query,
+  q.tags,
+  q.is_builtin as "isBuiltin",
+  f.username IS NOT NULL as "isFavorite",
+  q.created_by as "createdBy",
+  q.created_at as "createdAt",
+  q.updated_at as "updatedAt"
+`
+
+// Saved queries with whether the acting user has favourited them
+async function selectSavedQueries(database, where = "TRUE", params = []) {
+  const result = await database.query(
+    `SELECT ${SAVED_QUERY_COLUMNS} FROM saved_queries q
+     LEFT JOIN saved_query_favorites f ON f.saved_query_id = q.id AND f.username = $1
+     WHERE ${where}
+     ORDER BY lower(q.name)`,
+    [getActingUsername(), ...params],
+  )
+  return result.rows
+}
+
+// Throw if another saved query already has the name. The unique index would refuse it too, but
+// with a message about the index.
+async function checkSavedQueryNameFree(tx, name, excludeId = null) {
+  const result = await tx.query("SELECT 1 FROM saved_queries WHERE lower(name) = lower($1) AND id IS DISTINCT FROM $2", [
+    name,
+    excludeId,
+  ])
+  if (result.rows.length > 0) {
+    throw new Error(`There is already a saved query named "${name}"`)
+  }
+}
+
+// The saved query `id` if it exists and isn't built in
+async function selectEditableSavedQuery(tx, id) {
+  const [savedQuery] = await selectSavedQueries(tx, "q.id = $2", [id])
+  if (!savedQuery) {
+    throw new Error("Saved query not found")
+  }
+  if (savedQuery.isBuiltin) {
+    throw new Error(`"${savedQuery.name}" is built in and can't be changed`)
+  }
+  return savedQuery
+}
+
+// The whole query library, by name
+export async function getSavedQueries() {
+  try {
+    requirePermission(PERMISSIONS.RUN_SQL, "use the SQL Interface")
+    const database = await getDatabase()
+    return await selectSavedQueries(database)
+  } catch (error) {
+    console.error("Error getting saved queries:", error)
+    throw new Error(`Failed to get saved queries: ${error.message}`)
+  }
+}
+
+// Add a query to the library. `savedQuery` is in the shape normalizeSavedQuery() returns.
+export async function saveQuery(savedQuery) {
+  try {
+    requirePermission(PERMISSIONS.RUN_SQL, "use the SQL Interface")
+    const database = await getDatabase()
+
+    return await database.transaction(async (tx) => {
+      await checkSavedQueryNameFree(tx, savedQuery.name)
+      const inserted = await tx.query(
+        `INSERT INTO saved_queries (name, description, query, tags, created_by)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id`,
+        [savedQuery.name, savedQuery.description, savedQuery.query, savedQuery.tags, getActingUsername()],
+      )
+      const [saved] = await selectSavedQueries(tx, "q.id = $2", [inserted.rows[0].id])
+      return saved
+    })
+  } catch (error) {
+    console.error("Error saving query:", error)
+    throw new Error(`Failed to save query: ${error.message}`)
+  }
+}
+
+// Change a saved query. Built-in queries can't be changed.
+export async function updateSavedQuery(id, savedQuery) {
+  try {
+    requirePermission(PERMISSIONS.RUN_SQL, "use the SQL Interface")
+    const database = await getDatabase()
+
+    return await database.transaction(async (tx) => {
+      await selectEditableSavedQuery(tx, id)
+      await checkSavedQueryNameFree(tx, savedQuery.name, id)
+      await tx.query(
+        `UPDATE saved_queries
+         SET name = $1, description = $2, query = $3, tags = $4, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $5`,
+        [savedQuery.name, savedQuery.description, savedQuery.query, savedQuery.tags, id],
+      )
+      const [saved] = await selectSavedQueries(tx, "q.id = $2", [id])
+      return saved
+    })
+  } catch (error) {
+    console.error("Error updating saved query:", error)
+    throw new Error(`Failed to update saved query: ${error.message}`)
+  }
+}
+
+// Remove a query from the library for everyone. Built-in queries can't be deleted.
+export async function deleteSavedQuery(id) {
+  try {
+    requirePermission(PERMISSIONS.RUN_SQL, "use the SQL Interface")
+    const database = await getDatabase()
+
+    await database.transaction(async (tx) => {
+      await selectEditableSavedQuery(tx, id)
+      await tx.query("DELETE FROM saved_queries WHERE id = $1", [id])
+    })
+  } catch (error) {
+    console.error("Error deleting saved query:", error)
+    throw new Error(`Failed to delete saved query: ${error.message}`)
+  }
+}
+
+// Favourite a saved query (built-in ones too) for the acting user, or stop favouriting it
+export async function setSavedQueryFavorite(id, isFavorite) {
+  try {
+    requirePermission(PERMISSIONS.RUN_SQL, "use the SQL Interface")
+    const database = await getDatabase()
+
+    await database.query(
+      isFavorite
+        ? `INSERT INTO saved_query_favorites (saved_query_id, username) VALUES ($1, $2) ON CONFLICT DO NOTHING`
+        : `DELETE FROM saved_query_favorites WHERE saved_query_id = $1 AND username = $2`,
+      [id, getActingUsername()],
+    )
+  } catch (error) {
+    console.error("Error changing favourite:", error)
+    throw new Error(`Failed to update favourites: ${error.message}`)
+  }
+}
+
+// Add the queries of an imported library (see parseSavedQueryLibrary()) in one transaction.
+// Queries with the name of one already in the library are skipped, so importing the same file
+// twice changes nothing. Returns { imported, skipped }, the names of each.
+export async function importSavedQueries(savedQueries) {
+  try {
+    requirePermission(PERMISSIONS.RUN_SQL, "use the SQL Interface")
+    const database = await getDatabase()
+
+    return await database.transaction(async (tx) => {
+      const imported = []
+      const skipped = []
+      for (const savedQuery of savedQueries) {
+        const inserted = await tx.query(
+          `INSERT INTO saved_queries (name, description, query, tags, created_by)
+           VALUES ($1, $2, $3, $4, $5)
+           ON CONFLICT (lower(name)) DO NOTHING
+           RETURNING id`,
+          [savedQuery.name, savedQuery.description, savedQuery.query, savedQuery.tags, getActingUsername()],
+        )
+        if (inserted.rows.length > 0) imported.push(savedQuery.name)
+        else skipped.push(savedQuery.name)
+      }
+      return { imported, skipped }
+    })
+  } catch (error) {
+    console.error("Error importing saved queries:", error)
+    throw new Error(`Failed to import saved queries: ${error.message}`)
+  }
+}
+
+// Remember a run of the SQL Interface in the acting user's history
+export async function recordQueryHistory({ query, success, resultCount = null }) {
+  try {
+    requirePermission(PERMISSIONS.RUN_SQL, "use the SQL Interface")
+    const database = await getDatabase()
+
+    const result = await database.query(
+      `INSERT INTO sql_query_history (username, query, success, result_count)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, query, success, result_count as "resultCount", executed_at as "executedAt"`,
+      [getActingUsername(), query, success, resultCount],
+    )
+    return result.rows[0]
+  } catch (error) {
+    console.error("Error recording query history:", error)
+    throw new Error(`Failed to record query history: ${error.message}`)
+  }
+}
+
+// Owner of the runs older versions of the app kept in the browser, which can't be told apart by user
+const LEGACY_QUERY_HISTORY_USERNAME = "legacy"
+
+// Store the runs older versions kept in the browser ({ query, success, resultCount, executedAt },
+// oldest first) under LEGACY_QUERY_HISTORY_USERNAME rather than in the acting user's history
+export async function importLegacyQueryHistory(entries) {
+  try {
+    requirePermission(PERMISSIONS.RUN_SQL, "use the SQL Interface")
+    const database = await getDatabase()
+
+    await database.transaction(async (tx) => {
+      for (const { query, success, resultCount = null, executedAt = null } of entries) {
+        await tx.query(
+          `INSERT INTO sql_query_history (username, query, success, result_count, executed_at)
+           VALUES ($1, $2, $3, $4, COALESCE($5, CURRENT_TIMESTAMP))`,
+          [LEGACY_QUERY_HISTORY_USERNAME, query, success, resultCount, executedAt],
+        )
+      }
+    })
+  } catch (error) {
+    console.error("Error importing legacy query history:", error)
+    throw new Error(`Failed to import legacy query history: ${error.message}`)
+  }
+}
+
+// The acting user's runs, newest first, optionally only those whose SQL contains `search`
+// (ignoring case). There is no cap on how many are kept; `limit` pages through them.
+export async function getQueryHistory({ search = "", limit = 100 } = {}) {
+  try {
+    requirePermission(PERMISSIONS.RUN_SQL, "use the SQL Interface")
+    const database = await getDatabase()
+
+    const result = await database.query(
+      `SELECT id, query, success, result_count as "resultCount", executed_at as "executedAt"
+       FROM sql_query_history
+       WHERE username = $1 AND ($2 = '' OR strpos(lower(query), lower($2)) > 0)
+       ORDER BY executed_at DESC, id DESC
+       LIMIT $3`,
+      [getActingUsername(), search.trim(), limit],
+    )
+    return result.rows
+  } catch (error) {
+    console.error("Error getting query history:", error)
+    throw new Error(`Failed to get query history: ${error.message}`)
+  }
+}
+
+// Forget every run in the acting user's history
+export async function clearQueryHistory() {
+  try {
+    requirePermission(PERMISSIONS.RUN_SQL, "use the SQL Interface")
+    const database = await getDatabase()
+    await database.query("DELETE FROM sql_query_history WHERE username = $1", [getActingUsername()])
+  } catch (error) {
+    console.error("Error clearing query history:", error)
+    throw new Error(`Failed to clear query history: ${error.message}`)
+  }
+}
+
+// Get audit log entries, newest first. All filters are optional:
+// patientId (partial PAT id match), username, from/to (Date, inclusive local days) and operation.
+export async function getAuditLog({ patientId, username, from, to, operation, limit = 500 } = {}) {
+  try {
+    requirePermission(PERMISSIONS.VIEW_AUDIT_LOG, "view the audit log")
+    const database = await getDatabase()
+
+    const conditions = []
+    const params = []
+
+    if (patientId) {
+      params.push(`%${patientId.trim()}%`)
+      conditions.push(`patient_id ILIKE $${params.length}`)
+    }
+    if (username) {
+      params.push(username)
+      conditions.push(`username = $${params.length}`)
+    }
+    if (from) {
+      const start = new Date(from)
+      start.setHours(0, 0, 0, 0)
+      params.push(start.toISOString())
+      conditions.push(`occurred_at >= $${params.length}::timestamptz`)
+    }
+    if (to) {
+      const end = new Date(to)
+      end.setHours(0, 0, 0, 0)
+      end.setDate(end.getDate() + 1)
+      params.push(end.toISOString())
+      conditions.push(`occurred_at < $${params.length}::timestamptz`)
+    }
+    if (operation) {
+      params.push(operation)
+      conditions.push(`operation = $${params.length}`)
+    }
+
+    params.push(limit)
+    const result = await database.query(
+      `
+      SELECT
+        id,
+        occurred_at as "occurredAt",
+        username,
+        operation,
+        source,
+        record_id as "recordId",
+        patient_id as "patientId",
+        before_data as "before",
+        after_data as "after",
+        query
+      FROM audit_log
+      ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+      ORDER BY occurred_at DESC, id DESC
+      LIMIT $${params.length}
+    `,
+      params,
+    )
+
+    // Audit snapshots hold the stored (encrypted) values of sensitive columns
+    await ensureDataKeys(database)
+    return await Promise.all((result.rows || []).map(decryptAuditEntry))
+  } catch (error) {
+    console.error("Error getting audit log:", error)
+    throw new Error(`Failed to get audit log: ${error.message}`)
+  }
+}
+
+// Columns that hold encrypted values in audit snapshots, whichever table the entry is for
+const ENCRYPTED_AUDIT_COLUMNS = [...new Set(Object.values(ENCRYPTED_COLUMNS).flat())]
+
+// Decrypt the encrypted columns in an audit entry's before/after snapshots
+async function decryptAuditEntry(entry) {
+  const decryptSnapshot = async (snapshot) => {
+    if (!snapshot) return snapshot
+    const decrypted = { ...snapshot }
+    for (const column of ENCRYPTED_AUDIT_COLUMNS) {
+      if (column in decrypted) decrypted[column] = await decryptField(decrypted[column])
+    }
+    return decrypted
+  }
+
+  return { ...entry, before: await decryptSnapshot(entry.before), after: await decryptSnapshot(entry.after) }
+}
+
+// Get every username that appears in the audit log, for the viewer's user filter
+export async function getAuditUsers() {
+  try {
+    requirePermission(PERMISSIONS.VIEW_AUDIT_LOG, "view the audit log")
+    const database = await getDatabase()
+    const result = await database.query("SELECT DISTINCT username FROM audit_log ORDER BY username")
+    return result.rows.map((row) => row.username)
+  } catch (error) {
+    console.error("Error getting audit users:", error)
+    return []
+  }
+}
+
+// Re-encrypt every patient's sensitive fields with a new data key
+export async function rotateEncryptionKey() {
+  try {
+    const user = requirePermission(PERMISSIONS.MANAGE_ENCRYPTION, "rotate the encryption key")
+    const database = await getDatabase()
+    await ensureDataKeys(database)
+
+    return await rotateDataKey(database, user.username)
+  } catch (error) {
+    console.error("Error rotating encryption key:", error)
+    throw new Error(`Failed to rotate encryption key: ${error.message}`)
+  }
+}
+
+// Get database statistics
+export async function getDatabaseStats() {
+  try {
+    const database = await getDatabase()
+
+    const result = await database.query(`
+      SELECT 
+        COUNT(*) as total_patients,
+        COUNT(CASE WHEN gender = 'male' THEN 1 END) as male_patients,
+        COUNT(CASE WHEN gender = 'female' THEN 1 END) as female_patients,
+        COUNT(CASE WHEN insurance_provider IS NOT NULL AND insurance_provider != '' THEN 1 END) as insured_patients,
+        AVG(COALESCE(age, EXTRACT(YEAR FROM AGE(CURRENT_DATE, date_of_birth)))) as average_age,
+        MIN(created_at) as first_registration,
+        MAX(created_at) as last_registration
+      FROM patients
+      WHERE deleted_at IS NULL
+    `)
+
+    // Visits today and this week (from Monday), in local time. Cancelled visits don't count.
+    const now = new Date()
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate())
+    const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1)
+    const weekStart = new Date(now.getFullYear(), now.getMonth(), now.getDate() - ((now.getDay() + 6) % 7))
+    const weekEnd = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + 7)
+    const visits = await database.query(
+      `
+      SELECT
+        COUNT(CASE WHEN visit_date >= $1 AND visit_date < $2 THEN 1 END) as visits_today,
+        COUNT(*) as visits_this_week
+      FROM encounters
+      WHERE visit_date >= $3 AND visit_date < $4 AND status <> 'cancelled'
+    `,
+      [today, tomorrow, weekStart, weekEnd],
+    )
+
+    return { ...result.rows[0], ...visits.rows[0] }
+  } catch (error) {
+    console.error("Error getting database stats:", error)
+    return {}
   }
 }
 
@@ -600,18 +2133,73 @@ export async function testConnection() {
   }
 }
 
+// Format used for newly registered patient ids
+export async function getPatientIdFormat() {
+  try {
+    const database = await getDatabase()
+    return await readPatientIdFormat(database)
+  } catch (error) {
+    console.error("Error getting patient id format:", error)
+    throw new Error(`Failed to get patient id format: ${error.message}`)
+  }
+}
+
+// Change the format of new patient ids. Existing ids keep the format they were issued with.
+export async function savePatientIdFormat(format) {
+  try {
+    requirePermission(PERMISSIONS.MANAGE_SETTINGS, "change settings")
+
+    const normalized = normalizePatientIdFormat(format)
+    const database = await getDatabase()
+    await database.query(
+      `
+      INSERT INTO app_settings (key, value) VALUES ($1, $2)
+      ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value
+    `,
+      [PATIENT_ID_FORMAT_SETTING, JSON.stringify(normalized)],
+    )
+    return normalized
+  } catch (error) {
+    console.error("Error saving patient id format:", error)
+    throw new Error(`Failed to save patient id format: ${error.message}`)
+  }
+}
+
+// How many days deleted patients are kept in the trash
+export async function getTrashRetentionDays() {
+  try {
+    const database = await getDatabase()
+    return await readTrashRetentionDays(database)
+  } catch (error) {
+    console.error("Error getting trash retention period:", error)
+    throw new Error(`Failed to get trash retention period: ${error.message}`)
+  }
+}
+
+// Change how long deleted patients are kept, for every user. Takes one of TRASH_RETENTION_OPTIONS.
+export async function saveTrashRetentionDays(days) {
+  try {
+    requirePermission(PERMISSIONS.MANAGE_SETTINGS, "change settings")
+    if (!TRASH_RETENTION_OPTIONS.includes(days)) {
+      throw new Error(`Deleted patients can be kept for ${TRASH_RETENTION_OPTIONS.join(", ")} days`)
+    }
+
+    const database = await getDatabase()
+    await database.query(
+      `
+      INSERT INTO app_settings (key, value) VALUES ($1, $2)
+      ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value
+    `,
+      [TRASH_RETENTION_SETTING, String(days)],
+    )
+    return days
+  } catch (error) {
+    console.error("Error saving trash retention period:", error)
+    throw new Error(`Failed to save trash retention period: ${error.message}`)
+  }
+}
+
 // Export the database instance for advanced usage
 export async function getDatabaseInstance() {
   return await getDatabase()
 }
-
-// Updated sample queries with patient_id field and without internal id
-export const sampleQueries = [
-  "SELECT patient_id, first_name, last_name, age, gender FROM patients LIMIT 10;",
-  "SELECT gender, COUNT(*) as count FROM patients GROUP BY gender;",
-  "SELECT patient_id, first_name, last_name, age, insurance_provider FROM patients WHERE insurance_provider IS NOT NULL;",
-  "SELECT patient_id, first_name, last_name, email, age FROM patients ORDER BY age DESC LIMIT 5;",
-  "SELECT COUNT(*) as total_patients, AVG(age) as average_age FROM patients;",
-  "SELECT patient_id, first_name, last_name, allergies FROM patients WHERE allergies IS NOT NULL AND allergies != '';",
-  "SELECT patient_id, first_name, last_name, age, medical_history FROM patients WHERE age > 65;",
-]
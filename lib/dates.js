@@ -0,0 +1,12 @@
+// "YYYY-MM-DD" for a local date, such as one picked in a form (local midnight), or for a date
+// string. A Date gives its local calendar day rather than toISOString()'s UTC one, which is the
+// previous day in timezones ahead of UTC. DATE values read from the database are UTC midnight, so
+// pass them as strings, as the record lists in PATIENT_COLUMNS (lib/database.js) return them.
+export function toDateString(value) {
+  if (!value) return null
+  if (!(value instanceof Date)) return String(value).split("T")[0]
+
+  const month = String(value.getMonth() + 1).padStart(2, "0")
+  const day = String(value.getDate()).padStart(2, "0")
+  return `${value.getFullYear()}-${month}-${day}`
+}
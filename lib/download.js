@@ -0,0 +1,14 @@
+// Save generated content (CSV, FHIR JSON, backups) as a file download
+export function downloadFile(content, filename, type) {
+  const blob = new Blob([content], { type })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement("a")
+  link.setAttribute("href", url)
+  link.setAttribute("download", filename)
+  link.style.visibility = "hidden"
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  // Revoke after the click has been handled, or some browsers cancel the download
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
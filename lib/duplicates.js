@@ -0,0 +1,156 @@
+// Fuzzy matching of patient records, used to warn about possible duplicates while a patient
+// is being registered and to list likely duplicate pairs on the merge screen.
+//
+// Names are compared phonetically (Soundex) and by edit distance (Levenshtein), so "Jon Smyth"
+// matches "John Smith". Date of birth, phone and email must match exactly (phones by their
+// last 10 digits). Each signal adds to a score; no single weak signal is enough on its own.
+
+export const DUPLICATE_SCORE_THRESHOLD = 50
+
+const SCORES = {
+  email: 50,
+  dateOfBirth: 35,
+  phone: 35,
+  exactLastName: 25,
+  similarLastName: 15,
+  exactFirstName: 20,
+  similarFirstName: 10,
+}
+
+const SOUNDEX_CODES = {
+  b: "1", f: "1", p: "1", v: "1",
+  c: "2", g: "2", j: "2", k: "2", q: "2", s: "2", x: "2", z: "2",
+  d: "3", t: "3",
+  l: "4",
+  m: "5", n: "5",
+  r: "6",
+}
+
+function normalizeName(value) {
+  return String(value ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z]/g, "")
+}
+
+// American Soundex code (letter + 3 digits), or "" for an empty name
+export function soundex(value) {
+  const name = normalizeName(value)
+  if (!name) return ""
+
+  let code = name[0].toUpperCase()
+  let previous = SOUNDEX_CODES[name[0]] || ""
+  for (const char of name.slice(1)) {
+    const digit = SOUNDEX_CODES[char] || ""
+    if (digit && digit !== previous) code += digit
+    // h and w don't separate letters with the same code; vowels do
+    if (char !== "h" && char !== "w") previous = digit
+    if (code.length === 4) break
+  }
+  return code.padEnd(4, "0")
+}
+
+// Number of single-character insertions, deletions or substitutions between two strings
+export function levenshtein(a, b) {
+  if (a === b) return 0
+  if (!a.length) return b.length
+  if (!b.length) return a.length
+
+  let previousRow = Array.from({ length: b.length + 1 }, (_, index) => index)
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i]
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      row[j] = Math.min(row[j - 1] + 1, previousRow[j] + 1, previousRow[j - 1] + cost)
+    }
+    previousRow = row
+  }
+  return previousRow[b.length]
+}
+
+// "exact", "similar" or null
+function compareNames(a, b) {
+  const first = normalizeName(a)
+  const second = normalizeName(b)
+  if (!first || !second) return null
+  if (first === second) return "exact"
+
+  // Allow one typo in short names and two in longer ones
+  const maxDistance = Math.min(first.length, second.length) <= 4 ? 1 : 2
+  if (soundex(first) === soundex(second) || levenshtein(first, second) <= maxDistance) return "similar"
+  return null
+}
+
+function phoneDigits(value) {
+  return String(value ?? "")
+    .replace(/\D/g, "")
+    .slice(-10)
+}
+
+// Dates read from the database are UTC midnight; form dates are converted to YYYY-MM-DD by the caller
+function dateKey(value) {
+  if (!value) return ""
+  if (value instanceof Date) return value.toISOString().split("T")[0]
+  return String(value).split("T")[0]
+}
+
+// Score how likely two patient records are the same person, with the reasons that matched
+export function scorePatientMatch(candidate, existing) {
+  let score = 0
+  const reasons = []
+
+  const lastName = compareNames(candidate.lastName, existing.lastName)
+  if (lastName) {
+    score += lastName === "exact" ? SCORES.exactLastName : SCORES.similarLastName
+    reasons.push(lastName === "exact" ? "Same last name" : "Similar last name")
+  }
+
+  const firstName = compareNames(candidate.firstName, existing.firstName)
+  if (firstName) {
+    score += firstName === "exact" ? SCORES.exactFirstName : SCORES.similarFirstName
+    reasons.push(firstName === "exact" ? "Same first name" : "Similar first name")
+  }
+
+  const dateOfBirth = dateKey(candidate.dateOfBirth)
+  if (dateOfBirth && dateOfBirth === dateKey(existing.dateOfBirth)) {
+    score += SCORES.dateOfBirth
+    reasons.push("Same date of birth")
+  }
+
+  const phone = phoneDigits(candidate.phone)
+  if (phone.length >= 7 && phone === phoneDigits(existing.phone)) {
+    score += SCORES.phone
+    reasons.push("Same phone number")
+  }
+
+  const email = String(candidate.email ?? "").trim().toLowerCase()
+  if (email && email === String(existing.email ?? "").trim().toLowerCase()) {
+    score += SCORES.email
+    reasons.push("Same email")
+  }
+
+  return { score, reasons }
+}
+
+// Existing patients that look like the candidate, best match first
+export function findMatches(candidate, patients, { threshold = DUPLICATE_SCORE_THRESHOLD, limit = 5 } = {}) {
+  return patients
+    .filter((patient) => patient.id !== candidate.id)
+    .map((patient) => ({ patient, ...scorePatientMatch(candidate, patient) }))
+    .filter((match) => match.score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+}
+
+// Every pair of patients that look like the same person, best match first
+export function findDuplicatePairs(patients, { threshold = DUPLICATE_SCORE_THRESHOLD } = {}) {
+  const pairs = []
+  for (let i = 0; i < patients.length; i++) {
+    for (let j = i + 1; j < patients.length; j++) {
+      const { score, reasons } = scorePatientMatch(patients[i], patients[j])
+      if (score >= threshold) pairs.push({ first: patients[i], second: patients[j], score, reasons })
+    }
+  }
+  return pairs.sort((a, b) => b.score - a.score)
+}
@@ -0,0 +1,101 @@
+// Clinical visits (the encounters table).
+//
+// A visit is started from the patient list, which records its date, type and provider with the
+// status "in progress". Chief complaint, vitals and notes are filled in during the visit, and it
+// ends as completed or cancelled. Each patient's visits are shown newest first as a timeline.
+// Chief complaint and notes are stored encrypted; vitals stay in plain text so they can be queried.
+
+export const ENCOUNTER_TYPES = [
+  { value: "consultation", label: "Consultation" },
+  { value: "follow-up", label: "Follow-up" },
+  { value: "check-up", label: "Check-up" },
+  { value: "emergency", label: "Emergency" },
+  { value: "procedure", label: "Procedure" },
+  { value: "telehealth", label: "Telehealth" },
+  { value: "other", label: "Other" },
+]
+
+export const ENCOUNTER_STATUSES = [
+  {
+    value: "in-progress",
+    label: "In progress",
+    badgeClassName: "bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300",
+  },
+  {
+    value: "completed",
+    label: "Completed",
+    badgeClassName: "bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300",
+  },
+  {
+    value: "cancelled",
+    label: "Cancelled",
+    badgeClassName: "bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300",
+  },
+]
+
+// Vital signs recorded on a visit, with the range the form accepts. `column` is the encounters
+// column; `decimals` is 0 for whole numbers.
+export const VITAL_SIGNS = [
+  { key: "temperature", column: "temperature", label: "Temperature", unit: "°C", min: 30, max: 45, decimals: 1 },
+  { key: "heartRate", column: "heart_rate", label: "Heart rate", unit: "bpm", min: 20, max: 250, decimals: 0 },
+  { key: "respiratoryRate", column: "respiratory_rate", label: "Respiratory rate", unit: "/min", min: 4, max: 80, decimals: 0 },
+  { key: "systolicBp", column: "systolic_bp", label: "Systolic BP", unit: "mmHg", min: 50, max: 300, decimals: 0 },
+  { key: "diastolicBp", column: "diastolic_bp", label: "Diastolic BP", unit: "mmHg", min: 20, max: 200, decimals: 0 },
+  { key: "oxygenSaturation", column: "oxygen_saturation", label: "SpO₂", unit: "%", min: 50, max: 100, decimals: 0 },
+  { key: "weight", column: "weight", label: "Weight", unit: "kg", min: 0.2, max: 500, decimals: 1 },
+  { key: "height", column: "height", label: "Height", unit: "cm", min: 20, max: 280, decimals: 1 },
+]
+
+export const getEncounterTypeLabel = (value) => ENCOUNTER_TYPES.find((type) => type.value === value)?.label ?? value
+
+export const getEncounterStatus = (value) =>
+  ENCOUNTER_STATUSES.find((status) => status.value === value) ?? ENCOUNTER_STATUSES[0]
+
+// Value for a datetime-local input, in local time (e.g. "2024-05-01T09:30")
+export function toDateTimeInputValue(value) {
+  const date = value ? new Date(value) : new Date()
+  const pad = (number) => String(number).padStart(2, "0")
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`
+}
+
+// Form values for a new visit, or for editing an existing one
+export function encounterToFormValues(encounter = {}) {
+  return {
+    visitDate: toDateTimeInputValue(encounter.visitDate),
+    encounterType: encounter.encounterType ?? "consultation",
+    provider: encounter.provider ?? "",
+    chiefComplaint: encounter.chiefComplaint ?? "",
+    ...Object.fromEntries(VITAL_SIGNS.map(({ key }) => [key, encounter[key] == null ? "" : String(encounter[key])])),
+    notes: encounter.notes ?? "",
+    status: encounter.status ?? "in-progress",
+  }
+}
+
+// Form values in the shape they are stored: a Date for the visit, numbers for vitals and empty
+// values as null
+export function normalizeEncounter(values) {
+  return {
+    visitDate: new Date(values.visitDate),
+    encounterType: values.encounterType,
+    provider: values.provider?.trim() || null,
+    chiefComplaint: values.chiefComplaint?.trim() || null,
+    ...Object.fromEntries(
+      VITAL_SIGNS.map(({ key }) => [key, values[key] === "" || values[key] == null ? null : Number(values[key])]),
+    ),
+    notes: values.notes?.trim() || null,
+    status: values.status || "in-progress",
+  }
+}
+
+// Recorded vitals as short strings, e.g. ["BP 120/80 mmHg", "Heart rate 72 bpm"]
+export function formatVitals(encounter) {
+  const vitals = []
+  if (encounter.systolicBp != null && encounter.diastolicBp != null) {
+    vitals.push(`BP ${encounter.systolicBp}/${encounter.diastolicBp} mmHg`)
+  }
+  VITAL_SIGNS.forEach(({ key, label, unit }) => {
+    const isPairedBp = (key === "systolicBp" || key === "diastolicBp") && encounter.systolicBp != null && encounter.diastolicBp != null
+    if (encounter[key] != null && !isPairedBp) vitals.push(`${label} ${Number(encounter[key])} ${unit}`)
+  })
+  return vitals
+}
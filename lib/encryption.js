@@ -0,0 +1,256 @@
+// AES-GCM encryption for sensitive patient columns.
+//
+// Patient values are encrypted with a random data key. Every user holds a copy of the data
+// keys wrapped with their own RSA-OAEP public key, and the matching private key is stored
+// encrypted with a key derived from the user's password (PBKDF2). Signing in unlocks the
+// private key, which unwraps the data keys into memory for this tab only.
+//
+// Encrypted values are stored as "enc:<key version>:<base64 iv + ciphertext>". Anything
+// without that prefix is treated as plaintext, so rows written before encryption (or through
+// the SQL Interface) still read back and are encrypted on the next unlock.
+//
+// This module has no database access - wrapped keys are stored by lib/data-keys.js.
+import { bytesToBase64, base64ToBytes, generateSecret, PBKDF2_ITERATIONS } from "./auth"
+
+// Encrypted fields, as returned by getAllPatients() and as stored in the patients table
+export const ENCRYPTED_PATIENT_FIELDS = ["medicalHistory", "allergies", "currentMedications", "insurancePolicyNumber"]
+export const ENCRYPTED_PATIENT_COLUMNS = ["medical_history", "allergies", "current_medications", "insurance_policy_number"]
+
+// Encrypted fields of the entries in a patient's record lists, by list (column names match)
+export const ENCRYPTED_RECORD_FIELDS = {
+  allergyRecords: ["reaction"],
+  medicationRecords: ["strength", "prescriber"],
+}
+
+// Encrypted fields of a visit, as returned by getPatientEncounters() and as stored in encounters
+export const ENCRYPTED_ENCOUNTER_FIELDS = ["chiefComplaint", "notes"]
+export const ENCRYPTED_ENCOUNTER_COLUMNS = ["chief_complaint", "notes"]
+
+// Every encrypted column, by table, for re-encrypting stored rows
+export const ENCRYPTED_COLUMNS = {
+  patients: ENCRYPTED_PATIENT_COLUMNS,
+  patient_allergies: ENCRYPTED_RECORD_FIELDS.allergyRecords,
+  patient_medications: ENCRYPTED_RECORD_FIELDS.medicationRecords,
+  encounters: ENCRYPTED_ENCOUNTER_COLUMNS,
+}
+
+const ENCRYPTED_PREFIX = "enc:"
+const IV_LENGTH = 12
+const RSA_PARAMS = { name: "RSA-OAEP", modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: "SHA-256" }
+
+const encoder = new TextEncoder()
+const decoder = new TextDecoder()
+
+// Unlocked keys for this tab: data keys by version, the version new values use, and the
+// user's private key (kept to pick up rotated keys without asking for the password again)
+let dataKeys = new Map()
+let currentKeyVersion = null
+let privateKey = null
+
+export function isEncryptionUnlocked() {
+  return privateKey !== null && currentKeyVersion !== null && dataKeys.has(currentKeyVersion)
+}
+
+export function getCurrentKeyVersion() {
+  return currentKeyVersion
+}
+
+export function getDataKeys() {
+  return dataKeys
+}
+
+export function getPrivateKey() {
+  return privateKey
+}
+
+export function setUnlockedKeys({ keys, version, userPrivateKey }) {
+  dataKeys = new Map(keys)
+  currentKeyVersion = version
+  privateKey = userPrivateKey
+}
+
+export function addDataKey(version, key, { makeCurrent = false } = {}) {
+  dataKeys.set(version, key)
+  if (makeCurrent) currentKeyVersion = version
+}
+
+export function clearUnlockedKeys() {
+  dataKeys = new Map()
+  currentKeyVersion = null
+  privateKey = null
+}
+
+// Generate a new random data key
+export async function generateDataKey() {
+  return await crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, true, ["encrypt", "decrypt"])
+}
+
+async function derivePasswordKey(password, salt, iterations) {
+  const keyMaterial = await crypto.subtle.importKey("raw", encoder.encode(password), "PBKDF2", false, ["deriveKey"])
+  return await crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt: base64ToBytes(salt), iterations },
+    keyMaterial,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"],
+  )
+}
+
+// `additionalData` is authenticated along with the ciphertext but not encrypted
+function aesGcmParams(iv, additionalData) {
+  return additionalData === undefined ? { name: "AES-GCM", iv } : { name: "AES-GCM", iv, additionalData }
+}
+
+async function encryptBytes(key, bytes, additionalData) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH))
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt(aesGcmParams(iv, additionalData), key, bytes))
+
+  const combined = new Uint8Array(iv.length + ciphertext.length)
+  combined.set(iv)
+  combined.set(ciphertext, iv.length)
+  return bytesToBase64(combined)
+}
+
+async function decryptBytes(key, encoded, additionalData) {
+  const combined = base64ToBytes(encoded)
+  return await crypto.subtle.decrypt(
+    aesGcmParams(combined.slice(0, IV_LENGTH), additionalData),
+    key,
+    combined.slice(IV_LENGTH),
+  )
+}
+
+// Create a key pair for a user, with the private key encrypted by their password
+export async function generateUserKeys(password) {
+  const keyPair = await crypto.subtle.generateKey(RSA_PARAMS, true, ["wrapKey", "unwrapKey"])
+  const salt = generateSecret(16)
+  const passwordKey = await derivePasswordKey(password, salt, PBKDF2_ITERATIONS)
+
+  const publicKey = bytesToBase64(new Uint8Array(await crypto.subtle.exportKey("spki", keyPair.publicKey)))
+  const pkcs8 = await crypto.subtle.exportKey("pkcs8", keyPair.privateKey)
+
+  return {
+    publicKey,
+    encryptedPrivateKey: await encryptBytes(passwordKey, pkcs8),
+    privateKeySalt: salt,
+    privateKeyIterations: PBKDF2_ITERATIONS,
+    privateKey: await importPrivateKey(pkcs8),
+  }
+}
+
+async function importPrivateKey(pkcs8) {
+  return await crypto.subtle.importKey("pkcs8", pkcs8, RSA_PARAMS, false, ["unwrapKey"])
+}
+
+// Decrypt a user's private key with their password
+export async function unlockPrivateKey({ encryptedPrivateKey, privateKeySalt, privateKeyIterations }, password) {
+  const passwordKey = await derivePasswordKey(password, privateKeySalt, privateKeyIterations)
+
+  try {
+    return await importPrivateKey(await decryptBytes(passwordKey, encryptedPrivateKey))
+  } catch {
+    throw new Error("Could not unlock your encryption key")
+  }
+}
+
+// Wrap a data key for a user, given their base64 SPKI public key
+export async function wrapDataKey(dataKey, publicKey) {
+  const key = await crypto.subtle.importKey("spki", base64ToBytes(publicKey), RSA_PARAMS, false, ["wrapKey"])
+  return bytesToBase64(new Uint8Array(await crypto.subtle.wrapKey("raw", dataKey, key, { name: "RSA-OAEP" })))
+}
+
+export async function unwrapDataKey(wrappedKey, userPrivateKey) {
+  return await crypto.subtle.unwrapKey(
+    "raw",
+    base64ToBytes(wrappedKey),
+    userPrivateKey,
+    { name: "RSA-OAEP" },
+    { name: "AES-GCM", length: 256 },
+    true,
+    ["encrypt", "decrypt"],
+  )
+}
+
+export function isEncryptedValue(value) {
+  return typeof value === "string" && value.startsWith(ENCRYPTED_PREFIX)
+}
+
+// Encrypt a value with a specific data key version
+export async function encryptValue(value, key, version) {
+  return `${ENCRYPTED_PREFIX}${version}:${await encryptBytes(key, encoder.encode(value))}`
+}
+
+// Encrypt a field value with the current data key. Empty values are stored as null.
+export async function encryptField(value) {
+  if (value === null || value === undefined || value === "") return null
+  if (!isEncryptionUnlocked()) {
+    throw new Error("Encrypted patient data is locked. Please sign in again.")
+  }
+
+  return await encryptValue(String(value), dataKeys.get(currentKeyVersion), currentKeyVersion)
+}
+
+// Decrypt a stored field value. Plaintext values are returned unchanged.
+export async function decryptField(value) {
+  if (!isEncryptedValue(value)) return value
+
+  const separator = value.indexOf(":", ENCRYPTED_PREFIX.length)
+  const version = Number.parseInt(value.slice(ENCRYPTED_PREFIX.length, separator))
+  const key = dataKeys.get(version)
+  if (!key) {
+    throw new Error("Encrypted patient data is locked. Please sign in again.")
+  }
+
+  return decoder.decode(await decryptBytes(key, value.slice(separator + 1)))
+}
+
+// Decrypt the given fields of a record
+export async function decryptFields(record, fields) {
+  const decrypted = { ...record }
+  for (const field of fields) {
+    decrypted[field] = await decryptField(record[field])
+  }
+  return decrypted
+}
+
+// Decrypt the encrypted fields of a patient record in getAllPatients() shape, including the
+// entries of its record lists
+export async function decryptPatientFields(patient) {
+  const decrypted = await decryptFields(patient, ENCRYPTED_PATIENT_FIELDS)
+  for (const [list, fields] of Object.entries(ENCRYPTED_RECORD_FIELDS)) {
+    if (patient[list]) decrypted[list] = await Promise.all(patient[list].map((entry) => decryptFields(entry, fields)))
+  }
+  return decrypted
+}
+
+// Highest PBKDF2 iteration count accepted from a file, so a crafted file can't hang the tab
+const MAX_FILE_ITERATIONS = 10 * PBKDF2_ITERATIONS
+
+// Encrypt text with a password, for files that leave the browser such as backups. `context`
+// (e.g. the backup manifest) is bound to the ciphertext: decrypting fails if it was changed.
+export async function encryptWithPassword(text, password, context = "") {
+  const salt = generateSecret(16)
+  const passwordKey = await derivePasswordKey(password, salt, PBKDF2_ITERATIONS)
+
+  return {
+    algorithm: "AES-256-GCM",
+    kdf: "PBKDF2-SHA-256",
+    salt,
+    iterations: PBKDF2_ITERATIONS,
+    ciphertext: await encryptBytes(passwordKey, encoder.encode(text), encoder.encode(context)),
+  }
+}
+
+// Decrypt text produced by encryptWithPassword() with the same password and context
+export async function decryptWithPassword({ salt, iterations, ciphertext }, password, context = "") {
+  if (!Number.isInteger(iterations) || iterations < 1 || iterations > MAX_FILE_ITERATIONS) {
+    throw new Error("The file's key derivation settings aren't supported")
+  }
+  const passwordKey = await derivePasswordKey(password, salt, iterations)
+
+  try {
+    return decoder.decode(await decryptBytes(passwordKey, ciphertext, encoder.encode(context)))
+  } catch {
+    throw new Error("Wrong password, or the file has been modified")
+  }
+}
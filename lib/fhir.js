@@ -0,0 +1,378 @@
+// Mapping between patient records and FHIR R4 resources.
+//
+// A patient becomes a Patient resource plus one resource per related item:
+//   allergy entries     -> AllergyIntolerance (category, criticality, reaction and onset)
+//   allergy notes       -> AllergyIntolerance with text only (one per comma, semicolon or line
+//                          separated item); imported AllergyIntolerances without a usable
+//                          category become notes again
+//   medication entries  -> MedicationStatement (strength and frequency in dosage.text, frequency
+//                          also as timing.code, route, effectivePeriod, prescriber as
+//                          informationSource); imported ones all become entries
+//   medication notes    -> MedicationStatement with text only (one per separated item)
+//   insurance provider  -> Coverage (payor display name, policy number as subscriberId)
+// Resource ids are the PAT id (with a suffix for related resources), and the PAT id is also the
+// Patient identifier under PATIENT_ID_SYSTEM, which is how an imported Patient is matched to an
+// existing one. Medical history is free text with no single FHIR home and is not exported.
+import { calculateAge, patientSchema, splitPhoneNumber, toLocalDate } from "./patient-schema"
+import { downloadFile } from "./download"
+import { getFieldLabel } from "./patient-import"
+import { findAllergenCategory } from "./allergies"
+import { MEDICATION_ROUTES, isMedicationStopped } from "./medications"
+
+export const PATIENT_ID_SYSTEM = "urn:patient-registration:patient-id"
+
+const EMERGENCY_CONTACT_RELATIONSHIP = {
+  coding: [{ system: "http://terminology.hl7.org/CodeSystem/v2-0131", code: "C", display: "Emergency Contact" }],
+}
+
+// App gender values and FHIR administrative genders
+const TO_FHIR_GENDER = { male: "male", female: "female", other: "other", "prefer-not-to-say": "unknown" }
+const FROM_FHIR_GENDER = { male: "male", female: "female", other: "other", unknown: "prefer-not-to-say" }
+
+const ALLERGY_CLINICAL_STATUS = {
+  coding: [{ system: "http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical", code: "active" }],
+}
+
+// App allergy categories and FHIR AllergyIntolerance categories
+const TO_FHIR_ALLERGY_CATEGORY = { drug: "medication", food: "food", environment: "environment" }
+const FROM_FHIR_ALLERGY_CATEGORY = { medication: "drug", food: "food", environment: "environment" }
+
+// FHIR criticality is the potential for a serious reaction; severe allergies are high
+const TO_FHIR_CRITICALITY = { severe: "high", moderate: "low", mild: "low", unknown: "unable-to-assess" }
+
+// Split a free-text list ("Peanuts, Penicillin") into its items
+function splitList(value) {
+  return String(value ?? "")
+    .split(/[,;\n]/)
+    .map((item) => item.trim())
+    .filter(Boolean)
+}
+
+// YYYY-MM-DD for a date of birth from the database (UTC midnight) or the form (local midnight)
+function toFhirDate(value) {
+  const date = toLocalDate(value)
+  if (!date) return undefined
+
+  const month = String(date.getMonth() + 1).padStart(2, "0")
+  const day = String(date.getDate()).padStart(2, "0")
+  return `${date.getFullYear()}-${month}-${day}`
+}
+
+// FHIR ids allow letters, digits, "-" and "." only
+function toResourceId(patient) {
+  return String(patient.patientId || `patient-${patient.id}`).replace(/[^A-Za-z0-9\-.]/g, "-")
+}
+
+// FHIR resources for one patient, Patient first
+export function toFhirResources(patient) {
+  const id = toResourceId(patient)
+  const subject = { reference: `Patient/${id}` }
+
+  const telecom = []
+  if (patient.phone) telecom.push({ system: "phone", value: patient.phone, use: "mobile" })
+  if (patient.email) telecom.push({ system: "email", value: patient.email })
+
+  const resource = {
+    resourceType: "Patient",
+    id,
+    identifier: [
+      ...(patient.patientId ? [{ use: "official", system: PATIENT_ID_SYSTEM, value: patient.patientId }] : []),
+      // Ids of records merged into this one
+      ...(patient.mergedIds || []).map((mergedId) => ({ use: "old", system: PATIENT_ID_SYSTEM, value: mergedId })),
+    ],
+    name: [{ use: "official", family: patient.lastName, given: [patient.firstName] }],
+    telecom,
+    gender: TO_FHIR_GENDER[patient.gender] ?? "unknown",
+    birthDate: toFhirDate(patient.dateOfBirth),
+  }
+  if (patient.address) resource.address = [{ text: patient.address }]
+  if (patient.emergencyContactName || patient.emergencyContactPhone) {
+    resource.contact = [
+      {
+        relationship: [EMERGENCY_CONTACT_RELATIONSHIP],
+        ...(patient.emergencyContactName && { name: { text: patient.emergencyContactName } }),
+        ...(patient.emergencyContactPhone && { telecom: [{ system: "phone", value: patient.emergencyContactPhone }] }),
+      },
+    ]
+  }
+
+  const allergies = (patient.allergyRecords || []).map((record, index) => {
+    const reaction = {
+      ...(record.reaction && { description: record.reaction, manifestation: [{ text: record.reaction }] }),
+      ...(record.severity !== "unknown" && { severity: record.severity }),
+    }
+    return {
+      resourceType: "AllergyIntolerance",
+      id: `${id}-allergy-${index + 1}`,
+      clinicalStatus: ALLERGY_CLINICAL_STATUS,
+      category: [TO_FHIR_ALLERGY_CATEGORY[record.category]],
+      criticality: TO_FHIR_CRITICALITY[record.severity],
+      code: { text: record.allergen },
+      patient: subject,
+      ...(record.onsetDate && { onsetDateTime: toFhirDate(record.onsetDate) }),
+      ...(Object.keys(reaction).length > 0 && { reaction: [reaction] }),
+    }
+  })
+
+  const allergyNotes = splitList(patient.allergies).map((allergy, index) => ({
+    resourceType: "AllergyIntolerance",
+    id: `${id}-allergy-note-${index + 1}`,
+    clinicalStatus: ALLERGY_CLINICAL_STATUS,
+    code: { text: allergy },
+    patient: subject,
+  }))
+
+  const medications = (patient.medicationRecords || []).map((record, index) => {
+    const instructions = [record.strength, record.frequency].filter(Boolean).join(" ")
+    const dosage = {
+      ...(instructions && { text: instructions }),
+      ...(record.frequency && { timing: { code: { text: record.frequency } } }),
+      ...(record.route && { route: { text: MEDICATION_ROUTES.find((route) => route.value === record.route)?.label } }),
+    }
+    const effectivePeriod = {
+      ...(record.startDate && { start: toFhirDate(record.startDate) }),
+      ...(record.stopDate && { end: toFhirDate(record.stopDate) }),
+    }
+    return {
+      resourceType: "MedicationStatement",
+      id: `${id}-medication-${index + 1}`,
+      status: isMedicationStopped(record) ? "completed" : "active",
+      medicationCodeableConcept: { text: record.drugName },
+      subject,
+      ...(Object.keys(effectivePeriod).length > 0 && { effectivePeriod }),
+      ...(record.prescriber && { informationSource: { display: record.prescriber } }),
+      ...(Object.keys(dosage).length > 0 && { dosage: [dosage] }),
+    }
+  })
+
+  const medicationNotes = splitList(patient.currentMedications).map((medication, index) => ({
+    resourceType: "MedicationStatement",
+    id: `${id}-medication-note-${index + 1}`,
+    status: "active",
+    medicationCodeableConcept: { text: medication },
+    subject,
+  }))
+
+  const coverage = patient.insuranceProvider
+    ? [
+        {
+          resourceType: "Coverage",
+          id: `${id}-coverage`,
+          status: "active",
+          beneficiary: subject,
+          payor: [{ display: patient.insuranceProvider }],
+          ...(patient.insurancePolicyNumber && { subscriberId: patient.insurancePolicyNumber }),
+        },
+      ]
+    : []
+
+  return [resource, ...allergies, ...allergyNotes, ...medications, ...medicationNotes, ...coverage]
+}
+
+// A collection Bundle holding every resource for the given patients
+export function toFhirBundle(patients) {
+  return {
+    resourceType: "Bundle",
+    type: "collection",
+    timestamp: new Date().toISOString(),
+    entry: patients.flatMap(toFhirResources).map((resource) => ({ resource })),
+  }
+}
+
+function findTelecom(resource, system) {
+  return resource.telecom?.find((telecom) => telecom.system === system && telecom.value)?.value ?? ""
+}
+
+function formatAddress(address) {
+  if (!address) return ""
+  if (address.text) return address.text
+  return [...(address.line || []), address.city, address.state, address.postalCode, address.country]
+    .filter(Boolean)
+    .join(", ")
+}
+
+// Registration form values for a Patient resource. Allergies, medications and insurance are left
+// out: they are only set when the Bundle has AllergyIntolerance, MedicationStatement or Coverage
+// resources for the patient, so updating from a Bundle of bare Patients keeps what is stored.
+function fromFhirPatient(resource) {
+  const name = resource.name?.find((item) => item.use === "official") ?? resource.name?.[0] ?? {}
+  const contact =
+    resource.contact?.find((item) =>
+      item.relationship?.some((relationship) => relationship.coding?.some((coding) => coding.code === "C")),
+    ) ?? resource.contact?.[0]
+  const dateOfBirth = /^\d{4}-\d{2}-\d{2}$/.test(resource.birthDate ?? "") ? toLocalDate(resource.birthDate) : undefined
+  const { countryCode, mobileNumber } = splitPhoneNumber(findTelecom(resource, "phone"))
+
+  return {
+    firstName: (name.given ?? []).join(" ") || "",
+    lastName: name.family ?? "",
+    dateOfBirth,
+    age: dateOfBirth ? String(calculateAge(dateOfBirth)) : "",
+    gender: FROM_FHIR_GENDER[resource.gender] ?? "",
+    email: findTelecom(resource, "email"),
+    countryCode,
+    mobileNumber,
+    address: formatAddress(resource.address?.[0]),
+    emergencyContactName: contact?.name?.text ?? [...(contact?.name?.given ?? []), contact?.name?.family].filter(Boolean).join(" "),
+    emergencyContactPhone: findTelecom(contact ?? {}, "phone"),
+  }
+}
+
+function getCodeableText(concept) {
+  return concept?.text || concept?.coding?.find((coding) => coding.display)?.display || ""
+}
+
+// A medication entry for a MedicationStatement. Strength is whatever dosage.text holds besides
+// the frequency; routes we don't list become "other".
+function fromFhirMedication(resource, drugName) {
+  const dosage = resource.dosage?.[0]
+  const frequency = getCodeableText(dosage?.timing?.code)
+  const instructions = dosage?.text ?? ""
+  const strength =
+    frequency && instructions.toLowerCase().endsWith(frequency.toLowerCase())
+      ? instructions.slice(0, -frequency.length).trim()
+      : instructions
+  const routeText = getCodeableText(dosage?.route).toLowerCase()
+  const route = routeText
+    ? (MEDICATION_ROUTES.find((item) => item.value === routeText || item.label.toLowerCase() === routeText)?.value ?? "other")
+    : ""
+  const toDate = (value) => (/^\d{4}-\d{2}-\d{2}/.test(value ?? "") ? toLocalDate(value) : undefined)
+
+  return {
+    drugName,
+    strength,
+    route,
+    frequency,
+    startDate: toDate(resource.effectivePeriod?.start ?? resource.effectiveDateTime),
+    stopDate: toDate(resource.effectivePeriod?.end),
+    prescriber: resource.informationSource?.display ?? "",
+  }
+}
+
+// An allergy entry for an AllergyIntolerance, or null when it has no category we use (it's
+// kept as a note instead). Severity comes from the reaction, or else from a high criticality.
+function fromFhirAllergy(resource, allergen) {
+  const category =
+    resource.category?.map((value) => FROM_FHIR_ALLERGY_CATEGORY[value]).find(Boolean) ?? findAllergenCategory(allergen)
+  if (!category) return null
+
+  const reaction = resource.reaction?.[0]
+  const onset = /^\d{4}-\d{2}-\d{2}/.test(resource.onsetDateTime ?? "") ? toLocalDate(resource.onsetDateTime) : undefined
+  return {
+    allergen,
+    category,
+    severity: reaction?.severity ?? (resource.criticality === "high" ? "severe" : "unknown"),
+    reaction: reaction?.manifestation?.map(getCodeableText).filter(Boolean).join(", ") || reaction?.description || "",
+    onsetDate: onset,
+  }
+}
+
+// Read a Bundle (or a single Patient) into patients to import. Each patient has `patientId` when
+// the resource carries one of our identifiers, `values` in the registration form's shape,
+// `patient` (the data to save) when it's valid and `errors` otherwise. `issues` lists resources
+// that couldn't be used at all.
+export function parseFhirBundle(json) {
+  if (json?.resourceType !== "Bundle" && json?.resourceType !== "Patient") {
+    throw new Error("The file isn't a FHIR Bundle or Patient resource")
+  }
+
+  const entries = json.resourceType === "Bundle" ? json.entry || [] : [{ resource: json }]
+  const issues = []
+  const patients = []
+  // References to a Patient, by "Patient/<id>" and by the entry's fullUrl
+  const patientsByReference = new Map()
+
+  entries.forEach((entry, index) => {
+    const resource = entry?.resource
+    if (resource?.resourceType !== "Patient") return
+
+    const values = fromFhirPatient(resource)
+    const identifier = resource.identifier?.find((item) => item.system === PATIENT_ID_SYSTEM && item.use !== "old")
+    const patient = { entry: index + 1, patientId: identifier?.value ?? null, values, errors: [], patient: null }
+    patients.push(patient)
+
+    if (resource.id) patientsByReference.set(`Patient/${resource.id}`, patient)
+    if (entry.fullUrl) patientsByReference.set(entry.fullUrl, patient)
+  })
+
+  const appendToField = (patient, field, text) => {
+    patient.values[field] = patient.values[field] ? `${patient.values[field]}, ${text}` : text
+  }
+
+  entries.forEach((entry, index) => {
+    const resource = entry?.resource
+    const resourceType = resource?.resourceType ?? "Unknown"
+    const addIssue = (message) => issues.push({ entry: index + 1, resourceType, message })
+
+    if (resourceType === "Patient") return
+
+    const reference = (resource?.patient ?? resource?.subject ?? resource?.beneficiary)?.reference
+    const patient = patientsByReference.get(reference)
+
+    switch (resourceType) {
+      case "AllergyIntolerance":
+      case "MedicationStatement": {
+        if (!patient) return addIssue(`Refers to ${reference ?? "no patient"}, which isn't in this file`)
+        const text =
+          resourceType === "AllergyIntolerance" ? getCodeableText(resource.code) : getCodeableText(resource.medicationCodeableConcept)
+        if (!text) return addIssue("Has no text or coding display to import")
+        // The file's allergies (or medications) replace the patient's, notes included
+        if (resourceType === "MedicationStatement") {
+          patient.values.medicationRecords ??= []
+          patient.values.currentMedications ??= ""
+          const medication = fromFhirMedication(resource, text)
+          const isDuplicate = patient.values.medicationRecords.some(
+            (record) => record.drugName.toLowerCase() === text.toLowerCase() && record.strength === medication.strength,
+          )
+          if (!isDuplicate) patient.values.medicationRecords.push(medication)
+          return
+        }
+
+        patient.values.allergyRecords ??= []
+        patient.values.allergies ??= ""
+        const allergy = fromFhirAllergy(resource, text)
+        const key = text.toLowerCase()
+        if (!allergy) {
+          appendToField(patient, "allergies", text)
+        } else if (!patient.values.allergyRecords.some((record) => record.allergen.toLowerCase() === key)) {
+          patient.values.allergyRecords.push(allergy)
+        }
+        return
+      }
+      case "Coverage": {
+        if (!patient) return addIssue(`Refers to ${reference ?? "no patient"}, which isn't in this file`)
+        const payor = resource.payor?.find((item) => item.display)?.display
+        if (!payor) return addIssue("Has no payor display name to use as the insurance provider")
+        patient.values.insuranceProvider = payor
+        patient.values.insurancePolicyNumber = resource.subscriberId ?? ""
+        return
+      }
+      default:
+        addIssue(`${resourceType} resources can't be imported`)
+    }
+  })
+
+  // Validate once the related resources have been folded in
+  for (const patient of patients) {
+    const result = patientSchema.safeParse(patient.values)
+    if (result.success) {
+      patient.patient = { ...result.data, phone: `${patient.values.countryCode}${patient.values.mobileNumber}` }
+    } else {
+      // The first problem with each field is enough to fix it, as in the CSV import
+      const reported = new Set()
+      for (const issue of result.error.issues) {
+        const label = getFieldLabel(issue.path[0])
+        if (reported.has(label)) continue
+        reported.add(label)
+        patient.errors.push(`${label}: ${issue.message}`)
+      }
+    }
+  }
+
+  return { patients, issues }
+}
+
+// Save a FHIR resource as a file download
+export function downloadFhirJson(resource, filename) {
+  downloadFile(JSON.stringify(resource, null, 2), filename, "application/fhir+json")
+}
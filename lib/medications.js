@@ -0,0 +1,84 @@
+// Structured medication entries (the patient_medications table).
+//
+// Each entry names one drug with its strength, route, frequency, start and stop dates and
+// prescriber. The drug name, route, frequency and dates are stored in plain text so they can be
+// queried, while strength and prescriber are encrypted like allergy reactions; the free-text
+// `current_medications` column on patients is kept as encrypted medication notes.
+// Reconciling a patient's medications (reviewing the whole list with them) stamps the patient
+// with the time and the reviewing user.
+import { toDateString } from "./dates"
+
+export const MEDICATION_ROUTES = [
+  { value: "oral", label: "Oral" },
+  { value: "sublingual", label: "Sublingual" },
+  { value: "buccal", label: "Buccal" },
+  { value: "topical", label: "Topical" },
+  { value: "transdermal", label: "Transdermal" },
+  { value: "inhaled", label: "Inhaled" },
+  { value: "nasal", label: "Nasal" },
+  { value: "ophthalmic", label: "Eye (ophthalmic)" },
+  { value: "otic", label: "Ear (otic)" },
+  { value: "rectal", label: "Rectal" },
+  { value: "vaginal", label: "Vaginal" },
+  { value: "subcutaneous", label: "Subcutaneous injection" },
+  { value: "intramuscular", label: "Intramuscular injection" },
+  { value: "intravenous", label: "Intravenous" },
+  { value: "other", label: "Other" },
+]
+
+// Suggestions for the frequency field, which also accepts anything else
+export const COMMON_FREQUENCIES = [
+  "Once daily",
+  "Twice daily",
+  "Three times daily",
+  "Four times daily",
+  "Every 4 hours",
+  "Every 6 hours",
+  "Every 8 hours",
+  "Every 12 hours",
+  "In the morning",
+  "At bedtime",
+  "With meals",
+  "As needed",
+  "Once weekly",
+  "Once monthly",
+]
+
+export const getMedicationRouteLabel = (value) => MEDICATION_ROUTES.find((route) => route.value === value)?.label ?? value
+
+// Whether a medication has been stopped (its stop date is today or earlier)
+export function isMedicationStopped(record, today = new Date()) {
+  const stopDate = toDateString(record.stopDate)
+  return Boolean(stopDate && stopDate <= toDateString(today))
+}
+
+// Current medications first, then by drug name
+export function sortMedications(records = []) {
+  return [...records].sort(
+    (a, b) => Number(isMedicationStopped(a)) - Number(isMedicationStopped(b)) || a.drugName.localeCompare(b.drugName),
+  )
+}
+
+// Medication entries in the shape they are stored and read back: trimmed text, empty values as
+// null and dates as YYYY-MM-DD
+export function normalizeMedicationRecords(records = []) {
+  return records.map((record) => ({
+    ...(record.id && { id: record.id }),
+    drugName: record.drugName.trim(),
+    strength: record.strength?.trim() || null,
+    route: record.route || null,
+    frequency: record.frequency?.trim() || null,
+    startDate: toDateString(record.startDate),
+    stopDate: toDateString(record.stopDate),
+    prescriber: record.prescriber?.trim() || null,
+  }))
+}
+
+// One line per entry, e.g. "Metformin 500 mg, oral, twice daily"
+export function formatMedicationRecord(record) {
+  const dose = [record.drugName, record.strength].filter(Boolean).join(" ")
+  const route = record.route && getMedicationRouteLabel(record.route).toLowerCase()
+  const frequency = record.frequency?.toLowerCase()
+  const stopped = isMedicationStopped(record) ? `stopped ${toDateString(record.stopDate)}` : null
+  return [dose, route, frequency, stopped].filter(Boolean).join(", ")
+}
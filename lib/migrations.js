@@ -0,0 +1,973 @@
+// Versioned schema migrations for the PGlite database.
+//
+// Migrations run in ascending version order, each inside its own transaction, and every
+// successful one is recorded in the schema_migrations table so it never runs twice.
+// To change the schema, append a new entry with the next version number - never edit or
+// reorder a migration that has already shipped, because existing browsers have recorded it.
+//
+// The first migrations reproduce the old ad-hoc checks from initializeDatabase() and are
+// written to be idempotent, so databases left in any half-migrated state converge on the
+// same schema.
+
+// Channel the patients_notify trigger sends row change notifications on
+export const PATIENT_CHANGES_CHANNEL = "patient_changes"
+
+export const migrations = [
+  {
+    version: 1,
+    name: "create_patients_table",
+    up: async (tx) => {
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS patients (
+          id SERIAL PRIMARY KEY,
+          patient_id VARCHAR(20) UNIQUE,
+          first_name VARCHAR(100) NOT NULL,
+          last_name VARCHAR(100) NOT NULL,
+          email VARCHAR(255) NOT NULL,
+          phone VARCHAR(20),
+          date_of_birth DATE NOT NULL,
+          age INTEGER,
+          gender VARCHAR(20) NOT NULL,
+          address TEXT,
+          emergency_contact_name VARCHAR(100),
+          emergency_contact_phone VARCHAR(20),
+          medical_history TEXT,
+          allergies TEXT,
+          current_medications TEXT,
+          insurance_provider VARCHAR(100),
+          insurance_policy_number VARCHAR(50),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `)
+    },
+  },
+  {
+    version: 2,
+    name: "widen_gender_column",
+    up: async (tx) => {
+      // Early databases used a shorter gender column that can't hold "prefer-not-to-say"
+      await tx.exec(`ALTER TABLE patients ALTER COLUMN gender TYPE VARCHAR(20)`)
+    },
+  },
+  {
+    version: 3,
+    name: "add_age_column",
+    up: async (tx) => {
+      await tx.exec(`ALTER TABLE patients ADD COLUMN IF NOT EXISTS age INTEGER`)
+
+      // Backfill existing records with calculated age before enforcing NOT NULL
+      await tx.exec(`
+        UPDATE patients
+        SET age = EXTRACT(YEAR FROM AGE(CURRENT_DATE, date_of_birth))
+        WHERE age IS NULL
+      `)
+      await tx.exec(`ALTER TABLE patients ALTER COLUMN age SET NOT NULL`)
+    },
+  },
+  {
+    version: 4,
+    name: "add_patient_id_column",
+    up: async (tx) => {
+      await tx.exec(`ALTER TABLE patients ADD COLUMN IF NOT EXISTS patient_id VARCHAR(20) UNIQUE`)
+
+      // Backfill existing records with generated PAT-YYYY-NNNN ids in insertion order
+      await tx.exec(`
+        UPDATE patients
+        SET patient_id = 'PAT-' || EXTRACT(YEAR FROM CURRENT_DATE)::TEXT || '-' || LPAD(numbered.seq::TEXT, 4, '0')
+        FROM (
+          SELECT id, ROW_NUMBER() OVER (ORDER BY id) AS seq
+          FROM patients
+          WHERE patient_id IS NULL
+        ) AS numbered
+        WHERE patients.id = numbered.id
+      `)
+    },
+  },
+  {
+    version: 5,
+    name: "create_patient_indexes",
+    up: async (tx) => {
+      await tx.exec(`
+        CREATE INDEX IF NOT EXISTS idx_patients_email ON patients(email);
+        CREATE INDEX IF NOT EXISTS idx_patients_last_name ON patients(last_name);
+        CREATE INDEX IF NOT EXISTS idx_patients_created_at ON patients(created_at);
+        CREATE INDEX IF NOT EXISTS idx_patients_age ON patients(age);
+        CREATE INDEX IF NOT EXISTS idx_patients_patient_id ON patients(patient_id);
+      `)
+    },
+  },
+  {
+    version: 6,
+    name: "add_patients_deleted_at",
+    up: async (tx) => {
+      // Soft delete: deleted patients keep their row until purged from the trash
+      await tx.exec(`
+        ALTER TABLE patients ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+        CREATE INDEX IF NOT EXISTS idx_patients_deleted_at ON patients(deleted_at);
+      `)
+    },
+  },
+  {
+    version: 7,
+    name: "create_audit_log",
+    up: async (tx) => {
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS audit_log (
+          id SERIAL PRIMARY KEY,
+          occurred_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          username VARCHAR(100) NOT NULL,
+          operation VARCHAR(20) NOT NULL,
+          source VARCHAR(20) NOT NULL,
+          record_id INTEGER,
+          patient_id VARCHAR(20),
+          before_data JSONB,
+          after_data JSONB,
+          query TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_audit_log_occurred_at ON audit_log(occurred_at);
+        CREATE INDEX IF NOT EXISTS idx_audit_log_patient_id ON audit_log(patient_id);
+        CREATE INDEX IF NOT EXISTS idx_audit_log_username ON audit_log(username);
+      `)
+
+      // Every row change on patients is recorded by a trigger, so writes made through the
+      // SQL Interface are audited exactly like the ones made by the app. The acting user and
+      // source are read from transaction-local settings (see withAuditContext in database.js).
+      // For updates only the changed fields are stored; soft deletes and restores are
+      // reported as DELETE / RESTORE and hard deletes as PURGE.
+      await tx.exec(`
+        CREATE OR REPLACE FUNCTION audit_patient_change() RETURNS trigger AS $$
+        DECLARE
+          operation TEXT;
+          before_data JSONB;
+          after_data JSONB;
+        BEGIN
+          IF TG_OP = 'INSERT' THEN
+            operation := 'CREATE';
+            after_data := jsonb_strip_nulls(to_jsonb(NEW));
+          ELSIF TG_OP = 'DELETE' THEN
+            operation := 'PURGE';
+            before_data := jsonb_strip_nulls(to_jsonb(OLD));
+          ELSE
+            SELECT jsonb_object_agg(key, value) INTO before_data
+            FROM jsonb_each(to_jsonb(OLD))
+            WHERE key <> 'updated_at' AND value IS DISTINCT FROM to_jsonb(NEW) -> key;
+
+            SELECT jsonb_object_agg(key, value) INTO after_data
+            FROM jsonb_each(to_jsonb(NEW))
+            WHERE key <> 'updated_at' AND value IS DISTINCT FROM to_jsonb(OLD) -> key;
+
+            -- Nothing but updated_at changed
+            IF after_data IS NULL THEN
+              RETURN NEW;
+            END IF;
+
+            IF OLD.deleted_at IS NULL AND NEW.deleted_at IS NOT NULL THEN
+              operation := 'DELETE';
+            ELSIF OLD.deleted_at IS NOT NULL AND NEW.deleted_at IS NULL THEN
+              operation := 'RESTORE';
+            ELSE
+              operation := 'UPDATE';
+            END IF;
+          END IF;
+
+          INSERT INTO audit_log (username, operation, source, record_id, patient_id, before_data, after_data)
+          VALUES (
+            COALESCE(NULLIF(current_setting('app.audit_user', true), ''), 'system'),
+            operation,
+            COALESCE(NULLIF(current_setting('app.audit_source', true), ''), 'system'),
+            COALESCE(NEW.id, OLD.id),
+            COALESCE(NEW.patient_id, OLD.patient_id),
+            before_data,
+            after_data
+          );
+
+          RETURN COALESCE(NEW, OLD);
+        END;
+        $$ LANGUAGE plpgsql;
+
+        DROP TRIGGER IF EXISTS patients_audit ON patients;
+        CREATE TRIGGER patients_audit
+          AFTER INSERT OR UPDATE OR DELETE ON patients
+          FOR EACH ROW EXECUTE FUNCTION audit_patient_change();
+      `)
+
+      // The audit trail is append-only
+      await tx.exec(`
+        CREATE OR REPLACE FUNCTION prevent_audit_log_change() RETURNS trigger AS $$
+        BEGIN
+          RAISE EXCEPTION 'audit_log is append-only';
+        END;
+        $$ LANGUAGE plpgsql;
+
+        DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+        CREATE TRIGGER audit_log_append_only
+          BEFORE UPDATE OR DELETE ON audit_log
+          FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_change();
+      `)
+    },
+  },
+  {
+    version: 8,
+    name: "create_users",
+    up: async (tx) => {
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS users (
+          id SERIAL PRIMARY KEY,
+          username VARCHAR(100) NOT NULL UNIQUE,
+          display_name VARCHAR(100),
+          role VARCHAR(20) NOT NULL CHECK (role IN ('admin', 'clinician', 'receptionist')),
+          password_hash TEXT NOT NULL,
+          password_salt TEXT NOT NULL,
+          password_iterations INTEGER NOT NULL,
+          is_active BOOLEAN NOT NULL DEFAULT TRUE,
+          last_login_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- Key/value store for app-wide secrets such as the session signing key
+        CREATE TABLE IF NOT EXISTS app_settings (
+          key VARCHAR(100) PRIMARY KEY,
+          value TEXT NOT NULL
+        );
+      `)
+    },
+  },
+  {
+    version: 9,
+    name: "add_user_grants",
+    up: async (tx) => {
+      // Per-user permissions on top of the role, e.g. 'sql:write' (see lib/permissions.js)
+      await tx.exec(`ALTER TABLE users ADD COLUMN IF NOT EXISTS grants TEXT[] NOT NULL DEFAULT '{}'`)
+    },
+  },
+  {
+    version: 10,
+    name: "add_encryption_keys",
+    up: async (tx) => {
+      // Encrypted values are longer than the plaintext limit (length is validated in patientSchema)
+      await tx.exec(`ALTER TABLE patients ALTER COLUMN insurance_policy_number TYPE TEXT`)
+
+      // Per-user key pair and wrapped data keys (see lib/data-keys.js). Existing plaintext
+      // values are encrypted the first time a user signs in after this migration.
+      await tx.exec(`
+        ALTER TABLE users ADD COLUMN IF NOT EXISTS public_key TEXT;
+        ALTER TABLE users ADD COLUMN IF NOT EXISTS encrypted_private_key TEXT;
+        ALTER TABLE users ADD COLUMN IF NOT EXISTS private_key_salt TEXT;
+        ALTER TABLE users ADD COLUMN IF NOT EXISTS private_key_iterations INTEGER;
+
+        CREATE TABLE IF NOT EXISTS user_data_keys (
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          key_version INTEGER NOT NULL,
+          wrapped_key TEXT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (user_id, key_version)
+        );
+      `)
+    },
+  },
+  {
+    version: 11,
+    name: "create_patient_change_notifications",
+    up: async (tx) => {
+      // Every row change on patients is announced with pg_notify() so all open tabs hear about
+      // it from the database, whichever tab or SQL statement made it. The payload only carries
+      // the event type, the row id and the tab that made the change (app.sync_source, see
+      // withAuditContext in database.js); listeners read the row themselves.
+      await tx.exec(`
+        CREATE OR REPLACE FUNCTION notify_patient_change() RETURNS trigger AS $$
+        DECLARE
+          event TEXT;
+        BEGIN
+          IF TG_OP = 'INSERT' THEN
+            event := 'PATIENT_ADDED';
+          ELSIF TG_OP = 'DELETE' THEN
+            event := 'PATIENT_PURGED';
+          ELSIF (to_jsonb(OLD) - 'updated_at') = (to_jsonb(NEW) - 'updated_at') THEN
+            RETURN NULL;
+          ELSIF OLD.deleted_at IS NULL AND NEW.deleted_at IS NOT NULL THEN
+            event := 'PATIENT_DELETED';
+          ELSIF OLD.deleted_at IS NOT NULL AND NEW.deleted_at IS NULL THEN
+            event := 'PATIENT_RESTORED';
+          ELSE
+            event := 'PATIENT_UPDATED';
+          END IF;
+
+          PERFORM pg_notify('${PATIENT_CHANGES_CHANNEL}', json_build_object(
+            'type', event,
+            'patientId', COALESCE(NEW.id, OLD.id),
+            'source', NULLIF(current_setting('app.sync_source', true), '')
+          )::text);
+
+          RETURN NULL;
+        END;
+        $$ LANGUAGE plpgsql;
+
+        DROP TRIGGER IF EXISTS patients_notify ON patients;
+        CREATE TRIGGER patients_notify
+          AFTER INSERT OR UPDATE OR DELETE ON patients
+          FOR EACH ROW EXECUTE FUNCTION notify_patient_change();
+      `)
+    },
+  },
+  {
+    version: 12,
+    name: "create_patient_id_counters",
+    up: async (tx) => {
+      // Last sequence number handed out per year (see allocatePatientId in database.js),
+      // seeded from the ids already issued so numbering carries on where it left off
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS patient_id_counters (
+          year INTEGER PRIMARY KEY,
+          last_value INTEGER NOT NULL
+        );
+
+        INSERT INTO patient_id_counters (year, last_value)
+        SELECT parts[1]::INTEGER, MAX(parts[2]::INTEGER)
+        FROM (SELECT regexp_match(patient_id, '-(\\d{4})-(\\d+)') AS parts FROM patients) ids
+        WHERE parts IS NOT NULL
+        GROUP BY parts[1]
+        ON CONFLICT (year) DO UPDATE SET last_value = GREATEST(patient_id_counters.last_value, EXCLUDED.last_value);
+      `)
+    },
+  },
+  {
+    version: 13,
+    name: "create_patient_merges",
+    up: async (tx) => {
+      // Patient ids that were merged into another record, so old references still find the
+      // surviving patient (see mergePatients in database.js). Merging the survivor again
+      // re-points its earlier merges, so every row points at a patient that still exists.
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS patient_merges (
+          merged_patient_id VARCHAR(20) PRIMARY KEY,
+          merged_record_id INTEGER NOT NULL,
+          surviving_record_id INTEGER NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+          merged_by VARCHAR(100) NOT NULL,
+          merged_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_patient_merges_surviving_record_id ON patient_merges(surviving_record_id);
+      `)
+
+      // Let a transaction record its changes under an operation name of its own (app.audit_operation)
+      await tx.exec(`
+        CREATE OR REPLACE FUNCTION audit_patient_change() RETURNS trigger AS $$
+        DECLARE
+          operation TEXT;
+          before_data JSONB;
+          after_data JSONB;
+        BEGIN
+          IF TG_OP = 'INSERT' THEN
+            operation := 'CREATE';
+            after_data := jsonb_strip_nulls(to_jsonb(NEW));
+          ELSIF TG_OP = 'DELETE' THEN
+            operation := 'PURGE';
+            before_data := jsonb_strip_nulls(to_jsonb(OLD));
+          ELSE
+            SELECT jsonb_object_agg(key, value) INTO before_data
+            FROM jsonb_each(to_jsonb(OLD))
+            WHERE key <> 'updated_at' AND value IS DISTINCT FROM to_jsonb(NEW) -> key;
+
+            SELECT jsonb_object_agg(key, value) INTO after_data
+            FROM jsonb_each(to_jsonb(NEW))
+            WHERE key <> 'updated_at' AND value IS DISTINCT FROM to_jsonb(OLD) -> key;
+
+            -- Nothing but updated_at changed
+            IF after_data IS NULL THEN
+              RETURN NEW;
+            END IF;
+
+            IF OLD.deleted_at IS NULL AND NEW.deleted_at IS NOT NULL THEN
+              operation := 'DELETE';
+            ELSIF OLD.deleted_at IS NOT NULL AND NEW.deleted_at IS NULL THEN
+              operation := 'RESTORE';
+            ELSE
+              operation := 'UPDATE';
+            END IF;
+          END IF;
+
+          -- Changes made as part of a larger operation (e.g. a merge) are recorded under its name
+          operation := COALESCE(NULLIF(current_setting('app.audit_operation', true), ''), operation);
+
+          INSERT INTO audit_log (username, operation, source, record_id, patient_id, before_data, after_data)
+          VALUES (
+            COALESCE(NULLIF(current_setting('app.audit_user', true), ''), 'system'),
+            operation,
+            COALESCE(NULLIF(current_setting('app.audit_source', true), ''), 'system'),
+            COALESCE(NEW.id, OLD.id),
+            COALESCE(NEW.patient_id, OLD.patient_id),
+            before_data,
+            after_data
+          );
+
+          RETURN COALESCE(NEW, OLD);
+        END;
+        $$ LANGUAGE plpgsql;
+      `)
+    },
+  },
+  {
+    version: 14,
+    name: "create_patient_allergies",
+    up: async (tx) => {
+      // One row per allergen, so allergies can be queried. Stored in plain text; the old
+      // free-text (encrypted) allergies column stays on patients as unstructured notes.
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS patient_allergies (
+          id SERIAL PRIMARY KEY,
+          patient_record_id INTEGER NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+          allergen VARCHAR(200) NOT NULL,
+          category VARCHAR(20) NOT NULL CHECK (category IN ('drug', 'food', 'environment')),
+          severity VARCHAR(20) NOT NULL DEFAULT 'unknown' CHECK (severity IN ('mild', 'moderate', 'severe', 'unknown')),
+          reaction TEXT,
+          onset_date DATE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_patient_allergies_allergen ON patient_allergies(patient_record_id, LOWER(allergen));
+      `)
+
+      // Audit trigger for tables of patient records (allergies here, and any later ones). Rows
+      // are logged against their patient as <prefix>_ADD, <prefix>_UPDATE and <prefix>_REMOVE,
+      // with TG_ARGV[0] as the prefix. Rows removed because their patient was purged aren't
+      // logged separately: the patient's PURGE entry already holds the deletion.
+      await tx.exec(`
+        CREATE OR REPLACE FUNCTION audit_patient_record_change() RETURNS trigger AS $$
+        DECLARE
+          operation TEXT;
+          patient_row_id INTEGER;
+          patient_number TEXT;
+          before_data JSONB;
+          after_data JSONB;
+        BEGIN
+          patient_row_id := COALESCE(NEW.patient_record_id, OLD.patient_record_id);
+          SELECT patient_id INTO patient_number FROM patients WHERE id = patient_row_id;
+          IF NOT FOUND THEN
+            RETURN NULL;
+          END IF;
+
+          IF TG_OP = 'INSERT' THEN
+            operation := TG_ARGV[0] || '_ADD';
+            after_data := jsonb_strip_nulls(to_jsonb(NEW));
+          ELSIF TG_OP = 'DELETE' THEN
+            operation := TG_ARGV[0] || '_REMOVE';
+            before_data := jsonb_strip_nulls(to_jsonb(OLD));
+          ELSE
+            SELECT jsonb_object_agg(key, value) INTO before_data
+            FROM jsonb_each(to_jsonb(OLD))
+            WHERE key <> 'updated_at' AND value IS DISTINCT FROM to_jsonb(NEW) -> key;
+
+            SELECT jsonb_object_agg(key, value) INTO after_data
+            FROM jsonb_each(to_jsonb(NEW))
+            WHERE key <> 'updated_at' AND value IS DISTINCT FROM to_jsonb(OLD) -> key;
+
+            -- Nothing but updated_at changed
+            IF after_data IS NULL THEN
+              RETURN NULL;
+            END IF;
+
+            operation := TG_ARGV[0] || '_UPDATE';
+          END IF;
+
+          INSERT INTO audit_log (username, operation, source, record_id, patient_id, before_data, after_data)
+          VALUES (
+            COALESCE(NULLIF(current_setting('app.audit_user', true), ''), 'system'),
+            operation,
+            COALESCE(NULLIF(current_setting('app.audit_source', true), ''), 'system'),
+            patient_row_id,
+            patient_number,
+            before_data,
+            after_data
+          );
+
+          RETURN NULL;
+        END;
+        $$ LANGUAGE plpgsql;
+
+        DROP TRIGGER IF EXISTS patient_allergies_audit ON patient_allergies;
+        CREATE TRIGGER patient_allergies_audit
+          AFTER INSERT OR UPDATE OR DELETE ON patient_allergies
+          FOR EACH ROW EXECUTE FUNCTION audit_patient_record_change('ALLERGY');
+      `)
+
+      // A change to a patient's records is announced as PATIENT_UPDATED for the patient. Patients
+      // registered in the same transaction have already been announced as PATIENT_ADDED, and
+      // Postgres sends identical notifications from one transaction only once.
+      await tx.exec(`
+        CREATE OR REPLACE FUNCTION notify_patient_record_change() RETURNS trigger AS $$
+        BEGIN
+          IF TG_OP = 'UPDATE' AND (to_jsonb(OLD) - 'updated_at') = (to_jsonb(NEW) - 'updated_at') THEN
+            RETURN NULL;
+          END IF;
+
+          IF EXISTS (
+            SELECT 1 FROM patients
+            WHERE id = COALESCE(NEW.patient_record_id, OLD.patient_record_id) AND created_at < CURRENT_TIMESTAMP
+          ) THEN
+            PERFORM pg_notify('${PATIENT_CHANGES_CHANNEL}', json_build_object(
+              'type', 'PATIENT_UPDATED',
+              'patientId', COALESCE(NEW.patient_record_id, OLD.patient_record_id),
+              'source', NULLIF(current_setting('app.sync_source', true), '')
+            )::text);
+          END IF;
+
+          RETURN NULL;
+        END;
+        $$ LANGUAGE plpgsql;
+
+        DROP TRIGGER IF EXISTS patient_allergies_notify ON patient_allergies;
+        CREATE TRIGGER patient_allergies_notify
+          AFTER INSERT OR UPDATE OR DELETE ON patient_allergies
+          FOR EACH ROW EXECUTE FUNCTION notify_patient_record_change();
+      `)
+    },
+  },
+  {
+    version: 15,
+    name: "create_patient_medications",
+    up: async (tx) => {
+      // One row per medication, plain text like patient_allergies; current_medications stays on
+      // patients as encrypted notes. medications_reviewed_* record the last reconciliation.
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS patient_medications (
+          id SERIAL PRIMARY KEY,
+          patient_record_id INTEGER NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+          drug_name VARCHAR(200) NOT NULL,
+          strength VARCHAR(100),
+          route VARCHAR(30) CHECK (route IN (
+            'oral', 'sublingual', 'buccal', 'topical', 'transdermal', 'inhaled', 'nasal', 'ophthalmic',
+            'otic', 'rectal', 'vaginal', 'subcutaneous', 'intramuscular', 'intravenous', 'other'
+          )),
+          frequency VARCHAR(100),
+          start_date DATE,
+          stop_date DATE,
+          prescriber VARCHAR(100),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          CHECK (stop_date IS NULL OR start_date IS NULL OR stop_date >= start_date)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_patient_medications_patient_record_id ON patient_medications(patient_record_id);
+
+        ALTER TABLE patients ADD COLUMN IF NOT EXISTS medications_reviewed_at TIMESTAMP;
+        ALTER TABLE patients ADD COLUMN IF NOT EXISTS medications_reviewed_by VARCHAR(100);
+
+        DROP TRIGGER IF EXISTS patient_medications_audit ON patient_medications;
+        CREATE TRIGGER patient_medications_audit
+          AFTER INSERT OR UPDATE OR DELETE ON patient_medications
+          FOR EACH ROW EXECUTE FUNCTION audit_patient_record_change('MEDICATION');
+
+        DROP TRIGGER IF EXISTS patient_medications_notify ON patient_medications;
+        CREATE TRIGGER patient_medications_notify
+          AFTER INSERT OR UPDATE OR DELETE ON patient_medications
+          FOR EACH ROW EXECUTE FUNCTION notify_patient_record_change();
+      `)
+    },
+  },
+  {
+    version: 16,
+    name: "create_encounters",
+    up: async (tx) => {
+      // One row per visit. Vitals are optional columns so they can be charted and queried.
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS encounters (
+          id SERIAL PRIMARY KEY,
+          patient_record_id INTEGER NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+          visit_date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          encounter_type VARCHAR(20) NOT NULL CHECK (encounter_type IN (
+            'consultation', 'follow-up', 'check-up', 'emergency', 'procedure', 'telehealth', 'other'
+          )),
+          provider VARCHAR(100),
+          chief_complaint VARCHAR(500),
+          temperature NUMERIC(4, 1),
+          heart_rate INTEGER,
+          respiratory_rate INTEGER,
+          systolic_bp INTEGER,
+          diastolic_bp INTEGER,
+          oxygen_saturation INTEGER,
+          weight NUMERIC(5, 1),
+          height NUMERIC(5, 1),
+          notes TEXT,
+          status VARCHAR(20) NOT NULL DEFAULT 'in-progress' CHECK (status IN ('in-progress', 'completed', 'cancelled')),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_encounters_patient_record_id ON encounters(patient_record_id);
+        CREATE INDEX IF NOT EXISTS idx_encounters_visit_date ON encounters(visit_date);
+
+        DROP TRIGGER IF EXISTS encounters_audit ON encounters;
+        CREATE TRIGGER encounters_audit
+          AFTER INSERT OR UPDATE OR DELETE ON encounters
+          FOR EACH ROW EXECUTE FUNCTION audit_patient_record_change('ENCOUNTER');
+      `)
+
+      // Visits are announced as events of their own rather than as PATIENT_UPDATED, so patient
+      // lists don't reload for every visit. Visits removed along with a purged patient aren't
+      // announced; PATIENT_PURGED covers them.
+      await tx.exec(`
+        CREATE OR REPLACE FUNCTION notify_encounter_change() RETURNS trigger AS $$
+        DECLARE
+          event TEXT;
+        BEGIN
+          IF TG_OP = 'INSERT' THEN
+            event := 'ENCOUNTER_ADDED';
+          ELSIF TG_OP = 'DELETE' THEN
+            event := 'ENCOUNTER_DELETED';
+          ELSIF (to_jsonb(OLD) - 'updated_at') = (to_jsonb(NEW) - 'updated_at') THEN
+            RETURN NULL;
+          ELSE
+            event := 'ENCOUNTER_UPDATED';
+          END IF;
+
+          IF NOT EXISTS (SELECT 1 FROM patients WHERE id = COALESCE(NEW.patient_record_id, OLD.patient_record_id)) THEN
+            RETURN NULL;
+          END IF;
+
+          PERFORM pg_notify('${PATIENT_CHANGES_CHANNEL}', json_build_object(
+            'type', event,
+            'encounterId', COALESCE(NEW.id, OLD.id),
+            'patientId', COALESCE(NEW.patient_record_id, OLD.patient_record_id),
+            'source', NULLIF(current_setting('app.sync_source', true), '')
+          )::text);
+
+          RETURN NULL;
+        END;
+        $$ LANGUAGE plpgsql;
+
+        DROP TRIGGER IF EXISTS encounters_notify ON encounters;
+        CREATE TRIGGER encounters_notify
+          AFTER INSERT OR UPDATE OR DELETE ON encounters
+          FOR EACH ROW EXECUTE FUNCTION notify_encounter_change();
+      `)
+    },
+  },
+  {
+    version: 17,
+    name: "create_appointments",
+    up: async (tx) => {
+      // Booked time slots. Overlapping bookings for a provider are refused by the app (see
+      // bookAppointment() in lib/database.js) rather than by a constraint, so cancelled and
+      // no-show appointments can stay on the calendar.
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS appointments (
+          id SERIAL PRIMARY KEY,
+          patient_record_id INTEGER NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+          start_time TIMESTAMP NOT NULL,
+          end_time TIMESTAMP NOT NULL,
+          provider VARCHAR(100) NOT NULL,
+          reason VARCHAR(500),
+          status VARCHAR(20) NOT NULL DEFAULT 'booked' CHECK (status IN ('booked', 'checked-in', 'no-show', 'cancelled')),
+          checked_in_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          CHECK (end_time > start_time)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_appointments_patient_record_id ON appointments(patient_record_id);
+        CREATE INDEX IF NOT EXISTS idx_appointments_start_time ON appointments(start_time);
+
+        DROP TRIGGER IF EXISTS appointments_audit ON appointments;
+        CREATE TRIGGER appointments_audit
+          AFTER INSERT OR UPDATE OR DELETE ON appointments
+          FOR EACH ROW EXECUTE FUNCTION audit_patient_record_change('APPOINTMENT');
+      `)
+
+      // Announced like visits, as events of their own
+      await tx.exec(`
+        CREATE OR REPLACE FUNCTION notify_appointment_change() RETURNS trigger AS $$
+        DECLARE
+          event TEXT;
+        BEGIN
+          IF TG_OP = 'INSERT' THEN
+            event := 'APPOINTMENT_ADDED';
+          ELSIF TG_OP = 'DELETE' THEN
+            event := 'APPOINTMENT_DELETED';
+          ELSIF (to_jsonb(OLD) - 'updated_at') = (to_jsonb(NEW) - 'updated_at') THEN
+            RETURN NULL;
+          ELSE
+            event := 'APPOINTMENT_UPDATED';
+          END IF;
+
+          IF NOT EXISTS (SELECT 1 FROM patients WHERE id = COALESCE(NEW.patient_record_id, OLD.patient_record_id)) THEN
+            RETURN NULL;
+          END IF;
+
+          PERFORM pg_notify('${PATIENT_CHANGES_CHANNEL}', json_build_object(
+            'type', event,
+            'appointmentId', COALESCE(NEW.id, OLD.id),
+            'patientId', COALESCE(NEW.patient_record_id, OLD.patient_record_id),
+            'source', NULLIF(current_setting('app.sync_source', true), '')
+          )::text);
+
+          RETURN NULL;
+        END;
+        $$ LANGUAGE plpgsql;
+
+        DROP TRIGGER IF EXISTS appointments_notify ON appointments;
+        CREATE TRIGGER appointments_notify
+          AFTER INSERT OR UPDATE OR DELETE ON appointments
+          FOR EACH ROW EXECUTE FUNCTION notify_appointment_change();
+      `)
+    },
+  },
+  {
+    version: 18,
+    name: "create_saved_queries",
+    up: async (tx) => {
+      // The SQL Interface's query library, shared by everyone who can run SQL. Built-in queries
+      // come with the app and can't be changed or deleted (see lib/saved-queries.js).
+      // Favourites are per user, and so is the history of what was run.
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS saved_queries (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(100) NOT NULL,
+          description VARCHAR(500),
+          query TEXT NOT NULL,
+          tags TEXT[] NOT NULL DEFAULT '{}',
+          is_builtin BOOLEAN NOT NULL DEFAULT FALSE,
+          created_by VARCHAR(100),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_saved_queries_name ON saved_queries(lower(name));
+
+        CREATE TABLE IF NOT EXISTS saved_query_favorites (
+          saved_query_id INTEGER NOT NULL REFERENCES saved_queries(id) ON DELETE CASCADE,
+          username VARCHAR(100) NOT NULL,
+          PRIMARY KEY (saved_query_id, username)
+        );
+
+        CREATE TABLE IF NOT EXISTS sql_query_history (
+          id SERIAL PRIMARY KEY,
+          username VARCHAR(100) NOT NULL,
+          query TEXT NOT NULL,
+          success BOOLEAN NOT NULL,
+          result_count INTEGER,
+          executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_sql_query_history_username ON sql_query_history(username, executed_at DESC);
+      `)
+
+      // The sample queries the SQL Interface used to have built in
+      const builtinQueries = [
+        {
+          name: "Select All Patients",
+          query: "SELECT patient_id, first_name, last_name, age, gender FROM patients WHERE deleted_at IS NULL",
+          description: "Retrieve all patient records with key information",
+          tags: ["patients"],
+        },
+        {
+          name: "Count Patients by Gender",
+          query: "SELECT gender, COUNT(*) as count FROM patients WHERE deleted_at IS NULL GROUP BY gender",
+          description: "Get patient count grouped by gender",
+          tags: ["patients", "statistics"],
+        },
+        {
+          name: "Patient Count and Average Age",
+          query: "SELECT COUNT(*) as total_patients, AVG(age) as average_age FROM patients WHERE deleted_at IS NULL",
+          description: "Count the registered patients and their average age",
+          tags: ["patients", "statistics"],
+        },
+        {
+          name: "Patients with Insurance",
+          query:
+            "SELECT patient_id, first_name, last_name, age, insurance_provider FROM patients WHERE insurance_provider IS NOT NULL AND insurance_provider != '' AND deleted_at IS NULL",
+          description: "Find patients who have insurance",
+          tags: ["patients", "insurance"],
+        },
+        {
+          name: "Patients by Age Group",
+          query:
+            "SELECT CASE WHEN age < 18 THEN 'Minor' WHEN age < 65 THEN 'Adult' ELSE 'Senior' END as age_group, COUNT(*) as count FROM patients WHERE deleted_at IS NULL GROUP BY age_group",
+          description: "Group patients by age categories",
+          tags: ["patients", "statistics"],
+        },
+        {
+          name: "Oldest Patients",
+          query:
+            "SELECT patient_id, first_name, last_name, email, age FROM patients WHERE deleted_at IS NULL ORDER BY age DESC LIMIT 5",
+          description: "Get the five oldest patients",
+          tags: ["patients"],
+        },
+        {
+          name: "Penicillin Allergies",
+          query:
+            "SELECT p.patient_id, p.first_name, p.last_name, a.allergen, a.severity, a.reaction FROM patients p JOIN patient_allergies a ON a.patient_record_id = p.id WHERE a.allergen ILIKE '%penicillin%' AND p.deleted_at IS NULL",
+          description: "Find patients allergic to penicillin",
+          tags: ["allergies"],
+        },
+        {
+          name: "Severe Allergies",
+          query:
+            "SELECT p.patient_id, p.first_name, p.last_name, a.allergen, a.category, a.reaction FROM patients p JOIN patient_allergies a ON a.patient_record_id = p.id WHERE a.severity = 'severe' AND p.deleted_at IS NULL ORDER BY a.allergen",
+          description: "List every severe allergy with its patient",
+          tags: ["allergies"],
+        },
+        {
+          name: "Active Medications",
+          query:
+            "SELECT p.patient_id, p.first_name, p.last_name, m.drug_name, m.strength, m.frequency, m.prescriber FROM patients p JOIN patient_medications m ON m.patient_record_id = p.id WHERE (m.stop_date IS NULL OR m.stop_date > CURRENT_DATE) AND p.deleted_at IS NULL ORDER BY p.last_name, m.drug_name",
+          description: "List the medications each patient is currently taking",
+          tags: ["medications"],
+        },
+        {
+          name: "Visits This Week",
+          query:
+            "SELECT p.patient_id, p.first_name, p.last_name, e.visit_date, e.encounter_type, e.provider, e.status FROM encounters e JOIN patients p ON p.id = e.patient_record_id WHERE e.visit_date >= date_trunc('week', CURRENT_DATE) ORDER BY e.visit_date DESC",
+          description: "List the visits since Monday with their patients",
+          tags: ["visits"],
+        },
+        {
+          name: "Today's Appointments",
+          query:
+            "SELECT a.start_time, a.end_time, a.provider, p.patient_id, p.first_name, p.last_name, a.reason, a.status FROM appointments a JOIN patients p ON p.id = a.patient_record_id WHERE a.start_time >= CURRENT_DATE AND a.start_time < CURRENT_DATE + 1 AND p.deleted_at IS NULL ORDER BY a.start_time",
+          description: "List today's appointments with their patients",
+          tags: ["appointments"],
+        },
+        {
+          name: "Upcoming Appointments",
+          query:
+            "SELECT a.start_time, a.provider, p.patient_id, p.first_name, p.last_name, a.status FROM appointments a JOIN patients p ON p.id = a.patient_record_id WHERE a.start_time >= CURRENT_DATE AND p.deleted_at IS NULL ORDER BY a.start_time LIMIT 10",
+          description: "Get the next 10 appointments from today on",
+          tags: ["appointments"],
+        },
+        {
+          name: "Recent Patients",
+          query:
+            "SELECT patient_id, first_name, last_name, age, email, created_at FROM patients WHERE deleted_at IS NULL ORDER BY created_at DESC LIMIT 10",
+          description: "Get the 10 most recently registered patients",
+          tags: ["patients"],
+        },
+        {
+          name: "Senior Patients",
+          query:
+            "SELECT patient_id, first_name, last_name, age, medical_history FROM patients WHERE age >= 65 AND deleted_at IS NULL",
+          description: "Get patients aged 65 and above with medical information",
+          tags: ["patients"],
+        },
+      ]
+
+      for (const builtin of builtinQueries) {
+        await tx.query(
+          `INSERT INTO saved_queries (name, description, query, tags, is_builtin)
+           VALUES ($1, $2, $3, $4, TRUE)
+           ON CONFLICT (lower(name)) DO NOTHING`,
+          [builtin.name, builtin.description, builtin.query, builtin.tags],
+        )
+      }
+    },
+  },
+  {
+    version: 19,
+    name: "encrypt_medication_details",
+    up: async (tx) => {
+      // Strength and prescriber are now encrypted by the app, and encrypted values are longer
+      // than the 100 characters patientSchema allows. Existing values are encrypted the first
+      // time a user signs in after this migration.
+      await tx.exec(`
+        ALTER TABLE patient_medications ALTER COLUMN strength TYPE TEXT;
+        ALTER TABLE patient_medications ALTER COLUMN prescriber TYPE TEXT;
+      `)
+    },
+  },
+  {
+    version: 20,
+    name: "encrypt_encounter_text",
+    up: async (tx) => {
+      // Chief complaint and notes are now encrypted by the app; encrypted values are longer than
+      // the 500 characters allowed for the chief complaint (notes is already TEXT). Existing
+      // values are encrypted the first time a user signs in after this migration.
+      await tx.exec(`ALTER TABLE encounters ALTER COLUMN chief_complaint TYPE TEXT`)
+    },
+  },
+]
+
+// Latest schema version this build of the app knows about
+export const LATEST_SCHEMA_VERSION = migrations[migrations.length - 1].version
+
+// Make sure versions are unique and strictly increasing so the run order is unambiguous
+function validateMigrations() {
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version <= migrations[i - 1].version) {
+      throw new Error(
+        `Migration versions must be strictly increasing: ${migrations[i - 1].version} is followed by ${migrations[i].version}`,
+      )
+    }
+  }
+}
+
+// Get the highest migration version recorded in the database (0 for a fresh database)
+export async function getSchemaVersion(db) {
+  const result = await db.query(`SELECT COALESCE(MAX(version), 0) AS version FROM schema_migrations`)
+  return Number(result.rows[0]?.version) || 0
+}
+
+async function createMigrationsTable(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `)
+}
+
+async function applyMigration(tx, migration) {
+  await migration.up(tx)
+  await tx.query(`INSERT INTO schema_migrations (version, name) VALUES ($1, $2)`, [migration.version, migration.name])
+}
+
+// Apply the migrations after `fromVersion` up to and including `toVersion` inside the caller's
+// transaction. Used by backup restore, which rebuilds the schema of the backup's version, loads
+// its rows and then brings it up to date, all in one transaction.
+export async function applyMigrationsInTransaction(tx, fromVersion, toVersion = LATEST_SCHEMA_VERSION) {
+  validateMigrations()
+  await createMigrationsTable(tx)
+
+  for (const migration of migrations) {
+    if (migration.version > fromVersion && migration.version <= toVersion) {
+      await applyMigration(tx, migration)
+    }
+  }
+}
+
+// Apply every pending migration, each in its own transaction
+export async function runMigrations(db) {
+  validateMigrations()
+  await createMigrationsTable(db)
+
+  const applied = await db.query(`SELECT version FROM schema_migrations`)
+  const appliedVersions = new Set(applied.rows.map((row) => Number(row.version)))
+
+  const currentVersion = Math.max(0, ...appliedVersions)
+  if (currentVersion > LATEST_SCHEMA_VERSION) {
+    throw new Error(
+      `Database schema version ${currentVersion} is newer than this app supports (${LATEST_SCHEMA_VERSION}). Please reload to get the latest version.`,
+    )
+  }
+
+  const pending = migrations.filter((migration) => !appliedVersions.has(migration.version))
+  if (pending.length === 0) return []
+
+  for (const migration of pending) {
+    console.log(`🔄 Applying migration ${migration.version} (${migration.name})...`)
+
+    try {
+      await db.transaction((tx) => applyMigration(tx, migration))
+    } catch (error) {
+      // The transaction has been rolled back, so the database stays at the previous version
+      throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`, { cause: error })
+    }
+
+    console.log(`✅ Migration ${migration.version} (${migration.name}) applied`)
+  }
+
+  return pending.map((migration) => migration.version)
+}
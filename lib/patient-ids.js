@@ -0,0 +1,81 @@
+// Patient id format: <prefix>-<year>-<zero-padded sequence>[-<check digit>], e.g. PAT-2025-0042
+// or PAT-2025-0042-6. The sequence restarts at 1 every year and is allocated by addPatient()
+// from the patient_id_counters table; this module only formats and checks ids.
+//
+// The optional check digit is a Luhn digit over the year and sequence digits. It catches any
+// single mistyped digit and most swapped neighbours when an id is keyed in by hand.
+
+export const DEFAULT_PATIENT_ID_FORMAT = { prefix: "PAT", padding: 4, checkDigit: false }
+export const MAX_PATIENT_ID_PADDING = 8
+// Width of the patient_id columns (patients, audit_log and patient_merges)
+export const MAX_PATIENT_ID_LENGTH = 20
+
+const PREFIX_PATTERN = /^[A-Z][A-Z0-9]{0,9}$/
+const PATIENT_ID_PATTERN = /^([A-Z][A-Z0-9]*)-(\d{4})-(\d+)(?:-(\d))?$/
+
+// Validate a format (from the settings form or app_settings) and fill in defaults
+export function normalizePatientIdFormat(format = {}) {
+  const prefix = String(format.prefix ?? DEFAULT_PATIENT_ID_FORMAT.prefix)
+    .trim()
+    .toUpperCase()
+  if (!PREFIX_PATTERN.test(prefix)) {
+    throw new Error("Prefix must be 1-10 letters or digits and start with a letter")
+  }
+
+  const padding = Number.parseInt(format.padding ?? DEFAULT_PATIENT_ID_FORMAT.padding, 10)
+  if (Number.isNaN(padding) || padding < 1 || padding > MAX_PATIENT_ID_PADDING) {
+    throw new Error(`Padding must be between 1 and ${MAX_PATIENT_ID_PADDING} digits`)
+  }
+
+  const normalized = { prefix, padding, checkDigit: Boolean(format.checkDigit) }
+  const length = getPatientIdLength(normalized)
+  if (length > MAX_PATIENT_ID_LENGTH) {
+    throw new Error(
+      `Ids in this format are ${length} characters long, but at most ${MAX_PATIENT_ID_LENGTH} fit. Use a shorter prefix or fewer sequence digits.`,
+    )
+  }
+  return normalized
+}
+
+// Length of an id in `format` whose sequence fits the padding: prefix, year and sequence with
+// their dashes, and "-<digit>" for a check digit
+export const getPatientIdLength = (format) =>
+  format.prefix.length + 1 + 4 + 1 + format.padding + (format.checkDigit ? 2 : 0)
+
+// Luhn check digit for a string of digits
+export function computeCheckDigit(digits) {
+  let sum = 0
+  for (let i = 0; i < digits.length; i++) {
+    // Double every second digit, starting with the rightmost
+    let digit = Number(digits[digits.length - 1 - i])
+    if (i % 2 === 0) {
+      digit *= 2
+      if (digit > 9) digit -= 9
+    }
+    sum += digit
+  }
+  return String((10 - (sum % 10)) % 10)
+}
+
+export function formatPatientId(year, sequence, format = DEFAULT_PATIENT_ID_FORMAT) {
+  const paddedSequence = String(sequence).padStart(format.padding, "0")
+  const patientId = `${format.prefix}-${year}-${paddedSequence}`
+  return format.checkDigit ? `${patientId}-${computeCheckDigit(`${year}${paddedSequence}`)}` : patientId
+}
+
+// Split a patient id into its parts, or null if it doesn't look like one
+export function parsePatientId(value) {
+  const match = PATIENT_ID_PATTERN.exec(String(value).trim().toUpperCase())
+  if (!match) return null
+
+  const [, prefix, year, sequence, checkDigit] = match
+  return { prefix, year: Number(year), sequence, checkDigit: checkDigit ?? null }
+}
+
+// Whether an id's check digit is correct. Ids without a check digit are never reported as wrong.
+export function hasValidCheckDigit(value) {
+  const parsed = parsePatientId(value)
+  if (!parsed || parsed.checkDigit === null) return true
+
+  return computeCheckDigit(`${parsed.year}${parsed.sequence}`) === parsed.checkDigit
+}
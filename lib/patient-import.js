@@ -0,0 +1,151 @@
+// Turning CSV rows into patients for the bulk import wizard.
+//
+// Each patient field is mapped to one source column (or left out). Rows are converted to the
+// same shape as the registration form and validated with patientSchema, so imported patients
+// meet exactly the rules a hand-registered one does.
+import { calculateAge, patientSchema, splitPhoneNumber } from "./patient-schema"
+
+// Fields that can be imported. `aliases` are header names (compared without case, spaces or
+// punctuation) recognised when guessing the mapping.
+export const IMPORT_FIELDS = [
+  { field: "firstName", label: "First Name", required: true, aliases: ["firstname", "givenname", "forename"] },
+  { field: "lastName", label: "Last Name", required: true, aliases: ["lastname", "surname", "familyname"] },
+  { field: "dateOfBirth", label: "Date of Birth", required: true, aliases: ["dateofbirth", "dob", "birthdate", "birthday"] },
+  { field: "age", label: "Age", aliases: ["age"] },
+  { field: "gender", label: "Gender", required: true, aliases: ["gender", "sex"] },
+  { field: "email", label: "Email", required: true, aliases: ["email", "emailaddress", "mail"] },
+  { field: "phone", label: "Phone", required: true, aliases: ["phone", "phonenumber", "mobile", "mobilenumber", "cell"] },
+  { field: "address", label: "Address", required: true, aliases: ["address", "streetaddress", "homeaddress"] },
+  { field: "emergencyContactName", label: "Emergency Contact Name", aliases: ["emergencycontactname", "emergencycontact"] },
+  { field: "emergencyContactPhone", label: "Emergency Contact Phone", aliases: ["emergencycontactphone", "emergencyphone"] },
+  { field: "medicalHistory", label: "Medical History", aliases: ["medicalhistory", "history"] },
+  { field: "allergies", label: "Allergies", aliases: ["allergies", "allergy"] },
+  { field: "currentMedications", label: "Current Medications", aliases: ["currentmedications", "medications", "medication"] },
+  { field: "insuranceProvider", label: "Insurance Provider", aliases: ["insuranceprovider", "insurance", "insurer"] },
+  { field: "insurancePolicyNumber", label: "Insurance Policy Number", aliases: ["insurancepolicynumber", "policynumber", "policy"] },
+]
+
+// Ways a date of birth can be written in the source file
+export const IMPORT_DATE_FORMATS = [
+  { value: "YYYY-MM-DD", label: "YYYY-MM-DD" },
+  { value: "DD/MM/YYYY", label: "DD/MM/YYYY" },
+  { value: "MM/DD/YYYY", label: "MM/DD/YYYY" },
+]
+
+const GENDERS = {
+  male: "male",
+  m: "male",
+  female: "female",
+  f: "female",
+  other: "other",
+  o: "other",
+  prefernottosay: "prefer-not-to-say",
+  unknown: "prefer-not-to-say",
+}
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, "")
+
+// Guess which column holds each field from the header names. Returns { field: columnIndex }.
+export function guessColumnMapping(headers) {
+  const normalized = headers.map(normalizeHeader)
+  const mapping = {}
+
+  for (const { field, aliases } of IMPORT_FIELDS) {
+    const index = normalized.findIndex((header, i) => aliases.includes(header) && !Object.values(mapping).includes(i))
+    if (index !== -1) mapping[field] = index
+  }
+  return mapping
+}
+
+// Parse a date in the given format into a local Date, or null if it isn't a real date
+export function parseImportDate(value, format) {
+  const text = String(value ?? "").trim()
+  const parts = text.split(/[-/.]/).map((part) => Number.parseInt(part, 10))
+  if (parts.length !== 3 || parts.some(Number.isNaN)) return null
+
+  let [year, month, day] = parts
+  if (format === "DD/MM/YYYY") [day, month, year] = parts
+  if (format === "MM/DD/YYYY") [month, day, year] = parts
+
+  const date = new Date(year, month - 1, day)
+  // new Date() rolls invalid dates over (Feb 30 -> Mar 2), so check nothing moved
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null
+  return date
+}
+
+// Convert one CSV row to registration form values
+function toFormValues(row, mapping, dateFormat) {
+  const read = (field) => (mapping[field] === undefined ? "" : String(row[mapping[field]] ?? "").trim())
+
+  const dateOfBirth = parseImportDate(read("dateOfBirth"), dateFormat)
+  const { countryCode, mobileNumber } = splitPhoneNumber(read("phone"))
+  const gender = read("gender")
+
+  return {
+    firstName: read("firstName"),
+    lastName: read("lastName"),
+    dateOfBirth: dateOfBirth ?? undefined,
+    age: read("age") || (dateOfBirth ? String(calculateAge(dateOfBirth)) : ""),
+    gender: GENDERS[normalizeHeader(gender)] ?? gender.toLowerCase(),
+    email: read("email"),
+    countryCode,
+    mobileNumber,
+    address: read("address"),
+    emergencyContactName: read("emergencyContactName"),
+    emergencyContactPhone: read("emergencyContactPhone"),
+    medicalHistory: read("medicalHistory"),
+    allergies: read("allergies"),
+    currentMedications: read("currentMedications"),
+    insuranceProvider: read("insuranceProvider"),
+    insurancePolicyNumber: read("insurancePolicyNumber"),
+  }
+}
+
+// Label shown in import errors (here and in the FHIR import); the form's countryCode and
+// mobileNumber both come from the phone column, and the structured allergy and medication entries
+// are reported under their notes' labels
+export function getFieldLabel(field) {
+  if (field === "countryCode" || field === "mobileNumber") return "Phone"
+  if (field === "allergyRecords") return getFieldLabel("allergies")
+  if (field === "medicationRecords") return getFieldLabel("currentMedications")
+  return IMPORT_FIELDS.find((importField) => importField.field === field)?.label ?? field
+}
+
+// Validate every row. Returns one entry per row with its line number in the file (the header is
+// line 1), the patient data to insert if it's valid, and its errors otherwise.
+export function validateImportRows(rows, mapping, dateFormat) {
+  return rows.map((row, index) => {
+    const line = index + 2
+    const values = toFormValues(row, mapping, dateFormat)
+    const errors = []
+
+    // A date that can't be read gets its own message instead of "Date of birth is required."
+    const unreadableDate = !values.dateOfBirth && mapping.dateOfBirth !== undefined && row[mapping.dateOfBirth]?.trim()
+    if (unreadableDate) {
+      errors.push(`Date of Birth: "${row[mapping.dateOfBirth]}" isn't a ${dateFormat} date`)
+    }
+
+    // The first problem with each field is enough to fix it
+    const result = patientSchema.safeParse(values)
+    if (!result.success) {
+      const reported = new Set(unreadableDate ? ["Date of Birth"] : [])
+      for (const issue of result.error.issues) {
+        const label = getFieldLabel(issue.path[0])
+        if (reported.has(label)) continue
+        reported.add(label)
+        errors.push(`${label}: ${issue.message}`)
+      }
+    }
+
+    if (values.gender && !Object.values(GENDERS).includes(values.gender)) {
+      errors.push(`Gender: "${values.gender}" isn't one of male, female, other or prefer not to say`)
+    }
+
+    return {
+      line,
+      values,
+      errors,
+      patient: errors.length === 0 ? { ...result.data, phone: `${values.countryCode}${values.mobileNumber}` } : null,
+    }
+  })
+}
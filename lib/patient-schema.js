@@ -0,0 +1,321 @@
+import { z } from "zod"
+import { ALLERGY_CATEGORIES, ALLERGY_SEVERITIES } from "./allergies"
+import { MEDICATION_ROUTES } from "./medications"
+import { ENCOUNTER_STATUSES, ENCOUNTER_TYPES, VITAL_SIGNS } from "./encounters"
+import { APPOINTMENT_STATUSES } from "./appointments"
+
+// One structured allergy entry (see lib/allergies.js). `id` is set for entries already saved.
+export const allergyRecordSchema = z.object({
+  id: z.number().int().optional(),
+  allergen: z
+    .string()
+    .trim()
+    .min(1, { message: "Enter the allergen." })
+    .max(200, { message: "Allergen must be less than 200 characters." }),
+  category: z.enum(ALLERGY_CATEGORIES.map((category) => category.value), {
+    errorMap: () => ({ message: "Please select a category." }),
+  }),
+  severity: z.enum(ALLERGY_SEVERITIES.map((severity) => severity.value), {
+    errorMap: () => ({ message: "Please select a severity." }),
+  }),
+  reaction: z.string().max(200, { message: "Reaction must be less than 200 characters." }).optional(),
+  onsetDate: z
+    .date()
+    .refine((date) => date <= new Date(), { message: "Onset date can't be in the future." })
+    .optional(),
+})
+
+// The same allergen can only be listed once per patient
+const allergyRecordsSchema = z.array(allergyRecordSchema).superRefine((records, ctx) => {
+  const seen = new Set()
+  records.forEach((record, index) => {
+    const key = record.allergen.trim().toLowerCase()
+    if (key && seen.has(key)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: "This allergen is already listed.", path: [index, "allergen"] })
+    }
+    seen.add(key)
+  })
+})
+
+// One structured medication entry (see lib/medications.js). `id` is set for entries already saved.
+export const medicationRecordSchema = z
+  .object({
+    id: z.number().int().optional(),
+    drugName: z
+      .string()
+      .trim()
+      .min(1, { message: "Enter the drug name." })
+      .max(200, { message: "Drug name must be less than 200 characters." }),
+    strength: z.string().max(100, { message: "Strength must be less than 100 characters." }).optional(),
+    route: z
+      .enum(MEDICATION_ROUTES.map((route) => route.value), { errorMap: () => ({ message: "Please select a route." }) })
+      .or(z.literal(""))
+      .optional(),
+    frequency: z.string().max(100, { message: "Frequency must be less than 100 characters." }).optional(),
+    startDate: z.date().optional(),
+    stopDate: z.date().optional(),
+    prescriber: z.string().max(100, { message: "Prescriber must be less than 100 characters." }).optional(),
+  })
+  .refine((record) => !record.startDate || !record.stopDate || record.stopDate >= record.startDate, {
+    message: "Stop date can't be before the start date.",
+    path: ["stopDate"],
+  })
+
+export const patientSchema = z.object({
+  firstName: z
+    .string()
+    .min(2, { message: "First name must be at least 2 characters." })
+    .max(50, { message: "First name must be less than 50 characters." })
+    .regex(/^[a-zA-Z\s]+$/, { message: "First name can only contain letters and spaces." }),
+  lastName: z
+    .string()
+    .min(2, { message: "Last name must be at least 2 characters." })
+    .max(50, { message: "Last name must be less than 50 characters." })
+    .regex(/^[a-zA-Z\s]+$/, { message: "Last name can only contain letters and spaces." }),
+  dateOfBirth: z
+    .date({ required_error: "Date of birth is required." })
+    .refine(
+      (date) => {
+        const today = new Date()
+        today.setHours(23, 59, 59, 999) // Set to end of today
+        return date < today
+      },
+      { message: "Date of birth must be before today." },
+    )
+    .refine(
+      (date) => {
+        const today = new Date()
+        const age = today.getFullYear() - date.getFullYear()
+        const monthDiff = today.getMonth() - date.getMonth()
+        const actualAge = monthDiff < 0 || (monthDiff === 0 && today.getDate() < date.getDate()) ? age - 1 : age
+        return actualAge >= 0 && actualAge <= 150
+      },
+      { message: "Please enter a valid date of birth (age must be between 0-150 years)." },
+    ),
+  age: z
+    .string()
+    .min(1, { message: "Age is required." })
+    .regex(/^\d+$/, { message: "Age must be a number." })
+    .refine(
+      (val) => {
+        const age = Number.parseInt(val)
+        return age >= 0 && age <= 150
+      },
+      { message: "Age must be between 0 and 150." },
+    ),
+  gender: z.string().min(1, { message: "Please select a gender." }),
+  email: z
+    .string()
+    .email({ message: "Please enter a valid email address." })
+    .max(100, { message: "Email must be less than 100 characters." }),
+  countryCode: z.string().min(1, { message: "Please select a country code." }),
+  mobileNumber: z
+    .string()
+    .min(10, { message: "Mobile number must be exactly 10 digits." })
+    .max(10, { message: "Mobile number must be exactly 10 digits." })
+    .regex(/^\d{10}$/, { message: "Mobile number must contain exactly 10 digits only." }),
+  address: z
+    .string()
+    .min(5, { message: "Address must be at least 5 characters." })
+    .max(200, { message: "Address must be less than 200 characters." }),
+  emergencyContactName: z
+    .string()
+    .max(100, { message: "Emergency contact name must be less than 100 characters." })
+    .optional(),
+  emergencyContactPhone: z
+    .string()
+    .max(20, { message: "Emergency contact phone must be less than 20 characters." })
+    .regex(/^[\d\s\-+()]*$/, { message: "Please enter a valid phone number." })
+    .optional(),
+  medicalHistory: z.string().max(1000, { message: "Medical history must be less than 1000 characters." }).optional(),
+  allergies: z.string().max(500, { message: "Allergy notes must be less than 500 characters." }).optional(),
+  allergyRecords: allergyRecordsSchema.optional(),
+  currentMedications: z
+    .string()
+    .max(500, { message: "Medication notes must be less than 500 characters." })
+    .optional(),
+  medicationRecords: z.array(medicationRecordSchema).optional(),
+  insuranceProvider: z
+    .string()
+    .max(100, { message: "Insurance provider must be less than 100 characters." })
+    .optional(),
+  insurancePolicyNumber: z
+    .string()
+    .max(50, { message: "Insurance policy number must be less than 50 characters." })
+    .optional(),
+})
+
+// A vital sign typed into the visit form: empty, or a number within the sign's range
+const vitalSignSchema = ({ label, unit, min, max, decimals }) =>
+  z
+    .string()
+    .trim()
+    .refine((value) => value === "" || (Number.isFinite(Number(value)) && Number(value) >= min && Number(value) <= max), {
+      message: `${label} must be between ${min} and ${max} ${unit}.`,
+    })
+    .refine((value) => value === "" || decimals > 0 || Number.isInteger(Number(value)), {
+      message: `${label} must be a whole number.`,
+    })
+
+// A visit (see lib/encounters.js), as entered in the visit form
+export const encounterSchema = z
+  .object({
+    visitDate: z
+      .string()
+      .min(1, { message: "Enter the visit date and time." })
+      .refine((value) => !Number.isNaN(new Date(value).getTime()), { message: "Enter a valid date and time." }),
+    encounterType: z.enum(ENCOUNTER_TYPES.map((type) => type.value), {
+      errorMap: () => ({ message: "Please select a visit type." }),
+    }),
+    provider: z.string().max(100, { message: "Provider must be less than 100 characters." }).optional(),
+    chiefComplaint: z.string().max(500, { message: "Chief complaint must be less than 500 characters." }).optional(),
+    ...Object.fromEntries(VITAL_SIGNS.map((vital) => [vital.key, vitalSignSchema(vital)])),
+    notes: z.string().max(5000, { message: "Notes must be less than 5000 characters." }).optional(),
+    status: z.enum(ENCOUNTER_STATUSES.map((status) => status.value), {
+      errorMap: () => ({ message: "Please select a status." }),
+    }),
+  })
+  .refine((values) => (values.systolicBp === "") === (values.diastolicBp === ""), {
+    message: "Enter both systolic and diastolic blood pressure.",
+    path: ["diastolicBp"],
+  })
+
+// An appointment (see lib/appointments.js), as entered in the booking form
+export const appointmentSchema = z.object({
+  patientRecordId: z.string().min(1, { message: "Please select a patient." }),
+  startTime: z
+    .string()
+    .min(1, { message: "Enter the appointment date and time." })
+    .refine((value) => !Number.isNaN(new Date(value).getTime()), { message: "Enter a valid date and time." }),
+  duration: z
+    .string()
+    .refine((value) => Number.isInteger(Number(value)) && Number(value) >= 5 && Number(value) <= 480, {
+      message: "Duration must be between 5 minutes and 8 hours.",
+    }),
+  provider: z
+    .string()
+    .trim()
+    .min(1, { message: "Enter the provider." })
+    .max(100, { message: "Provider must be less than 100 characters." }),
+  reason: z.string().max(500, { message: "Reason must be less than 500 characters." }).optional(),
+  status: z.enum(APPOINTMENT_STATUSES.map((status) => status.value), {
+    errorMap: () => ({ message: "Please select a status." }),
+  }),
+})
+
+// A query in the SQL Interface's library (see lib/saved-queries.js), as entered in the save form.
+// Tags are typed comma-separated.
+export const savedQuerySchema = z.object({
+  name: z
+    .string()
+    .trim()
+    .min(1, { message: "Enter a name for the query." })
+    .max(100, { message: "Name must be less than 100 characters." }),
+  description: z.string().max(500, { message: "Description must be less than 500 characters." }).optional(),
+  query: z.string().trim().min(1, { message: "Enter the SQL to save." }),
+  tags: z
+    .string()
+    .refine((value) => value.split(",").every((tag) => tag.trim().length <= 30), {
+      message: "Tags must be less than 30 characters each.",
+    })
+    .optional(),
+})
+
+// Common country codes
+export const countryCodes = [
+  { code: "+1", country: "US/Canada", flag: "🇺🇸" },
+  { code: "+91", country: "India", flag: "🇮🇳" },
+  { code: "+44", country: "UK", flag: "🇬🇧" },
+  { code: "+86", country: "China", flag: "🇨🇳" },
+  { code: "+81", country: "Japan", flag: "🇯🇵" },
+  { code: "+49", country: "Germany", flag: "🇩🇪" },
+  { code: "+33", country: "France", flag: "🇫🇷" },
+  { code: "+39", country: "Italy", flag: "🇮🇹" },
+  { code: "+34", country: "Spain", flag: "🇪🇸" },
+  { code: "+61", country: "Australia", flag: "🇦🇺" },
+  { code: "+55", country: "Brazil", flag: "🇧🇷" },
+  { code: "+7", country: "Russia", flag: "🇷🇺" },
+  { code: "+82", country: "South Korea", flag: "🇰🇷" },
+  { code: "+65", country: "Singapore", flag: "🇸🇬" },
+  { code: "+971", country: "UAE", flag: "🇦🇪" },
+]
+
+// Split a stored phone number ("+919876543210") back into the country code and the
+// 10-digit mobile number used by the form. Longer codes are tried first so the most
+// specific match wins.
+export function splitPhoneNumber(phone) {
+  const value = (phone || "").replace(/[\s\-()]/g, "")
+  const match = [...countryCodes]
+    .sort((a, b) => b.code.length - a.code.length)
+    .find((country) => value.startsWith(country.code) && value.length - country.code.length === 10)
+
+  if (match) {
+    return { countryCode: match.code, mobileNumber: value.slice(match.code.length) }
+  }
+
+  // Unknown format - keep the default code and the last 10 digits so the form can be corrected
+  return { countryCode: "+91", mobileNumber: value.replace(/\D/g, "").slice(-10) }
+}
+
+// Convert a DATE value from the database into a local Date at midnight. PGlite returns
+// DATE columns as UTC midnight, which would show the previous day west of Greenwich.
+export function toLocalDate(value) {
+  if (!value) return undefined
+  if (value instanceof Date) {
+    return new Date(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate())
+  }
+  const [year, month, day] = String(value).split("T")[0].split("-").map(Number)
+  return new Date(year, month - 1, day)
+}
+
+// Age in whole years on today's date of someone born on `date`
+export function calculateAge(date) {
+  const today = new Date()
+  let age = today.getFullYear() - date.getFullYear()
+  const monthDiff = today.getMonth() - date.getMonth()
+  if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < date.getDate())) age--
+  return age
+}
+
+// Map a patient record from getAllPatients() onto the form's default values
+export function patientToFormValues(patient) {
+  const { countryCode, mobileNumber } = splitPhoneNumber(patient.phone)
+
+  return {
+    firstName: patient.firstName || "",
+    lastName: patient.lastName || "",
+    dateOfBirth: toLocalDate(patient.dateOfBirth),
+    age: patient.age !== null && patient.age !== undefined ? String(patient.age) : "",
+    gender: patient.gender || "",
+    email: patient.email || "",
+    countryCode,
+    mobileNumber,
+    address: patient.address || "",
+    emergencyContactName: patient.emergencyContactName || "",
+    emergencyContactPhone: patient.emergencyContactPhone || "",
+    medicalHistory: patient.medicalHistory || "",
+    allergies: patient.allergies || "",
+    allergyRecords: (patient.allergyRecords || []).map((record) => ({
+      id: record.id,
+      allergen: record.allergen,
+      category: record.category,
+      severity: record.severity,
+      reaction: record.reaction || "",
+      onsetDate: toLocalDate(record.onsetDate),
+    })),
+    currentMedications: patient.currentMedications || "",
+    medicationRecords: (patient.medicationRecords || []).map((record) => ({
+      id: record.id,
+      drugName: record.drugName,
+      strength: record.strength || "",
+      route: record.route || "",
+      frequency: record.frequency || "",
+      startDate: toLocalDate(record.startDate),
+      stopDate: toLocalDate(record.stopDate),
+      prescriber: record.prescriber || "",
+    })),
+    insuranceProvider: patient.insuranceProvider || "",
+    insurancePolicyNumber: patient.insurancePolicyNumber || "",
+  }
+}
+
@@ -0,0 +1,106 @@
+// Role-based permissions.
+//
+// Each role has a fixed set of permissions. Some permissions are never part of a role and
+// must be granted to an individual user on top of it (stored in users.grants). The checks in
+// lib/database.js and lib/users.js use requirePermission(), so hiding a button in the UI is
+// never the only thing stopping an action.
+import { getCurrentUser } from "./auth"
+
+export const PERMISSIONS = {
+  REGISTER_PATIENT: "patients:register",
+  VIEW_PATIENTS: "patients:view",
+  // Demographic, contact, emergency contact and insurance fields
+  EDIT_PATIENT: "patients:edit",
+  // medical_history, allergies (notes and patient_allergies entries) and current_medications
+  EDIT_MEDICAL: "patients:edit-medical",
+  // Moving to the trash, restoring and purging
+  DELETE_PATIENT: "patients:delete",
+  // Combining duplicate patient records
+  MERGE_PATIENTS: "patients:merge",
+  // Starting visits and recording their vitals and notes
+  RECORD_ENCOUNTERS: "encounters:record",
+  // Booking, rescheduling and cancelling appointments, and checking patients in
+  MANAGE_APPOINTMENTS: "appointments:manage",
+  RUN_SQL: "sql:read",
+  WRITE_SQL: "sql:write",
+  VIEW_AUDIT_LOG: "audit:view",
+  MANAGE_USERS: "users:manage",
+  // Rotating the patient data encryption key
+  MANAGE_ENCRYPTION: "encryption:manage",
+  // App-wide settings such as the patient id format
+  MANAGE_SETTINGS: "settings:manage",
+  // Downloading and restoring full database backups
+  MANAGE_BACKUPS: "database:backup",
+}
+
+export const PERMISSION_LABELS = {
+  [PERMISSIONS.WRITE_SQL]: "Write SQL",
+}
+
+const ROLE_PERMISSIONS = {
+  admin: [
+    PERMISSIONS.REGISTER_PATIENT,
+    PERMISSIONS.VIEW_PATIENTS,
+    PERMISSIONS.EDIT_PATIENT,
+    PERMISSIONS.EDIT_MEDICAL,
+    PERMISSIONS.DELETE_PATIENT,
+    PERMISSIONS.MERGE_PATIENTS,
+    PERMISSIONS.RECORD_ENCOUNTERS,
+    PERMISSIONS.MANAGE_APPOINTMENTS,
+    PERMISSIONS.RUN_SQL,
+    PERMISSIONS.VIEW_AUDIT_LOG,
+    PERMISSIONS.MANAGE_USERS,
+    PERMISSIONS.MANAGE_ENCRYPTION,
+    PERMISSIONS.MANAGE_SETTINGS,
+    PERMISSIONS.MANAGE_BACKUPS,
+  ],
+  clinician: [
+    PERMISSIONS.VIEW_PATIENTS,
+    PERMISSIONS.EDIT_MEDICAL,
+    PERMISSIONS.RECORD_ENCOUNTERS,
+    PERMISSIONS.MANAGE_APPOINTMENTS,
+  ],
+  receptionist: [
+    PERMISSIONS.REGISTER_PATIENT,
+    PERMISSIONS.VIEW_PATIENTS,
+    PERMISSIONS.EDIT_PATIENT,
+    PERMISSIONS.MANAGE_APPOINTMENTS,
+  ],
+}
+
+// Permissions that can be granted per user, and the roles allowed to receive them
+export const GRANTABLE_PERMISSIONS = {
+  [PERMISSIONS.WRITE_SQL]: ["admin"],
+}
+
+// Patient fields that need EDIT_MEDICAL rather than EDIT_PATIENT
+export const MEDICAL_FIELDS = ["medicalHistory", "allergies", "allergyRecords", "currentMedications", "medicationRecords"]
+
+export function hasPermission(user, permission) {
+  if (!user) return false
+  if (ROLE_PERMISSIONS[user.role]?.includes(permission)) return true
+
+  return Boolean(GRANTABLE_PERMISSIONS[permission]?.includes(user.role) && user.grants?.includes(permission))
+}
+
+// Throw unless the signed-in user has the permission
+export function requirePermission(permission, action = "do this") {
+  const user = getCurrentUser()
+  if (!user) {
+    throw new Error("You must be signed in")
+  }
+  if (!hasPermission(user, permission)) {
+    throw new Error(`You don't have permission to ${action}`)
+  }
+  return user
+}
+
+// Permission needed to change the given patient field
+export function getFieldPermission(field) {
+  return MEDICAL_FIELDS.includes(field) ? PERMISSIONS.EDIT_MEDICAL : PERMISSIONS.EDIT_PATIENT
+}
+
+// Whether the user may open the edit form at all
+export function canEditPatients(user) {
+  return hasPermission(user, PERMISSIONS.EDIT_PATIENT) || hasPermission(user, PERMISSIONS.EDIT_MEDICAL)
+}
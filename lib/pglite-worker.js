@@ -0,0 +1,19 @@
+// Database worker started by initializeDatabase() in every tab.
+//
+// PGliteWorker elects one tab as the leader and only the leader's worker opens the IndexedDB
+// store; the other tabs proxy their queries to it. The leader runs the migrations and listens
+// for patient change notifications, which PGliteWorker forwards to every tab. Listening here
+// rather than from a tab keeps notifications flowing when the leader tab closes and another
+// tab takes over.
+import { PGlite } from "@electric-sql/pglite"
+import { worker } from "@electric-sql/pglite/worker"
+import { runMigrations, PATIENT_CHANGES_CHANNEL } from "./migrations"
+
+worker({
+  async init(options) {
+    const db = new PGlite(options.dataDir)
+    await runMigrations(db)
+    await db.exec(`LISTEN ${PATIENT_CHANGES_CHANNEL}`)
+    return db
+  },
+})
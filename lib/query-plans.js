@@ -0,0 +1,86 @@
+// Query plans from EXPLAIN (FORMAT JSON), as the SQL Interface's plan viewer shows them.
+//
+// Postgres reports a plan as nested nodes ("Plans" holds a node's children). Times are in
+// milliseconds and, like actual rows, are per loop: a node run 10 times for a nested loop
+// reports the average of one run.
+
+// Large tables that should be read through an index. A sequential scan on one of these is
+// highlighted in the plan.
+export const WATCHED_TABLES = ["patients"]
+
+// Node details worth showing, in the order they are shown
+const NODE_DETAILS = [
+  "Operation",
+  "Join Type",
+  "Index Cond",
+  "Recheck Cond",
+  "Hash Cond",
+  "Merge Cond",
+  "Join Filter",
+  "Filter",
+  "Rows Removed by Filter",
+  "Sort Key",
+  "Sort Method",
+  "Group Key",
+  "Strategy",
+]
+
+const formatDetail = (value) => (Array.isArray(value) ? value.join(", ") : String(value))
+
+// A plan node in the shape the viewer uses, with its children. `id` is the node's path from the
+// root ("0", "0.1", ...), which stays the same when the same query is explained again.
+function normalizePlanNode(node, id = "0") {
+  const loops = node["Actual Loops"] ?? null
+  return {
+    id,
+    nodeType: node["Node Type"],
+    relation: node["Relation Name"] ?? null,
+    alias: node["Alias"] ?? null,
+    indexName: node["Index Name"] ?? null,
+    startupCost: node["Startup Cost"],
+    totalCost: node["Total Cost"],
+    planRows: node["Plan Rows"],
+    // Actual figures are only there when the query was run (EXPLAIN ANALYZE). A node that never
+    // ran has zero loops.
+    actualRows: loops === null ? null : node["Actual Rows"] * loops,
+    actualTime: loops === null ? null : node["Actual Total Time"] * loops,
+    loops,
+    details: NODE_DETAILS.filter((key) => node[key] !== undefined).map((key) => ({
+      label: key,
+      value: formatDetail(node[key]),
+    })),
+    children: (node["Plans"] ?? []).map((child, index) => normalizePlanNode(child, `${id}.${index}`)),
+  }
+}
+
+// The plan from the "QUERY PLAN" value of EXPLAIN (FORMAT JSON):
+// { root, planningTime, executionTime, analyzed }
+export function parseQueryPlan(queryPlan) {
+  const [explained] = queryPlan
+  return {
+    root: normalizePlanNode(explained.Plan),
+    planningTime: explained["Planning Time"] ?? null,
+    executionTime: explained["Execution Time"] ?? null,
+    analyzed: explained["Execution Time"] !== undefined,
+  }
+}
+
+// Every node of a plan, parents before their children
+export const flattenPlan = (node) => [node, ...node.children.flatMap(flattenPlan)]
+
+export const getPlanRelations = (root) => [...new Set(flattenPlan(root).map((node) => node.relation).filter(Boolean))]
+
+// A sequential scan reads every row of its table
+export const isWatchedSequentialScan = (node) => node.nodeType === "Seq Scan" && WATCHED_TABLES.includes(node.relation)
+
+// Which of `indexes` ({ table, name, definition }) the plan reads, as the same objects with a
+// `used` flag
+export function getIndexUsage(root, indexes) {
+  const used = new Set(flattenPlan(root).map((node) => node.indexName).filter(Boolean))
+  return indexes.map((index) => ({ ...index, used: used.has(index.name) }))
+}
+
+export const formatPlanTime = (milliseconds) =>
+  milliseconds < 1 ? `${milliseconds.toFixed(3)} ms` : `${milliseconds.toFixed(1)} ms`
+
+export const formatPlanCost = (node) => `${node.startupCost.toFixed(2)}..${node.totalCost.toFixed(2)}`
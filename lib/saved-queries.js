@@ -0,0 +1,110 @@
+// The SQL Interface's query library (the saved_queries table).
+//
+// Saved queries are shared by everyone who can run SQL. Each has a unique name (ignoring case), an
+// optional description and lowercase tags. Built-in queries come with the app: they can be run,
+// copied and favourited but not edited or deleted. Favourites are per user.
+//
+// The library is exported and imported as JSON:
+//
+//   { "format", "formatVersion", "exportedAt", "queries": [{ name, description, query, tags }] }
+//
+// Built-in queries are left out of exports, since every copy of the app has them.
+import { savedQuerySchema } from "./patient-schema"
+
+export const SAVED_QUERY_LIBRARY_FORMAT = "patient-registration-saved-queries"
+const SAVED_QUERY_LIBRARY_FORMAT_VERSION = 1
+
+const asString = (value) => (typeof value === "string" ? value : "")
+
+// Tags from a comma-separated string or a list: trimmed, lowercase and without repeats
+export function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : asString(tags).split(",")
+  return [...new Set(list.map((tag) => asString(tag).trim().toLowerCase()).filter(Boolean))]
+}
+
+// Form values for a new saved query, or for editing an existing one
+export function savedQueryToFormValues(savedQuery = {}) {
+  return {
+    name: asString(savedQuery.name),
+    description: asString(savedQuery.description),
+    query: asString(savedQuery.query),
+    tags: normalizeTags(savedQuery.tags).join(", "),
+  }
+}
+
+// Values from the save form (or an imported entry) in the shape the database functions take
+export function normalizeSavedQuery(values) {
+  return {
+    name: values.name.trim(),
+    description: values.description?.trim() || null,
+    query: values.query.trim(),
+    tags: normalizeTags(values.tags),
+  }
+}
+
+// Whether a saved query's name, description, SQL or tags contain `search`, ignoring case
+export function matchesSavedQuery(savedQuery, search) {
+  const term = search.trim().toLowerCase()
+  if (!term) return true
+  return [savedQuery.name, savedQuery.description, savedQuery.query, ...savedQuery.tags].some((value) =>
+    value?.toLowerCase().includes(term),
+  )
+}
+
+// Every tag used in the library, alphabetically
+export const getSavedQueryTags = (savedQueries) =>
+  [...new Set(savedQueries.flatMap((savedQuery) => savedQuery.tags))].sort()
+
+// Favourites first, then by name
+export const compareSavedQueries = (a, b) =>
+  Number(b.isFavorite) - Number(a.isFavorite) || a.name.localeCompare(b.name, undefined, { sensitivity: "base" })
+
+// The library's own queries as the JSON of an export file
+export function exportSavedQueryLibrary(savedQueries) {
+  return JSON.stringify(
+    {
+      format: SAVED_QUERY_LIBRARY_FORMAT,
+      formatVersion: SAVED_QUERY_LIBRARY_FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      queries: savedQueries
+        .filter((savedQuery) => !savedQuery.isBuiltin)
+        .map(({ name, description, query, tags }) => ({ name, description, query, tags })),
+    },
+    null,
+    2,
+  )
+}
+
+// Read an export file: { queries, invalid }, where `queries` are ready for importSavedQueries()
+// and `invalid` lists the entries that can't be used as { entry, name, error } (entries count
+// from 1)
+export function parseSavedQueryLibrary(content) {
+  let library
+  try {
+    library = JSON.parse(content)
+  } catch {
+    throw new Error("The file isn't valid JSON")
+  }
+
+  if (library?.format !== SAVED_QUERY_LIBRARY_FORMAT) {
+    throw new Error("The file isn't a saved query library")
+  }
+  if (library.formatVersion > SAVED_QUERY_LIBRARY_FORMAT_VERSION) {
+    throw new Error("The library was exported by a newer version of the app")
+  }
+  if (!Array.isArray(library.queries)) {
+    throw new Error("The library has no queries")
+  }
+
+  const queries = []
+  const invalid = []
+  library.queries.forEach((entry, index) => {
+    const parsed = savedQuerySchema.safeParse(savedQueryToFormValues(entry ?? {}))
+    if (parsed.success) {
+      queries.push(normalizeSavedQuery(parsed.data))
+    } else {
+      invalid.push({ entry: index + 1, name: asString(entry?.name), error: parsed.error.issues[0].message })
+    }
+  })
+  return { queries, invalid }
+}
@@ -0,0 +1,209 @@
+// Automatic local snapshots of the database.
+//
+// Snapshots are unencrypted backups (see lib/backup.js) kept in their own IndexedDB database, so
+// they survive restoring a backup, which replaces the PGlite database. They undo mistakes such as
+// a bad import or SQL statement; they don't protect against clearing the browser's site data or
+// losing the machine - download a backup for that.
+//
+// While the app is open, the leader tab (the one whose worker owns the database) checks every
+// hour and takes a snapshot when the newest one is older than the configured interval, then
+// deletes the oldest beyond the number to keep. The schedule is stored in app_settings.
+import { getDatabaseInstance } from "./database"
+import { buildBackup, readBackupFile } from "./backup"
+import { PERMISSIONS, requirePermission } from "./permissions"
+
+export const SNAPSHOT_INTERVALS = [
+  { value: 6, label: "Every 6 hours" },
+  { value: 12, label: "Every 12 hours" },
+  { value: 24, label: "Daily" },
+  { value: 168, label: "Weekly" },
+]
+
+export const MAX_SNAPSHOTS_KEPT = 30
+export const DEFAULT_SNAPSHOT_SETTINGS = { enabled: true, intervalHours: 24, keep: 7 }
+
+const SNAPSHOT_SETTINGS_KEY = "snapshot_settings"
+const SNAPSHOT_DB_NAME = "patient_registration_snapshots"
+const SNAPSHOT_STORE = "snapshots"
+const CHECK_INTERVAL_MS = 60 * 60 * 1000
+
+// Check a snapshot schedule, rejecting values it can't use
+export function normalizeSnapshotSettings(settings) {
+  const intervalHours = Number(settings?.intervalHours)
+  const keep = Number(settings?.keep)
+
+  if (!SNAPSHOT_INTERVALS.some((interval) => interval.value === intervalHours)) {
+    throw new Error("Choose one of the listed snapshot intervals")
+  }
+  if (!Number.isInteger(keep) || keep < 1 || keep > MAX_SNAPSHOTS_KEPT) {
+    throw new Error(`Snapshots to keep must be a whole number from 1 to ${MAX_SNAPSHOTS_KEPT}`)
+  }
+  return { enabled: settings.enabled !== false, intervalHours, keep }
+}
+
+async function readSnapshotSettings(database) {
+  const result = await database.query("SELECT value FROM app_settings WHERE key = $1", [SNAPSHOT_SETTINGS_KEY])
+  if (result.rows.length === 0) return DEFAULT_SNAPSHOT_SETTINGS
+
+  try {
+    return normalizeSnapshotSettings(JSON.parse(result.rows[0].value))
+  } catch (error) {
+    console.error("Invalid snapshot settings, using the defaults:", error)
+    return DEFAULT_SNAPSHOT_SETTINGS
+  }
+}
+
+function openSnapshotDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(SNAPSHOT_DB_NAME, 1)
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(SNAPSHOT_STORE, { keyPath: "id", autoIncrement: true })
+    }
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+// Run `fn` against the snapshot store in one IndexedDB transaction. Resolves with the result of
+// the request `fn` returns, once the transaction has committed.
+async function withSnapshotStore(mode, fn) {
+  const idb = await openSnapshotDatabase()
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = idb.transaction(SNAPSHOT_STORE, mode)
+      const request = fn(transaction.objectStore(SNAPSHOT_STORE))
+      transaction.oncomplete = () => resolve(request?.result)
+      transaction.onerror = () => reject(transaction.error)
+      transaction.onabort = () => reject(transaction.error || new Error("Snapshot storage transaction aborted"))
+    })
+  } finally {
+    idb.close()
+  }
+}
+
+// Save a snapshot of the database and delete the oldest beyond `keep`
+async function saveSnapshot({ label, keep, createdBy = null }) {
+  const { manifest, content } = await buildBackup({ createdBy })
+  await withSnapshotStore("readwrite", (store) => store.add({ createdAt: manifest.createdAt, label, manifest, content }))
+
+  // Ids increase with every snapshot, so the lowest are the oldest
+  const ids = await withSnapshotStore("readonly", (store) => store.getAllKeys())
+  const expired = ids.slice(0, Math.max(0, ids.length - keep))
+  if (expired.length > 0) {
+    await withSnapshotStore("readwrite", (store) => {
+      expired.forEach((id) => store.delete(id))
+    })
+  }
+  return manifest
+}
+
+async function getLatestSnapshotTime() {
+  const ids = await withSnapshotStore("readonly", (store) => store.getAllKeys())
+  if (ids.length === 0) return null
+
+  const latest = await withSnapshotStore("readonly", (store) => store.get(ids[ids.length - 1]))
+  return new Date(latest.createdAt).getTime()
+}
+
+// Take a snapshot if one is due. Only the leader tab does, so open tabs don't each take one.
+async function takeScheduledSnapshot() {
+  const database = await getDatabaseInstance()
+  if (!database.isLeader) return
+
+  const settings = await readSnapshotSettings(database)
+  if (!settings.enabled) return
+
+  const latest = await getLatestSnapshotTime()
+  if (latest !== null && Date.now() - latest < settings.intervalHours * 60 * 60 * 1000) return
+
+  await saveSnapshot({ label: "Automatic", keep: settings.keep })
+  console.log("💾 Automatic database snapshot saved")
+}
+
+// Start taking scheduled snapshots. Returns a function that stops the schedule.
+export function startSnapshotSchedule() {
+  const check = () => takeScheduledSnapshot().catch((error) => console.error("Automatic snapshot failed:", error))
+  check()
+  const interval = setInterval(check, CHECK_INTERVAL_MS)
+  return () => clearInterval(interval)
+}
+
+export async function getSnapshotSettings() {
+  try {
+    requirePermission(PERMISSIONS.MANAGE_BACKUPS, "view backups")
+    return await readSnapshotSettings(await getDatabaseInstance())
+  } catch (error) {
+    console.error("Error getting snapshot settings:", error)
+    throw new Error(`Failed to get snapshot settings: ${error.message}`)
+  }
+}
+
+export async function saveSnapshotSettings(settings) {
+  try {
+    requirePermission(PERMISSIONS.MANAGE_BACKUPS, "change the snapshot schedule")
+
+    const normalized = normalizeSnapshotSettings(settings)
+    const database = await getDatabaseInstance()
+    await database.query(
+      `
+      INSERT INTO app_settings (key, value) VALUES ($1, $2)
+      ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value
+    `,
+      [SNAPSHOT_SETTINGS_KEY, JSON.stringify(normalized)],
+    )
+    return normalized
+  } catch (error) {
+    console.error("Error saving snapshot settings:", error)
+    throw new Error(`Failed to save snapshot settings: ${error.message}`)
+  }
+}
+
+// Snapshot now, e.g. before restoring a backup. `label` says why it was taken.
+export async function takeSnapshot(label = "Manual") {
+  try {
+    const user = requirePermission(PERMISSIONS.MANAGE_BACKUPS, "take a snapshot")
+    const settings = await readSnapshotSettings(await getDatabaseInstance())
+    return await saveSnapshot({ label, keep: settings.keep, createdBy: user.username })
+  } catch (error) {
+    console.error("Error taking snapshot:", error)
+    throw new Error(`Failed to take snapshot: ${error.message}`)
+  }
+}
+
+// Stored snapshots, newest first, without their contents
+export async function getSnapshots() {
+  try {
+    requirePermission(PERMISSIONS.MANAGE_BACKUPS, "view backups")
+    const snapshots = await withSnapshotStore("readonly", (store) => store.getAll())
+    return snapshots
+      .map(({ content, ...snapshot }) => ({ ...snapshot, size: content.length }))
+      .sort((a, b) => b.id - a.id)
+  } catch (error) {
+    console.error("Error listing snapshots:", error)
+    throw new Error(`Failed to list snapshots: ${error.message}`)
+  }
+}
+
+// A snapshot as a backup file: { backup } to preview and restore, and its raw `content` to download
+export async function getSnapshotBackup(id) {
+  try {
+    requirePermission(PERMISSIONS.MANAGE_BACKUPS, "view backups")
+    const snapshot = await withSnapshotStore("readonly", (store) => store.get(id))
+    if (!snapshot) throw new Error("Snapshot not found")
+
+    return { backup: readBackupFile(snapshot.content), content: snapshot.content }
+  } catch (error) {
+    console.error("Error reading snapshot:", error)
+    throw new Error(`Failed to read snapshot: ${error.message}`)
+  }
+}
+
+export async function deleteSnapshot(id) {
+  try {
+    requirePermission(PERMISSIONS.MANAGE_BACKUPS, "delete snapshots")
+    await withSnapshotStore("readwrite", (store) => store.delete(id))
+  } catch (error) {
+    console.error("Error deleting snapshot:", error)
+    throw new Error(`Failed to delete snapshot: ${error.message}`)
+  }
+}
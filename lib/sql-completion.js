@@ -0,0 +1,501 @@
+// Editor help for the SQL Interface: completions, signature help and hovers built from the
+// database's own catalog (see getSqlSchema() in lib/database.js), so they follow the schema as
+// migrations change it.
+//
+// Suggestions depend on where the cursor is: table names after FROM, JOIN, INTO and UPDATE, a
+// table's columns after "alias.", and otherwise the columns of the tables the statement uses,
+// functions and keywords. The Monaco providers are registered once per page and read the schema
+// most recently passed to setSqlSchema().
+import { isSignificant, tokenizeSql } from "./sql-statements"
+
+const KEYWORDS = [
+  ["SELECT", "Retrieve data from database tables"],
+  ["FROM", "Specify the table to query"],
+  ["WHERE", "Filter rows based on conditions"],
+  ["JOIN", "Combine rows with a related table"],
+  ["LEFT JOIN", "Combine rows, keeping rows with no match in the joined table"],
+  ["INNER JOIN", "Combine rows that match in both tables"],
+  ["ON", "Join condition"],
+  ["AS", "Name a column or table"],
+  ["AND", "Both conditions must hold"],
+  ["OR", "Either condition may hold"],
+  ["NOT", "Negate a condition"],
+  ["IN", "Match any value in a list or subquery"],
+  ["IS NULL", "Value is missing"],
+  ["IS NOT NULL", "Value is present"],
+  ["LIKE", "Match a pattern (case-sensitive)"],
+  ["ILIKE", "Match a pattern (case-insensitive)"],
+  ["BETWEEN", "Value is within a range (inclusive)"],
+  ["EXISTS", "Subquery returns any rows"],
+  ["CASE", "Conditional expression: CASE WHEN ... THEN ... ELSE ... END"],
+  ["WHEN", "Condition in a CASE expression"],
+  ["THEN", "Result in a CASE expression"],
+  ["ELSE", "Fallback result in a CASE expression"],
+  ["END", "End of a CASE expression"],
+  ["DISTINCT", "Remove duplicate rows"],
+  ["GROUP BY", "Group rows that have the same values"],
+  ["HAVING", "Filter groups based on conditions"],
+  ["ORDER BY", "Sort the result set"],
+  ["ASC", "Ascending order"],
+  ["DESC", "Descending order"],
+  ["NULLS LAST", "Sort missing values last"],
+  ["LIMIT", "Return at most this many rows"],
+  ["OFFSET", "Skip this many rows"],
+  ["UNION", "Combine the rows of two queries"],
+  ["WITH", "Name a subquery for use in the statement (common table expression)"],
+  ["INSERT INTO", "Insert new rows into a table"],
+  ["VALUES", "List of rows or values"],
+  ["UPDATE", "Modify existing rows in a table"],
+  ["SET", "Columns to change in an UPDATE"],
+  ["DELETE FROM", "Remove rows from a table"],
+  ["RETURNING", "Return the rows changed by INSERT, UPDATE or DELETE"],
+  ["CREATE TABLE", "Create a new table"],
+  ["EXPLAIN", "Show the query plan"],
+  ["CURRENT_DATE", "Today's date"],
+  ["CURRENT_TIMESTAMP", "The current date and time"],
+  ["INTERVAL", "A time span, e.g. INTERVAL '7 days'"],
+]
+
+// Expressions that look like function calls but are SQL syntax, so they aren't in pg_proc
+const SPECIAL_FUNCTIONS = [
+  {
+    name: "coalesce",
+    arguments: "value any, ...",
+    result: "any",
+    kind: "function",
+    description: "first of its arguments that is not null",
+  },
+  {
+    name: "nullif",
+    arguments: "value1 any, value2 any",
+    result: "any",
+    kind: "function",
+    description: "null if value1 equals value2, otherwise value1",
+  },
+  {
+    name: "greatest",
+    arguments: "value any, ...",
+    result: "any",
+    kind: "function",
+    description: "largest of its arguments",
+  },
+  {
+    name: "least",
+    arguments: "value any, ...",
+    result: "any",
+    kind: "function",
+    description: "smallest of its arguments",
+  },
+  {
+    name: "cast",
+    arguments: "value AS type",
+    result: "type",
+    kind: "function",
+    description: "convert a value to another type",
+  },
+]
+
+// Words that end a table reference rather than being its alias
+const CLAUSE_WORDS = new Set([
+  "where", "join", "inner", "left", "right", "full", "outer", "cross", "natural", "on", "using", "group", "order",
+  "having", "limit", "offset", "union", "except", "intersect", "window", "for", "set", "values", "returning",
+  "select", "from", "as", "lateral", "default", "fetch",
+])
+
+// Keywords after which a table name is expected
+const TABLE_KEYWORDS = new Set(["from", "join", "into", "update", "table"])
+
+// Keywords that can come before "(" without being a function call
+const NON_FUNCTION_WORDS = new Set([
+  "select", "where", "and", "or", "not", "in", "exists", "values", "from", "on", "when", "then", "else", "as",
+  "by", "into", "join", "any", "all", "having", "returning", "set", "using", "over", "filter", "case",
+])
+
+// Keywords that start a clause, for deciding what a comma continues
+const CLAUSE_START_WORDS = new Set([
+  "select", "from", "where", "group", "order", "having", "set", "values", "returning", "by", "on",
+])
+
+// Whether a string or comment token has its closing delimiter. Line comments run to the end of
+// the line, so the cursor right after one is still in it.
+function isClosed(token) {
+  const { value } = token
+  if (value.startsWith("--")) return false
+  if (value.startsWith("/*")) return value.length >= 4 && value.endsWith("*/")
+  if (value.startsWith("$")) {
+    const tag = value.match(/^\$\w*\$/)[0]
+    return value.length >= tag.length * 2 && value.endsWith(tag)
+  }
+  if (/^[eE]'/.test(value)) return /^[eE]'(?:[^'\\]|\\[\s\S]|'')*'$/.test(value)
+  return /^'(?:[^']|'')*'$/.test(value)
+}
+
+const isIdentifier = (token) => token?.type === "word" || token?.type === "quoted"
+
+// Identifier as Postgres sees it: unquoted names fold to lower case
+export const identifierName = (token) =>
+  token.type === "quoted" ? token.value.slice(1, -1).replace(/""/g, '"') : token.value.toLowerCase()
+
+const isWord = (token, ...words) => token?.type === "word" && words.includes(token.value.toLowerCase())
+
+// Significant tokens of the statement (between semicolons) that contains `offset`
+function statementTokensAt(tokens, offset) {
+  let statement = []
+  for (const token of tokens) {
+    if (token.type === "punct" && token.value === ";") {
+      if (token.start >= offset) break
+      statement = []
+    } else if (isSignificant(token)) {
+      statement.push(token)
+    }
+  }
+  return statement
+}
+
+// Tables a statement reads or writes, with their aliases: "FROM patients p JOIN encounters e"
+// gives p → patients and e → encounters. Tables are also reachable by their own name.
+export function findTableReferences(statement) {
+  const aliases = new Map()
+  const tables = []
+
+  const readReference = (index) => {
+    let nameIndex = index
+    if (!isIdentifier(statement[nameIndex])) return index
+    // schema.table
+    while (statement[nameIndex + 1]?.value === "." && isIdentifier(statement[nameIndex + 2])) nameIndex += 2
+
+    const table = identifierName(statement[nameIndex])
+    tables.push(table)
+    aliases.set(table, table)
+
+    let next = nameIndex + 1
+    if (isWord(statement[next], "as")) next++
+    const alias = statement[next]
+    if (isIdentifier(alias) && !(alias.type === "word" && CLAUSE_WORDS.has(alias.value.toLowerCase()))) {
+      aliases.set(identifierName(alias), table)
+      next++
+    }
+    return next
+  }
+
+  for (let index = 0; index < statement.length; index++) {
+    if (!isWord(statement[index], "from", "join", "into", "update")) continue
+
+    let next = readReference(index + 1)
+    // FROM a, b
+    while (isWord(statement[index], "from") && statement[next]?.value === ",") next = readReference(next + 1)
+    index = next - 1
+  }
+
+  return { aliases, tables: [...new Set(tables)] }
+}
+
+// What to suggest at `offset`:
+//   { kind: "none" }                    inside a string or comment
+//   { kind: "table" }                   a table name
+//   { kind: "column", qualifier }       a column of the table named or aliased `qualifier`
+//   { kind: "expression" }              columns of the statement's tables, functions and keywords
+// `references` is what findTableReferences() found in the statement.
+export function getCompletionContext(text, offset) {
+  const tokens = tokenizeSql(text)
+  const current = tokens.find((token) => token.start < offset && offset <= token.end)
+  if (current && (current.type === "comment" || current.type === "string")) {
+    if (offset < current.end || !isClosed(current)) return { kind: "none" }
+  }
+
+  const statement = statementTokensAt(tokens, offset)
+  const references = findTableReferences(statement)
+  const before = statement.filter((token) => token.end <= offset)
+  // The word being typed is replaced by the suggestion, so it doesn't count as context
+  if (isIdentifier(before[before.length - 1]) && before[before.length - 1].end === offset) before.pop()
+
+  const last = before[before.length - 1]
+  if (last?.value === "." && isIdentifier(before[before.length - 2])) {
+    return { kind: "column", qualifier: identifierName(before[before.length - 2]), references }
+  }
+  if (last?.type === "word" && TABLE_KEYWORDS.has(last.value.toLowerCase())) {
+    return { kind: "table", references }
+  }
+  if (last?.value === ",") {
+    // A comma continues whatever clause it is in: another table in FROM, another column elsewhere
+    let depth = 0
+    for (let index = before.length - 2; index >= 0; index--) {
+      const token = before[index]
+      if (token.value === ")") depth++
+      else if (token.value === "(") depth--
+      else if (depth === 0 && token.type === "word" && CLAUSE_START_WORDS.has(token.value.toLowerCase())) {
+        if (token.value.toLowerCase() === "from") return { kind: "table", references }
+        break
+      }
+      if (depth < 0) break
+    }
+  }
+  return { kind: "expression", references }
+}
+
+// The function call the cursor is in and which of its arguments is being typed, or null
+export function getSignatureContext(text, offset) {
+  const tokens = tokenizeSql(text)
+  const before = statementTokensAt(tokens, offset).filter((token) => token.end <= offset)
+
+  let depth = 0
+  let commas = 0
+  for (let index = before.length - 1; index >= 0; index--) {
+    const token = before[index]
+    if (token.value === ")") depth++
+    else if (token.value === "(") {
+      if (depth === 0) {
+        const name = before[index - 1]
+        const isKeyword = name?.type === "word" && NON_FUNCTION_WORDS.has(name.value.toLowerCase())
+        if (!isIdentifier(name) || isKeyword) return null
+        return { name: identifierName(name), activeParameter: commas }
+      }
+      depth--
+    } else if (token.value === "," && depth === 0) commas++
+  }
+  return null
+}
+
+// The identifier under the cursor and what qualifies it ("p" in "p.first_name"), or null
+export function getHoverTarget(text, offset) {
+  const tokens = tokenizeSql(text)
+  const index = tokens.findIndex((token) => token.start <= offset && offset < token.end)
+  const token = tokens[index]
+  if (!isIdentifier(token)) return null
+
+  const statement = statementTokensAt(tokens, offset)
+  const position = statement.indexOf(token)
+  const qualifier =
+    statement[position - 1]?.value === "." && isIdentifier(statement[position - 2])
+      ? identifierName(statement[position - 2])
+      : null
+  const isCall = statement[position + 1]?.value === "("
+
+  return {
+    name: identifierName(token),
+    qualifier,
+    isCall,
+    start: token.start,
+    end: token.end,
+    references: findTableReferences(statement),
+  }
+}
+
+// Split a function's argument list at its top-level commas
+export function splitArguments(argumentList) {
+  const parts = []
+  let depth = 0
+  let current = ""
+  for (const character of argumentList) {
+    if (character === "(") depth++
+    if (character === ")") depth--
+    if (character === "," && depth === 0) {
+      parts.push(current.trim())
+      current = ""
+    } else {
+      current += character
+    }
+  }
+  if (current.trim()) parts.push(current.trim())
+  return parts
+}
+
+// The schema the providers read. Lookups are by lower-case name.
+let tablesByName = new Map()
+let functionsByName = new Map()
+
+export function setSqlSchema({ tables = [], functions = [] } = {}) {
+  tablesByName = new Map(tables.map((table) => [table.name.toLowerCase(), table]))
+
+  functionsByName = new Map()
+  ;[...functions, ...SPECIAL_FUNCTIONS].forEach((fn) => {
+    const key = fn.name.toLowerCase()
+    if (!functionsByName.has(key)) functionsByName.set(key, [])
+    functionsByName.get(key).push(fn)
+  })
+}
+
+// The table `qualifier` refers to in a statement: an alias, or a table named directly
+const resolveTable = (qualifier, references) => tablesByName.get(references.aliases.get(qualifier) ?? qualifier)
+
+const referencedTables = (references) => references.tables.map((name) => tablesByName.get(name)).filter(Boolean)
+
+const formatSignature = (fn) => `${fn.name}(${fn.arguments}) → ${fn.result}`
+
+function describeColumn(table, column) {
+  const lines = [`**${table.name}.${column.name}** \`${column.type}\``]
+  const details = [column.nullable ? "nullable" : "not null", column.default && `default \`${column.default}\``]
+  lines.push(details.filter(Boolean).join(", "))
+  if (column.description) lines.push(column.description)
+  return lines.join("\n\n")
+}
+
+function describeTable(table) {
+  const columns = table.columns.map((column) => `- \`${column.name}\` ${column.type}`).join("\n")
+  return `**${table.name}** (${table.type})\n\n${columns}`
+}
+
+function describeFunction(overloads) {
+  const signatures = overloads.map((fn) => `\`${formatSignature(fn)}\``).join("  \n")
+  const description = overloads.find((fn) => fn.description)?.description
+  return `${signatures}${description ? `\n\n${description}` : ""}`
+}
+
+function getCompletionItems(monaco, context, range) {
+  const { CompletionItemKind, CompletionItemInsertTextRule } = monaco.languages
+
+  const tableItems = () =>
+    [...tablesByName.values()].map((table) => ({
+      label: table.name,
+      kind: table.type === "view" ? CompletionItemKind.Interface : CompletionItemKind.Class,
+      detail: `${table.type} · ${table.columns.length} columns`,
+      documentation: { value: describeTable(table) },
+      insertText: table.name,
+      range,
+    }))
+
+  const columnItems = (tables) =>
+    tables.flatMap((table) =>
+      table.columns.map((column) => ({
+        label: { label: column.name, description: tables.length > 1 ? table.name : column.type },
+        kind: CompletionItemKind.Field,
+        detail: `${table.name}.${column.name} ${column.type}`,
+        documentation: { value: describeColumn(table, column) },
+        insertText: column.name,
+        // Columns first, ahead of functions and keywords
+        sortText: `0${column.name}`,
+        range,
+      })),
+    )
+
+  if (context.kind === "none") return []
+  if (context.kind === "table") return tableItems()
+  if (context.kind === "column") {
+    const table = resolveTable(context.qualifier, context.references)
+    return table ? columnItems([table]) : []
+  }
+
+  const tables = referencedTables(context.references)
+  const functionItems = [...functionsByName.values()].map((overloads) => ({
+    label: overloads[0].name,
+    kind: CompletionItemKind.Function,
+    detail: formatSignature(overloads[0]) + (overloads.length > 1 ? ` (+${overloads.length - 1} more)` : ""),
+    documentation: { value: describeFunction(overloads) },
+    insertText: `${overloads[0].name}($0)`,
+    insertTextRules: CompletionItemInsertTextRule.InsertAsSnippet,
+    sortText: `2${overloads[0].name}`,
+    range,
+  }))
+  const keywordItems = KEYWORDS.map(([keyword, documentation]) => ({
+    label: keyword,
+    kind: CompletionItemKind.Keyword,
+    documentation,
+    insertText: `${keyword} `,
+    sortText: `1${keyword}`,
+    range,
+  }))
+
+  // Before the statement names a table, offer the tables themselves instead of their columns
+  return [...(tables.length > 0 ? columnItems(tables) : tableItems()), ...keywordItems, ...functionItems]
+}
+
+function getSignatureHelp(text, offset) {
+  const context = getSignatureContext(text, offset)
+  const overloads = context && functionsByName.get(context.name)
+  if (!overloads) return null
+
+  const signatures = overloads.map((fn) => {
+    const label = formatSignature(fn)
+    let searchFrom = fn.name.length + 1
+    const parameters = splitArguments(fn.arguments).map((argument) => {
+      const start = label.indexOf(argument, searchFrom)
+      searchFrom = start + argument.length
+      return { label: [start, start + argument.length] }
+    })
+    return { label, documentation: fn.description ?? undefined, parameters }
+  })
+
+  // The first overload that takes enough arguments, or one that is variadic
+  const activeSignature = Math.max(
+    0,
+    overloads.findIndex(
+      (fn) => splitArguments(fn.arguments).length > context.activeParameter || /VARIADIC|\.\.\./.test(fn.arguments),
+    ),
+  )
+  return { signatures, activeSignature, activeParameter: context.activeParameter }
+}
+
+function getHoverContents(text, offset) {
+  const target = getHoverTarget(text, offset)
+  if (!target) return null
+
+  if (target.qualifier) {
+    const table = resolveTable(target.qualifier, target.references)
+    const column = table?.columns.find((item) => item.name === target.name)
+    return column ? { target, value: describeColumn(table, column) } : null
+  }
+
+  if (target.isCall && functionsByName.has(target.name)) {
+    return { target, value: describeFunction(functionsByName.get(target.name)) }
+  }
+
+  const table = tablesByName.get(target.name)
+  if (table && target.references.tables.includes(table.name)) {
+    return { target, value: describeTable(table) }
+  }
+
+  const columns = referencedTables(target.references).flatMap((item) =>
+    item.columns.filter((column) => column.name === target.name).map((column) => describeColumn(item, column)),
+  )
+  if (columns.length > 0) return { target, value: columns.join("\n\n---\n\n") }
+
+  if (table) return { target, value: describeTable(table) }
+  return null
+}
+
+const registeredInstances = new WeakSet()
+
+// Register the SQL completion, signature help and hover providers. Safe to call on every editor
+// mount: each Monaco instance gets them once, and they stay for the life of the page.
+export function registerSqlLanguageFeatures(monaco) {
+  if (registeredInstances.has(monaco)) return
+  registeredInstances.add(monaco)
+
+  monaco.languages.registerCompletionItemProvider("sql", {
+    triggerCharacters: ["."],
+    provideCompletionItems: (model, position) => {
+      const word = model.getWordUntilPosition(position)
+      const range = {
+        startLineNumber: position.lineNumber,
+        endLineNumber: position.lineNumber,
+        startColumn: word.startColumn,
+        endColumn: word.endColumn,
+      }
+      const context = getCompletionContext(model.getValue(), model.getOffsetAt(position))
+      return { suggestions: getCompletionItems(monaco, context, range) }
+    },
+  })
+
+  monaco.languages.registerSignatureHelpProvider("sql", {
+    signatureHelpTriggerCharacters: ["(", ","],
+    signatureHelpRetriggerCharacters: [")"],
+    provideSignatureHelp: (model, position) => {
+      const help = getSignatureHelp(model.getValue(), model.getOffsetAt(position))
+      return help ? { value: help, dispose: () => {} } : null
+    },
+  })
+
+  monaco.languages.registerHoverProvider("sql", {
+    provideHover: (model, position) => {
+      const hover = getHoverContents(model.getValue(), model.getOffsetAt(position))
+      if (!hover) return null
+
+      const start = model.getPositionAt(hover.target.start)
+      const end = model.getPositionAt(hover.target.end)
+      return {
+        range: new monaco.Range(start.lineNumber, start.column, end.lineNumber, end.column),
+        contents: [{ value: hover.value }],
+      }
+    },
+  })
+}
@@ -0,0 +1,108 @@
+// Reading SQL typed into the SQL Interface: a tokenizer that knows about strings, quoted
+// identifiers and comments, splitting text into statements, and spotting statements that
+// destroy data. Whether a statement writes at all is left to the database (see executeScript()
+// in lib/database.js), which tries it read-only first.
+
+// Tokens, in the order they are tried. Strings, quoted identifiers and comments may be left open
+// at the end of the text while the user is typing.
+const TOKEN_PATTERNS = [
+  ["space", /\s+/y],
+  ["comment", /--[^\n]*/y],
+  ["comment", /\/\*[\s\S]*?(?:\*\/|$)/y],
+  ["string", /[eE]'(?:[^'\\]|\\[\s\S]|'')*(?:'|$)/y],
+  ["string", /'(?:[^']|'')*(?:'|$)/y],
+  ["string", /\$([A-Za-z_]\w*)?\$[\s\S]*?(?:\$\1\$|$)/y],
+  ["quoted", /"(?:[^"]|"")*(?:"|$)/y],
+  ["number", /\d+(?:\.\d+)?/y],
+  ["param", /\$\d+/y],
+  ["word", /[A-Za-z_][\w$]*/y],
+  ["punct", /./y],
+]
+
+export function tokenizeSql(text) {
+  const tokens = []
+  let offset = 0
+  while (offset < text.length) {
+    for (const [type, pattern] of TOKEN_PATTERNS) {
+      pattern.lastIndex = offset
+      const match = pattern.exec(text)
+      if (match && match[0].length > 0) {
+        tokens.push({ type, value: match[0], start: offset, end: offset + match[0].length })
+        offset += match[0].length
+        break
+      }
+    }
+  }
+  return tokens
+}
+
+export const isSignificant = (token) => token.type !== "space" && token.type !== "comment"
+
+// The statements in `text`, split at semicolons outside strings, quoted identifiers and comments.
+// Each is { text, start, end } with offsets into `text`; empty and comment-only statements are left out.
+export function splitSqlStatements(text) {
+  const statements = []
+  let start = null
+  let end = null
+
+  const finish = () => {
+    if (start !== null) statements.push({ text: text.slice(start, end), start, end })
+    start = null
+  }
+
+  tokenizeSql(text).forEach((token) => {
+    if (token.type === "punct" && token.value === ";") finish()
+    else if (isSignificant(token)) {
+      start ??= token.start
+      end = token.end
+    }
+  })
+  finish()
+
+  return statements
+}
+
+// The statement the cursor at `offset` is in. Between statements that is the one before the
+// cursor, so the cursor just after a semicolon still picks the statement it ends.
+export function getStatementAtOffset(text, offset) {
+  const statements = splitSqlStatements(text)
+  return (
+    statements.find((statement) => statement.start <= offset && offset <= statement.end) ??
+    statements.findLast((statement) => statement.end < offset) ??
+    statements[0] ??
+    null
+  )
+}
+
+// Statements that would end or nest the transaction the SQL Interface runs each statement in
+const TRANSACTION_COMMANDS = new Set(["begin", "start", "commit", "end", "rollback", "abort", "savepoint", "release"])
+
+export function isTransactionControlStatement(statement) {
+  const first = tokenizeSql(statement).find(isSignificant)
+  return first?.type === "word" && TRANSACTION_COMMANDS.has(first.value.toLowerCase())
+}
+
+// Commands that remove or overwrite existing data or schema
+const DESTRUCTIVE_COMMANDS = new Set(["delete", "update", "truncate", "drop", "alter", "merge"])
+
+// Whether a statement deletes or changes existing rows, or drops or alters schema. The command
+// is found where one can start: at the beginning, inside a WITH query, after the WITH queries,
+// or as INSERT ... ON CONFLICT DO UPDATE. Mentions elsewhere ("ON DELETE CASCADE",
+// "FOR UPDATE", a string or a comment) don't count.
+export function isDestructiveStatement(statement) {
+  const tokens = tokenizeSql(statement).filter(isSignificant)
+  let depth = 0
+  return tokens.some((token, index) => {
+    const previous = tokens[index - 1]
+    if (token.value === "(") depth++
+    if (token.value === ")") depth--
+    if (token.type !== "word" || !DESTRUCTIVE_COMMANDS.has(token.value.toLowerCase())) return false
+
+    return (
+      !previous ||
+      previous.value === "(" ||
+      (previous.value === ")" && depth === 0) ||
+      (previous.type === "word" && previous.value.toLowerCase() === "do")
+    )
+  })
+}
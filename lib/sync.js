@@ -0,0 +1,217 @@
+// Cross-tab sync for patient changes and session events.
+//
+// Patient, visit and appointment events come from the database: triggers on the patients,
+// encounters and appointments tables send a notification for every row change, and
+// lib/database.js turns each one into an event for this tab's subscribers via dispatch(). Every
+// tab receives those notifications on its own, including the tab that made the change, so UI
+// components never announce patient changes themselves.
+//
+// App events that don't correspond to a row change (bulk imports, restores, session locks) are
+// sent with publish() over the "patient_updates" BroadcastChannel. Browsers without
+// BroadcastChannel fall back to localStorage "storage" events, which fire in every other tab of
+// the same origin.
+//
+// Messages carry a random id, so a message that arrives twice is handled once. `source` is the
+// tab that made the change (null when unknown, e.g. a migration); isOwnMessage() tells
+// subscribers whether a change has already been applied locally.
+//
+// Event schema. Every message also has `id`, `source` and `timestamp`.
+//
+//   PATIENT_ADDED      { patientId, patient }  a patient was registered
+//   PATIENT_UPDATED    { patientId, patient }  a patient record was edited
+//   PATIENT_DELETED    { patientId, patient }  a patient was moved to the trash (patient.deletedAt is set)
+//   PATIENT_RESTORED   { patientId, patient }  a patient was restored from the trash
+//   PATIENT_PURGED     { patientId }           a patient was permanently deleted from the trash
+//   PATIENTS_IMPORTED  { count }               patients were bulk imported; reload rather than patch lists
+//   ENCOUNTER_ADDED    { encounterId, patientId, encounter }  a visit was started
+//   ENCOUNTER_UPDATED  { encounterId, patientId, encounter }  a visit was edited, completed or cancelled
+//   ENCOUNTER_DELETED  { encounterId, patientId }             a visit was deleted (through the SQL Interface)
+//   APPOINTMENT_ADDED    { appointmentId, patientId, appointment }  an appointment was booked
+//   APPOINTMENT_UPDATED  { appointmentId, patientId, appointment }  an appointment was rescheduled, checked in or cancelled
+//   APPOINTMENT_DELETED  { appointmentId, patientId }               an appointment was deleted (through the SQL Interface)
+//   DATABASE_RESTORED  {}                      the whole database was replaced from a backup; every tab reloads
+//   SESSION_LOCKED     {}                      the session was locked; every tab locks
+//
+// `patient` is the decrypted record, or null when this tab can't read it (locked, signed out or
+// without permission to view patients). Subscribers should reload instead of patching then.
+// `encounter` and `appointment` are null in the same cases. `patientId` is always the patients row id.
+import { useEffect, useRef } from "react"
+
+export const SYNC_EVENTS = {
+  PATIENT_ADDED: "PATIENT_ADDED",
+  PATIENT_UPDATED: "PATIENT_UPDATED",
+  PATIENT_DELETED: "PATIENT_DELETED",
+  PATIENT_RESTORED: "PATIENT_RESTORED",
+  PATIENT_PURGED: "PATIENT_PURGED",
+  PATIENTS_IMPORTED: "PATIENTS_IMPORTED",
+  ENCOUNTER_ADDED: "ENCOUNTER_ADDED",
+  ENCOUNTER_UPDATED: "ENCOUNTER_UPDATED",
+  ENCOUNTER_DELETED: "ENCOUNTER_DELETED",
+  APPOINTMENT_ADDED: "APPOINTMENT_ADDED",
+  APPOINTMENT_UPDATED: "APPOINTMENT_UPDATED",
+  APPOINTMENT_DELETED: "APPOINTMENT_DELETED",
+  DATABASE_RESTORED: "DATABASE_RESTORED",
+  SESSION_LOCKED: "SESSION_LOCKED",
+}
+
+// Events that change patient data, for subscribers that just reload
+export const PATIENT_SYNC_EVENTS = [
+  SYNC_EVENTS.PATIENT_ADDED,
+  SYNC_EVENTS.PATIENT_UPDATED,
+  SYNC_EVENTS.PATIENT_DELETED,
+  SYNC_EVENTS.PATIENT_RESTORED,
+  SYNC_EVENTS.PATIENT_PURGED,
+  SYNC_EVENTS.PATIENTS_IMPORTED,
+]
+
+// Events that change visits
+export const ENCOUNTER_SYNC_EVENTS = [
+  SYNC_EVENTS.ENCOUNTER_ADDED,
+  SYNC_EVENTS.ENCOUNTER_UPDATED,
+  SYNC_EVENTS.ENCOUNTER_DELETED,
+]
+
+// Events that change appointments
+export const APPOINTMENT_SYNC_EVENTS = [
+  SYNC_EVENTS.APPOINTMENT_ADDED,
+  SYNC_EVENTS.APPOINTMENT_UPDATED,
+  SYNC_EVENTS.APPOINTMENT_DELETED,
+]
+
+const CHANNEL_NAME = "patient_updates"
+const STORAGE_KEY = "patient_updates_message"
+const MAX_SEEN_IDS = 500
+
+const listeners = new Set()
+// Insertion-ordered, so the oldest ids are dropped first
+const seenIds = new Set()
+let tabId = null
+let channel = null
+let isConnected = false
+
+function generateId() {
+  return crypto.randomUUID()
+}
+
+// Random id of this tab, sent with database writes so notifications can be traced back to it
+export function getTabId() {
+  if (!tabId) tabId = generateId()
+  return tabId
+}
+
+// Record a message id; returns false if it was already handled
+function markSeen(id) {
+  if (seenIds.has(id)) return false
+
+  seenIds.add(id)
+  if (seenIds.size > MAX_SEEN_IDS) {
+    seenIds.delete(seenIds.values().next().value)
+  }
+  return true
+}
+
+function deliver(message) {
+  if (!message?.id || !message.type || !markSeen(message.id)) return
+
+  listeners.forEach((listener) => {
+    try {
+      listener(message)
+    } catch (error) {
+      console.error(`Sync listener failed for ${message.type}:`, error)
+    }
+  })
+}
+
+function handleStorageEvent(event) {
+  if (event.key !== STORAGE_KEY || !event.newValue) return
+
+  try {
+    deliver(JSON.parse(event.newValue))
+  } catch (error) {
+    console.error("Failed to read sync message:", error)
+  }
+}
+
+// Open the transport once per tab
+function connect() {
+  if (isConnected || typeof window === "undefined") return
+  isConnected = true
+
+  if ("BroadcastChannel" in window) {
+    try {
+      channel = new BroadcastChannel(CHANNEL_NAME)
+      channel.addEventListener("message", (event) => deliver(event.data))
+      return
+    } catch (error) {
+      console.error("Failed to create broadcast channel, using localStorage instead:", error)
+      channel = null
+    }
+  }
+
+  window.addEventListener("storage", handleStorageEvent)
+}
+
+function assertEventType(type) {
+  if (!Object.values(SYNC_EVENTS).includes(type)) {
+    throw new Error(`Unknown sync event: ${type}`)
+  }
+}
+
+// Send an event to every tab, including this one
+export function publish(type, payload = {}) {
+  assertEventType(type)
+  connect()
+  const message = { ...payload, type, id: generateId(), source: getTabId(), timestamp: Date.now() }
+
+  try {
+    if (channel) {
+      channel.postMessage(message)
+    } else if (typeof window !== "undefined") {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(message))
+    }
+  } catch (error) {
+    console.error(`Failed to publish ${type}:`, error)
+  }
+
+  deliver(message)
+  return message
+}
+
+// Deliver an event to this tab's subscribers only, for database notifications that every tab
+// receives by itself. `source` is the tab that made the change, if known.
+export function dispatch(type, { source = null, ...payload } = {}) {
+  assertEventType(type)
+  deliver({ ...payload, type, id: generateId(), source, timestamp: Date.now() })
+}
+
+// Listen for events from every tab. Returns an unsubscribe function.
+export function subscribe(listener) {
+  connect()
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+// Whether this tab made the change (or published the event)
+export function isOwnMessage(message) {
+  return message.source === getTabId()
+}
+
+// Subscribe a component to sync events, optionally limited to some event types.
+// The latest handler is always called, so it can use current props and state.
+export function useSyncEvents(handler, types = null) {
+  const handlerRef = useRef(handler)
+  const typesKey = types ? types.join(",") : ""
+
+  useEffect(() => {
+    handlerRef.current = handler
+  })
+
+  useEffect(() => {
+    const allowed = typesKey ? typesKey.split(",") : null
+    return subscribe((message) => {
+      if (!allowed || allowed.includes(message.type)) {
+        handlerRef.current(message)
+      }
+    })
+  }, [typesKey])
+}
@@ -0,0 +1,413 @@
+// User accounts and sign-in sessions stored in PGlite.
+import { getDatabaseInstance } from "./database"
+import {
+  ROLES,
+  IS_DEMO_MODE,
+  DEMO_CREDENTIALS,
+  MIN_PASSWORD_LENGTH,
+  generateSecret,
+  hashPassword,
+  verifyPassword,
+  createSessionToken,
+  verifySessionToken,
+  getStoredSessionToken,
+  storeSessionToken,
+  clearStoredSessionToken,
+  getCurrentUser,
+  setCurrentUser,
+} from "./auth"
+import { PERMISSIONS, GRANTABLE_PERMISSIONS, requirePermission } from "./permissions"
+import { unlockDataKeys, provisionUserKeys } from "./data-keys"
+import { isEncryptionUnlocked, clearUnlockedKeys } from "./encryption"
+
+// Column list for user reads - password hashes never leave this module
+const USER_COLUMNS = `
+  id,
+  username,
+  display_name as "displayName",
+  role,
+  is_active as "isActive",
+  grants,
+  last_login_at as "lastLoginAt",
+  created_at as "createdAt"
+`
+
+// Get the session signing secret, generating it the first time it is needed
+async function getSessionSecret(database) {
+  await database.query(
+    "INSERT INTO app_settings (key, value) VALUES ('session_secret', $1) ON CONFLICT (key) DO NOTHING",
+    [generateSecret()],
+  )
+  const result = await database.query("SELECT value FROM app_settings WHERE key = 'session_secret'")
+  return result.rows[0].value
+}
+
+function normalizeUsername(username) {
+  const value = (username || "").trim().toLowerCase()
+  if (!/^[a-z0-9._-]{3,50}$/.test(value)) {
+    throw new Error("Username must be 3-50 characters: letters, numbers, dots, dashes or underscores.")
+  }
+  return value
+}
+
+function validatePassword(password) {
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters.`)
+  }
+}
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${ROLES.join(", ")}.`)
+  }
+}
+
+async function insertUser(database, { username, displayName, role, password }) {
+  const normalizedUsername = normalizeUsername(username)
+  validateRole(role)
+  validatePassword(password)
+
+  const { hash, salt, iterations } = await hashPassword(password)
+
+  try {
+    const result = await database.query(
+      `
+      INSERT INTO users (username, display_name, role, password_hash, password_salt, password_iterations)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING ${USER_COLUMNS}
+    `,
+      [normalizedUsername, displayName?.trim() || null, role, hash, salt, iterations],
+    )
+    return result.rows[0]
+  } catch (error) {
+    if (error.message.includes("duplicate key value violates unique constraint")) {
+      throw new Error("A user with this username already exists.")
+    }
+    throw error
+  }
+}
+
+// The fields kept for the signed-in user
+function toSessionUser(record) {
+  return {
+    id: record.id,
+    username: record.username,
+    displayName: record.displayName,
+    role: record.role,
+    grants: record.grants || [],
+  }
+}
+
+// Apply changes to the signed-in user's own account to this tab's session straight away
+function refreshCurrentUser(record) {
+  if (record.id === getCurrentUser()?.id) {
+    setCurrentUser(toSessionUser(record))
+  }
+}
+
+// Count active admins other than the given user, to stop the last admin being locked out
+async function countOtherActiveAdmins(database, id) {
+  const result = await database.query(
+    "SELECT COUNT(*)::INTEGER as count FROM users WHERE role = 'admin' AND is_active AND id != $1",
+    [id],
+  )
+  return result.rows[0].count
+}
+
+// Refuse to disable or demote the last active admin. Run in the same transaction as the update so two
+// tabs can't each remove a different one of the last two admins.
+async function requireAnotherActiveAdmin(tx, id) {
+  if ((await countOtherActiveAdmins(tx, id)) === 0) {
+    throw new Error("At least one active administrator is required")
+  }
+}
+
+// Whether any user account exists yet (if not, the first administrator must be created)
+export async function hasUsers() {
+  const database = await getDatabaseInstance()
+  const result = await database.query("SELECT EXISTS (SELECT 1 FROM users) as exists")
+  return result.rows[0].exists
+}
+
+// In demo mode, seed the demo administrator on an empty database
+export async function ensureDemoUsers() {
+  if (!IS_DEMO_MODE) return
+
+  try {
+    const database = await getDatabaseInstance()
+    if (await hasUsers()) return
+
+    await insertUser(database, {
+      username: DEMO_CREDENTIALS.username,
+      displayName: "Demo Administrator",
+      role: "admin",
+      password: DEMO_CREDENTIALS.password,
+    })
+    console.log("✅ Demo administrator account created")
+  } catch (error) {
+    console.error("Error creating demo users:", error)
+  }
+}
+
+// Create the first administrator. Only allowed while no users exist.
+export async function createInitialAdmin({ username, displayName, password }) {
+  try {
+    const database = await getDatabaseInstance()
+    if (await hasUsers()) {
+      throw new Error("An administrator account already exists")
+    }
+
+    return await insertUser(database, { username, displayName, role: "admin", password })
+  } catch (error) {
+    console.error("Error creating initial admin:", error)
+    throw new Error(`Failed to create administrator: ${error.message}`)
+  }
+}
+
+// Get all user accounts
+export async function getUsers() {
+  try {
+    requirePermission(PERMISSIONS.MANAGE_USERS, "manage users")
+    const database = await getDatabaseInstance()
+    const result = await database.query(`SELECT ${USER_COLUMNS} FROM users ORDER BY username`)
+    return result.rows || []
+  } catch (error) {
+    console.error("Error getting users:", error)
+    throw new Error(`Failed to get users: ${error.message}`)
+  }
+}
+
+// Create a new user account
+export async function createUser(userData) {
+  try {
+    requirePermission(PERMISSIONS.MANAGE_USERS, "manage users")
+    const database = await getDatabaseInstance()
+    const user = await insertUser(database, userData)
+
+    // The new user gets the patient data keys wrapped for their password
+    await provisionUserKeys(database, user.id, userData.password)
+    return user
+  } catch (error) {
+    console.error("Error creating user:", error)
+    throw new Error(`Failed to create user: ${error.message}`)
+  }
+}
+
+// Enable or disable a user account. Disabled users can't sign in and lose their session.
+export async function setUserActive(id, isActive) {
+  try {
+    requirePermission(PERMISSIONS.MANAGE_USERS, "manage users")
+    const database = await getDatabaseInstance()
+
+    if (!isActive && id === getCurrentUser().id) {
+      throw new Error("You can't disable your own account")
+    }
+
+    return await database.transaction(async (tx) => {
+      if (!isActive) await requireAnotherActiveAdmin(tx, id)
+
+      const result = await tx.query(
+        `UPDATE users SET is_active = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING ${USER_COLUMNS}`,
+        [isActive, id],
+      )
+      if (result.rows.length === 0) throw new Error("User not found")
+
+      return result.rows[0]
+    })
+  } catch (error) {
+    console.error("Error updating user status:", error)
+    throw new Error(`Failed to update user: ${error.message}`)
+  }
+}
+
+// Change a user's role
+export async function updateUserRole(id, role) {
+  try {
+    requirePermission(PERMISSIONS.MANAGE_USERS, "manage users")
+    validateRole(role)
+    const database = await getDatabaseInstance()
+
+    const record = await database.transaction(async (tx) => {
+      if (role !== "admin") await requireAnotherActiveAdmin(tx, id)
+
+      const result = await tx.query(
+        `UPDATE users SET role = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING ${USER_COLUMNS}`,
+        [role, id],
+      )
+      if (result.rows.length === 0) throw new Error("User not found")
+
+      return result.rows[0]
+    })
+
+    refreshCurrentUser(record)
+    return record
+  } catch (error) {
+    console.error("Error updating user role:", error)
+    throw new Error(`Failed to update user role: ${error.message}`)
+  }
+}
+
+// Replace a user's extra permission grants. Only permissions the user's role may receive are kept.
+export async function setUserGrants(id, grants) {
+  try {
+    requirePermission(PERMISSIONS.MANAGE_USERS, "manage users")
+    const database = await getDatabaseInstance()
+
+    const userResult = await database.query("SELECT role FROM users WHERE id = $1", [id])
+    if (userResult.rows.length === 0) throw new Error("User not found")
+
+    const { role } = userResult.rows[0]
+    const invalid = grants.filter((grant) => !GRANTABLE_PERMISSIONS[grant]?.includes(role))
+    if (invalid.length > 0) {
+      throw new Error(`${invalid.join(", ")} can't be granted to this role`)
+    }
+
+    const result = await database.query(
+      `UPDATE users SET grants = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING ${USER_COLUMNS}`,
+      [Array.from(new Set(grants)), id],
+    )
+
+    refreshCurrentUser(result.rows[0])
+    return result.rows[0]
+  } catch (error) {
+    console.error("Error updating user grants:", error)
+    throw new Error(`Failed to update permissions: ${error.message}`)
+  }
+}
+
+// Set a new password for a user
+export async function resetUserPassword(id, newPassword) {
+  try {
+    requirePermission(PERMISSIONS.MANAGE_USERS, "manage users")
+    validatePassword(newPassword)
+    const database = await getDatabaseInstance()
+
+    const { hash, salt, iterations } = await hashPassword(newPassword)
+    const result = await database.query(
+      `
+      UPDATE users
+      SET password_hash = $1, password_salt = $2, password_iterations = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+      RETURNING id
+    `,
+      [hash, salt, iterations, id],
+    )
+    if (result.rows.length === 0) throw new Error("User not found")
+
+    // The old password can no longer unlock the user's encryption keys, so issue new ones
+    await provisionUserKeys(database, id, newPassword)
+    return true
+  } catch (error) {
+    console.error("Error resetting password:", error)
+    throw new Error(`Failed to reset password: ${error.message}`)
+  }
+}
+
+// Check credentials and start a signed session. Returns the signed-in user.
+export async function signIn(username, password) {
+  const database = await getDatabaseInstance()
+
+  const result = await database.query(
+    `
+    SELECT ${USER_COLUMNS}, password_hash, password_salt, password_iterations
+    FROM users
+    WHERE username = $1
+  `,
+    [(username || "").trim().toLowerCase()],
+  )
+
+  const record = result.rows[0]
+  const isValid =
+    record &&
+    (await verifyPassword(password, {
+      hash: record.password_hash,
+      salt: record.password_salt,
+      iterations: record.password_iterations,
+    }))
+
+  // Same message for unknown users and wrong passwords
+  if (!isValid) throw new Error("Invalid username or password")
+  if (!record.isActive) throw new Error("This account has been disabled")
+
+  await database.query("UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1", [record.id])
+
+  const user = toSessionUser(record)
+  await unlockDataKeys(database, user, password)
+  storeSessionToken(await createSessionToken(user, await getSessionSecret(database)))
+  setCurrentUser(user)
+
+  console.log(`✅ Signed in as ${user.username} (${user.role})`)
+  return user
+}
+
+// Restore the session stored in this browser. Returns the user, or null if there is no valid session.
+export async function restoreSession() {
+  try {
+    const token = getStoredSessionToken()
+    if (!token) return null
+
+    const database = await getDatabaseInstance()
+    const payload = await verifySessionToken(token, await getSessionSecret(database))
+    if (!payload) {
+      clearStoredSessionToken()
+      return null
+    }
+
+    // Role and status come from the database, not the token, so changes apply on the next load
+    const result = await database.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [payload.sub])
+    const record = result.rows[0]
+    if (!record || !record.isActive) {
+      clearStoredSessionToken()
+      return null
+    }
+
+    const user = toSessionUser(record)
+    setCurrentUser(user)
+    return user
+  } catch (error) {
+    console.error("Error restoring session:", error)
+    return null
+  }
+}
+
+// Whether the session (restored after a reload, or locked) needs the password to unlock patient data
+export function isSessionLocked() {
+  return getCurrentUser() !== null && !isEncryptionUnlocked()
+}
+
+// Lock the session without signing out: the encryption keys are dropped from memory, so
+// patient data stays unreadable until unlockSession() is called with the password
+export function lockSession() {
+  clearUnlockedKeys()
+}
+
+// Unlock encrypted patient data for a restored or locked session by re-entering the password
+export async function unlockSession(password) {
+  const user = getCurrentUser()
+  if (!user) throw new Error("You must be signed in")
+
+  const database = await getDatabaseInstance()
+  const result = await database.query(
+    "SELECT password_hash, password_salt, password_iterations FROM users WHERE id = $1 AND is_active",
+    [user.id],
+  )
+
+  const record = result.rows[0]
+  const isValid =
+    record &&
+    (await verifyPassword(password, {
+      hash: record.password_hash,
+      salt: record.password_salt,
+      iterations: record.password_iterations,
+    }))
+  if (!isValid) throw new Error("Incorrect password")
+
+  await unlockDataKeys(database, user, password)
+}
+
+// End the session on this browser
+export function signOut() {
+  clearStoredSessionToken()
+  clearUnlockedKeys()
+  setCurrentUser(null)
+}